@@ -1,4 +1,4 @@
-// Google Apps Script - With Nutrition Support + Weights Sync + Last Workout Sync
+// Google Apps Script - With Nutrition Support + Weights Sync + Last Workout Sync + History Sync
 // Version 6.3.19 - Added totalWorkouts to cloud sync
 
 function doGet(e) {
@@ -31,6 +31,29 @@ function doGet(e) {
     return getLastWorkout(e.parameter);
   }
   
+  if (e && e.parameter && e.parameter.action === 'getExerciseSets') {
+    return getExerciseSets(e.parameter);
+  }
+  
+  // Handle history sync actions
+  if (e && e.parameter && e.parameter.action === 'saveHistory') {
+    let entries = [];
+    try {
+      entries = JSON.parse(e.parameter.entries || "[]");
+    } catch (err) {
+      return createResponse({ status: 'error', message: 'Invalid entries JSON' });
+    }
+    return saveHistory({ email: e.parameter.email, entries: entries });
+  }
+  
+  if (e && e.parameter && e.parameter.action === 'getHistory') {
+    return getHistory(e.parameter);
+  }
+  
+  if (e && e.parameter && e.parameter.action === 'getCustomWorkouts') {
+    return getCustomWorkouts(e.parameter);
+  }
+  
   // Otherwise, return workout data + nutrition data as usual
   const ss = SpreadsheetApp.getActiveSpreadsheet();
 
@@ -39,13 +62,20 @@ function doGet(e) {
   const exerciseData = exerciseSheet.getDataRange().getValues();
   const exerciseLibrary = {};
 
+  // Optional columns, located by header:
+  // "Alternative"   = substitutes for a mid-workout swap (names, comma separated)
+  // "Attrezzatura"  = equipment needed (e.g. "manubri, panca"; empty = bodyweight)
+  const exerciseCols = findExerciseColumns(exerciseData[0] || []);
+
   for (let i = 1; i < exerciseData.length; i++) {
     const exerciseName = (exerciseData[i][0] || "").toString().trim();
     if (!exerciseName) continue;
     exerciseLibrary[exerciseName] = {
       imageUrl: exerciseData[i][5] || "",
       audio: exerciseData[i][8] || "",
-      audioCambio: exerciseData[i][9] || ""
+      audioCambio: exerciseData[i][9] || "",
+      alternatives: splitList(exerciseData[i][exerciseCols.alternatives]),
+      equipment: splitList(exerciseData[i][exerciseCols.equipment])
     };
   }
 
@@ -54,6 +84,18 @@ function doGet(e) {
   const workoutData = workoutSheet.getDataRange().getValues();
   const workouts = {};
 
+  // Optional columns - located by header so older sheets keep working
+  // "Rest Workout" = default rest between blocks for the whole workout (seconds)
+  // "Rest Blocco"  = rest after this block (overrides the workout default)
+  // "Rest Round"   = rest between rounds of this block
+  // "Rest Serie"   = rest after each set of a rep-based exercise
+  // "Reps"         = target reps (e.g. "8" or "8-10")
+  // "Mode"         = "reps" for sets without countdown (user taps "done")
+  // "Tipo Blocco"  = block format: EMOM (E2MOM, E3MOM), AMRAP, Tabata, Ladder (empty = standard rounds)
+  // "Superset"     = rows of a block with the same value run as a superset / giant set
+  // "Tempo"        = rep tempo, e.g. "3-1-2-0" (eccentric-pause-concentric-pause, X = explosive)
+  const workoutCols = findWorkoutColumns(workoutData[0] || []);
+
   for (let i = 1; i < workoutData.length; i++) {
     const row = workoutData[i];
     const workoutName = (row[0] || "").toString().trim();
@@ -69,6 +111,11 @@ function doGet(e) {
       workouts[workoutName] = { exercises: [], instructions: "" };
     }
 
+    const restWorkout = parseRestSeconds(row[workoutCols.restWorkout]);
+    if (restWorkout !== null && workouts[workoutName].restBetweenBlocks === undefined) {
+      workouts[workoutName].restBetweenBlocks = restWorkout;
+    }
+
     const exerciseInfo = exerciseLibrary[exercise] || {};
     workouts[workoutName].exercises.push({
       name: exercise,
@@ -77,6 +124,14 @@ function doGet(e) {
       block: block,
       tipoDiPeso: tipoDiPeso,
       rounds: rounds,
+      reps: workoutCols.reps >= 0 ? (row[workoutCols.reps] || "").toString().trim() : "",
+      mode: workoutCols.mode >= 0 ? (row[workoutCols.mode] || "").toString().trim().toLowerCase() : "",
+      blockType: workoutCols.blockType >= 0 ? (row[workoutCols.blockType] || "").toString().trim().toLowerCase() : "",
+      superset: workoutCols.superset >= 0 ? (row[workoutCols.superset] || "").toString().trim() : "",
+      tempo: workoutCols.tempo >= 0 ? (row[workoutCols.tempo] || "").toString().trim() : "",
+      restAfterBlock: parseRestSeconds(row[workoutCols.restBlock]),
+      restBetweenRounds: parseRestSeconds(row[workoutCols.restRound]),
+      restAfterSet: parseRestSeconds(row[workoutCols.restSet]),
       audio: exerciseInfo.audio || "",
       audioCambio: exerciseInfo.audioCambio || ""
     });
@@ -139,10 +194,51 @@ function doGet(e) {
   }
 
   return ContentService
-    .createTextOutput(JSON.stringify({ workouts: workouts, userWorkouts: userWorkouts }))
+    .createTextOutput(JSON.stringify({ workouts: workouts, userWorkouts: userWorkouts, exercises: exerciseLibrary }))
     .setMimeType(ContentService.MimeType.JSON);
 }
 
+function findWorkoutColumns(headers) {
+  const cols = { restWorkout: -1, restBlock: -1, restRound: -1, restSet: -1, reps: -1, mode: -1, blockType: -1, superset: -1, tempo: -1 };
+  for (let h = 0; h < headers.length; h++) {
+    const header = (headers[h] || "").toString().toLowerCase().trim();
+    if (header.includes("rest") || header.includes("riposo") || header.includes("recupero")) {
+      if (header.includes("round")) cols.restRound = h;
+      else if (header.includes("block") || header.includes("blocco")) cols.restBlock = h;
+      else if (header.includes("set") || header.includes("serie")) cols.restSet = h;
+      else if (header.includes("workout")) cols.restWorkout = h;
+    }
+    else if (header === "reps" || header.includes("ripetizioni")) cols.reps = h;
+    else if (header === "mode" || header.includes("modalit")) cols.mode = h;
+    else if (header.includes("tipo blocco") || header.includes("block type") || header === "formato" || header === "format") cols.blockType = h;
+    else if (header === "superset" || header === "gruppo" || header.includes("superserie")) cols.superset = h;
+    // first columns are positional (column D is the duration, sometimes titled "Tempo")
+    else if ((header === "tempo" && h > 5) || header.includes("tempo esecuzione") || header.includes("cadenza")) cols.tempo = h;
+  }
+  return cols;
+}
+
+function findExerciseColumns(headers) {
+  const cols = { alternatives: -1, equipment: -1 };
+  for (let h = 0; h < headers.length; h++) {
+    const header = (headers[h] || "").toString().toLowerCase().trim();
+    if (header.includes("alternativ") || header.includes("sostitu") || header.includes("substitut")) cols.alternatives = h;
+    else if (header.includes("attrezz") || header === "equipment") cols.equipment = h;
+  }
+  return cols;
+}
+
+function splitList(value) {
+  if (value === undefined || value === null || value === "") return [];
+  return value.toString().split(/[,;\n]/).map(item => item.trim()).filter(item => item);
+}
+
+function parseRestSeconds(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const seconds = parseInt(value);
+  return isNaN(seconds) || seconds < 0 ? null : seconds;
+}
+
 function isDate(value) {
   if (!value) return false;
   if (value instanceof Date) return true;
@@ -346,6 +442,364 @@ function getLastWorkout(params) {
   }
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// SESSION LOG (one row per set)
+// ═══════════════════════════════════════════════════════════════════════════
+
+function getSetsSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName("UserSets");
+  if (!sheet) {
+    sheet = ss.insertSheet("UserSets");
+    sheet.getRange(1, 1, 1, 11).setValues([["Email", "SessionId", "CompletedAt", "WorkoutName", "Exercise", "Block", "Round", "Weight", "Reps", "RPE", "Seconds"]]);
+  }
+  return sheet;
+}
+
+function saveSessionLog(data) {
+  try {
+    const email = (data.email || "").trim().toLowerCase();
+    if (!email || !email.includes('@')) {
+      return createResponse({ status: 'error', message: 'Invalid email' });
+    }
+    
+    const sets = Array.isArray(data.sets) ? data.sets : [];
+    if (sets.length === 0) {
+      return createResponse({ status: 'success', message: 'No sets to save', saved: 0 });
+    }
+    
+    const sheet = getSetsSheet();
+    const sessionId = (data.sessionId || "").toString();
+    
+    // A retried sync must not duplicate the session
+    const existing = sheet.getDataRange().getValues();
+    for (let i = 1; i < existing.length; i++) {
+      if ((existing[i][0] || "").toString().trim().toLowerCase() === email &&
+          existing[i][1].toString() === sessionId) {
+        return createResponse({ status: 'success', message: 'Session already saved', saved: 0 });
+      }
+    }
+    
+    const completedAt = data.completedAt || new Date().toISOString();
+    const rows = sets.map(set => [
+      email,
+      sessionId,
+      completedAt,
+      data.workoutName || "",
+      set.exercise || "",
+      set.block || "",
+      set.round || "",
+      set.weight || "",
+      set.reps === null || set.reps === undefined ? "" : set.reps,
+      set.rpe === null || set.rpe === undefined ? "" : set.rpe,
+      set.seconds || ""
+    ]);
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, rows[0].length).setValues(rows);
+    
+    return createResponse({ status: 'success', message: 'Session log saved', saved: rows.length });
+  } catch (error) {
+    return createResponse({ status: 'error', message: error.toString() });
+  }
+}
+
+function getExerciseSets(params) {
+  try {
+    const email = (params.email || "").trim().toLowerCase();
+    const exercise = (params.exercise || "").trim().toLowerCase();
+    if (!email || !email.includes('@')) {
+      return createResponse({ status: 'error', message: 'Invalid email' });
+    }
+    
+    const data = getSetsSheet().getDataRange().getValues();
+    const sets = [];
+    
+    for (let i = 1; i < data.length; i++) {
+      if ((data[i][0] || "").toString().trim().toLowerCase() !== email) continue;
+      if (exercise && (data[i][4] || "").toString().trim().toLowerCase() !== exercise) continue;
+      sets.push({
+        sessionId: data[i][1].toString(),
+        completedAt: data[i][2] instanceof Date ? data[i][2].toISOString() : data[i][2],
+        workoutName: data[i][3],
+        exercise: data[i][4],
+        block: data[i][5],
+        round: data[i][6],
+        weight: data[i][7],
+        reps: data[i][8] === "" ? null : data[i][8],
+        rpe: data[i][9] === "" ? null : data[i][9],
+        seconds: data[i][10]
+      });
+    }
+    
+    // Newest session first, like the local history
+    sets.sort((a, b) => new Date(b.completedAt) - new Date(a.completedAt));
+    return createResponse({ status: 'success', sets: sets });
+  } catch (error) {
+    return createResponse({ status: 'error', message: error.toString() });
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// WORKOUT HISTORY SYNC (one row per history entry)
+// A cell holds at most 50,000 characters: the large parts of an entry (sets and
+// execution trace) go to the HistoryDetails sheet, split into chunks.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const HISTORY_DETAIL_FIELDS = ['sets', 'trace'];
+const HISTORY_CHUNK_SIZE = 45000;
+
+function getHistorySheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName("History");
+  if (!sheet) {
+    sheet = ss.insertSheet("History");
+    sheet.getRange(1, 1, 1, 8).setValues([["Email", "EntryId", "CompletedAt", "WorkoutName", "Duration", "UpdatedAt", "Data", "Adherence"]]);
+  } else if (sheet.getRange(1, 8).getValue() === "") {
+    // Sheets created before the execution trace existed
+    sheet.getRange(1, 8).setValue("Adherence");
+  }
+  return sheet;
+}
+
+function getHistoryDetailsSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName("HistoryDetails");
+  if (!sheet) {
+    sheet = ss.insertSheet("HistoryDetails");
+    sheet.getRange(1, 1, 1, 5).setValues([["Email", "EntryId", "Field", "Part", "Json"]]);
+  }
+  return sheet;
+}
+
+// Entry without its large fields (History "Data" cell) + chunk rows for HistoryDetails
+function splitHistoryEntry(email, id, entry) {
+  const summary = {};
+  Object.keys(entry).forEach(key => {
+    if (HISTORY_DETAIL_FIELDS.indexOf(key) === -1) summary[key] = entry[key];
+  });
+  
+  const detailRows = [];
+  HISTORY_DETAIL_FIELDS.forEach(field => {
+    if (entry[field] === undefined || entry[field] === null) return;
+    const json = JSON.stringify(entry[field]);
+    for (let part = 0; part * HISTORY_CHUNK_SIZE < json.length; part++) {
+      detailRows.push([email, id, field, part, json.substr(part * HISTORY_CHUNK_SIZE, HISTORY_CHUNK_SIZE)]);
+    }
+  });
+  return { summary: summary, detailRows: detailRows };
+}
+
+// Readable adherence for coaches: "92% · 1 saltati · 2 accorciati · 1 ripetuti · +20s"
+function formatAdherence(adherence) {
+  if (!adherence) return "";
+  const parts = [adherence.percent + "%"];
+  if (adherence.skipped) parts.push(adherence.skipped + " saltati");
+  if (adherence.shortened) parts.push(adherence.shortened + " accorciati");
+  if (adherence.repeated) parts.push(adherence.repeated + " ripetuti");
+  if (adherence.extraSeconds) parts.push("+" + adherence.extraSeconds + "s");
+  return parts.join(" · ");
+}
+
+function saveHistory(data) {
+  try {
+    const email = (data.email || "").trim().toLowerCase();
+    if (!email || !email.includes('@')) {
+      return createResponse({ status: 'error', message: 'Invalid email' });
+    }
+    
+    const entries = Array.isArray(data.entries) ? data.entries : [];
+    const sheet = getHistorySheet();
+    const rows = sheet.getDataRange().getValues();
+    const detailsSheet = getHistoryDetailsSheet();
+    
+    // Existing rows of this user, by entry id
+    const rowById = {};
+    for (let i = 1; i < rows.length; i++) {
+      if ((rows[i][0] || "").toString().trim().toLowerCase() === email) {
+        rowById[rows[i][1].toString()] = i + 1;
+      }
+    }
+    
+    let saved = 0;
+    let skipped = 0;
+    const newRows = [];
+    const newDetailRows = [];
+    const replacedIds = {}; // updated entries: their old detail rows go
+    const queued = {}; // duplicates inside the same request
+    
+    entries.forEach(entry => {
+      if (!entry || entry.id === undefined || entry.id === null) return;
+      const id = entry.id.toString();
+      const updatedAt = entry.updatedAt || entry.completedAt || "";
+      const parts = splitHistoryEntry(email, id, entry);
+      const row = [email, id, entry.completedAt || "", entry.workoutName || "", entry.duration || 0, updatedAt, JSON.stringify(parts.summary), formatAdherence(entry.adherence)];
+      
+      const existingRow = rowById[id];
+      if (queued[id]) {
+        skipped++;
+        return;
+      }
+      if (existingRow) {
+        // Conflict: the most recently updated copy wins
+        const existingUpdatedAt = rows[existingRow - 1][5];
+        if (new Date(existingUpdatedAt).getTime() >= new Date(updatedAt).getTime()) {
+          skipped++;
+          return;
+        }
+        sheet.getRange(existingRow, 1, 1, row.length).setValues([row]);
+        replacedIds[id] = true;
+      } else {
+        newRows.push(row);
+        queued[id] = true;
+      }
+      parts.detailRows.forEach(detailRow => newDetailRows.push(detailRow));
+      saved++;
+    });
+    
+    if (newRows.length > 0) {
+      sheet.getRange(sheet.getLastRow() + 1, 1, newRows.length, newRows[0].length).setValues(newRows);
+    }
+    
+    if (Object.keys(replacedIds).length > 0) {
+      // Bottom-up, so the row numbers still to delete don't shift
+      const detailRows = detailsSheet.getDataRange().getValues();
+      for (let i = detailRows.length - 1; i >= 1; i--) {
+        if ((detailRows[i][0] || "").toString().trim().toLowerCase() === email && replacedIds[detailRows[i][1].toString()]) {
+          detailsSheet.deleteRow(i + 1);
+        }
+      }
+    }
+    if (newDetailRows.length > 0) {
+      detailsSheet.getRange(detailsSheet.getLastRow() + 1, 1, newDetailRows.length, 5).setValues(newDetailRows);
+    }
+    
+    return createResponse({ status: 'success', message: 'History saved', saved: saved, skipped: skipped });
+  } catch (error) {
+    return createResponse({ status: 'error', message: error.toString() });
+  }
+}
+
+function getHistory(params) {
+  try {
+    const email = (params.email || "").trim().toLowerCase();
+    if (!email || !email.includes('@')) {
+      return createResponse({ status: 'error', message: 'Invalid email' });
+    }
+    
+    const rows = getHistorySheet().getDataRange().getValues();
+    const entries = [];
+    
+    // Chunks of the large fields, by entry id → field → part
+    const details = {};
+    const detailRows = getHistoryDetailsSheet().getDataRange().getValues();
+    for (let i = 1; i < detailRows.length; i++) {
+      if ((detailRows[i][0] || "").toString().trim().toLowerCase() !== email) continue;
+      const id = detailRows[i][1].toString();
+      const field = detailRows[i][2];
+      details[id] = details[id] || {};
+      details[id][field] = details[id][field] || [];
+      details[id][field][Number(detailRows[i][3])] = detailRows[i][4];
+    }
+    
+    for (let i = 1; i < rows.length; i++) {
+      if ((rows[i][0] || "").toString().trim().toLowerCase() !== email) continue;
+      try {
+        // Rows saved before HistoryDetails keep sets and trace in "Data"
+        const entry = JSON.parse(rows[i][6] || "{}");
+        const id = rows[i][1].toString();
+        const fields = details[id] || {};
+        Object.keys(fields).forEach(field => {
+          entry[field] = JSON.parse(fields[field].join(""));
+        });
+        entry.id = entry.id !== undefined ? entry.id : id;
+        entries.push(entry);
+      } catch (err) {
+        Logger.log("Skipping unreadable history row " + (i + 1) + ": " + err);
+      }
+    }
+    
+    entries.sort((a, b) => new Date(b.completedAt) - new Date(a.completedAt));
+    return createResponse({ status: 'success', entries: entries });
+  } catch (error) {
+    return createResponse({ status: 'error', message: error.toString() });
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CUSTOM WORKOUTS (built by users in the app editor, one row per workout)
+// ═══════════════════════════════════════════════════════════════════════════
+
+function getCustomWorkoutsSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName("CustomWorkouts");
+  if (!sheet) {
+    sheet = ss.insertSheet("CustomWorkouts");
+    sheet.getRange(1, 1, 1, 6).setValues([["Email", "WorkoutId", "Name", "UpdatedAt", "Deleted", "Data"]]);
+  }
+  return sheet;
+}
+
+function saveCustomWorkout(data) {
+  try {
+    const email = (data.email || "").trim().toLowerCase();
+    if (!email || !email.includes('@')) {
+      return createResponse({ status: 'error', message: 'Invalid email' });
+    }
+    
+    const workout = data.workout;
+    if (!workout || !workout.id) {
+      return createResponse({ status: 'error', message: 'Missing workout' });
+    }
+    
+    const sheet = getCustomWorkoutsSheet();
+    const rows = sheet.getDataRange().getValues();
+    const id = workout.id.toString();
+    const updatedAt = workout.updatedAt || new Date().toISOString();
+    delete workout.email; // the row already says whose it is
+    const row = [email, id, workout.name || "", updatedAt, workout.deleted ? true : false, JSON.stringify(workout)];
+    
+    for (let i = 1; i < rows.length; i++) {
+      if ((rows[i][0] || "").toString().trim().toLowerCase() !== email || rows[i][1].toString() !== id) continue;
+      // Conflict: the most recently updated copy wins
+      if (new Date(rows[i][3]).getTime() >= new Date(updatedAt).getTime()) {
+        return createResponse({ status: 'success', message: 'Newer copy already saved', saved: 0 });
+      }
+      sheet.getRange(i + 1, 1, 1, row.length).setValues([row]);
+      return createResponse({ status: 'success', message: 'Custom workout updated', saved: 1 });
+    }
+    
+    sheet.appendRow(row);
+    return createResponse({ status: 'success', message: 'Custom workout saved', saved: 1 });
+  } catch (error) {
+    return createResponse({ status: 'error', message: error.toString() });
+  }
+}
+
+function getCustomWorkouts(params) {
+  try {
+    const email = (params.email || "").trim().toLowerCase();
+    if (!email || !email.includes('@')) {
+      return createResponse({ status: 'error', message: 'Invalid email' });
+    }
+    
+    const rows = getCustomWorkoutsSheet().getDataRange().getValues();
+    const workouts = [];
+    
+    // Deleted workouts are returned too: other devices need the tombstone
+    for (let i = 1; i < rows.length; i++) {
+      if ((rows[i][0] || "").toString().trim().toLowerCase() !== email) continue;
+      try {
+        workouts.push(JSON.parse(rows[i][5] || "{}"));
+      } catch (err) {
+        Logger.log("Skipping unreadable custom workout row " + (i + 1) + ": " + err);
+      }
+    }
+    
+    return createResponse({ status: 'success', workouts: workouts });
+  } catch (error) {
+    return createResponse({ status: 'error', message: error.toString() });
+  }
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // POST REQUESTS & USER MANAGEMENT
 // ═══════════════════════════════════════════════════════════════════════════
@@ -355,6 +809,9 @@ function doPost(e) {
     const data = JSON.parse(e.postData.contents);
     if (data.action === 'addTrialUser') return addTrialUser(data);
     if (data.action === 'updateSubscription') return updateSubscription(data);
+    if (data.action === 'saveSessionLog') return saveSessionLog(data);
+    if (data.action === 'saveHistory') return saveHistory(data);
+    if (data.action === 'saveCustomWorkout') return saveCustomWorkout(data);
     return createResponse({ status: 'error', message: 'Unknown action' });
   } catch (error) {
     return createResponse({ status: 'error', message: error.toString() });
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+/**
+ * Viltrum Fitness - Local TTS Mock Server
+ * Stand-in for the cloud TTS server, speaking the same protocol:
+ *   GET  /        → 200 { ok: true } (health check)
+ *   POST /speak   → { text, lang, voice } in, audio/wav out
+ * Instead of a voice it answers with one short tone per word (pitch by
+ * language), so the whole Voice mode pipeline - providers, cache, ducking -
+ * can be exercised without the internet. No dependencies.
+ *
+ * Usage:
+ *   node backend/tts-mock-server.js [--port 8787] [--latency 0] [--fail-rate 0] [--down]
+ *     --latency    delay of every /speak answer (ms), to try the provider timeouts
+ *     --fail-rate  share of /speak calls answered with 500 (0..1)
+ *     --down       health check answers 503
+ *
+ * Then, in the browser console of the app:
+ *   localStorage.setItem('viltrum_tts_server', 'http://localhost:8787')
+ * and reload: the self-hosted provider comes first (see TTS_PROVIDERS in js/config.js).
+ */
+
+const http = require('http');
+
+const SAMPLE_RATE = 16000;
+const TONE_SECONDS = 0.12;
+const GAP_SECONDS = 0.06;
+const PITCH = { it: 660, en: 520 }; // Hz, other languages: 440
+
+function readOptions(argv) {
+  const options = { port: 8787, latency: 0, failRate: 0, down: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--port': options.port = parseInt(argv[++i], 10); break;
+      case '--latency': options.latency = parseInt(argv[++i], 10) || 0; break;
+      case '--fail-rate': options.failRate = parseFloat(argv[++i]) || 0; break;
+      case '--down': options.down = true; break;
+      default: console.warn(`⚠️ Unknown option: ${argv[i]}`);
+    }
+  }
+  return options;
+}
+
+/**
+ * 16-bit mono WAV with one tone per word
+ * @param {string} text - Phrase
+ * @param {string} lang - BCP 47 language
+ * @returns {Buffer} WAV file
+ */
+function renderWav(text, lang) {
+  const words = Math.max(1, String(text).trim().split(/\s+/).length);
+  const frequency = PITCH[String(lang).slice(0, 2).toLowerCase()] || 440;
+  const toneSamples = Math.round(TONE_SECONDS * SAMPLE_RATE);
+  const gapSamples = Math.round(GAP_SECONDS * SAMPLE_RATE);
+  const samples = words * (toneSamples + gapSamples);
+
+  const wav = Buffer.alloc(44 + samples * 2);
+  wav.write('RIFF', 0);
+  wav.writeUInt32LE(36 + samples * 2, 4);
+  wav.write('WAVE', 8);
+  wav.write('fmt ', 12);
+  wav.writeUInt32LE(16, 16);              // fmt chunk size
+  wav.writeUInt16LE(1, 20);               // PCM
+  wav.writeUInt16LE(1, 22);               // mono
+  wav.writeUInt32LE(SAMPLE_RATE, 24);
+  wav.writeUInt32LE(SAMPLE_RATE * 2, 28); // byte rate
+  wav.writeUInt16LE(2, 32);               // block align
+  wav.writeUInt16LE(16, 34);              // bits per sample
+  wav.write('data', 36);
+  wav.writeUInt32LE(samples * 2, 40);
+
+  for (let word = 0; word < words; word++) {
+    const start = word * (toneSamples + gapSamples);
+    for (let i = 0; i < toneSamples; i++) {
+      const fade = Math.min(1, i / 160, (toneSamples - i) / 160); // no clicks
+      const value = Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE) * 0.4 * fade;
+      wav.writeInt16LE(Math.round(value * 32767), 44 + (start + i) * 2);
+    }
+  }
+  return wav;
+}
+
+function send(res, status, body, type = 'application/json') {
+  res.writeHead(status, {
+    'Content-Type': type,
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Cache-Control': 'no-store'
+  });
+  res.end(typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body));
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', chunk => {
+      raw += chunk;
+      if (raw.length > 64 * 1024) reject(new Error('Body too large'));
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(raw || '{}'));
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function createServer(options) {
+  return http.createServer(async (req, res) => {
+    const path = req.url.split('?')[0];
+
+    if (req.method === 'OPTIONS') return send(res, 204, '');
+
+    if (req.method === 'GET' && path === '/') {
+      return options.down
+        ? send(res, 503, { ok: false, name: 'viltrum-tts-mock' })
+        : send(res, 200, { ok: true, name: 'viltrum-tts-mock' });
+    }
+
+    if (req.method === 'POST' && path === '/speak') {
+      let body;
+      try {
+        body = await readJson(req);
+      } catch (error) {
+        return send(res, 400, { error: 'Invalid JSON' });
+      }
+      if (!body.text) return send(res, 400, { error: 'Missing text' });
+
+      if (options.latency) await new Promise(resolve => setTimeout(resolve, options.latency));
+      if (Math.random() < options.failRate) {
+        console.log(`💥 ${body.lang} "${body.text}" → 500 (fail rate)`);
+        return send(res, 500, { error: 'Simulated failure' });
+      }
+
+      console.log(`🔊 ${body.lang} ${body.voice || 'default'} "${body.text}"`);
+      return send(res, 200, renderWav(body.text, body.lang || ''), 'audio/wav');
+    }
+
+    send(res, 404, { error: 'Not found' });
+  });
+}
+
+if (require.main === module) {
+  const options = readOptions(process.argv.slice(2));
+  createServer(options).listen(options.port, () => {
+    console.log(`✅ TTS mock server on http://localhost:${options.port}`);
+  });
+}
+
+module.exports = { createServer, renderWav };
@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+/**
+ * Viltrum Fitness - Local WebSocket Relay
+ * Forwards messages between the devices of a room, e.g. the big-screen display
+ * and the phone used as remote, or a coach and the class (js/room-link.js).
+ * It does not read the messages: every text frame a client sends goes to the
+ * other clients of its room.
+ *   GET /              → 200 { ok: true, rooms, clients } (health check)
+ *   WS  /?room=ABCD    → join room ABCD
+ * Plain WebSocket (RFC 6455) on top of node:http, no dependencies.
+ *
+ * Usage:
+ *   node backend/ws-relay.js [--port 8788]
+ * Hosted (Render, Fly, a VPS...): the PORT environment variable is honoured,
+ * put it behind TLS and use the wss:// address in the app.
+ *
+ * Then point the app to it (this device only):
+ *   localStorage.setItem('viltrum_display_relay', 'ws://<this-computer-ip>:8788')
+ * or type the address in the pairing panel of the display / remote page.
+ * A page served over https may only open wss:// (or ws://localhost): across the
+ * local network serve the app over http too, or put the relay behind TLS.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 1024 * 1024; // a group session carries the whole workout sequence
+const PING_INTERVAL_MS = 30000;
+const ROOM_PATTERN = /^[A-Za-z0-9_-]{3,32}$/;
+
+const OPCODES = { TEXT: 0x1, CLOSE: 0x8, PING: 0x9, PONG: 0xA };
+
+function readOptions(argv) {
+  const options = { port: parseInt(process.env.PORT, 10) || 8788 };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--port': options.port = parseInt(argv[++i], 10); break;
+      default: console.warn(`⚠️ Unknown option: ${argv[i]}`);
+    }
+  }
+  return options;
+}
+
+/**
+ * Server → client frame (never masked, never fragmented)
+ * @param {number} opcode - Frame type
+ * @param {Buffer} payload - Frame data
+ * @returns {Buffer} Frame
+ */
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * First complete client frame of a buffer
+ * @returns {{fin: boolean, opcode: number, payload: Buffer, length: number}|null} null = need more bytes
+ */
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0F;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7F;
+  let offset = 2;
+
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+  if (length > MAX_MESSAGE_BYTES) throw new Error('Frame too large');
+
+  const maskBytes = masked ? 4 : 0;
+  if (buffer.length < offset + maskBytes + length) return null;
+
+  const payload = Buffer.from(buffer.subarray(offset + maskBytes, offset + maskBytes + length));
+  if (masked) {
+    const mask = buffer.subarray(offset, offset + 4);
+    for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+  }
+  return { fin, opcode, payload, length: offset + maskBytes + length };
+}
+
+/**
+ * Relay server
+ * @returns {http.Server} Server with a rooms map (room → Set of clients)
+ */
+function createRelay() {
+  const rooms = new Map();
+
+  const server = http.createServer((req, res) => {
+    const headers = { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' };
+    if (req.url.split('?')[0] !== '/') {
+      res.writeHead(404, headers);
+      res.end(JSON.stringify({ error: 'Not found' }));
+      return;
+    }
+    const clients = Array.from(rooms.values()).reduce((sum, room) => sum + room.size, 0);
+    res.writeHead(200, headers);
+    res.end(JSON.stringify({ ok: true, name: 'viltrum-ws-relay', rooms: rooms.size, clients }));
+  });
+
+  const leave = client => {
+    const room = rooms.get(client.room);
+    if (!room || !room.delete(client)) return;
+    if (room.size === 0) rooms.delete(client.room);
+    console.log(`👋 ${client.room}: ${room.size} left`);
+  };
+
+  server.on('upgrade', (req, socket) => {
+    const url = new URL(req.url, 'http://relay');
+    const roomName = url.searchParams.get('room') || '';
+    const key = req.headers['sec-websocket-key'];
+
+    if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket' || !ROOM_PATTERN.test(roomName)) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '', ''
+    ].join('\r\n'));
+
+    const client = { socket, room: roomName, alive: true };
+    if (!rooms.has(roomName)) rooms.set(roomName, new Set());
+    rooms.get(roomName).add(client);
+    console.log(`🔗 ${roomName}: ${rooms.get(roomName).size} connected`);
+
+    let pending = Buffer.alloc(0);
+    let fragments = [];
+
+    const broadcast = text => {
+      const frame = encodeFrame(OPCODES.TEXT, text);
+      rooms.get(roomName)?.forEach(other => {
+        if (other !== client && !other.socket.destroyed) other.socket.write(frame);
+      });
+    };
+
+    socket.on('data', chunk => {
+      pending = Buffer.concat([pending, chunk]);
+      try {
+        let frame;
+        while ((frame = decodeFrame(pending))) {
+          pending = pending.subarray(frame.length);
+          client.alive = true;
+
+          if (frame.opcode === OPCODES.CLOSE) {
+            socket.end(encodeFrame(OPCODES.CLOSE));
+            return;
+          }
+          if (frame.opcode === OPCODES.PING) {
+            socket.write(encodeFrame(OPCODES.PONG, frame.payload));
+            continue;
+          }
+          if (frame.opcode === OPCODES.PONG) continue;
+
+          // text (0x1), binary is not used by the app; 0x0 continues a fragmented message
+          if (frame.opcode !== OPCODES.TEXT && frame.opcode !== 0x0) continue;
+          fragments.push(frame.payload);
+          if (fragments.reduce((sum, part) => sum + part.length, 0) > MAX_MESSAGE_BYTES) {
+            throw new Error('Message too large');
+          }
+          if (!frame.fin) continue;
+          broadcast(Buffer.concat(fragments));
+          fragments = [];
+        }
+      } catch (error) {
+        console.warn(`⚠️ ${roomName}: ${error.message}`);
+        socket.destroy();
+      }
+    });
+
+    socket.on('close', () => leave(client));
+    socket.on('error', () => leave(client));
+  });
+
+  // Drop clients that stopped answering (phone locked, Wi-Fi lost)
+  const pinger = setInterval(() => {
+    rooms.forEach(room => room.forEach(client => {
+      if (!client.alive) {
+        client.socket.destroy();
+        return;
+      }
+      client.alive = false;
+      client.socket.write(encodeFrame(OPCODES.PING));
+    }));
+  }, PING_INTERVAL_MS);
+  server.on('close', () => clearInterval(pinger));
+
+  server.rooms = rooms;
+  return server;
+}
+
+if (require.main === module) {
+  const options = readOptions(process.argv.slice(2));
+  createRelay().listen(options.port, () => {
+    console.log(`✅ WebSocket relay on ws://localhost:${options.port}`);
+  });
+}
+
+module.exports = { createRelay, encodeFrame, decodeFrame };
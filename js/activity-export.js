@@ -0,0 +1,501 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VILTRUM FITNESS - ACTIVITY EXPORT
+// Completed sessions from the history store as TCX and binary FIT activity
+// files (one lap per block, one step per exercise set), single or in bulk
+// for a date range (TCX: one file with many activities, FIT: zip archive).
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { getWorkoutHistoryRange, parseWeightKg } from './workout-history.js';
+
+const FIT_EPOCH = Date.UTC(1989, 11, 31) / 1000; // FIT timestamps count from 1989-12-31 UTC
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SESSION → ACTIVITY (laps and steps on a timeline)
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Ordered items of a session: exercise sets and pauses (rests, labels)
+ * Uses the execution trace when available (real seconds, rests included),
+ * otherwise the session log, otherwise the whole session as one step
+ * @param {Object} entry - History entry
+ * @returns {Array<Object>} { kind: 'step'|'pause', name, lap, seconds, reps, weightKg }
+ */
+function getSessionItems(entry) {
+  const setsByStep = new Map();
+  (entry.sets || []).forEach(set => {
+    if (set.step !== undefined) setsByStep.set(set.step, set);
+  });
+
+  if (entry.trace?.length > 0) {
+    return [...entry.trace]
+      .sort((a, b) => a.step - b.step)
+      .filter(t => t.actual > 0)
+      .map(t => {
+        if (t.type !== 'exercise' && t.type !== 'warmup') {
+          return { kind: 'pause', seconds: t.actual };
+        }
+        const set = setsByStep.get(t.step) || {};
+        return {
+          kind: 'step',
+          name: set.exercise || t.name,
+          lap: t.type === 'warmup' ? I18n.t('progress.export.warmupLap') : (t.block || 'Workout'),
+          seconds: t.actual,
+          reps: set.reps ?? null,
+          weightKg: parseWeightKg(set.weight)
+        };
+      });
+  }
+
+  if (entry.sets?.length > 0) {
+    return entry.sets.map(set => ({
+      kind: 'step',
+      name: set.exercise,
+      lap: set.block || 'Workout',
+      seconds: parseInt(set.seconds, 10) || 0,
+      reps: set.reps ?? null,
+      weightKg: parseWeightKg(set.weight)
+    }));
+  }
+
+  return [{ kind: 'step', name: entry.workoutName || 'Workout', lap: 'Workout', seconds: entry.duration || 0, reps: null, weightKg: null }];
+}
+
+/**
+ * Lay a session out on a timeline
+ * Steps keep their recorded length (scaled down if they exceed the session duration);
+ * each lap runs until the next one starts, the last one until the end
+ * @param {Object} entry - History entry
+ * @returns {{name: string, start: Date, totalSeconds: number,
+ *   laps: Array<{name: string, offset: number, seconds: number, steps: Array}>}}
+ */
+export function buildActivity(entry) {
+  const totalSeconds = Math.max(1, Math.round(entry.duration || 0));
+  const start = new Date(new Date(entry.completedAt).getTime() - totalSeconds * 1000);
+
+  const items = getSessionItems(entry);
+  const recorded = items.reduce((sum, item) => sum + item.seconds, 0);
+  const scale = recorded > totalSeconds ? totalSeconds / recorded : 1;
+
+  const laps = [];
+  let offset = 0;
+  items.forEach(item => {
+    const seconds = Math.round(item.seconds * scale);
+    if (item.kind === 'step') {
+      let lap = laps[laps.length - 1];
+      if (!lap || lap.name !== item.lap) {
+        lap = { name: item.lap, offset: laps.length === 0 ? 0 : offset, seconds: 0, steps: [] };
+        laps.push(lap);
+      }
+      lap.steps.push({ name: item.name, offset, seconds, reps: item.reps, weightKg: item.weightKg });
+    }
+    offset = Math.min(totalSeconds, offset + seconds);
+  });
+
+  laps.forEach((lap, i) => {
+    const end = i < laps.length - 1 ? laps[i + 1].offset : totalSeconds;
+    lap.seconds = Math.max(0, end - lap.offset);
+  });
+
+  return { name: entry.workoutName || 'Workout', start, totalSeconds, laps };
+}
+
+function addSeconds(date, seconds) {
+  return new Date(date.getTime() + seconds * 1000);
+}
+
+function describeStep(step) {
+  const parts = [step.name];
+  if (step.reps) parts.push(I18n.t('progress.export.stepReps', { reps: step.reps }));
+  if (step.weightKg) parts.push(`${step.weightKg} kg`);
+  if (!step.reps) parts.push(`${step.seconds}s`);
+  return parts.join(' ');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TCX
+// ═══════════════════════════════════════════════════════════════════════════
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function tcxActivity(entry) {
+  const activity = buildActivity(entry);
+  const laps = activity.laps.map(lap => {
+    const lapStart = addSeconds(activity.start, lap.offset);
+    // One trackpoint per step start (TCX has no notion of sets), plus the lap end
+    const points = lap.steps.map(step => addSeconds(activity.start, step.offset));
+    points.push(addSeconds(lapStart, lap.seconds));
+    const track = points
+      .map(time => `          <Trackpoint><Time>${time.toISOString()}</Time></Trackpoint>`)
+      .join('\n');
+    const notes = `${lap.name}: ${lap.steps.map(describeStep).join(' · ')}`;
+
+    return `      <Lap StartTime="${lapStart.toISOString()}">
+        <TotalTimeSeconds>${lap.seconds}</TotalTimeSeconds>
+        <DistanceMeters>0</DistanceMeters>
+        <Calories>0</Calories>
+        <Intensity>Active</Intensity>
+        <TriggerMethod>Manual</TriggerMethod>
+        <Track>
+${track}
+        </Track>
+        <Notes>${escapeXml(notes)}</Notes>
+      </Lap>`;
+  }).join('\n');
+
+  return `    <Activity Sport="Other">
+      <Id>${activity.start.toISOString()}</Id>
+${laps}
+      <Notes>${escapeXml(activity.name)}</Notes>
+    </Activity>`;
+}
+
+/**
+ * TCX document with one activity per session
+ * @param {Array<Object>} entries - History entries
+ * @returns {string} XML
+ */
+export function toTCX(entries) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2">
+  <Activities>
+${entries.map(tcxActivity).join('\n')}
+  </Activities>
+</TrainingCenterDatabase>
+`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// FIT (binary, little endian)
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Base types: [id, size]
+const FIT_TYPES = {
+  enum: [0x00, 1],
+  uint8: [0x02, 1],
+  uint16: [0x84, 2],
+  uint32: [0x86, 4],
+  uint32z: [0x8C, 4],
+  string: [0x07, 32] // fixed size, null terminated
+};
+
+const FIT_MESG = { fileId: 0, session: 18, lap: 19, event: 21, activity: 34, set: 225, exerciseTitle: 264 };
+
+const CRC_TABLE = [
+  0x0000, 0xCC01, 0xD801, 0x1400, 0xF001, 0x3C00, 0x2800, 0xE401,
+  0xA001, 0x6C00, 0x7800, 0xB401, 0x5000, 0x9C01, 0x8801, 0x4400
+];
+
+function fitCrc(bytes, crc = 0) {
+  for (const byte of bytes) {
+    let tmp = CRC_TABLE[crc & 0xF];
+    crc = (crc >> 4) & 0x0FFF;
+    crc = crc ^ tmp ^ CRC_TABLE[byte & 0xF];
+    tmp = CRC_TABLE[crc & 0xF];
+    crc = (crc >> 4) & 0x0FFF;
+    crc = crc ^ tmp ^ CRC_TABLE[(byte >> 4) & 0xF];
+  }
+  return crc;
+}
+
+function fitTime(date) {
+  return Math.round(date.getTime() / 1000 - FIT_EPOCH);
+}
+
+/**
+ * Minimal FIT encoder: one local definition per message layout
+ */
+class FitWriter {
+  constructor() {
+    this.bytes = [];
+    this.localTypes = new Map(); // layout key → local message type (0-15)
+    this.nextLocal = 0;
+  }
+
+  pushUint(value, size) {
+    for (let i = 0; i < size; i++) this.bytes.push((value / 2 ** (8 * i)) & 0xFF);
+  }
+
+  /**
+   * Write a data message (and its definition the first time the layout is seen)
+   * @param {number} globalNum - FIT global message number
+   * @param {Array<[number, string, *]>} fields - [field number, base type, value]
+   */
+  message(globalNum, fields) {
+    const present = fields.filter(([, , value]) => value !== null && value !== undefined);
+    const key = `${globalNum}:${present.map(([num, type]) => `${num}/${type}`).join(',')}`;
+
+    let local = this.localTypes.get(key);
+    if (local === undefined) {
+      local = this.nextLocal;
+      this.nextLocal = (this.nextLocal + 1) % 16;
+      // Reusing a local type replaces its definition: forget the old layout
+      for (const [oldKey, oldLocal] of this.localTypes) {
+        if (oldLocal === local) this.localTypes.delete(oldKey);
+      }
+      this.localTypes.set(key, local);
+
+      this.bytes.push(0x40 | local, 0, 0); // definition header, reserved, little endian
+      this.pushUint(globalNum, 2);
+      this.bytes.push(present.length);
+      present.forEach(([num, type]) => {
+        const [id, size] = FIT_TYPES[type];
+        this.bytes.push(num, size, id);
+      });
+    }
+
+    this.bytes.push(local);
+    present.forEach(([, type, value]) => {
+      const size = FIT_TYPES[type][1];
+      if (type === 'string') {
+        const encoded = [...new TextEncoder().encode(String(value))];
+        // Cut on a character boundary and keep room for the terminator
+        let length = Math.min(encoded.length, size - 1);
+        while (length > 0 && (encoded[length] & 0xC0) === 0x80) length--;
+        for (let i = 0; i < size; i++) this.bytes.push(i < length ? encoded[i] : 0);
+      } else {
+        this.pushUint(Math.max(0, Math.round(value)), size);
+      }
+    });
+  }
+
+  /**
+   * Header + records + CRC
+   * @returns {Uint8Array} FIT file
+   */
+  toBytes() {
+    const header = [14, 0x20, 0, 0, 0, 0, 0, 0, 0x2E, 0x46, 0x49, 0x54]; // size, protocol 2.0, profile, data size, ".FIT"
+    const profileVersion = 2132;
+    header[2] = profileVersion & 0xFF;
+    header[3] = profileVersion >> 8;
+    const size = this.bytes.length;
+    for (let i = 0; i < 4; i++) header[4 + i] = (size >>> (8 * i)) & 0xFF;
+    const headerCrc = fitCrc(header);
+    header.push(headerCrc & 0xFF, headerCrc >> 8);
+
+    const file = new Uint8Array(header.length + size + 2);
+    file.set(header, 0);
+    file.set(this.bytes, header.length);
+    const crc = fitCrc(file.subarray(0, header.length + size));
+    file[file.length - 2] = crc & 0xFF;
+    file[file.length - 1] = crc >> 8;
+    return file;
+  }
+}
+
+/**
+ * Binary FIT activity (strength training): exercise titles, one set per step,
+ * one lap per block, session and activity summary
+ * @param {Object} entry - History entry
+ * @returns {Uint8Array} FIT file
+ */
+export function toFIT(entry) {
+  const activity = buildActivity(entry);
+  const startTime = fitTime(activity.start);
+  const endTime = startTime + activity.totalSeconds;
+  const fit = new FitWriter();
+
+  fit.message(FIT_MESG.fileId, [
+    [0, 'enum', 4],          // type: activity
+    [1, 'uint16', 255],      // manufacturer: development
+    [2, 'uint16', 0],        // product
+    [3, 'uint32z', startTime],
+    [4, 'uint32', startTime] // time_created
+  ]);
+  fit.message(FIT_MESG.event, [[253, 'uint32', startTime], [0, 'enum', 0], [1, 'enum', 0], [4, 'uint8', 0]]); // timer start
+
+  // Exercise names, referenced by the sets through wkt_step_index
+  const titles = [];
+  activity.laps.forEach(lap => lap.steps.forEach(step => {
+    if (!titles.includes(step.name)) titles.push(step.name);
+  }));
+  titles.forEach((name, i) => {
+    fit.message(FIT_MESG.exerciseTitle, [[254, 'uint16', i], [2, 'string', name]]);
+  });
+
+  let setIndex = 0;
+  activity.laps.forEach(lap => lap.steps.forEach(step => {
+    const setStart = startTime + step.offset;
+    fit.message(FIT_MESG.set, [
+      [254, 'uint32', setStart + step.seconds], // timestamp (end of the set)
+      [0, 'uint32', step.seconds * 1000],       // duration, ms
+      [3, 'uint16', Number.isFinite(step.reps) ? step.reps : null],
+      [4, 'uint16', step.weightKg ? step.weightKg * 16 : null], // kg × 16
+      [5, 'uint8', 1],                          // set_type: active
+      [6, 'uint32', setStart],
+      [10, 'uint16', setIndex++],               // message_index
+      [11, 'uint16', titles.indexOf(step.name)] // wkt_step_index
+    ]);
+  }));
+
+  activity.laps.forEach((lap, i) => {
+    const lapStart = startTime + lap.offset;
+    fit.message(FIT_MESG.lap, [
+      [254, 'uint16', i],
+      [253, 'uint32', lapStart + lap.seconds],
+      [0, 'enum', 9],   // event: lap
+      [1, 'enum', 1],   // event_type: stop
+      [2, 'uint32', lapStart],
+      [7, 'uint32', lap.seconds * 1000],
+      [8, 'uint32', lap.seconds * 1000],
+      [24, 'enum', 0],  // lap_trigger: manual
+      [25, 'enum', 10], // sport: training
+      [39, 'enum', 20]  // sub_sport: strength_training
+    ]);
+  });
+
+  fit.message(FIT_MESG.event, [[253, 'uint32', endTime], [0, 'enum', 0], [1, 'enum', 4], [4, 'uint8', 0]]); // timer stop_all
+  fit.message(FIT_MESG.session, [
+    [254, 'uint16', 0],
+    [253, 'uint32', endTime],
+    [0, 'enum', 8],   // event: session
+    [1, 'enum', 1],   // event_type: stop
+    [2, 'uint32', startTime],
+    [5, 'enum', 10],  // sport: training
+    [6, 'enum', 20],  // sub_sport: strength_training
+    [7, 'uint32', activity.totalSeconds * 1000],
+    [8, 'uint32', activity.totalSeconds * 1000],
+    [25, 'uint16', 0],
+    [26, 'uint16', activity.laps.length],
+    [28, 'enum', 0]   // trigger: activity_end
+  ]);
+  fit.message(FIT_MESG.activity, [
+    [253, 'uint32', endTime],
+    [0, 'uint32', activity.totalSeconds * 1000],
+    [1, 'uint16', 1],
+    [2, 'enum', 0],   // type: manual
+    [3, 'enum', 26],  // event: activity
+    [4, 'enum', 1],   // event_type: stop
+    [5, 'uint32', endTime - activity.start.getTimezoneOffset() * 60]
+  ]);
+
+  return fit.toBytes();
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ZIP (store only, for bulk FIT export)
+// ═══════════════════════════════════════════════════════════════════════════
+
+let crc32Table = null;
+
+function crc32(bytes) {
+  if (!crc32Table) {
+    crc32Table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      crc32Table[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (const byte of bytes) crc = crc32Table[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Zip archive without compression (FIT files are already compact)
+ * @param {Array<{name: string, data: Uint8Array}>} files - Files to store
+ * @returns {Uint8Array} Zip file
+ */
+function createZip(files) {
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+
+  const u16 = value => [value & 0xFF, (value >> 8) & 0xFF];
+  const u32 = value => [value & 0xFF, (value >>> 8) & 0xFF, (value >>> 16) & 0xFF, (value >>> 24) & 0xFF];
+
+  files.forEach(file => {
+    const name = new TextEncoder().encode(file.name);
+    const crc = crc32(file.data);
+    const common = [
+      ...u16(20), ...u16(0x0800), ...u16(0), // version, UTF-8 names, stored
+      ...u16(0), ...u16(0x21),               // time / date: 1980-01-01
+      ...u32(crc), ...u32(file.data.length), ...u32(file.data.length),
+      ...u16(name.length), ...u16(0)
+    ];
+    const local = new Uint8Array([...u32(0x04034B50), ...common, ...name]);
+    chunks.push(local, file.data);
+
+    central.push(new Uint8Array([
+      ...u32(0x02014B50), ...u16(20), ...common,
+      ...u16(0), ...u16(0), ...u16(0), ...u32(0), ...u32(offset), ...name
+    ]));
+    offset += local.length + file.data.length;
+  });
+
+  const centralSize = central.reduce((sum, c) => sum + c.length, 0);
+  const end = new Uint8Array([
+    ...u32(0x06054B50), ...u16(0), ...u16(0), ...u16(files.length), ...u16(files.length),
+    ...u32(centralSize), ...u32(offset), ...u16(0)
+  ]);
+
+  const zip = new Uint8Array(offset + centralSize + end.length);
+  let position = 0;
+  [...chunks, ...central, end].forEach(chunk => {
+    zip.set(chunk, position);
+    position += chunk.length;
+  });
+  return zip;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DOWNLOADS
+// ═══════════════════════════════════════════════════════════════════════════
+
+function fileBaseName(entry) {
+  const date = new Date(entry.completedAt).toISOString().slice(0, 16).replace(/[:T]/g, '-');
+  const name = (entry.workoutName || 'workout').replace(/[^\w-]+/g, '_').slice(0, 40);
+  return `viltrum-${date}-${name}`;
+}
+
+function download(filename, data, mimeType) {
+  const url = URL.createObjectURL(new Blob([data], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Download one session
+ * @param {Object} entry - History entry
+ * @param {'tcx'|'fit'} format - File format
+ */
+export function exportSession(entry, format) {
+  if (format === 'fit') {
+    download(`${fileBaseName(entry)}.fit`, toFIT(entry), 'application/vnd.ant.fit');
+  } else {
+    download(`${fileBaseName(entry)}.tcx`, toTCX([entry]), 'application/vnd.garmin.tcx+xml');
+  }
+}
+
+/**
+ * Download every session completed between two dates
+ * @param {Date|string} from - Start (inclusive)
+ * @param {Date|string} to - End (inclusive)
+ * @param {'tcx'|'fit'} format - TCX: one file with every activity, FIT: zip of .fit files
+ * @returns {Promise<number>} Number of sessions exported
+ */
+export async function exportSessionRange(from, to, format) {
+  const entries = await getWorkoutHistoryRange(from, to);
+  if (entries.length === 0) return 0;
+
+  const range = `${new Date(from).toISOString().slice(0, 10)}_${new Date(to).toISOString().slice(0, 10)}`;
+  if (format === 'fit') {
+    const files = entries.map(entry => ({ name: `${fileBaseName(entry)}.fit`, data: toFIT(entry) }));
+    download(`viltrum-${range}-fit.zip`, createZip(files), 'application/zip');
+  } else {
+    download(`viltrum-${range}.tcx`, toTCX(entries), 'application/vnd.garmin.tcx+xml');
+  }
+  console.log(`📤 Exported ${entries.length} sessions as ${format.toUpperCase()}`);
+  return entries.length;
+}
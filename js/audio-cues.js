@@ -0,0 +1,114 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VILTRUM FITNESS - AUDIO CUE SCHEDULE
+// Which seconds of a timed step trigger which cue. A schedule is a list of
+// entries { at, voice, beppe, beep, vibrate, skip }:
+//   at      - seconds left on the countdown, or "halfway" (half of the step)
+//   voice   - true = standard phrase for that second, or a text to speak
+//   beppe   - true = Beppe's clip for that second (if recorded), or a clip URL
+//   beep    - true = beep (Beep mode)
+//   vibrate - true = one pulse, or a navigator.vibrate() pattern
+//   skip    - step formats (blockType) where the entry stays silent
+// Resolution: workout schedule (sheet / editor) → user schedule (profile)
+// → AUDIO_CUES default (config.js).
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { AUDIO_CUES, HALFWAY_MIN_SECONDS } from './config.js';
+
+export const HALFWAY = 'halfway';
+
+// Seconds with a dedicated phrase in the catalogs (others: "mancano N secondi")
+const CUE_PHRASES = {
+  60: 'voice.secondsLeft60',
+  30: 'voice.secondsLeft30',
+  5: 'voice.countdown5'
+};
+
+/**
+ * Clean up a schedule (from settings, the sheet as JSON text, or the editor)
+ * @param {Array|string} entries - Raw schedule
+ * @returns {Array<Object>|null} Valid entries, null when there is no schedule
+ */
+export function normalizeCueSchedule(entries) {
+  if (typeof entries === 'string') {
+    if (!entries.trim()) return null;
+    try {
+      entries = JSON.parse(entries);
+    } catch (error) {
+      console.warn('⚠️ Invalid audio cue schedule:', entries);
+      return null;
+    }
+  }
+  if (!Array.isArray(entries)) return null;
+
+  const channel = value => (typeof value === 'string' && value.trim() ? value.trim() : value === true);
+
+  return entries
+    .map(entry => {
+      if (!entry || typeof entry !== 'object') return null;
+      const at = entry.at === HALFWAY ? HALFWAY : parseInt(entry.at, 10);
+      if (at !== HALFWAY && !(at > 0)) return null;
+
+      const cue = {
+        at,
+        voice: channel(entry.voice),
+        beppe: channel(entry.beppe),
+        beep: entry.beep === true,
+        vibrate: Array.isArray(entry.vibrate) ? entry.vibrate.filter(ms => ms > 0) : entry.vibrate === true
+      };
+      if (Array.isArray(cue.vibrate) && cue.vibrate.length === 0) cue.vibrate = false;
+      if (Array.isArray(entry.skip) && entry.skip.length) cue.skip = entry.skip.map(String);
+
+      return cue.voice || cue.beppe || cue.beep || cue.vibrate ? cue : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Pick the schedule for a workout
+ * @param {Object} workout - Workout data (optional `audioCues`)
+ * @param {Array|null} userSchedule - Schedule saved in the profile
+ * @returns {Array<Object>} Schedule
+ */
+export function resolveCueSchedule(workout, userSchedule) {
+  return normalizeCueSchedule(workout?.audioCues)
+    || normalizeCueSchedule(userSchedule)
+    || normalizeCueSchedule(AUDIO_CUES);
+}
+
+/**
+ * Cues of one step, by second left
+ * "halfway" lands on half the step duration and gives way to a cue already
+ * scheduled on that second.
+ * @param {Array<Object>} schedule - Normalized schedule
+ * @param {number} duration - Full step duration (seconds)
+ * @param {string} format - Step format (blockType), "standard" when none
+ * @returns {Map<number, Array<Object>>} Second left → cues (with `second`)
+ */
+export function getStepCues(schedule, duration, format = 'standard') {
+  const cues = new Map();
+  const add = (second, entry) => {
+    if (!cues.has(second)) cues.set(second, []);
+    cues.get(second).push({ ...entry, second });
+  };
+
+  const active = (schedule || []).filter(entry => !(entry.skip || []).includes(format));
+  active.filter(entry => entry.at !== HALFWAY).forEach(entry => add(entry.at, entry));
+
+  const halfway = Math.round(duration / 2);
+  if (duration >= HALFWAY_MIN_SECONDS && !cues.has(halfway)) {
+    active.filter(entry => entry.at === HALFWAY).forEach(entry => add(halfway, entry));
+  }
+  return cues;
+}
+
+/**
+ * Phrase spoken by a voice cue
+ * @param {Object} cue - Cue from getStepCues
+ * @returns {{key: string|null, params: Object, text: string|null}} Catalog key or literal text
+ */
+export function getCuePhrase(cue) {
+  if (typeof cue.voice === 'string') return { key: null, params: {}, text: cue.voice };
+  if (cue.at === HALFWAY) return { key: 'voice.halfway', params: {}, text: null };
+  if (CUE_PHRASES[cue.second]) return { key: CUE_PHRASES[cue.second], params: {}, text: null };
+  return { key: 'voice.secondsLeft', params: { count: cue.second }, text: null };
+}
@@ -0,0 +1,296 @@
+/**
+ * Viltrum Fitness - Cloud Outbox
+ * Durable queue for every write to the Google Apps Script backend
+ * - Requests are stored in IndexedDB (OfflinePreloader "outbox" store) before sending
+ * - Failed sends are retried with exponential backoff
+ * - Flushed on page load, on `online`, and by the service worker `sync-workouts` event
+ * - Shows a small "pending sync" badge while something is waiting
+ *
+ * Works in pages (after offline-preloader.js) and in the service worker (importScripts).
+ */
+
+const CloudOutbox = {
+  SYNC_TAG: 'sync-workouts',
+  CHANGE_EVENT: 'viltrum-outbox-change',
+  BASE_DELAY: 15 * 1000,        // first retry after 15s
+  MAX_DELAY: 60 * 60 * 1000,    // never wait more than 1h between retries
+  MAX_REJECTIONS: 8,            // backend answered "error" this many times → drop
+  flushPromise: null,
+  retryTimer: null,
+
+  get db() {
+    return OfflinePreloader;
+  },
+
+  /**
+   * Queue a request and try to deliver it right away
+   * @param {Object} request - { url, method, body, dedupeKey }
+   *   dedupeKey: a newer request with the same key replaces a pending one
+   *   (e.g. "saveWeights" always carries the full weights map)
+   * @returns {Promise<{delivered: boolean, result: Object|null}>} Outcome of the immediate attempt
+   */
+  async send({ url, method = 'GET', body = null, dedupeKey = null }) {
+    let id;
+    try {
+      id = await this.enqueue({ url, method, body, dedupeKey });
+    } catch (error) {
+      // IndexedDB unavailable (private mode...): plain fire-and-forget
+      console.warn('⚠️ Outbox unavailable, sending directly:', error);
+      const outcome = await this.deliver({ url, method, body });
+      return { delivered: outcome.ok, result: outcome.result };
+    }
+
+    // A flush already running started before this record existed: wait for the next one
+    let outcomes = await this.flush();
+    if (!outcomes.has(id)) outcomes = await this.flush();
+    return outcomes.get(id) || { delivered: false, result: null };
+  },
+
+  /**
+   * Store a request in the outbox
+   * @returns {Promise<number>} Outbox record id
+   */
+  async enqueue({ url, method, body, dedupeKey }) {
+    if (dedupeKey) {
+      const pending = await this.db.getAllFromDB(this.db.STORES.OUTBOX);
+      for (const record of pending) {
+        if (record.dedupeKey === dedupeKey) {
+          await this.db.deleteFromDB(this.db.STORES.OUTBOX, record.id);
+        }
+      }
+    }
+
+    const id = await this.db.putInDB(this.db.STORES.OUTBOX, {
+      url,
+      method,
+      body,
+      dedupeKey,
+      createdAt: Date.now(),
+      attempts: 0,
+      rejections: 0,
+      nextAttemptAt: 0,
+      lastError: null
+    });
+
+    this.requestBackgroundSync();
+    this.notifyChange();
+    return id;
+  },
+
+  /**
+   * Send one request
+   * @returns {Promise<{ok: boolean, offline: boolean, result: Object|null, error: string|null}>}
+   */
+  async deliver({ url, method, body }) {
+    try {
+      const options = { method, redirect: 'follow' };
+      if (body !== null && body !== undefined) {
+        // text/plain keeps this a "simple" request (no CORS preflight on Apps Script)
+        options.headers = { 'Content-Type': 'text/plain;charset=utf-8' };
+        options.body = typeof body === 'string' ? body : JSON.stringify(body);
+      }
+
+      const response = await fetch(url, options);
+      if (!response.ok) {
+        return { ok: false, offline: false, result: null, error: `HTTP ${response.status}` };
+      }
+
+      const text = await response.text();
+      try {
+        const result = JSON.parse(text);
+        if (result.status === 'error') {
+          return { ok: false, offline: false, result, error: result.message || 'Backend error' };
+        }
+        return { ok: true, offline: false, result, error: null };
+      } catch (parseError) {
+        // Google sometimes answers with HTML on success
+        return { ok: true, offline: false, result: null, error: null };
+      }
+    } catch (error) {
+      return { ok: false, offline: true, result: null, error: error.message || String(error) };
+    }
+  },
+
+  /**
+   * Deliver every due request, oldest first
+   * Stops at the first network failure (still offline, no point in trying the rest)
+   * @returns {Promise<Map>} Outbox id → { delivered, result }
+   */
+  flush() {
+    if (this.flushPromise) return this.flushPromise;
+
+    this.flushPromise = (async () => {
+      const outcomes = new Map();
+      try {
+        const pending = await this.db.getAllFromDB(this.db.STORES.OUTBOX);
+        const now = Date.now();
+
+        for (const record of pending) {
+          if (record.nextAttemptAt > now) continue;
+
+          const outcome = await this.deliver(record);
+          outcomes.set(record.id, { delivered: outcome.ok, result: outcome.result });
+
+          if (outcome.ok) {
+            await this.db.deleteFromDB(this.db.STORES.OUTBOX, record.id);
+            continue;
+          }
+
+          record.attempts++;
+          record.lastError = outcome.error;
+          if (!outcome.offline) record.rejections++;
+
+          if (record.rejections >= this.MAX_REJECTIONS) {
+            console.warn('⚠️ Outbox: dropping request rejected', record.rejections, 'times:', record.lastError);
+            await this.db.deleteFromDB(this.db.STORES.OUTBOX, record.id);
+            continue;
+          }
+
+          // Exponential backoff with a little jitter
+          const delay = Math.min(this.MAX_DELAY, this.BASE_DELAY * Math.pow(2, record.attempts - 1));
+          record.nextAttemptAt = Date.now() + delay * (0.8 + Math.random() * 0.4);
+          await this.db.putInDB(this.db.STORES.OUTBOX, record);
+
+          if (outcome.offline) break;
+        }
+
+        const remaining = await this.db.countInDB(this.db.STORES.OUTBOX);
+        if (pending.length > 0) {
+          console.log('📮 Outbox flushed - delivered:', [...outcomes.values()].filter(o => o.delivered).length, 'pending:', remaining);
+        }
+      } catch (error) {
+        console.error('❌ Outbox flush failed:', error);
+      } finally {
+        this.flushPromise = null;
+      }
+
+      this.notifyChange();
+      this.scheduleRetry();
+      return outcomes;
+    })();
+
+    return this.flushPromise;
+  },
+
+  /**
+   * Number of requests waiting to be delivered
+   */
+  async getPendingCount() {
+    try {
+      return await this.db.countInDB(this.db.STORES.OUTBOX);
+    } catch (error) {
+      return 0;
+    }
+  },
+
+  /**
+   * Ask the service worker to flush when connectivity is back (if supported)
+   */
+  requestBackgroundSync() {
+    if (typeof navigator === 'undefined' || !navigator.serviceWorker || typeof window === 'undefined') return;
+    navigator.serviceWorker.ready
+      .then(registration => registration.sync && registration.sync.register(this.SYNC_TAG))
+      .catch(() => {}); // Background Sync not supported: `online` + page load still flush
+  },
+
+  /**
+   * While a page is open, retry when the earliest backoff expires
+   */
+  async scheduleRetry() {
+    if (typeof window === 'undefined') return;
+    clearTimeout(this.retryTimer);
+
+    try {
+      const pending = await this.db.getAllFromDB(this.db.STORES.OUTBOX);
+      if (pending.length === 0) return;
+      const nextAt = Math.min(...pending.map(record => record.nextAttemptAt));
+      this.retryTimer = setTimeout(() => this.flush(), Math.max(1000, nextAt - Date.now()));
+    } catch (error) {
+      // ignore: next page load / online event will flush
+    }
+  },
+
+  /**
+   * Tell pages the pending count changed (pages: DOM event, service worker: postMessage)
+   */
+  async notifyChange() {
+    const count = await this.getPendingCount();
+
+    if (typeof window !== 'undefined') {
+      window.dispatchEvent(new CustomEvent(this.CHANGE_EVENT, { detail: { count } }));
+    } else if (typeof self !== 'undefined' && self.clients) {
+      const clients = await self.clients.matchAll({ includeUncontrolled: true });
+      clients.forEach(client => client.postMessage({ type: 'OUTBOX_CHANGED', count }));
+    }
+  },
+
+  /**
+   * Pending-sync badge (bottom-left, hidden when the outbox is empty)
+   */
+  mountIndicator() {
+    if (document.getElementById('sync-indicator')) return;
+
+    const badge = document.createElement('div');
+    badge.id = 'sync-indicator';
+    badge.style.cssText = `
+      position: fixed;
+      left: 12px;
+      bottom: calc(12px + env(safe-area-inset-bottom));
+      padding: 6px 12px;
+      background: rgba(255, 193, 7, 0.15);
+      border: 1px solid rgba(255, 193, 7, 0.5);
+      border-radius: 20px;
+      color: #FFC107;
+      font-family: 'Staatliches', sans-serif;
+      font-size: 12px;
+      letter-spacing: 1px;
+      z-index: 9999;
+      display: none;
+      cursor: pointer;
+    `;
+    badge.addEventListener('click', () => this.flush());
+    document.body.appendChild(badge);
+
+    let lastCount = 0;
+    const render = (count) => {
+      lastCount = count;
+      badge.title = I18n.t('sync.retry');
+      badge.textContent = `⏳ ${I18n.t('sync.pending', { count })}`;
+      badge.style.display = count > 0 ? 'block' : 'none';
+    };
+
+    window.addEventListener(this.CHANGE_EVENT, (event) => render(event.detail.count));
+    window.addEventListener(I18n.CHANGE_EVENT, () => render(lastCount));
+    if (navigator.serviceWorker) {
+      navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'OUTBOX_CHANGED') render(event.data.count);
+      });
+    }
+    this.getPendingCount().then(render);
+  },
+
+  /**
+   * Page setup: flush now, on reconnect, and show the indicator
+   */
+  init() {
+    window.addEventListener('online', () => {
+      console.log('📶 Back online - flushing outbox');
+      this.flush();
+    });
+
+    const start = () => {
+      this.mountIndicator();
+      if (navigator.onLine !== false) this.flush();
+    };
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', start);
+    } else {
+      start();
+    }
+  }
+};
+
+// Pages: start automatically. Service worker: sw.js wires the `sync` event.
+if (typeof window !== 'undefined' && typeof document !== 'undefined') {
+  CloudOutbox.init();
+}
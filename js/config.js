@@ -14,6 +14,29 @@ export const GOOGLE_SCRIPT_URL = 'https://script.google.com/macros/s/AKfycbzIHTK
 // TTS Server Configuration
 export const TTS_SERVER_URL = 'https://google-tts-server.onrender.com';
 
+// TTS providers for Voice mode (js/tts-providers.js) - lowest priority is tried first
+// selfHosted: a server speaking the same protocol as the cloud one
+//   (POST {url}/speak { text, lang, voice } → audio, GET {url}/ → 200 when up),
+//   e.g. backend/tts-mock-server.js; the URL can also be set per device
+//   with localStorage "viltrum_tts_server"
+export const TTS_PROVIDERS = {
+  selfHosted: { priority: 5, timeout: 5000, url: null },
+  cloud: { priority: 10, timeout: 9000 },
+  recorded: { priority: 30, timeout: 5000 },  // Beppe's clips, Italian phrases only
+  webSpeech: { priority: 40 }                 // device voice, always last
+};
+export const TTS_RETRY_DOWN_MS = 60 * 1000;   // a failed provider is skipped this long
+
+// Big-screen display ↔ phone remote and group classes (js/room-link.js): tabs
+// of the same browser talk over BroadcastChannel, other devices through a
+// WebSocket relay (backend/ws-relay.js, e.g. "ws://192.168.1.10:8788" or a
+// hosted wss:// one); the relay can also be set per device with
+// localStorage "viltrum_display_relay"
+export const DISPLAY_RELAY_URL = null;
+export const DISPLAY_STATE_INTERVAL_MS = 5000; // display → remote / coach → class state refresh
+export const REMOTE_TIMEOUT_MS = 15000;        // no news for this long = peer gone
+export const GROUP_DRIFT_TOLERANCE_MS = 250;   // participant timer corrected beyond this
+
 // Viewport Configuration (iOS Safari optimization)
 export const VIEWPORT_CONFIG = {
   UPDATE_DELAYS: {
@@ -30,13 +53,16 @@ export const VIEWPORT_CONFIG = {
   }
 };
 
-// Audio Timing Configuration
-export const AUDIO_CUES = {
-  LONG_WARNING: 60,
-  MEDIUM_WARNING: 30,
-  SHORT_WARNING: 10,
-  FINAL_WARNING: 5
-};
+// Audio Cue Schedule (timed steps) - see js/audio-cues.js for the entry format
+// Default schedule, used when neither the workout nor the user profile sets one
+export const AUDIO_CUES = [
+  { at: 60, voice: true, beppe: true, skip: ['emom'] }, // EMOM: the interval *is* the minute
+  { at: 30, voice: true, beppe: true },
+  { at: 5, voice: true, beppe: true }                    // "cinque, quattro, tre, due, uno"
+];
+export const NEXT_PREVIEW_SECONDS = 10;  // next exercise preview + announcement
+export const HALFWAY_MIN_SECONDS = 20;   // shorter steps get no "halfway" cue
+export const CUE_VIBRATION_MS = 200;     // vibrate: true → one pulse of this length
 
 // Access Level Configuration
 export const ACCESS_LEVELS = {
@@ -0,0 +1,295 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VILTRUM FITNESS - CUSTOM WORKOUTS
+// Workouts built by the user in the editor (pages/workout-editor.html).
+// Saved on the device first, then synced to the CustomWorkouts sheet.
+// toWorkoutData() turns them into the same shape doGet serves for the
+// Workouts sheet, so the player runs them through buildFullWorkoutSequence.
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { GOOGLE_SCRIPT_URL } from './config.js';
+import { parseTempo } from './rep-tempo.js';
+
+const STORAGE_KEY = 'viltrum_custom_workouts';
+
+// Selector values of custom workouts ("custom:<id>"), never clash with sheet names
+export const CUSTOM_WORKOUT_PREFIX = 'custom:';
+
+// Block formats of the sequence builder; `duration` = block-level time the format needs
+// (its label is editor.duration.<id> in the locale catalogs)
+export const BLOCK_TYPES = [
+  { id: '', label: 'Round' },
+  { id: 'emom', label: 'EMOM', duration: { fallback: 60 } },
+  { id: 'amrap', label: 'AMRAP', duration: { fallback: 600 } },
+  { id: 'tabata', label: 'Tabata' },
+  { id: 'ladder', label: 'Ladder' }
+];
+
+// Nominal duration of rep-based rows (the sequence builder gives their steps 30s too)
+const REPS_NOMINAL_DURATION = 30;
+
+function getCurrentUserEmail() {
+  return localStorage.getItem('loggedUser');
+}
+
+function createWorkoutId() {
+  return `cw_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LOCAL STORAGE
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Every user's workouts, deleted ones included (tombstones keep deletions in sync)
+function getAllStored() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    console.warn('⚠️ Invalid custom workouts in storage, ignoring:', error);
+    return [];
+  }
+}
+
+function setAllStored(workouts) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(workouts));
+}
+
+function isOwnWorkout(workout) {
+  return (workout.email || null) === getCurrentUserEmail();
+}
+
+/**
+ * Custom workouts of the logged user, most recently edited first
+ * @returns {Array<Object>} { id, name, instructions, restBetweenBlocks, blocks, updatedAt }
+ */
+export function getCustomWorkouts() {
+  return getAllStored()
+    .filter(w => isOwnWorkout(w) && !w.deleted)
+    .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+}
+
+/**
+ * Get one custom workout
+ * @param {string} id - Workout id (with or without the selector prefix)
+ * @returns {Object|null} Workout or null
+ */
+export function getCustomWorkout(id) {
+  const plainId = id.startsWith(CUSTOM_WORKOUT_PREFIX) ? id.slice(CUSTOM_WORKOUT_PREFIX.length) : id;
+  return getCustomWorkouts().find(w => w.id === plainId) || null;
+}
+
+/**
+ * Is this selector value a custom workout?
+ * @param {string} key - Selector value
+ * @returns {boolean}
+ */
+export function isCustomWorkoutKey(key) {
+  return typeof key === 'string' && key.startsWith(CUSTOM_WORKOUT_PREFIX);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// VALIDATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Check a workout before saving
+ * @param {Object} workout - Workout from the editor
+ * @returns {string|null} Error message (current language, shown to the user) or null
+ */
+export function validateCustomWorkout(workout) {
+  if (!workout.name || !workout.name.trim()) return I18n.t('editor.errors.name');
+  if (!workout.blocks?.length) return I18n.t('editor.errors.noBlocks');
+
+  for (let b = 0; b < workout.blocks.length; b++) {
+    const block = workout.blocks[b];
+    if (!block.exercises?.length) return I18n.t('editor.errors.emptyBlock', { number: b + 1 });
+    const blockDuration = BLOCK_TYPES.find(t => t.id === (block.blockType || ''))?.duration;
+    for (const ex of block.exercises) {
+      if (blockDuration) continue; // timed by the block
+      if (ex.mode === 'reps') {
+        if (!ex.reps) return I18n.t('editor.errors.reps', { name: ex.name });
+        if (ex.tempo && !parseTempo(ex.tempo)) return I18n.t('editor.errors.tempo', { name: ex.name });
+      } else if (!(ex.duration > 5)) {
+        return I18n.t('editor.errors.duration', { name: ex.name });
+      }
+    }
+  }
+  return null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SAVE / DELETE
+// ═══════════════════════════════════════════════════════════════════════════
+
+function storeWorkout(workout) {
+  const others = getAllStored().filter(w => !(w.id === workout.id && isOwnWorkout(w)));
+  others.push(workout);
+  setAllStored(others);
+}
+
+/**
+ * Save a workout (new or edited) on this device and queue the cloud copy
+ * @param {Object} workout - Workout from the editor (id optional)
+ * @returns {Object} Saved workout
+ */
+export function saveCustomWorkout(workout) {
+  const saved = {
+    ...workout,
+    id: workout.id || createWorkoutId(),
+    name: workout.name.trim(),
+    email: getCurrentUserEmail(),
+    updatedAt: new Date().toISOString()
+  };
+  delete saved.deleted;
+
+  storeWorkout(saved);
+  console.log('💾 Custom workout saved:', saved.name);
+
+  syncCustomWorkoutToCloud(saved).catch(err => {
+    console.warn('⚠️ Custom workout cloud sync error:', err);
+  });
+  return saved;
+}
+
+/**
+ * Delete a workout (kept as a tombstone so other devices drop it too)
+ * @param {string} id - Workout id
+ */
+export function deleteCustomWorkout(id) {
+  const workout = getCustomWorkout(id);
+  if (!workout) return;
+
+  const tombstone = { ...workout, deleted: true, updatedAt: new Date().toISOString() };
+  storeWorkout(tombstone);
+  console.log('🗑️ Custom workout deleted:', workout.name);
+
+  syncCustomWorkoutToCloud(tombstone).catch(err => {
+    console.warn('⚠️ Custom workout cloud sync error:', err);
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CLOUD SYNC
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Push one workout to the backend (through the offline outbox when loaded)
+ * @param {Object} workout - Workout or tombstone
+ * @returns {Promise<boolean>} Delivered now
+ */
+async function syncCustomWorkoutToCloud(workout) {
+  const userEmail = getCurrentUserEmail();
+  if (!userEmail) return false;
+
+  const body = { action: 'saveCustomWorkout', email: userEmail, workout };
+
+  if (typeof CloudOutbox !== 'undefined') {
+    const { delivered } = await CloudOutbox.send({
+      url: GOOGLE_SCRIPT_URL,
+      method: 'POST',
+      body,
+      dedupeKey: `saveCustomWorkout:${workout.id}`
+    });
+    console.log(delivered ? '✅ Custom workout synced to cloud' : '⏳ Custom workout queued for sync');
+    return delivered;
+  }
+
+  const response = await fetch(GOOGLE_SCRIPT_URL, {
+    method: 'POST',
+    redirect: 'follow',
+    headers: { 'Content-Type': 'text/plain;charset=utf-8' },
+    body: JSON.stringify(body)
+  });
+  return response.ok;
+}
+
+/**
+ * Pull the user's workouts from the cloud and merge them with the local ones
+ * (same id on both sides: the most recently updated copy wins)
+ * @returns {Promise<boolean>} Whether anything changed locally
+ */
+export async function mergeCustomWorkoutsWithCloud() {
+  const userEmail = getCurrentUserEmail();
+  if (!userEmail) return false;
+
+  try {
+    const url = new URL(GOOGLE_SCRIPT_URL);
+    url.searchParams.append('action', 'getCustomWorkouts');
+    url.searchParams.append('email', userEmail);
+
+    const response = await fetch(url.toString(), { method: 'GET' });
+    const result = await response.json();
+    if (result.status !== 'success' || !Array.isArray(result.workouts)) {
+      console.warn('⚠️ Could not load custom workouts from cloud:', result.message || 'Unknown error');
+      return false;
+    }
+
+    const stored = getAllStored();
+    let changed = false;
+    result.workouts.forEach(cloudWorkout => {
+      const local = stored.find(w => w.id === cloudWorkout.id && isOwnWorkout(w));
+      if (local && new Date(local.updatedAt) >= new Date(cloudWorkout.updatedAt)) return;
+      if (local) stored.splice(stored.indexOf(local), 1);
+      stored.push({ ...cloudWorkout, email: userEmail });
+      changed = true;
+    });
+
+    if (changed) {
+      setAllStored(stored);
+      console.log('✅ Custom workouts updated from cloud');
+    }
+    return changed;
+  } catch (error) {
+    console.error('❌ Failed to load custom workouts from cloud:', error);
+    return false;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PLAYER FORMAT
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Convert a custom workout to the Workouts-sheet shape served by doGet
+ * ({ exercises: [{ name, duration, block, rounds, reps, tempo, mode, ... }], instructions })
+ * @param {Object} workout - Custom workout
+ * @param {Object} exerciseLibrary - Exercise name → { imageUrl, audio, audioCambio }
+ * @returns {Object} Workout ready for buildFullWorkoutSequence
+ */
+export function toWorkoutData(workout, exerciseLibrary = {}) {
+  const exercises = [];
+  workout.blocks.forEach((block, b) => {
+    // EMOM work time / AMRAP cap are read from the block's rows
+    const blockDuration = BLOCK_TYPES.find(t => t.id === (block.blockType || ''))?.duration;
+    block.exercises.forEach(ex => {
+      const info = exerciseLibrary[ex.name] || {};
+      let duration = ex.mode === 'reps' ? REPS_NOMINAL_DURATION : parseInt(ex.duration, 10) || 0;
+      if (blockDuration) duration = parseInt(block.duration, 10) || blockDuration.fallback;
+      exercises.push({
+        name: ex.name,
+        duration,
+        imageUrl: info.imageUrl || '',
+        block: `Blocco ${b + 1}`, // same naming as the sheet (the preview groups by it)
+        tipoDiPeso: ex.tipoDiPeso || '',
+        rounds: parseInt(block.rounds, 10) || 1,
+        reps: ex.reps || '',
+        tempo: ex.mode === 'reps' ? (ex.tempo || '') : '',
+        mode: ex.mode === 'reps' ? 'reps' : '',
+        blockType: block.blockType || '',
+        superset: '',
+        restAfterBlock: block.restAfterBlock ?? null,
+        restBetweenRounds: block.restBetweenRounds ?? null,
+        restAfterSet: ex.mode === 'reps' ? (ex.restAfterSet ?? null) : null,
+        audio: info.audio || '',
+        audioCambio: info.audioCambio || ''
+      });
+    });
+  });
+
+  const data = { exercises, instructions: workout.instructions || '', custom: true };
+  if (workout.restBetweenBlocks !== null && workout.restBetweenBlocks !== undefined) {
+    data.restBetweenBlocks = workout.restBetweenBlocks;
+  }
+  if (workout.audioCues) data.audioCues = workout.audioCues; // own cue schedule (audio-cues.js)
+  return data;
+}
@@ -0,0 +1,129 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VILTRUM FITNESS - EXERCISE SWAP
+// Replace an exercise mid-workout (machine taken, injury...) with one of the
+// alternatives tagged in the Exercises sheet, filtered by the user's equipment
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { EQUIPMENT_OPTIONS, getAvailableEquipment } from './profile-manager.js';
+
+// Exercises sheet served by doGet: name → { imageUrl, audio, audioCambio, alternatives, equipment }
+let exerciseLibrary = {};
+
+/**
+ * Set the exercise library (from the doGet payload)
+ * @param {Object} library - Exercise name → details
+ */
+export function setExerciseLibrary(library) {
+  exerciseLibrary = library && typeof library === 'object' ? library : {};
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EQUIPMENT
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Map the sheet's free-text equipment ("2 DB medi", "Panca") to equipment ids
+ * Unknown values are kept as-is so they never match a user's selection
+ * @param {Array<string>} equipment - Sheet values
+ * @returns {Array<string>} Equipment ids
+ */
+function normalizeEquipment(equipment) {
+  return (equipment || []).map(item => {
+    const option = EQUIPMENT_OPTIONS.find(o => o.match.test(item));
+    return option ? option.id : item.toLowerCase();
+  }).filter(id => !/corpo libero|bodyweight|nessun/.test(id));
+}
+
+/**
+ * Can the user do this exercise with their equipment?
+ * @param {Object} details - Library entry
+ * @param {Array<string>|null} available - Equipment ids, null = everything
+ * @returns {boolean}
+ */
+function hasEquipmentFor(details, available) {
+  if (!available) return true;
+  return normalizeEquipment(details.equipment).every(id => available.includes(id));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ALTERNATIVES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Alternatives for an exercise, as tagged in the Exercises sheet
+ * Substitutions are two-way: "A → B" in the sheet also offers A when swapping B
+ * @param {string} exerciseName - Exercise to replace
+ * @param {Array<string>|null} available - Equipment ids (defaults to the user's)
+ * @returns {{options: Array, hidden: number}} Usable alternatives and how many were filtered out
+ */
+export function getSwapAlternatives(exerciseName, available = getAvailableEquipment()) {
+  const names = new Set(exerciseLibrary[exerciseName]?.alternatives || []);
+  Object.entries(exerciseLibrary).forEach(([name, details]) => {
+    if ((details.alternatives || []).includes(exerciseName)) names.add(name);
+  });
+  names.delete(exerciseName);
+
+  const options = [];
+  let hidden = 0;
+  names.forEach(name => {
+    const details = exerciseLibrary[name] || {};
+    if (!hasEquipmentFor(details, available)) {
+      hidden++;
+      return;
+    }
+    options.push({
+      name,
+      imageUrl: details.imageUrl || '',
+      audio: details.audio || '',
+      audioCambio: details.audioCambio || '',
+      equipment: details.equipment || []
+    });
+  });
+
+  return { options, hidden };
+}
+
+/**
+ * Patch the remaining occurrences of an exercise in the workout sequence
+ * (current step included; warm-up and steps already done are left alone)
+ * @param {Array} sequence - Full workout sequence (modified in place)
+ * @param {number} fromStep - First step to patch
+ * @param {string} originalName - Exercise being replaced
+ * @param {Object} substitute - Alternative from getSwapAlternatives()
+ * @returns {number} Number of steps patched
+ */
+export function applyExerciseSwap(sequence, fromStep, originalName, substitute) {
+  // Load prescription ("2 DB MEDI") doesn't apply to the substitute: show its equipment instead
+  const gear = substitute.equipment
+    .filter(item => !/corpo libero|bodyweight|nessun/i.test(item))
+    .join(' + ')
+    .toUpperCase();
+
+  let patched = 0;
+  for (let i = fromStep; i < sequence.length; i++) {
+    const step = sequence[i];
+    if (step.isLabel || step.isWarmup) continue;
+
+    // AMRAP steps list their exercises instead of being one
+    if (Array.isArray(step.exercises)) {
+      step.exercises.forEach(ex => {
+        if (ex.name !== originalName) return;
+        ex.swappedFrom = ex.swappedFrom || originalName;
+        ex.name = substitute.name;
+        ex.tipoDiPeso = gear;
+        patched++;
+      });
+      continue;
+    }
+
+    if (step.name !== originalName) continue;
+    step.swappedFrom = step.swappedFrom || originalName;
+    step.name = substitute.name;
+    step.imageUrl = substitute.imageUrl || step.imageUrl;
+    step.audio = substitute.audio;
+    step.audioCambio = substitute.audioCambio;
+    step.tipoDiPeso = gear;
+    patched++;
+  }
+  return patched;
+}
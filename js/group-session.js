@@ -0,0 +1,229 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VILTRUM FITNESS - GROUP CLASS
+// A coach hosts a session with a code; participants' players follow the
+// coach's step and end time. Messages go through a room link (js/room-link.js):
+// BroadcastChannel between tabs of one browser, the WebSocket relay
+// (backend/ws-relay.js) between devices.
+//
+// Protocol (message types):
+//   participant → coach   hello                 join / ask for the session again
+//                         time { t0 }           clock probe
+//   coach → participants  session { version, workoutName, sequence }
+//                         position { version, step, paused, endsAt, remaining }
+//                         time { to, t0, t1 }   probe answer (t1 = coach clock)
+//                         end                   coach closed the session
+// Clocks: each participant estimates its offset from the coach's clock with
+// the probes (NTP style, the sample with the shortest round trip wins), so
+// "endsAt" in coach time becomes a local end time on every phone.
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { DISPLAY_STATE_INTERVAL_MS, REMOTE_TIMEOUT_MS } from './config.js';
+import { createRoomLink } from './room-link.js';
+
+const SYNC_INTERVAL_MS = 10000;   // clock probes, after a quick burst at join
+const SYNC_BURST = 5;
+const SYNC_SAMPLES = 8;           // best round trip among the last probes
+
+/**
+ * Host a session
+ * @param {Object} options
+ * @param {string} options.room - Session code
+ * @param {Function} options.getSession - () → { version, workoutName, sequence }, null before the workout starts
+ * @param {Function} options.getPosition - () → { version, step, paused, endsAt, remaining }, step null when no workout runs
+ * @param {Function} options.onChange - ({ participants, relay }) when participants join / leave or the relay changes
+ * @returns {{publish: Function, publishSession: Function, close: Function, status: Function}} Coach
+ */
+export function createGroupCoach({ room, getSession, getPosition, onChange = null }) {
+  const participants = new Map(); // link id → last seen
+  let link = null;
+
+  const status = () => ({
+    participants: Array.from(participants.values()).filter(seenAt => Date.now() - seenAt < REMOTE_TIMEOUT_MS).length,
+    relay: link ? link.status().relay : 'off'
+  });
+  const changed = () => {
+    if (onChange) onChange(status());
+  };
+
+  const publish = () => {
+    const position = getPosition();
+    if (position) link.send('position', position);
+  };
+
+  const publishSession = () => {
+    const session = getSession();
+    if (session) link.send('session', session);
+    publish();
+  };
+
+  link = createRoomLink({
+    room,
+    role: 'coach',
+    onMessage: message => {
+      if (message.role !== 'participant') return;
+
+      const known = participants.has(message.from);
+      participants.set(message.from, Date.now());
+      if (!known) changed();
+
+      if (message.type === 'time') {
+        link.send('time', { to: message.from, t0: message.payload.t0, t1: Date.now() });
+      } else if (message.type === 'hello') {
+        publishSession();
+      }
+    },
+    onStatus: () => {
+      if (!link) return;
+      changed();
+      publishSession(); // devices reached through a fresh relay connection
+    }
+  });
+
+  // Heartbeat: late joiners and drift correction
+  const heartbeat = setInterval(() => {
+    publish();
+    changed();
+  }, DISPLAY_STATE_INTERVAL_MS);
+
+  console.log(`👥 Hosting group session ${room}`);
+
+  return {
+    publish,
+    publishSession,
+    status,
+    /**
+     * @param {boolean} notify - Tell the class the session is over (false: reconnecting elsewhere)
+     */
+    close(notify = true) {
+      clearInterval(heartbeat);
+      if (notify) link.send('end');
+      link.close();
+      console.log(`👥 Group session ${room} closed`);
+    }
+  };
+}
+
+/**
+ * Join a session
+ * @param {Object} options
+ * @param {string} options.room - Session code
+ * @param {Function} options.onSession - (session) when the coach sends the workout
+ * @param {Function} options.onPosition - (position) with endsAt converted to this device's clock
+ * @param {Function} options.onEnd - () when the coach closes the session
+ * @param {Function} options.onChange - ({ coach, relay, offset, rtt }) when the connection state changes
+ * @returns {{requestSession: Function, toLocalTime: Function, close: Function, status: Function}} Participant
+ */
+export function createGroupParticipant({ room, onSession, onPosition, onEnd = null, onChange = null }) {
+  const samples = []; // { offset, rtt }
+  let coachSeenAt = 0;
+  let clock = { offset: 0, rtt: null };
+  let link = null;
+  let probes = 0;
+  let pendingPosition = null; // arrived before the first clock sample
+
+  const isCoachOnline = () => Date.now() - coachSeenAt < REMOTE_TIMEOUT_MS;
+  const status = () => ({
+    coach: isCoachOnline(),
+    relay: link ? link.status().relay : 'off',
+    offset: clock.offset,
+    rtt: clock.rtt
+  });
+  const changed = () => {
+    if (onChange) onChange(status());
+  };
+
+  // coach clock = local clock + offset
+  const addSample = ({ t0, t1 }) => {
+    const t3 = Date.now();
+    const rtt = t3 - t0;
+    if (rtt < 0) return;
+    samples.push({ offset: t1 + rtt / 2 - t3, rtt });
+    if (samples.length > SYNC_SAMPLES) samples.shift();
+    const best = samples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+    clock = { offset: Math.round(best.offset), rtt: best.rtt };
+  };
+
+  const toLocalTime = coachTime => coachTime - clock.offset;
+
+  const deliverPosition = position => {
+    onPosition({
+      ...position,
+      endsAt: position.endsAt ? toLocalTime(position.endsAt) : null
+    });
+  };
+
+  const probe = () => {
+    probes++;
+    link.send('time', { t0: Date.now() });
+  };
+
+  link = createRoomLink({
+    room,
+    role: 'participant',
+    onMessage: message => {
+      if (message.role !== 'coach') return;
+
+      const wasOnline = isCoachOnline();
+      coachSeenAt = Date.now();
+
+      switch (message.type) {
+        case 'time':
+          if (message.payload.to !== link.id) break;
+          addSample(message.payload);
+          if (pendingPosition) {
+            deliverPosition(pendingPosition);
+            pendingPosition = null;
+          }
+          break;
+        case 'session':
+          onSession(message.payload);
+          break;
+        case 'position':
+          // no clock yet: an end time could be off by the whole clock difference
+          if (clock.rtt === null) pendingPosition = message.payload;
+          else deliverPosition(message.payload);
+          break;
+        case 'end':
+          coachSeenAt = 0;
+          if (onEnd) onEnd();
+          break;
+      }
+      if (wasOnline !== isCoachOnline()) changed();
+    },
+    onStatus: state => {
+      if (!link) return;
+      if (state.relay === 'open') {
+        link.send('hello');
+        probe();
+      }
+      changed();
+    }
+  });
+
+  link.send('hello');
+  probe();
+
+  // A burst of probes right away, then one every SYNC_INTERVAL_MS
+  const burst = setInterval(() => {
+    probe();
+    if (probes >= SYNC_BURST) clearInterval(burst);
+  }, 500);
+  const sync = setInterval(() => {
+    probe();
+    if (!isCoachOnline()) changed();
+  }, SYNC_INTERVAL_MS);
+
+  console.log(`👥 Joined group session ${room}`);
+
+  return {
+    status,
+    toLocalTime,
+    requestSession: () => link.send('hello'),
+    close() {
+      clearInterval(burst);
+      clearInterval(sync);
+      link.close();
+      console.log(`👥 Left group session ${room}`);
+    }
+  };
+}
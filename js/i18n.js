@@ -0,0 +1,196 @@
+/**
+ * Viltrum Fitness - I18n
+ * Message catalogs, locale detection and translation of UI text and voice cues
+ * - Catalogs live in js/locales/<code>.js and register themselves with I18n.addCatalog()
+ * - Locale: language setting of the profile → browser languages → Italian
+ * - Static markup: data-i18n="key" (text), data-i18n-placeholder / -title / -aria-label
+ * - Missing keys fall back to the Italian catalog, then to the key itself
+ *
+ * Classic script (like CloudOutbox): usable from ES modules and plain scripts.
+ * Load it before the catalogs, and both before the page scripts.
+ */
+
+const I18n = {
+  DEFAULT_LOCALE: 'it',
+  SETTINGS_KEY: 'viltrum_user_settings', // profile-manager.js settings (language)
+  CHANGE_EVENT: 'viltrum-locale-change',
+  ATTRIBUTES: ['placeholder', 'title', 'aria-label'],
+  catalogs: {},
+  current: null,
+
+  /**
+   * Register (or extend) the messages of a language
+   * @param {string} locale - Language code ("it", "en", ...)
+   * @param {Object} messages - Nested messages, `meta: { name, speechLang }` included
+   */
+  addCatalog(locale, messages) {
+    this.catalogs[locale] = this.merge(this.catalogs[locale] || {}, messages);
+  },
+
+  merge(target, source) {
+    Object.keys(source).forEach(key => {
+      const value = source[key];
+      const isGroup = value && typeof value === 'object' && !this.isPlural(value);
+      target[key] = isGroup ? this.merge(target[key] || {}, value) : value;
+    });
+    return target;
+  },
+
+  isPlural(value) {
+    return value && typeof value === 'object' && typeof value.other === 'string';
+  },
+
+  /**
+   * Languages with a catalog
+   * @returns {Array<{code: string, name: string}>}
+   */
+  getSupportedLocales() {
+    return Object.keys(this.catalogs).map(code => ({
+      code,
+      name: (this.catalogs[code].meta && this.catalogs[code].meta.name) || code
+    }));
+  },
+
+  isSupported(locale) {
+    return !!locale && Object.prototype.hasOwnProperty.call(this.catalogs, locale);
+  },
+
+  /**
+   * Language chosen in the profile (null = follow the device)
+   * @returns {string|null}
+   */
+  getSavedLocale() {
+    try {
+      const settings = JSON.parse(localStorage.getItem(this.SETTINGS_KEY) || '{}');
+      return this.isSupported(settings.language) ? settings.language : null;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Pick the language: profile setting → browser languages → default
+   * @returns {string} Language code
+   */
+  detectLocale() {
+    const saved = this.getSavedLocale();
+    if (saved) return saved;
+
+    const preferred = (typeof navigator !== 'undefined' &&
+      (navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language])) || [];
+    for (const tag of preferred) {
+      const base = String(tag || '').toLowerCase().split('-')[0];
+      if (this.isSupported(base)) return base;
+    }
+    return this.DEFAULT_LOCALE;
+  },
+
+  /**
+   * Current language (detected on first use)
+   * @returns {string} Language code
+   */
+  getLocale() {
+    if (!this.current || !this.isSupported(this.current)) this.current = this.detectLocale();
+    return this.current;
+  },
+
+  /**
+   * Switch language, re-translate the page and notify listeners
+   * (persisting the choice is profile-manager's setLanguage)
+   * @param {string|null} locale - Language code, null = detect again
+   */
+  setLocale(locale) {
+    this.current = this.isSupported(locale) ? locale : this.detectLocale();
+    if (typeof document !== 'undefined') {
+      this.applyTranslations(document);
+      window.dispatchEvent(new CustomEvent(this.CHANGE_EVENT, { detail: { locale: this.current } }));
+    }
+    console.log(`🌐 Language: ${this.current}`);
+  },
+
+  /**
+   * BCP 47 tag for speech and date formatting ("it-IT", "en-US")
+   * @returns {string}
+   */
+  getSpeechLang() {
+    return this.t('meta.speechLang');
+  },
+
+  lookup(locale, key) {
+    let value = this.catalogs[locale];
+    for (const part of key.split('.')) {
+      if (value === undefined || value === null) return undefined;
+      value = value[part];
+    }
+    return value;
+  },
+
+  /**
+   * Translate a key
+   * @param {string} key - Dotted key ("voice.secondsLeft30")
+   * @param {Object} params - Values for {placeholders}; `count` picks the plural form
+   * @returns {string} Translated text
+   */
+  t(key, params = {}) {
+    let value = this.lookup(this.getLocale(), key);
+    if (value === undefined) value = this.lookup(this.DEFAULT_LOCALE, key);
+    if (value === undefined) {
+      console.warn(`⚠️ Missing translation: ${key}`);
+      return key;
+    }
+
+    if (this.isPlural(value)) {
+      const form = new Intl.PluralRules(this.getLocale()).select(Number(params.count) || 0);
+      value = value[form] || value.other;
+    }
+    if (typeof value !== 'string') return key;
+
+    return value.replace(/\{(\w+)\}/g, (match, name) =>
+      params[name] !== undefined && params[name] !== null ? String(params[name]) : match
+    );
+  },
+
+  /**
+   * Translate the static markup of a page (or part of it)
+   * @param {Document|HTMLElement} root - Where to look for data-i18n attributes
+   */
+  applyTranslations(root = document) {
+    if (root.documentElement) root.documentElement.lang = this.getLocale();
+
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+      el.textContent = this.t(el.dataset.i18n);
+    });
+    this.ATTRIBUTES.forEach(attribute => {
+      root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(el => {
+        el.setAttribute(attribute, this.t(el.getAttribute(`data-i18n-${attribute}`)));
+      });
+    });
+  },
+
+  /**
+   * Date in the current language
+   * @param {Date|string} date - Date
+   * @param {Object} options - Intl.DateTimeFormat options
+   * @returns {string}
+   */
+  formatDate(date, options = {}) {
+    return new Date(date).toLocaleDateString(this.getSpeechLang(), options);
+  },
+
+  /**
+   * Page setup: translate the markup as soon as it is parsed
+   */
+  init() {
+    const start = () => this.applyTranslations(document);
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', start);
+    } else {
+      start();
+    }
+  }
+};
+
+if (typeof window !== 'undefined' && typeof document !== 'undefined') {
+  window.I18n = I18n;
+  I18n.init();
+}
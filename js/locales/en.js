@@ -0,0 +1,706 @@
+/**
+ * Viltrum Fitness - English catalog
+ * Missing keys fall back to the Italian catalog (js/locales/it.js).
+ */
+
+I18n.addCatalog('en', {
+  meta: {
+    name: 'English',
+    speechLang: 'en-US'
+  },
+
+  common: {
+    ok: 'OK',
+    cancel: 'Cancel',
+    close: 'Close',
+    loading: 'Loading...'
+  },
+
+  nav: {
+    dashboard: 'Dashboard'
+  },
+
+  // Pending-sync badge (cloud outbox)
+  sync: {
+    pending: {
+      one: '{count} change waiting to sync',
+      other: '{count} changes waiting to sync'
+    },
+    retry: 'Tap to retry now'
+  },
+
+  // Spoken cues (TTS)
+  voice: {
+    nextExercise: 'next exercise:',
+    secondsLeft60: 'sixty seconds left',
+    secondsLeft30: 'thirty seconds left',
+    countdown5: 'five, four, three, two, one',
+    secondsLeft: {
+      one: '{count} second left',
+      other: '{count} seconds left'
+    },
+    halfway: 'halfway there',
+    emomMinute: 'minute {round} of {total}',
+    tabataRound: 'round {round} of {total}',
+    amrapStart: {
+      one: '{count} minute, as many rounds as possible. Go!',
+      other: '{count} minutes, as many rounds as possible. Go!'
+    },
+    amrapRound: 'round {round}',
+    amrapMinutesLeft: {
+      one: '{count} minute left, round {round}',
+      other: '{count} minutes left, round {round}'
+    },
+    ladderRung: {
+      one: 'step {round} of {total}, {reps} rep',
+      other: 'step {round} of {total}, {reps} reps'
+    }
+  },
+
+  setup: {
+    selectWorkout: 'Select workout:',
+    createWorkout: '✏️ Create your workout',
+    instructions: 'INSTRUCTIONS',
+    estimate: 'ESTIMATED DURATION',
+    equipment: 'EQUIPMENT',
+    preview: 'Workout preview',
+    start: 'Start Workout'
+  },
+
+  startPoint: {
+    title: 'Start from a specific block',
+    blockLabel: 'Block:',
+    roundLabel: 'Round:',
+    exerciseLabel: 'Exercise:',
+    workoutStart: 'Workout start (with warm-up)',
+    block: 'Block {number}',
+    blockStart: 'Block start (Round 1)',
+    round: 'Round {number}',
+    roundStart: 'Round start',
+    reset: '⟲ Reset to workout start'
+  },
+
+  settings: {
+    title: 'Settings',
+    soundMode: 'Audio mode:',
+    sound: {
+      synth: 'Synth (Device)',
+      voice: 'Voice',
+      bip: 'Beep',
+      none: 'No sound'
+    },
+    warmup: 'Enable Warm-up',
+    volume: 'Cue volume:',
+    musicVolume: 'Music volume:',
+    tempoMetronome: 'Tempo metronome'
+  },
+
+  music: {
+    title: '🎵 Music',
+    empty: 'No tracks: add audio files from your device.',
+    nothingPlaying: 'Ready to play',
+    play: '▶ Play',
+    pause: '⏸ Pause',
+    next: '⏭ Next',
+    remove: 'Remove track',
+    add: '+ Add tracks',
+    addFailed: 'Could not save the tracks (out of space?)'
+  },
+
+  display: {
+    open: '📺 Big-screen mode',
+    close: '📺 Leave big-screen mode',
+    openRemote: '🎮 Use as remote',
+    pairing: {
+      title: '🎮 Remote control',
+      hint: 'On your phone open {url} and enter the code',
+      connected: '🟢 Remote connected',
+      waiting: '⚪ Waiting for the remote…'
+    },
+    relay: {
+      label: 'Relay (other devices):',
+      save: 'Save',
+      invalid: 'The relay address must start with ws:// or wss://',
+      status: {
+        off: 'This browser\'s tabs only',
+        connecting: 'Connecting to the relay…',
+        open: 'Relay connected',
+        closed: 'Relay unreachable, retrying…'
+      }
+    }
+  },
+
+  remote: {
+    title: '🎮 Remote control',
+    code: 'Screen code:',
+    codePlaceholder: 'e.g. K7QM',
+    join: 'Connect',
+    joinHint: 'The code is on the big screen (Workout → ⚙️ → Big-screen mode).',
+    change: 'Change code',
+    displayConnected: '🟢 Screen connected',
+    displayWaiting: '⚪ Waiting for the screen…',
+    noWorkout: 'No workout running on the screen',
+    paused: 'Paused'
+  },
+
+  group: {
+    title: '👥 Group class',
+    host: 'Host a class',
+    join: 'Join',
+    codePlaceholder: 'Class code',
+    coachHint: 'Participants enter this code: their timer follows yours.',
+    participantHint: 'The workout starts on your phone when the coach starts it.',
+    following: 'Following the coach: {workout}',
+    participants: {
+      one: '{count} participant',
+      other: '{count} participants'
+    },
+    coachConnected: '🟢 Coach connected',
+    coachWaiting: '⚪ Waiting for the coach…',
+    sync: 'sync ±{ms} ms',
+    end: 'End the class',
+    leave: 'Leave the class',
+    waitForCoach: 'You are in a group class: the workout starts when the coach starts it.'
+  },
+
+  player: {
+    warmupLabel: 'Warm-up',
+    tempo: {
+      info: 'Tempo {tempo}',
+      rep: 'Rep {rep}',
+      repOf: 'Rep {rep}/{total}',
+      done: {
+        one: '{count} rep done',
+        other: '{count} reps done'
+      },
+      phase: {
+        eccentric: '⬇ Lower',
+        bottom: '⏸ Hold',
+        concentric: '⬆ Lift',
+        top: '⏸ Top'
+      }
+    },
+    roundLabel: {
+      set: 'Set',
+      minute: 'Minute',
+      rung: 'Step',
+      round: 'Round'
+    },
+    progress: {
+      warmup: 'Warm-up',
+      block: 'Block {current}/{total}',
+      amrapRound: 'AMRAP · Round {round}',
+      giantSet: 'Giant set',
+      superset: 'Superset',
+      exercise: 'Exercise {current}/{total}'
+    },
+    controls: {
+      menu: 'Controls menu',
+      previous: 'Previous exercise',
+      add10s: 'Add 10 seconds',
+      next: 'Next exercise',
+      swap: 'Swap exercise',
+      repMinus: 'One rep less',
+      repPlus: 'One rep more',
+      repsDone: 'Reps done'
+    },
+    noWorkoutSelected: 'No valid workout selected.',
+    sequenceError: 'Could not build the workout sequence.',
+    reps: '{reps} REPS',
+    lastWeight: 'LAST: {weight}',
+    suggestedWeight: 'SUGGESTED: {weight}',
+    repTarget: 'TARGET {reps}',
+    nextExerciseTitle: 'NEXT EXERCISE:',
+    then: 'Then: {name}',
+    amrapRoundsDone: 'Rounds completed: {count}',
+    pause: '⏸ Pause',
+    resume: '▶️ Resume',
+    done: '✓ Done',
+    addRound: '+1 Round',
+    exit: 'End Workout',
+    confirmExit: 'Are you sure you want to end the workout?',
+    loadError: 'Failed to load workout data: {message}\n\nPlease check your internet connection and try refreshing the page.',
+    subscriptionExpired: '⚠️ Your subscription expired on {date}.\n\nRenew it to keep training!',
+    sessionName: 'Sesh {number}',
+    myWorkouts: 'My workouts'
+  },
+
+  editor: {
+    myWorkouts: 'My workouts',
+    noWorkouts: 'You haven\'t created any workouts yet. Build your blocks with exercises from the library.',
+    blocks: {
+      one: '{count} block',
+      other: '{count} blocks'
+    },
+    exercises: {
+      one: '{count} exercise',
+      other: '{count} exercises'
+    },
+    edit: 'Edit',
+    delete: 'Delete',
+    confirmDelete: 'Delete "{name}"?',
+    newWorkoutButton: '+ New Workout',
+    newTitle: 'New Workout',
+    editTitle: 'Edit Workout',
+    name: 'Name',
+    namePlaceholder: 'e.g. Legs at home',
+    instructions: 'Instructions (optional)',
+    restBetweenBlocks: 'Rest between blocks (seconds)',
+    default: 'Default',
+    addBlock: '+ Add Block',
+    save: 'Save Workout',
+    block: 'Block {number}',
+    deleteBlock: 'Delete block',
+    format: 'Format',
+    duration: {
+      emom: 'Work per minute (s)',
+      amrap: 'Time cap (s)'
+    },
+    rounds: 'Rounds',
+    restBetweenRounds: 'Round rest (s)',
+    restAfterBlock: 'Block rest (s)',
+    dropHere: 'Drag exercises here or tap them in the library',
+    mode: {
+      time: 'Time',
+      reps: 'Reps'
+    },
+    tempo: 'Tempo 3-1-2-0',
+    seconds: 'Sec',
+    load: 'Load',
+    library: 'Exercise Library',
+    search: 'Search exercise...',
+    added: '➕ {name} added to block {number}',
+    libraryUnavailable: 'Library not available: open the dashboard online to download it.',
+    saved: '✅ "{name}" saved! You\'ll find it among the workouts to start',
+    errors: {
+      name: 'Give the workout a name',
+      noBlocks: 'Add at least one block',
+      emptyBlock: 'Block {number} is empty',
+      reps: 'Set the reps for {name}',
+      tempo: 'Invalid tempo for {name} (e.g. 3-1-2-0)',
+      duration: 'Set the duration of {name} (more than 5 seconds)'
+    }
+  },
+
+  swap: {
+    title: 'Swap Exercise',
+    nothingToSwap: 'Nothing to swap right now',
+    insteadOf: 'Instead of {name}',
+    noAlternatives: 'No alternatives from the coach',
+    hiddenAlternatives: {
+      one: '{count} alternative hidden (equipment not available)',
+      other: '{count} alternatives hidden (equipment not available)'
+    }
+  },
+
+  resume: {
+    title: 'Pick up where you left off?',
+    continue: '▶️ Resume',
+    restart: 'Start over',
+    details: '{workout} · {step} · {percent}% done · {minutes} min'
+  },
+
+  login: {
+    missingCredentials: 'Enter username and password.',
+    error: 'Login failed.'
+  },
+
+  estimate: {
+    note: 'Calories estimated at {weight} kg',
+    noteDefaultWeight: 'Calories estimated at {weight} kg: set your weight in the profile',
+    block: 'Block {number}',
+    warmup: 'Warm-up',
+    betweenBlocks: 'Between blocks'
+  },
+
+  preview: {
+    block: 'BLOCK {number}',
+    exerciseCount: '{count} ex.',
+    rounds: {
+      one: '{count} round',
+      other: '{count} rounds'
+    },
+    lastWeight: 'Last: {weight}'
+  },
+
+  progression: {
+    reached: {
+      one: '{reps} reps hit for {count} session',
+      other: '{reps} reps hit for {count} sessions'
+    },
+    chaseReps: 'Aim for {reps} reps before going up',
+    complete: {
+      one: 'Complete {reps} reps for {count} session',
+      other: 'Complete {reps} reps for {count} sessions'
+    }
+  },
+
+  completion: {
+    title: 'GREAT JOB!',
+    duration: 'Duration',
+    exercises: 'Exercises',
+    logWeights: 'LOG THE WEIGHTS YOU USED',
+    setsDone: 'SETS DONE',
+    share: 'SHARE ON INSTAGRAM STORY',
+    saveAndReturn: 'SAVE AND BACK TO DASHBOARD',
+    adherence: {
+      percent: '{percent}% of exercises completed',
+      skipped: '{count} skipped',
+      shortened: '{count} shortened',
+      repeated: '{count} repeated',
+      extra: '+{seconds}s extra'
+    },
+    set: {
+      block: 'Block {block}',
+      round: 'Round {round}',
+      target: 'Target {reps}',
+      amrapRounds: {
+        one: '{count} round completed',
+        other: '{count} rounds completed'
+      }
+    },
+    lastWeight: 'Last: {weight}',
+    nextTime: 'Next time: {weight}',
+    weightPlaceholder: 'e.g. 20kg',
+    weightsCloud: '☁️ Weights are synced to the <strong>cloud</strong> and visible on all your devices',
+    weightsLocalOnly: '💾 Weights are saved <strong>on this device only</strong>',
+    shareTitle: 'Viltrum Fitness - Workout Completed!',
+    shareText: 'I completed "{workout}" on Viltrum Fitness!\nDuration: {duration}\nExercises: {exercises}\n\n#ViltrumFitness #Workout #Fitness',
+    shared: 'Shared!',
+    copied: 'Text copied! Paste it into your Instagram Story.',
+    copyFailed: 'Could not copy the text',
+    shareUnavailable: 'Sharing is not available'
+  },
+
+  dashboard: {
+    welcome: 'WELCOME, {name}!',
+    lastWorkout: 'Last workout',
+    totalWorkouts: 'Total workouts',
+    progressLink: 'Progress ›',
+    progressTitle: '📈 PROGRESS',
+    close: 'CLOSE',
+    completed: 'Completed',
+    none: 'None',
+    comingSoon: '{feature} is coming soon! 🚀',
+    updating: 'Updating...',
+    updateError: 'Update failed',
+    ago: {
+      minutes: '{count}m ago',
+      hours: '{count}h ago',
+      yesterday: 'Yesterday',
+      days: '{count}d ago'
+    },
+    cards: {
+      active: 'Active',
+      inProgress: 'In progress',
+      inDevelopment: 'In Development',
+      comingSoon: 'Coming Soon',
+      workoutText: 'Personalised training with timer and progress',
+      resume: '▶️ Resume {workout} · {percent}% done',
+      nutritionText: 'Track meals and monitor calories',
+      aerobicText: 'Cardio training and endurance'
+    },
+    offline: {
+      preparing: 'Preparing offline mode...',
+      loading: 'Loading',
+      image: 'Loading images',
+      audio: 'Loading audio',
+      beppe: 'Loading Beppe audio',
+      nutrition: 'Loading nutrition plan',
+      ready: '✓ Offline mode ready!'
+    },
+    subscription: {
+      active: '✓ Subscription Active',
+      expired: '❌ Subscription Expired',
+      trial: {
+        one: '⏳ Trial - {count} day left',
+        other: '⏳ Trial - {count} days left'
+      },
+      loadError: '⚠️ Could not load data',
+      expiry: 'Expires:'
+    },
+    profile: {
+      title: '👤 PROFILE',
+      changeUsername: '👤 Change Username',
+      changeEmail: '✉️ Change Email',
+      changePassword: '🔒 Change Password',
+      logout: '🚪 Logout',
+      back: '← Back',
+      confirmLogout: 'Are you sure you want to log out?',
+      logoutError: 'Logout failed'
+    },
+    username: {
+      title: '👤 CHANGE USERNAME',
+      placeholder: 'New Username',
+      save: 'Save Username',
+      tooShort: 'Username must be at least 2 characters',
+      updated: '✅ Username updated!',
+      updatedLocally: '✅ Username updated locally!'
+    },
+    email: {
+      title: '✉️ CHANGE EMAIL',
+      placeholder: 'New Email',
+      password: 'Current Password',
+      save: 'Save Email',
+      invalid: 'Enter a valid email',
+      passwordRequired: 'Enter your current password',
+      checkingPassword: 'Checking password...',
+      wrongPassword: '❌ Wrong password',
+      updating: 'Updating email...',
+      updated: '✅ Email updated! Check your inbox to confirm.'
+    },
+    password: {
+      title: '🔒 CHANGE PASSWORD',
+      placeholder: 'New Password',
+      confirm: 'Confirm Password',
+      save: 'Save Password',
+      missingFields: 'Fill in all fields',
+      tooShort: 'Password must be at least 6 characters',
+      mismatch: 'Passwords do not match',
+      updated: '✅ Password updated!'
+    }
+  },
+
+  progress: {
+    perWeek: 'Workouts per week',
+    calendar: 'Calendar',
+    calendarLabel: 'Workout calendar',
+    weightLabel: 'Weight over time',
+    strength: 'Am I getting stronger?',
+    noWeights: 'Log your weights after each workout to see your progress',
+    weekdays: {
+      mon: 'M',
+      wed: 'W',
+      fri: 'F',
+      sun: 'S'
+    },
+    tiles: {
+      thisWeek: 'This week',
+      weeklyAverage: 'Weekly avg. ({weeks} wks)',
+      totalTime: 'Total time',
+      workouts: 'Workouts',
+      weekStreak: 'Week streak',
+      dayStreak: 'Days in a row',
+      streakValue: '{current} (max {longest})'
+    },
+    trend: {
+      notEnough: 'Log the weight in more sessions to see the trend',
+      up: '📈 +{diff}kg{percent} in {count} sessions',
+      down: '📉 {diff}kg in {count} sessions',
+      stable: '➡️ Steady at {weight}kg for {count} sessions'
+    },
+    export: {
+      title: 'Export activities',
+      from: 'From',
+      to: 'To',
+      format: 'Format',
+      all: 'Export all',
+      allCount: 'Export all ({count})',
+      empty: 'No workouts in this period',
+      download: 'Download',
+      // Lap / step names inside the TCX and FIT files
+      warmupLap: 'Warm-up',
+      stepReps: '{reps} reps'
+    }
+  },
+
+  nutrition: {
+    yourPlan: 'Your nutrition plan',
+    loading: 'Loading nutrition plan...',
+    planOf: '{name}\'s plan',
+    userNotFound: 'User not found',
+    loadDataError: 'Error loading data',
+    loadPlanError: 'Error loading the plan',
+    meals: {
+      colazione: 'BREAKFAST',
+      spuntino1: 'SNACK',
+      pranzo: 'LUNCH',
+      cena: 'DINNER'
+    },
+    slots: {
+      proteine: 'PROTEIN',
+      carboidrati: 'CARBS',
+      grassi: 'FATS'
+    },
+    macros: {
+      kcal: 'Calories',
+      protein: 'Protein',
+      carbs: 'Carbs',
+      fat: 'Fat'
+    },
+    saveMeal: 'SAVE MEAL',
+    pickOne: '(pick one)',
+    freeQuantity: 'Free',
+    cookedHint: '📊 = ~{grams}g cooked',
+    alternativeBadge: 'ALTERNATIVE',
+    findAlternative: '🔍 Find an off-plan alternative',
+    summaryTitle: 'Meal Summary',
+    selectedFoods: 'Selected foods:',
+    noFoodSelected: 'No food selected',
+    warningTitle: '⚠️ Warning',
+    understood: 'Got it',
+    selectBeforeSaving: 'Select at least one food before saving',
+    mealSavedTitle: '✅ Meal Saved!',
+    mealSaved: 'Your choices for {meal} have been saved to the diary.',
+    cookedTitle: 'Raw → Cooked',
+    cookedEquation: '{raw}g raw = ~{cooked}g cooked',
+    cookedTip: '💡 If you weigh after cooking, use ~{cooked}g as reference',
+    piecesTitle: 'Pieces → Grams',
+    piecesEquation: '{count} pieces = ~{grams}g',
+    piecesTip: '💡 If you have a scale, weigh {grams}g instead of counting pieces',
+    searchPrompt: 'Which food are you looking for as {slot}?\n\nExamples: "skyr", "kamut bread", "almond butter"',
+    noMatchTitle: '❌ No match',
+    noMatch: 'Could not find "{name}" in the alternatives database.',
+    tryWith: '💡 Try with:',
+    tryGeneric: 'More generic names (e.g. "yogurt" instead of "fage greek yogurt")',
+    trySimilar: 'Foods similar to the ones in your plan',
+    tryAskNutritionist: 'Ask your nutritionist to add the food',
+    matchGreat: 'great',
+    matchGood: 'good',
+    matchFair: 'fair',
+    foundTitle: '✅ Found: {name}',
+    match: 'Match: {quality} ({percent}%)',
+    suggestedQuantity: 'Suggested quantity:',
+    macroComparison: 'Macro comparison:',
+    target: 'Target',
+    withFood: 'With {name}',
+    adjustmentsLabel: '⚠️ Note:',
+    useAlternative: 'Use this alternative',
+    alternativeAddedTitle: '✅ Alternative Added',
+    alternativeAdded: '{food} has been added to {slot}',
+    rememberToSave: 'Remember to save the meal when you are done!',
+    expiredTitle: '⚠️ Plan Expired',
+    expiredText: 'Your nutrition plan has expired. You can view it but not save changes.',
+    expiredContact: 'Contact your nutritionist to renew it.',
+    noPlanTitle: '📋 No Plan Available',
+    noPlanText: 'You do not have a nutrition plan yet.',
+    noPlanContact: 'Contact your nutritionist to get your personalised plan.',
+    errorTitle: '❌ Error'
+  },
+
+  profile: {
+    back: '← Dashboard',
+    emailUpdatedConfirm: 'Email updated! Check your inbox to confirm.',
+    errors: {
+      usernameTooShort: 'Username too short (at least 2 characters)',
+      savedLocallySyncFailed: 'Saved locally, cloud sync failed',
+      savedLocally: 'Saved locally',
+      updateFailed: 'Update failed',
+      invalidEmail: 'Invalid email',
+      passwordRequired: 'Password required to confirm',
+      supabaseUnavailable: 'Supabase not available. Contact the administrator.',
+      wrongPassword: 'Wrong password',
+      connection: 'Connection error. Try again.'
+    },
+    language: {
+      title: 'Language',
+      label: 'App text and voice cues',
+      auto: 'Automatic (device language)',
+      saved: '✅ Language saved!'
+    },
+    username: {
+      title: 'Change Username',
+      label: 'New Username',
+      submit: 'Update Username',
+      success: '✅ Username updated!'
+    },
+    email: {
+      title: 'Change Email',
+      label: 'New Email',
+      password: 'Current Password (to confirm)',
+      submit: 'Update Email',
+      success: 'Email updated!'
+    },
+    bodyWeight: {
+      title: 'Body Weight',
+      label: 'Weight (kg) · used to estimate the calories of each workout',
+      placeholder: 'e.g. 72',
+      submit: 'Save Weight',
+      saved: '✅ Weight saved!',
+      removed: '✅ Weight removed: calories will use an average value'
+    },
+    rest: {
+      title: 'Rest',
+      betweenBlocks: 'Rest between blocks (seconds)',
+      betweenRounds: 'Rest between rounds (seconds)',
+      placeholder: 'As programmed',
+      submit: 'Save Rest',
+      reset: 'Use Program',
+      saved: '✅ Rest saved!',
+      resetDone: '✅ The program\'s rest times will be used'
+    },
+    cues: {
+      title: 'Audio Cues',
+      label: 'When and how to alert you during timed exercises',
+      secondsLeft: 'Seconds left',
+      halfway: 'Halfway through',
+      remove: 'Remove cue',
+      channels: {
+        voice: 'Voice',
+        beppe: 'Beppe',
+        beep: 'Beep',
+        vibrate: 'Vibration'
+      },
+      add: '+ Add cue',
+      submit: 'Save Cues',
+      reset: 'Defaults',
+      saved: '✅ Cues saved!',
+      resetDone: '✅ The default cues will be used'
+    },
+    progression: {
+      title: 'Load Progression',
+      rule: 'Method',
+      double: 'Double progression (reps, then weight)',
+      linear: 'Linear (+ fixed kg)',
+      percentage: 'Percentage (+ %)',
+      sessions: 'Sessions on target before going up',
+      increment: 'Increment (kg)',
+      percent: 'Increment (%)',
+      submit: 'Save Progression',
+      saved: '✅ Progression saved!'
+    },
+    equipment: {
+      title: 'Available Equipment',
+      label: 'Used to suggest alternatives when you swap an exercise',
+      submit: 'Save Equipment',
+      reset: 'I Have Everything',
+      saved: '✅ Equipment saved!',
+      resetDone: '✅ All alternatives will be suggested'
+    },
+    account: {
+      title: 'Account',
+      dashboard: 'Back to Dashboard',
+      logout: 'Log out',
+      confirmLogout: 'Are you sure you want to log out?'
+    }
+  },
+
+  subscription: {
+    unknown: 'Unknown status',
+    expiresIn: {
+      one: '⚠️ Expires in {count} day',
+      other: '⚠️ Expires in {count} days'
+    },
+    activeUntil: '✅ Active until {date}',
+    trial: '🎉 Free trial active',
+    expiredSince: {
+      one: '❌ Expired {count} day ago',
+      other: '❌ Expired {count} days ago'
+    },
+    noAccess: '❌ No active subscription',
+    expiry: 'Expires: {date}',
+    noExpiry: 'No expiry date',
+    loadingDetails: 'Loading details...'
+  },
+
+  equipment: {
+    manubri: 'Dumbbells',
+    kettlebell: 'Kettlebell',
+    bilanciere: 'Barbell',
+    panca: 'Bench',
+    macchine: 'Machines',
+    cavi: 'Cables',
+    elastici: 'Resistance bands',
+    sbarra: 'Pull-up bar'
+  }
+});
@@ -0,0 +1,704 @@
+/**
+ * Viltrum Fitness - Italian catalog (default language)
+ * Every key must exist here: other catalogs fall back to it.
+ * Plurals: { one, other } picked by the `count` parameter.
+ */
+
+I18n.addCatalog('it', {
+  meta: {
+    name: 'Italiano',
+    speechLang: 'it-IT'
+  },
+
+  common: {
+    ok: 'OK',
+    cancel: 'Annulla',
+    close: 'Chiudi',
+    loading: 'Caricamento...'
+  },
+
+  nav: {
+    dashboard: 'Dashboard'
+  },
+
+  // Pending-sync badge (cloud outbox)
+  sync: {
+    pending: {
+      one: '{count} modifica da sincronizzare',
+      other: '{count} modifiche da sincronizzare'
+    },
+    retry: 'Tocca per riprovare ora'
+  },
+
+  // Spoken cues (TTS)
+  voice: {
+    nextExercise: 'prossimo esercizio:',
+    secondsLeft60: 'mancano sessanta secondi',
+    secondsLeft30: 'mancano trenta secondi',
+    countdown5: 'cinque, quattro, tre, due, uno',
+    secondsLeft: {
+      one: 'manca {count} secondo',
+      other: 'mancano {count} secondi'
+    },
+    halfway: 'metà esercizio',
+    emomMinute: 'minuto {round} di {total}',
+    tabataRound: 'round {round} di {total}',
+    amrapStart: {
+      one: '{count} minuto, più round possibili. Via!',
+      other: '{count} minuti, più round possibili. Via!'
+    },
+    amrapRound: 'round {round}',
+    amrapMinutesLeft: {
+      one: 'manca {count} minuto, round {round}',
+      other: 'mancano {count} minuti, round {round}'
+    },
+    ladderRung: {
+      one: 'gradino {round} di {total}, {reps} ripetizione',
+      other: 'gradino {round} di {total}, {reps} ripetizioni'
+    }
+  },
+
+  setup: {
+    selectWorkout: 'Seleziona workout:',
+    createWorkout: '✏️ Crea il tuo workout',
+    instructions: 'ISTRUZIONI',
+    estimate: 'DURATA STIMATA',
+    equipment: 'MATERIALE',
+    preview: 'Anteprima workout',
+    start: 'Start Workout'
+  },
+
+  startPoint: {
+    title: 'Inizia da un blocco specifico',
+    blockLabel: 'Blocco:',
+    roundLabel: 'Round:',
+    exerciseLabel: 'Esercizio:',
+    workoutStart: 'Inizio workout (con riscaldamento)',
+    block: 'Blocco {number}',
+    blockStart: 'Inizio blocco (Round 1)',
+    round: 'Round {number}',
+    roundStart: 'Inizio round',
+    reset: '⟲ Reset a inizio workout'
+  },
+
+  settings: {
+    title: 'Impostazioni',
+    soundMode: 'Modalità audio:',
+    sound: {
+      synth: 'Synth (Device)',
+      voice: 'Voice',
+      bip: 'Beep',
+      none: 'Nessun suono'
+    },
+    warmup: 'Abilita Riscaldamento',
+    volume: 'Volume avvisi:',
+    musicVolume: 'Volume musica:',
+    tempoMetronome: 'Metronomo tempo'
+  },
+
+  music: {
+    title: '🎵 Musica',
+    empty: 'Nessun brano: aggiungi file audio dal telefono.',
+    nothingPlaying: 'Pronta a partire',
+    play: '▶ Play',
+    pause: '⏸ Pausa',
+    next: '⏭ Prossimo',
+    remove: 'Rimuovi brano',
+    add: '+ Aggiungi brani',
+    addFailed: 'Impossibile salvare i brani (spazio esaurito?)'
+  },
+
+  display: {
+    open: '📺 Modalità schermo grande',
+    close: '📺 Esci dalla modalità schermo grande',
+    openRemote: '🎮 Usa come telecomando',
+    pairing: {
+      title: '🎮 Telecomando',
+      hint: 'Sul telefono apri {url} e inserisci il codice',
+      connected: '🟢 Telecomando collegato',
+      waiting: '⚪ In attesa del telecomando…'
+    },
+    relay: {
+      label: 'Relay (altri dispositivi):',
+      save: 'Salva',
+      invalid: 'L\'indirizzo del relay deve iniziare con ws:// o wss://',
+      status: {
+        off: 'Solo schede di questo browser',
+        connecting: 'Connessione al relay…',
+        open: 'Relay collegato',
+        closed: 'Relay non raggiungibile, nuovo tentativo…'
+      }
+    }
+  },
+
+  remote: {
+    title: '🎮 Telecomando',
+    code: 'Codice dello schermo:',
+    codePlaceholder: 'es. K7QM',
+    join: 'Collega',
+    joinHint: 'Il codice è sullo schermo grande (Workout → ⚙️ → Modalità schermo grande).',
+    change: 'Cambia codice',
+    displayConnected: '🟢 Schermo collegato',
+    displayWaiting: '⚪ In attesa dello schermo…',
+    noWorkout: 'Nessun workout in corso sullo schermo',
+    paused: 'In pausa'
+  },
+
+  group: {
+    title: '👥 Lezione di gruppo',
+    host: 'Crea una lezione',
+    join: 'Partecipa',
+    codePlaceholder: 'Codice lezione',
+    coachHint: 'I partecipanti inseriscono questo codice: il loro timer segue il tuo.',
+    participantHint: 'Il workout parte sul tuo telefono quando il coach lo avvia.',
+    following: 'Segui il coach: {workout}',
+    participants: {
+      one: '{count} partecipante',
+      other: '{count} partecipanti'
+    },
+    coachConnected: '🟢 Coach collegato',
+    coachWaiting: '⚪ In attesa del coach…',
+    sync: 'sincronia ±{ms} ms',
+    end: 'Chiudi la lezione',
+    leave: 'Esci dalla lezione',
+    waitForCoach: 'Sei in una lezione di gruppo: il workout parte quando lo avvia il coach.'
+  },
+
+  player: {
+    warmupLabel: 'Riscaldamento',
+    tempo: {
+      info: 'Tempo {tempo}',
+      rep: 'Rip. {rep}',
+      repOf: 'Rip. {rep}/{total}',
+      done: {
+        one: '{count} ripetizione fatta',
+        other: '{count} ripetizioni fatte'
+      },
+      phase: {
+        eccentric: '⬇ Scendi',
+        bottom: '⏸ Fermo',
+        concentric: '⬆ Spingi',
+        top: '⏸ Pausa'
+      }
+    },
+    roundLabel: {
+      set: 'Serie',
+      minute: 'Minuto',
+      rung: 'Gradino',
+      round: 'Round'
+    },
+    progress: {
+      warmup: 'Warm-up',
+      block: 'Block {current}/{total}',
+      amrapRound: 'AMRAP · Round {round}',
+      giantSet: 'Giant set',
+      superset: 'Superset',
+      exercise: 'Exercise {current}/{total}'
+    },
+    controls: {
+      menu: 'Menu controlli',
+      previous: 'Esercizio precedente',
+      add10s: 'Aggiungi 10 secondi',
+      next: 'Esercizio successivo',
+      swap: 'Cambia esercizio',
+      repMinus: 'Una ripetizione in meno',
+      repPlus: 'Una ripetizione in più',
+      repsDone: 'Ripetizioni eseguite'
+    },
+    noWorkoutSelected: 'Nessun workout valido selezionato.',
+    sequenceError: 'Impossibile costruire la sequenza di allenamento.',
+    reps: '{reps} REPS',
+    lastWeight: 'ULTIMO: {weight}',
+    suggestedWeight: 'CONSIGLIATO: {weight}',
+    repTarget: 'TARGET {reps}',
+    nextExerciseTitle: 'PROSSIMO ESERCIZIO:',
+    then: 'Poi: {name}',
+    amrapRoundsDone: 'Round completati: {count}',
+    pause: '⏸ Pausa',
+    resume: '▶️ Riprendi',
+    done: '✓ Fatto',
+    addRound: '+1 Round',
+    exit: 'Termina Allenamento',
+    confirmExit: 'Sei sicuro di voler terminare l\'allenamento?',
+    loadError: 'Impossibile caricare i dati del workout: {message}\n\nControlla la connessione internet e ricarica la pagina.',
+    subscriptionExpired: '⚠️ Il tuo abbonamento è scaduto il {date}.\n\nRinnova per continuare ad allenarti!',
+    sessionName: 'Sesh {number}',
+    myWorkouts: 'I miei workout'
+  },
+
+  editor: {
+    myWorkouts: 'I miei workout',
+    noWorkouts: 'Non hai ancora creato workout. Componi i tuoi blocchi con gli esercizi della libreria.',
+    blocks: {
+      one: '{count} blocco',
+      other: '{count} blocchi'
+    },
+    exercises: {
+      one: '{count} esercizio',
+      other: '{count} esercizi'
+    },
+    edit: 'Modifica',
+    delete: 'Elimina',
+    confirmDelete: 'Eliminare "{name}"?',
+    newWorkoutButton: '+ Nuovo Workout',
+    newTitle: 'Nuovo Workout',
+    editTitle: 'Modifica Workout',
+    name: 'Nome',
+    namePlaceholder: 'Es. Gambe a casa',
+    instructions: 'Istruzioni (facoltative)',
+    restBetweenBlocks: 'Recupero tra blocchi (secondi)',
+    default: 'Predefinito',
+    addBlock: '+ Aggiungi Blocco',
+    save: 'Salva Workout',
+    block: 'Blocco {number}',
+    deleteBlock: 'Elimina blocco',
+    format: 'Formato',
+    duration: {
+      emom: 'Lavoro per minuto (s)',
+      amrap: 'Time cap (s)'
+    },
+    rounds: 'Round',
+    restBetweenRounds: 'Rec. round (s)',
+    restAfterBlock: 'Rec. blocco (s)',
+    dropHere: 'Trascina qui gli esercizi o toccali nella libreria',
+    mode: {
+      time: 'Tempo',
+      reps: 'Reps'
+    },
+    tempo: 'Cadenza 3-1-2-0',
+    seconds: 'Sec',
+    load: 'Carico',
+    library: 'Libreria Esercizi',
+    search: 'Cerca esercizio...',
+    added: '➕ {name} aggiunto al blocco {number}',
+    libraryUnavailable: 'Libreria non disponibile: apri la dashboard online per scaricarla.',
+    saved: '✅ "{name}" salvato! Lo trovi tra i workout da avviare',
+    errors: {
+      name: 'Dai un nome al workout',
+      noBlocks: 'Aggiungi almeno un blocco',
+      emptyBlock: 'Il blocco {number} è vuoto',
+      reps: 'Indica le ripetizioni di {name}',
+      tempo: 'Cadenza di {name} non valida (es. 3-1-2-0)',
+      duration: 'Indica la durata di {name} (più di 5 secondi)'
+    }
+  },
+
+  swap: {
+    title: 'Cambia Esercizio',
+    nothingToSwap: 'Nessun esercizio da sostituire in questo momento',
+    insteadOf: 'Al posto di {name}',
+    noAlternatives: 'Nessuna alternativa indicata dal coach',
+    hiddenAlternatives: {
+      one: '{count} alternativa nascosta (attrezzatura non disponibile)',
+      other: '{count} alternative nascoste (attrezzatura non disponibile)'
+    }
+  },
+
+  resume: {
+    title: 'Riprendi da dove eri rimasto?',
+    continue: '▶️ Riprendi',
+    restart: 'Ricomincia da capo',
+    details: '{workout} · {step} · {percent}% completato · {minutes} min'
+  },
+
+  login: {
+    missingCredentials: 'Inserisci username e password.',
+    error: 'Errore durante il login.'
+  },
+
+  estimate: {
+    note: 'Calorie stimate su {weight} kg',
+    noteDefaultWeight: 'Calorie stimate su {weight} kg: imposta il tuo peso nel profilo',
+    block: 'Blocco {number}',
+    warmup: 'Riscaldamento',
+    betweenBlocks: 'Tra i blocchi'
+  },
+
+  preview: {
+    block: 'BLOCCO {number}',
+    exerciseCount: '{count} es.',
+    rounds: '{count} round',
+    lastWeight: 'Last: {weight}'
+  },
+
+  progression: {
+    reached: {
+      one: '{reps} reps raggiunte per {count} sessione',
+      other: '{reps} reps raggiunte per {count} sessioni'
+    },
+    chaseReps: 'Punta a {reps} reps prima di aumentare',
+    complete: {
+      one: 'Completa {reps} reps per {count} sessione',
+      other: 'Completa {reps} reps per {count} sessioni'
+    }
+  },
+
+  completion: {
+    title: 'OTTIMO LAVORO!',
+    duration: 'Durata',
+    exercises: 'Esercizi',
+    logWeights: 'REGISTRA I PESI USATI',
+    setsDone: 'SERIE ESEGUITE',
+    share: 'CONDIVIDI SU INSTAGRAM STORY',
+    saveAndReturn: 'SALVA E TORNA ALLA DASHBOARD',
+    adherence: {
+      percent: '{percent}% degli esercizi completati',
+      skipped: '{count} saltati',
+      shortened: '{count} accorciati',
+      repeated: '{count} ripetuti',
+      extra: '+{seconds}s extra'
+    },
+    set: {
+      block: 'Blocco {block}',
+      round: 'Round {round}',
+      target: 'Target {reps}',
+      amrapRounds: {
+        one: '{count} round completato',
+        other: '{count} round completati'
+      }
+    },
+    lastWeight: 'Ultimo: {weight}',
+    nextTime: 'Prossima volta: {weight}',
+    weightPlaceholder: 'es. 20kg',
+    weightsCloud: '☁️ I pesi vengono sincronizzati sul <strong>cloud</strong> e saranno visibili su tutti i dispositivi',
+    weightsLocalOnly: '💾 I pesi vengono salvati <strong>solo su questo dispositivo</strong>',
+    shareTitle: 'Viltrum Fitness - Workout Completato!',
+    shareText: 'Ho completato "{workout}" su Viltrum Fitness!\nDurata: {duration}\nEsercizi: {exercises}\n\n#ViltrumFitness #Workout #Fitness',
+    shared: 'Condiviso con successo!',
+    copied: 'Testo copiato! Incollalo nella tua Storia Instagram.',
+    copyFailed: 'Impossibile copiare il testo',
+    shareUnavailable: 'Funzione di condivisione non disponibile'
+  },
+
+  dashboard: {
+    welcome: 'BENVENUTO, {name}!',
+    lastWorkout: 'Ultimo allenamento',
+    totalWorkouts: 'Total workouts',
+    progressLink: 'Progressi ›',
+    progressTitle: '📈 PROGRESSI',
+    close: 'CHIUDI',
+    completed: 'Completato',
+    none: 'Nessuno',
+    comingSoon: '{feature} sarà disponibile presto! 🚀',
+    updating: 'Aggiornamento...',
+    updateError: 'Errore durante aggiornamento',
+    ago: {
+      minutes: '{count}m fa',
+      hours: '{count}h fa',
+      yesterday: 'Ieri',
+      days: '{count}g fa'
+    },
+    cards: {
+      active: 'Attivo',
+      inProgress: 'In corso',
+      inDevelopment: 'In Sviluppo',
+      comingSoon: 'Coming Soon',
+      workoutText: 'Allenamento personalizzato con timer e progressi',
+      resume: '▶️ Riprendi {workout} · {percent}% completato',
+      nutritionText: 'Traccia pasti e monitora calorie',
+      aerobicText: 'Cardio training e resistenza'
+    },
+    offline: {
+      preparing: 'Preparazione modalità offline...',
+      loading: 'Caricamento',
+      image: 'Caricamento immagini',
+      audio: 'Caricamento audio',
+      beppe: 'Caricamento audio Beppe',
+      nutrition: 'Caricamento piano nutrizionale',
+      ready: '✓ Modalità offline pronta!'
+    },
+    subscription: {
+      active: '✓ Abbonamento Attivo',
+      expired: '❌ Abbonamento Scaduto',
+      trial: {
+        one: '⏳ Trial - {count} giorno rimasto',
+        other: '⏳ Trial - {count} giorni rimasti'
+      },
+      loadError: '⚠️ Errore caricamento dati',
+      expiry: 'Scadenza:'
+    },
+    profile: {
+      title: '👤 PROFILO',
+      changeUsername: '👤 Cambia Username',
+      changeEmail: '✉️ Cambia Email',
+      changePassword: '🔒 Cambia Password',
+      logout: '🚪 Logout',
+      back: '← Indietro',
+      confirmLogout: 'Sei sicuro di voler uscire?',
+      logoutError: 'Errore durante logout'
+    },
+    username: {
+      title: '👤 CAMBIA USERNAME',
+      placeholder: 'Nuovo Username',
+      save: 'Salva Username',
+      tooShort: 'Username deve essere di almeno 2 caratteri',
+      updated: '✅ Username aggiornato!',
+      updatedLocally: '✅ Username aggiornato localmente!'
+    },
+    email: {
+      title: '✉️ CAMBIA EMAIL',
+      placeholder: 'Nuova Email',
+      password: 'Password Attuale',
+      save: 'Salva Email',
+      invalid: 'Inserisci un\'email valida',
+      passwordRequired: 'Inserisci la password attuale',
+      checkingPassword: 'Verifico password...',
+      wrongPassword: '❌ Password non corretta',
+      updating: 'Aggiornamento email...',
+      updated: '✅ Email aggiornata! Controlla la tua casella per confermare.'
+    },
+    password: {
+      title: '🔒 CAMBIA PASSWORD',
+      placeholder: 'Nuova Password',
+      confirm: 'Conferma Password',
+      save: 'Salva Password',
+      missingFields: 'Compila tutti i campi',
+      tooShort: 'Password deve essere di almeno 6 caratteri',
+      mismatch: 'Le password non corrispondono',
+      updated: '✅ Password aggiornata!'
+    }
+  },
+
+  progress: {
+    perWeek: 'Allenamenti per settimana',
+    calendar: 'Calendario',
+    calendarLabel: 'Calendario allenamenti',
+    weightLabel: 'Peso nel tempo',
+    strength: 'Sto diventando più forte?',
+    noWeights: 'Registra i pesi a fine allenamento per vedere i tuoi progressi',
+    weekdays: {
+      mon: 'L',
+      wed: 'M',
+      fri: 'V',
+      sun: 'D'
+    },
+    tiles: {
+      thisWeek: 'Questa settimana',
+      weeklyAverage: 'Media/sett. ({weeks} sett.)',
+      totalTime: 'Tempo totale',
+      workouts: 'Allenamenti',
+      weekStreak: 'Streak settimane',
+      dayStreak: 'Giorni di fila',
+      streakValue: '{current} (max {longest})'
+    },
+    trend: {
+      notEnough: 'Registra il peso in più sessioni per vedere il trend',
+      up: '📈 +{diff}kg{percent} in {count} sessioni',
+      down: '📉 {diff}kg in {count} sessioni',
+      stable: '➡️ Stabile a {weight}kg da {count} sessioni'
+    },
+    export: {
+      title: 'Esporta attività',
+      from: 'Dal',
+      to: 'Al',
+      format: 'Formato',
+      all: 'Esporta tutto',
+      allCount: 'Esporta tutto ({count})',
+      empty: 'Nessun allenamento in questo periodo',
+      download: 'Scarica',
+      // Lap / step names inside the TCX and FIT files
+      warmupLap: 'Riscaldamento',
+      stepReps: '{reps} rip.'
+    }
+  },
+
+  nutrition: {
+    yourPlan: 'Il tuo piano alimentare',
+    loading: 'Caricamento piano alimentare...',
+    planOf: 'Piano di {name}',
+    userNotFound: 'Utente non trovato',
+    loadDataError: 'Errore nel caricamento dei dati',
+    loadPlanError: 'Errore nel caricamento del piano',
+    meals: {
+      colazione: 'COLAZIONE',
+      spuntino1: 'SPUNTINO',
+      pranzo: 'PRANZO',
+      cena: 'CENA'
+    },
+    slots: {
+      proteine: 'PROTEINE',
+      carboidrati: 'CARBOIDRATI',
+      grassi: 'GRASSI'
+    },
+    macros: {
+      kcal: 'Calorie',
+      protein: 'Proteine',
+      carbs: 'Carboidrati',
+      fat: 'Grassi'
+    },
+    saveMeal: 'SALVA PASTO',
+    pickOne: '(scegline uno)',
+    freeQuantity: 'Libera',
+    cookedHint: '📊 = ~{grams}g cotto',
+    alternativeBadge: 'ALTERNATIVA',
+    findAlternative: '🔍 Cerca alternativa fuori piano',
+    summaryTitle: 'Riepilogo Pasto',
+    selectedFoods: 'Alimenti selezionati:',
+    noFoodSelected: 'Nessun alimento selezionato',
+    warningTitle: '⚠️ Attenzione',
+    understood: 'Ho capito',
+    selectBeforeSaving: 'Seleziona almeno un alimento prima di salvare',
+    mealSavedTitle: '✅ Pasto Salvato!',
+    mealSaved: 'Le tue selezioni per {meal} sono state salvate nel diario.',
+    cookedTitle: 'Conversione Crudo → Cotto',
+    cookedEquation: '{raw}g crudo = ~{cooked}g cotto',
+    cookedTip: '💡 Se pesi dopo la cottura, usa ~{cooked}g come riferimento',
+    piecesTitle: 'Conversione Pezzi → Grammi',
+    piecesEquation: '{count} pezzi = ~{grams}g',
+    piecesTip: '💡 Se hai una bilancia, pesa {grams}g invece di contare i pezzi',
+    searchPrompt: 'Che alimento stai cercando per {slot}?\n\nEsempi: "skyr", "pane kamut", "burro mandorle"',
+    noMatchTitle: '❌ Nessuna corrispondenza',
+    noMatch: 'Non ho trovato "{name}" nel database delle alternative.',
+    tryWith: '💡 Prova con:',
+    tryGeneric: 'Nomi più generici (es. "yogurt" invece di "yogurt greco fage")',
+    trySimilar: 'Alimenti simili a quelli nel piano',
+    tryAskNutritionist: 'Chiedi al nutrizionista di aggiungere l\'alimento',
+    matchGreat: 'ottimo',
+    matchGood: 'buono',
+    matchFair: 'accettabile',
+    foundTitle: '✅ Trovato: {name}',
+    match: 'Match: {quality} ({percent}%)',
+    suggestedQuantity: 'Quantità suggerita:',
+    macroComparison: 'Confronto Macro:',
+    target: 'Target',
+    withFood: 'Con {name}',
+    adjustmentsLabel: '⚠️ Attenzione:',
+    useAlternative: 'Usa questa alternativa',
+    alternativeAddedTitle: '✅ Alternativa Aggiunta',
+    alternativeAdded: '{food} è stato aggiunto a {slot}',
+    rememberToSave: 'Ricorda di salvare il pasto quando hai finito!',
+    expiredTitle: '⚠️ Piano Scaduto',
+    expiredText: 'Il tuo piano alimentare è scaduto. Puoi visualizzarlo ma non salvare modifiche.',
+    expiredContact: 'Contatta il nutrizionista per rinnovarlo.',
+    noPlanTitle: '📋 Nessun Piano Disponibile',
+    noPlanText: 'Non hai ancora un piano alimentare assegnato.',
+    noPlanContact: 'Contatta il nutrizionista per ricevere il tuo piano personalizzato.',
+    errorTitle: '❌ Errore'
+  },
+
+  profile: {
+    back: '← Dashboard',
+    emailUpdatedConfirm: 'Email aggiornata! Controlla la tua casella per confermare.',
+    errors: {
+      usernameTooShort: 'Username troppo corto (minimo 2 caratteri)',
+      savedLocallySyncFailed: 'Salvato localmente, sync cloud fallito',
+      savedLocally: 'Salvato localmente',
+      updateFailed: 'Errore durante l\'aggiornamento',
+      invalidEmail: 'Email non valida',
+      passwordRequired: 'Password richiesta per conferma',
+      supabaseUnavailable: 'Supabase non disponibile. Contatta l\'amministratore.',
+      wrongPassword: 'Password non corretta',
+      connection: 'Errore di connessione. Riprova.'
+    },
+    language: {
+      title: 'Lingua',
+      label: 'Testi dell\'app e indicazioni vocali',
+      auto: 'Automatica (lingua del dispositivo)',
+      saved: '✅ Lingua salvata!'
+    },
+    username: {
+      title: 'Modifica Username',
+      label: 'Nuovo Username',
+      submit: 'Aggiorna Username',
+      success: '✅ Username aggiornato con successo!'
+    },
+    email: {
+      title: 'Modifica Email',
+      label: 'Nuova Email',
+      password: 'Password Attuale (per conferma)',
+      submit: 'Aggiorna Email',
+      success: 'Email aggiornata!'
+    },
+    bodyWeight: {
+      title: 'Peso Corporeo',
+      label: 'Peso (kg) · usato per stimare le calorie di ogni workout',
+      placeholder: 'Es. 72',
+      submit: 'Salva Peso',
+      saved: '✅ Peso salvato!',
+      removed: '✅ Peso rimosso: le calorie useranno un valore medio'
+    },
+    rest: {
+      title: 'Recupero',
+      betweenBlocks: 'Recupero tra blocchi (secondi)',
+      betweenRounds: 'Recupero tra round (secondi)',
+      placeholder: 'Come da programma',
+      submit: 'Salva Recupero',
+      reset: 'Usa Programma',
+      saved: '✅ Recupero salvato!',
+      resetDone: '✅ Verranno usati i recuperi del programma'
+    },
+    cues: {
+      title: 'Avvisi Audio',
+      label: 'Quando e come avvisarti durante gli esercizi a tempo',
+      secondsLeft: 'Secondi mancanti',
+      halfway: 'A metà esercizio',
+      remove: 'Rimuovi avviso',
+      channels: {
+        voice: 'Voce',
+        beppe: 'Beppe',
+        beep: 'Beep',
+        vibrate: 'Vibrazione'
+      },
+      add: '+ Aggiungi avviso',
+      submit: 'Salva Avvisi',
+      reset: 'Predefiniti',
+      saved: '✅ Avvisi salvati!',
+      resetDone: '✅ Verranno usati gli avvisi predefiniti'
+    },
+    progression: {
+      title: 'Progressione Carichi',
+      rule: 'Metodo',
+      double: 'Doppia progressione (reps, poi peso)',
+      linear: 'Lineare (+ kg fissi)',
+      percentage: 'Percentuale (+ %)',
+      sessions: 'Sessioni a target prima di aumentare',
+      increment: 'Incremento (kg)',
+      percent: 'Incremento (%)',
+      submit: 'Salva Progressione',
+      saved: '✅ Progressione salvata!'
+    },
+    equipment: {
+      title: 'Attrezzatura Disponibile',
+      label: 'Usata per proporti alternative quando cambi un esercizio',
+      submit: 'Salva Attrezzatura',
+      reset: 'Ho Tutto',
+      saved: '✅ Attrezzatura salvata!',
+      resetDone: '✅ Tutte le alternative verranno proposte'
+    },
+    account: {
+      title: 'Azioni Account',
+      dashboard: 'Torna alla Dashboard',
+      logout: 'Esci',
+      confirmLogout: 'Sei sicuro di voler uscire?'
+    }
+  },
+
+  subscription: {
+    unknown: 'Stato sconosciuto',
+    expiresIn: {
+      one: '⚠️ Scade tra {count} giorno',
+      other: '⚠️ Scade tra {count} giorni'
+    },
+    activeUntil: '✅ Attivo fino al {date}',
+    trial: '🎉 Prova gratuita attiva',
+    expiredSince: {
+      one: '❌ Scaduto da {count} giorno',
+      other: '❌ Scaduto da {count} giorni'
+    },
+    noAccess: '❌ Nessun abbonamento attivo',
+    expiry: 'Scadenza: {date}',
+    noExpiry: 'Nessuna data di scadenza',
+    loadingDetails: 'Caricamento informazioni...'
+  },
+
+  equipment: {
+    manubri: 'Manubri',
+    kettlebell: 'Kettlebell',
+    bilanciere: 'Bilanciere',
+    panca: 'Panca',
+    macchine: 'Macchine',
+    cavi: 'Cavi',
+    elastici: 'Elastici',
+    sbarra: 'Sbarra trazioni'
+  }
+});
@@ -0,0 +1,135 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VILTRUM FITNESS - MEDIA SESSION
+// Lock screen / notification / headset controls for the workout player.
+// Browsers only show the controls while the page is playing media, and the
+// cues are short clips with silence in between: a silent loop ("anchor")
+// keeps the session alive for the whole workout.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const ANCHOR_SECONDS = 10;
+const ACTIONS = ['play', 'pause', 'nexttrack', 'previoustrack'];
+
+let anchor = null;
+let anchorUrl = null;
+let active = false;
+
+function isSupported() {
+  return typeof navigator !== 'undefined' && 'mediaSession' in navigator;
+}
+
+// 8-bit mono WAV of silence (value 128), looped by the anchor element
+function createSilentWavUrl(seconds) {
+  const sampleRate = 8000;
+  const samples = sampleRate * seconds;
+  const buffer = new ArrayBuffer(44 + samples);
+  const view = new DataView(buffer);
+  const writeText = (offset, text) => [...text].forEach((char, i) => view.setUint8(offset + i, char.charCodeAt(0)));
+
+  writeText(0, 'RIFF');
+  view.setUint32(4, 36 + samples, true);
+  writeText(8, 'WAVE');
+  writeText(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);          // PCM
+  view.setUint16(22, 1, true);          // mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate, true); // byte rate
+  view.setUint16(32, 1, true);          // block align
+  view.setUint16(34, 8, true);          // bits per sample
+  writeText(36, 'data');
+  view.setUint32(40, samples, true);
+  new Uint8Array(buffer, 44).fill(128);
+
+  return URL.createObjectURL(new Blob([buffer], { type: 'audio/wav' }));
+}
+
+function startAnchor() {
+  if (!anchor) {
+    anchorUrl = createSilentWavUrl(ANCHOR_SECONDS);
+    anchor = new Audio(anchorUrl);
+    anchor.loop = true;
+    anchor.playsInline = true;
+    anchor.setAttribute('playsinline', '');
+  }
+  if (anchor.paused) anchor.play().catch(error => console.warn('⚠️ Media session anchor blocked:', error));
+}
+
+function stopAnchor() {
+  if (!anchor) return;
+  anchor.pause();
+  anchor.removeAttribute('src');
+  anchor.load();
+  URL.revokeObjectURL(anchorUrl);
+  anchor = null;
+  anchorUrl = null;
+}
+
+/**
+ * Start the session: lock screen and headset buttons drive the player
+ * @param {Object} handlers - { play, pause, next, previous }
+ */
+export function startMediaSession({ play, pause, next, previous }) {
+  if (!isSupported()) return;
+
+  startAnchor();
+  if (active) return;
+  active = true;
+
+  const handlers = { play, pause, nexttrack: next, previoustrack: previous };
+  ACTIONS.forEach(action => {
+    try {
+      navigator.mediaSession.setActionHandler(action, () => handlers[action]());
+    } catch (error) {
+      console.warn(`⚠️ Media session action not supported: ${action}`);
+    }
+  });
+  console.log('🎧 Media session started');
+}
+
+/**
+ * Show the current step on the lock screen
+ * @param {Object} info
+ * @param {string} info.title - Exercise name
+ * @param {string} info.subtitle - Block / round
+ * @param {string} info.album - Workout name
+ * @param {string} info.imageUrl - Exercise image (network or blob URL)
+ */
+export function updateMediaSession({ title, subtitle = '', album = '', imageUrl = '' }) {
+  if (!isSupported() || !active || typeof MediaMetadata === 'undefined') return;
+
+  navigator.mediaSession.metadata = new MediaMetadata({
+    title,
+    artist: subtitle,
+    album,
+    artwork: imageUrl ? [{ src: imageUrl }] : []
+  });
+}
+
+/**
+ * Reflect play / pause on the lock screen
+ * @param {boolean} playing - False while the workout is paused
+ */
+export function setMediaSessionPlaying(playing) {
+  if (!isSupported() || !active) return;
+  navigator.mediaSession.playbackState = playing ? 'playing' : 'paused';
+}
+
+/**
+ * End the session (workout finished or left)
+ */
+export function endMediaSession() {
+  if (!isSupported() || !active) return;
+  active = false;
+
+  ACTIONS.forEach(action => {
+    try {
+      navigator.mediaSession.setActionHandler(action, null);
+    } catch (error) {
+      // action was never supported
+    }
+  });
+  navigator.mediaSession.metadata = null;
+  navigator.mediaSession.playbackState = 'none';
+  stopAnchor();
+  console.log('🎧 Media session ended');
+}
@@ -0,0 +1,323 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VILTRUM FITNESS - BACKGROUND MUSIC
+// In-app player for the user's own audio files, kept in the offline database
+// (OfflinePreloader, store "music"). Playback goes through Web Audio:
+//   music element → music gain (user volume) → duck gain → speakers
+// so voice cues can lower the music while they play. Cue audio itself stays
+// outside the graph (cross-origin clips would play silent once routed).
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const MUSIC_CHANGE_EVENT = 'viltrum-music-change';
+
+const DUCK_LEVEL = 0.2;     // Music level while a cue is playing
+const DUCK_ATTACK = 0.08;   // Seconds to fade down
+const DUCK_RELEASE = 0.6;   // Seconds to fade back up
+
+let tracks = [];            // [{ id, name, type, size, addedAt }] - blobs stay in IndexedDB
+let tracksReady = null;
+let currentIndex = -1;
+let player = null;          // HTMLAudioElement playing the current track
+let currentUrl = null;
+let context = null;
+let musicGain = null;
+let duckGain = null;
+let musicVolume = 1;
+let duckCount = 0;
+const duckedElements = new WeakSet();
+
+function getMusicDB() {
+  if (typeof OfflinePreloader === 'undefined' || typeof indexedDB === 'undefined') return null;
+  return OfflinePreloader;
+}
+
+function notifyChange() {
+  window.dispatchEvent(new CustomEvent(MUSIC_CHANGE_EVENT, { detail: getMusicState() }));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LIBRARY
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Load the track list (once)
+ * @returns {Promise<Array<Object>>} Tracks, oldest first
+ */
+export function initializeMusicLibrary() {
+  if (tracksReady) return tracksReady;
+
+  tracksReady = (async () => {
+    const db = getMusicDB();
+    if (!db) return tracks;
+    try {
+      const records = await db.getAllFromDB(db.STORES.MUSIC);
+      tracks = records
+        .sort((a, b) => a.addedAt - b.addedAt)
+        .map(({ blob, ...info }) => info);
+      console.log(`🎵 Music library: ${tracks.length} tracks`);
+    } catch (error) {
+      console.warn('⚠️ Music library unavailable:', error);
+    }
+    return tracks;
+  })();
+  return tracksReady;
+}
+
+/**
+ * Store audio files picked by the user
+ * @param {FileList|Array<File>} files - Files from an <input type="file">
+ * @returns {Promise<number>} Tracks added
+ */
+export async function addMusicFiles(files) {
+  const db = getMusicDB();
+  if (!db) throw new Error('Offline storage not available');
+  await initializeMusicLibrary();
+
+  let added = 0;
+  for (const file of Array.from(files || [])) {
+    if (file.type && !file.type.startsWith('audio/')) continue;
+
+    const info = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      name: file.name.replace(/\.[^.]+$/, ''),
+      type: file.type,
+      size: file.size,
+      addedAt: Date.now()
+    };
+    await db.putInDB(db.STORES.MUSIC, { ...info, blob: file });
+    tracks.push(info);
+    added++;
+  }
+
+  if (added) notifyChange();
+  return added;
+}
+
+/**
+ * Delete a track from the library
+ * @param {string} id - Track id
+ */
+export async function removeMusicTrack(id) {
+  const db = getMusicDB();
+  const index = tracks.findIndex(track => track.id === id);
+  if (!db || index === -1) return;
+
+  await db.deleteFromDB(db.STORES.MUSIC, id);
+  tracks.splice(index, 1);
+
+  if (index === currentIndex) {
+    stopPlayer();
+  } else if (index < currentIndex) {
+    currentIndex--;
+  }
+  notifyChange();
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PLAYBACK
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Built on first play (needs a user gesture to start the AudioContext)
+function ensureGraph() {
+  if (player) return;
+
+  player = new Audio();
+  player.preload = 'auto';
+  player.playsInline = true;
+  player.setAttribute('playsinline', '');
+  player.addEventListener('ended', () => { nextMusicTrack(true); });
+  player.addEventListener('play', notifyChange);
+  player.addEventListener('pause', notifyChange);
+
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) {
+    applyLevel();
+    return;
+  }
+
+  try {
+    // Share the context kept alive by workout.js (Android) when there is one
+    context = window.__audioCtx || new AudioContextClass();
+    const source = context.createMediaElementSource(player);
+    musicGain = context.createGain();
+    duckGain = context.createGain();
+    musicGain.gain.value = musicVolume;
+    duckGain.gain.value = duckCount ? DUCK_LEVEL : 1;
+    source.connect(musicGain).connect(duckGain).connect(context.destination);
+  } catch (error) {
+    // Plain element: volume works, ducking becomes a step instead of a fade
+    console.warn('⚠️ Web Audio unavailable for music:', error);
+    context = musicGain = duckGain = null;
+    applyLevel();
+  }
+}
+
+// Element volume, used only without Web Audio
+function applyLevel() {
+  if (player && !musicGain) player.volume = musicVolume * (duckCount ? DUCK_LEVEL : 1);
+}
+
+async function loadTrack(index) {
+  const db = getMusicDB();
+  const track = tracks[index];
+  if (!db || !track) return false;
+
+  const record = await db.getFromDB(db.STORES.MUSIC, track.id);
+  if (!record?.blob) return false;
+
+  if (currentUrl) URL.revokeObjectURL(currentUrl);
+  currentUrl = URL.createObjectURL(record.blob);
+  currentIndex = index;
+  player.src = currentUrl;
+  return true;
+}
+
+function stopPlayer() {
+  if (player) {
+    player.pause();
+    player.removeAttribute('src');
+    player.load();
+  }
+  if (currentUrl) URL.revokeObjectURL(currentUrl);
+  currentUrl = null;
+  currentIndex = -1;
+}
+
+/**
+ * Start or resume the music (call from a user gesture)
+ * @returns {Promise<boolean>} True when playing
+ */
+export async function playMusic() {
+  await initializeMusicLibrary();
+  if (!tracks.length) return false;
+
+  ensureGraph();
+  if (context?.state === 'suspended') await context.resume().catch(() => {});
+  if (currentIndex === -1 && !(await loadTrack(0))) return false;
+
+  try {
+    await player.play();
+    return true;
+  } catch (error) {
+    console.warn('⚠️ Music playback failed:', error);
+    return false;
+  }
+}
+
+/**
+ * Pause the music
+ */
+export function pauseMusic() {
+  if (player) player.pause();
+}
+
+/**
+ * Play/pause toggle
+ * @returns {Promise<boolean>} True when playing afterwards
+ */
+export async function toggleMusic() {
+  if (isMusicPlaying()) {
+    pauseMusic();
+    return false;
+  }
+  return playMusic();
+}
+
+/**
+ * Skip to the next track (the playlist loops)
+ * @param {boolean} autoplay - Play even if paused (end of a track)
+ */
+export async function nextMusicTrack(autoplay = false) {
+  if (!tracks.length) return;
+  ensureGraph();
+
+  const wasPlaying = autoplay || isMusicPlaying();
+  const loaded = await loadTrack((currentIndex + 1) % tracks.length);
+  if (loaded && wasPlaying) {
+    player.play().catch(error => console.warn('⚠️ Music playback failed:', error));
+  }
+  notifyChange();
+}
+
+/**
+ * @returns {boolean} True while the music is playing
+ */
+export function isMusicPlaying() {
+  return !!player && !player.paused;
+}
+
+/**
+ * Music channel volume (separate from the cues)
+ * @param {number} volume - 0..1
+ */
+export function setMusicVolume(volume) {
+  musicVolume = Math.min(1, Math.max(0, Number(volume) || 0));
+  if (musicGain) {
+    musicGain.gain.setTargetAtTime(musicVolume, context.currentTime, 0.05);
+  } else {
+    applyLevel();
+  }
+}
+
+/**
+ * Current player state, for the settings panel
+ * @returns {{tracks: Array<Object>, currentTrack: Object|null, playing: boolean, volume: number}}
+ */
+export function getMusicState() {
+  return {
+    tracks: [...tracks],
+    currentTrack: tracks[currentIndex] || null,
+    playing: isMusicPlaying(),
+    volume: musicVolume
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DUCKING
+// ═══════════════════════════════════════════════════════════════════════════
+
+function rampDuck(level, seconds) {
+  if (duckGain) {
+    const now = context.currentTime;
+    duckGain.gain.cancelScheduledValues(now);
+    duckGain.gain.setTargetAtTime(level, now, seconds / 3);
+  } else {
+    applyLevel();
+  }
+}
+
+/**
+ * Lower the music until the returned function is called
+ * Overlapping cues keep it down until the last one releases.
+ * @returns {Function} Release (safe to call more than once)
+ */
+export function duckMusic() {
+  duckCount++;
+  if (duckCount === 1) rampDuck(DUCK_LEVEL, DUCK_ATTACK);
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    duckCount = Math.max(0, duckCount - 1);
+    if (duckCount === 0) rampDuck(1, DUCK_RELEASE);
+  };
+}
+
+/**
+ * Duck the music whenever an audio element is playing
+ * @param {HTMLAudioElement} audio - Cue player (registered once)
+ */
+export function duckWhilePlaying(audio) {
+  if (!audio || duckedElements.has(audio)) return;
+  duckedElements.add(audio);
+
+  let release = null;
+  const start = () => { if (!release) release = duckMusic(); };
+  const stop = () => {
+    if (release) release();
+    release = null;
+  };
+
+  audio.addEventListener('playing', start);
+  ['pause', 'ended', 'error', 'emptied'].forEach(type => audio.addEventListener(type, stop));
+}
@@ -39,12 +39,14 @@ async function loadNutritionData() {
     userData = await SessionCache.getCurrentUserInfo();
     
     if (!userData) {
-      showError('Utente non trovato');
+      showError(I18n.t('nutrition.userNotFound'));
       return;
     }
 
     // Update name display
-    document.getElementById('user-name-display').textContent = `Piano di ${userData.fullName}`;
+    const nameDisplay = document.getElementById('user-name-display');
+    nameDisplay.removeAttribute('data-i18n');
+    nameDisplay.textContent = I18n.t('nutrition.planOf', { name: userData.fullName });
 
     // Check expiration
     const isExpired = checkNutritionExpiration(userData.nutritionScadenza);
@@ -58,7 +60,7 @@ async function loadNutritionData() {
 
   } catch (error) {
     console.error('Error loading nutrition data:', error);
-    showError('Errore nel caricamento dei dati');
+    showError(I18n.t('nutrition.loadDataError'));
   }
 }
 
@@ -93,7 +95,7 @@ async function loadNutritionPlan(pdfUrl, isReadOnly) {
 
   } catch (error) {
     console.error('Error loading nutrition plan:', error);
-    showError('Errore nel caricamento del piano');
+    showError(I18n.t('nutrition.loadPlanError'));
   }
 }
 
@@ -190,6 +192,15 @@ function getDefaultPlan() {
 // RENDERING FUNCTIONS
 // ============================================
 
+// Plan keys (colazione, spuntino1, proteine...) → label in the user's language
+function getMealLabel(meal) {
+  return I18n.t(`nutrition.meals.${meal}`);
+}
+
+function getSlotLabel(slotType) {
+  return I18n.t(`nutrition.slots.${slotType}`);
+}
+
 function renderApp(isReadOnly) {
   const container = document.getElementById('app-container');
   
@@ -201,8 +212,7 @@ function renderApp(isReadOnly) {
   meals.forEach(meal => {
     if (nutritionPlan.meals[meal]) {
       const isActive = meal === currentMeal ? 'active' : '';
-      const label = meal === 'spuntino1' ? 'SPUNTINO' : meal.toUpperCase();
-      html += `<button class="meal-nav-btn ${isActive}" onclick="switchMeal('${meal}')">${label}</button>`;
+      html += `<button class="meal-nav-btn ${isActive}" data-meal="${meal}" onclick="switchMeal('${meal}')">${getMealLabel(meal)}</button>`;
     }
   });
   html += '</div>';
@@ -220,10 +230,8 @@ function renderApp(isReadOnly) {
 function renderMealContainer(meal, isReadOnly) {
   const mealData = nutritionPlan.meals[meal];
   const isActive = meal === currentMeal ? 'active' : '';
-  const mealLabel = meal === 'spuntino1' ? 'SPUNTINO' : meal.toUpperCase();
-
   let html = `<div class="meal-container ${isActive}" id="meal-${meal}">`;
-  html += `<h2>${mealLabel}</h2>`;
+  html += `<h2>${getMealLabel(meal)}</h2>`;
 
   // Render each nutrient slot
   ['proteine', 'carboidrati', 'grassi'].forEach(slotType => {
@@ -236,7 +244,7 @@ function renderMealContainer(meal, isReadOnly) {
   html += renderMealSummary(meal);
 
   if (!isReadOnly) {
-    html += `<button class="btn btn-save" onclick="saveMeal('${meal}')">SALVA PASTO</button>`;
+    html += `<button class="btn btn-save" onclick="saveMeal('${meal}')">${I18n.t('nutrition.saveMeal')}</button>`;
   }
 
   html += '</div>';
@@ -245,12 +253,10 @@ function renderMealContainer(meal, isReadOnly) {
 }
 
 function renderNutrientSlot(meal, slotType, slotData, isReadOnly) {
-  const slotLabel = slotType.toUpperCase();
-  
   let html = `<div class="nutrient-slot">`;
   html += `<div class="slot-header">`;
-  html += `<h3>${slotLabel}</h3>`;
-  html += `<span class="slot-subtitle">(scegline uno)</span>`;
+  html += `<h3>${getSlotLabel(slotType)}</h3>`;
+  html += `<span class="slot-subtitle">${I18n.t('nutrition.pickOne')}</span>`;
   html += `</div>`;
 
   html += `<div class="options-grid">`;
@@ -270,7 +276,7 @@ function renderNutrientSlot(meal, slotType, slotData, isReadOnly) {
     if (option.qty) {
       html += `<div class="food-quantity">${option.qty} ${option.unit}</div>`;
     } else {
-      html += `<div class="food-quantity">Libera</div>`;
+      html += `<div class="food-quantity">${I18n.t('nutrition.freeQuantity')}</div>`;
     }
     
     if (option.visualHelp) {
@@ -279,7 +285,7 @@ function renderNutrientSlot(meal, slotType, slotData, isReadOnly) {
     
     // Mostra conversione crudo/cotto direttamente
     if (option.rawWeight && option.cookedEquivalent) {
-      html += `<span class="visual-help">📊 = ~${option.cookedEquivalent}g cotto</span>`;
+      html += `<span class="visual-help">${I18n.t('nutrition.cookedHint', { grams: option.cookedEquivalent })}</span>`;
     }
     
     // Mostra conversione pezzi/grammi direttamente
@@ -289,7 +295,7 @@ function renderNutrientSlot(meal, slotType, slotData, isReadOnly) {
     
     // Badge alternativa
     if (option.isAlternative || !option.inPlan) {
-      html += `<span class="badge-alternative">ALTERNATIVA</span>`;
+      html += `<span class="badge-alternative">${I18n.t('nutrition.alternativeBadge')}</span>`;
     }
     
     // Badge warning
@@ -304,7 +310,7 @@ function renderNutrientSlot(meal, slotType, slotData, isReadOnly) {
   
   // Pulsante cerca alternativa (solo se non read-only)
   if (!isReadOnly) {
-    html += `<button class="btn-find-alternative" onclick="event.stopPropagation(); findAlternative('${meal}', '${slotType}')">🔍 Cerca alternativa fuori piano</button>`;
+    html += `<button class="btn-find-alternative" onclick="event.stopPropagation(); findAlternative('${meal}', '${slotType}')">${I18n.t('nutrition.findAlternative')}</button>`;
   }
   
   html += `</div>`;
@@ -324,16 +330,16 @@ function renderMealSummary(meal) {
   });
 
   let html = `<div class="meal-summary">`;
-  html += `<h3>Riepilogo Pasto</h3>`;
+  html += `<h3>${I18n.t('nutrition.summaryTitle')}</h3>`;
   
   if (foods.length > 0) {
-    html += `<div class="summary-foods"><h4>Alimenti selezionati:</h4><ul>`;
+    html += `<div class="summary-foods"><h4>${I18n.t('nutrition.selectedFoods')}</h4><ul>`;
     foods.forEach(food => {
       html += `<li>${food}</li>`;
     });
     html += `</ul></div>`;
   } else {
-    html += `<p style="text-align: center; color: #B0B0B0;">Nessun alimento selezionato</p>`;
+    html += `<p style="text-align: center; color: #B0B0B0;">${I18n.t('nutrition.noFoodSelected')}</p>`;
   }
   
   html += `</div>`;
@@ -392,9 +398,9 @@ function selectFood(meal, slotType, foodId) {
     warningHtml += '</div>';
     
     showModal(`
-      <h3>⚠️ Attenzione</h3>
+      <h3>${I18n.t('nutrition.warningTitle')}</h3>
       ${warningHtml}
-      <button class="btn btn-close-modal" onclick="closeModal()">Ho capito</button>
+      <button class="btn btn-close-modal" onclick="closeModal()">${I18n.t('nutrition.understood')}</button>
     `);
   }
   
@@ -410,7 +416,7 @@ function switchMealWithoutEvent(meal) {
   currentMeal = meal;
   document.querySelectorAll('.meal-nav-btn').forEach(btn => btn.classList.remove('active'));
   document.querySelectorAll('.meal-nav-btn').forEach(btn => {
-    if (btn.textContent.toLowerCase().includes(meal === 'spuntino1' ? 'spuntino' : meal)) {
+    if (btn.dataset.meal === meal) {
       btn.classList.add('active');
     }
   });
@@ -423,9 +429,9 @@ function saveMeal(meal) {
   
   if (Object.keys(mealData).length === 0) {
     showModal(`
-      <h3>⚠️ Attenzione</h3>
-      <p>Seleziona almeno un alimento prima di salvare</p>
-      <button class="btn btn-close-modal" onclick="closeModal()">OK</button>
+      <h3>${I18n.t('nutrition.warningTitle')}</h3>
+      <p>${I18n.t('nutrition.selectBeforeSaving')}</p>
+      <button class="btn btn-close-modal" onclick="closeModal()">${I18n.t('common.ok')}</button>
     `);
     return;
   }
@@ -437,9 +443,9 @@ function saveMeal(meal) {
   addToDiary(meal, mealData);
   
   showModal(`
-    <h3>✅ Pasto Salvato!</h3>
-    <p>Le tue selezioni per <strong>${meal.toUpperCase()}</strong> sono state salvate nel diario.</p>
-    <button class="btn btn-close-modal" onclick="closeModal()">OK</button>
+    <h3>${I18n.t('nutrition.mealSavedTitle')}</h3>
+    <p>${I18n.t('nutrition.mealSaved', { meal: `<strong>${getMealLabel(meal)}</strong>` })}</p>
+    <button class="btn btn-close-modal" onclick="closeModal()">${I18n.t('common.ok')}</button>
   `);
 }
 
@@ -468,25 +474,25 @@ function addToDiary(meal, mealData) {
 
 function showCookedEquivalent(name, rawGrams, cookedGrams) {
   showModal(`
-    <h3>Conversione Crudo → Cotto</h3>
+    <h3>${I18n.t('nutrition.cookedTitle')}</h3>
     <p><strong>${name}</strong></p>
     <p style="font-size: 20px; margin: 20px 0; color: #FFD700;">
-      ${rawGrams}g crudo = ~${cookedGrams}g cotto
+      ${I18n.t('nutrition.cookedEquation', { raw: rawGrams, cooked: cookedGrams })}
     </p>
-    <p style="color: #B0B0B0;">💡 Se pesi dopo la cottura, usa ~${cookedGrams}g come riferimento</p>
-    <button class="btn btn-close-modal" onclick="closeModal()">OK</button>
+    <p style="color: #B0B0B0;">${I18n.t('nutrition.cookedTip', { cooked: cookedGrams })}</p>
+    <button class="btn btn-close-modal" onclick="closeModal()">${I18n.t('common.ok')}</button>
   `);
 }
 
 function showPiecesConversion(name, pieces, grams) {
   showModal(`
-    <h3>Conversione Pezzi → Grammi</h3>
+    <h3>${I18n.t('nutrition.piecesTitle')}</h3>
     <p><strong>${name}</strong></p>
     <p style="font-size: 20px; margin: 20px 0; color: #FFD700;">
-      ${pieces} pezzi = ~${grams}g
+      ${I18n.t('nutrition.piecesEquation', { count: pieces, grams })}
     </p>
-    <p style="color: #B0B0B0;">💡 Se hai una bilancia, pesa ${grams}g invece di contare i pezzi</p>
-    <button class="btn btn-close-modal" onclick="closeModal()">OK</button>
+    <p style="color: #B0B0B0;">${I18n.t('nutrition.piecesTip', { grams })}</p>
+    <button class="btn btn-close-modal" onclick="closeModal()">${I18n.t('common.ok')}</button>
   `);
 }
 
@@ -497,7 +503,7 @@ function findAlternative(meal, slotType) {
     'grassi': meal === 'colazione' ? 'grassi_colazione' : 'grassi_colazione'
   };
 
-  const searchName = prompt(`Che alimento stai cercando per ${slotType.toUpperCase()}?\n\nEsempi: "skyr", "pane kamut", "burro mandorle"`);
+  const searchName = prompt(I18n.t('nutrition.searchPrompt', { slot: getSlotLabel(slotType) }));
   
   if (!searchName || searchName.trim() === '') return;
 
@@ -506,62 +512,62 @@ function findAlternative(meal, slotType) {
 
   if (!equivalent) {
     showModal(`
-      <h3>❌ Nessuna corrispondenza</h3>
-      <p>Non ho trovato "<strong>${searchName}</strong>" nel database delle alternative.</p>
-      <p style="color: #B0B0B0; margin-top: 20px;">💡 Prova con:</p>
+      <h3>${I18n.t('nutrition.noMatchTitle')}</h3>
+      <p>${I18n.t('nutrition.noMatch', { name: `<strong>${searchName}</strong>` })}</p>
+      <p style="color: #B0B0B0; margin-top: 20px;">${I18n.t('nutrition.tryWith')}</p>
       <ul style="color: #B0B0B0; text-align: left; margin: 15px 0; padding-left: 20px;">
-        <li>Nomi più generici (es. "yogurt" invece di "yogurt greco fage")</li>
-        <li>Alimenti simili a quelli nel piano</li>
-        <li>Chiedi al nutrizionista di aggiungere l'alimento</li>
+        <li>${I18n.t('nutrition.tryGeneric')}</li>
+        <li>${I18n.t('nutrition.trySimilar')}</li>
+        <li>${I18n.t('nutrition.tryAskNutritionist')}</li>
       </ul>
-      <button class="btn btn-close-modal" onclick="closeModal()">OK</button>
+      <button class="btn btn-close-modal" onclick="closeModal()">${I18n.t('common.ok')}</button>
     `);
     return;
   }
 
   const accuracy = equivalent.accuracy;
-  const matchClass = accuracy >= 85 ? 'ottimo' : accuracy >= 70 ? 'buono' : 'accettabile';
+  const matchClass = I18n.t(accuracy >= 85 ? 'nutrition.matchGreat' : accuracy >= 70 ? 'nutrition.matchGood' : 'nutrition.matchFair');
   const matchColor = accuracy >= 85 ? '#4CAF50' : accuracy >= 70 ? '#FFD700' : '#FF9800';
 
   showModal(`
-    <h3>✅ Trovato: ${equivalent.name}</h3>
+    <h3>${I18n.t('nutrition.foundTitle', { name: equivalent.name })}</h3>
     
     <div style="background: rgba(255,255,255,0.05); border-radius: 10px; padding: 15px; margin: 20px 0;">
       <div style="text-align: center; margin-bottom: 15px;">
         <span style="color: ${matchColor}; font-size: 18px; font-weight: bold;">
-          Match: ${matchClass.toUpperCase()} (${accuracy}%)
+          ${I18n.t('nutrition.match', { quality: matchClass.toUpperCase(), percent: accuracy })}
         </span>
       </div>
       
-      <h4 style="color: #FFD700; font-size: 18px; margin: 15px 0;">Quantità suggerita:</h4>
+      <h4 style="color: #FFD700; font-size: 18px; margin: 15px 0;">${I18n.t('nutrition.suggestedQuantity')}</h4>
       <p style="font-size: 24px; color: #FFF; text-align: center; margin: 10px 0;">
         ${equivalent.suggestedQty}g
       </p>
       
-      <h4 style="color: #B0B0B0; font-size: 16px; margin: 20px 0 10px 0;">Confronto Macro:</h4>
+      <h4 style="color: #B0B0B0; font-size: 16px; margin: 20px 0 10px 0;">${I18n.t('nutrition.macroComparison')}</h4>
       <table style="width: 100%; color: #FFF; font-size: 14px; border-collapse: collapse;">
         <tr style="border-bottom: 1px solid rgba(255,255,255,0.1);">
           <th style="text-align: left; padding: 8px;"></th>
-          <th style="text-align: center; padding: 8px;">Target</th>
-          <th style="text-align: center; padding: 8px;">Con ${equivalent.name}</th>
+          <th style="text-align: center; padding: 8px;">${I18n.t('nutrition.target')}</th>
+          <th style="text-align: center; padding: 8px;">${I18n.t('nutrition.withFood', { name: equivalent.name })}</th>
         </tr>
         <tr style="border-bottom: 1px solid rgba(255,255,255,0.1);">
-          <td style="padding: 8px;">Calorie</td>
+          <td style="padding: 8px;">${I18n.t('nutrition.macros.kcal')}</td>
           <td style="text-align: center; padding: 8px;">${equivalent.targetMacros.kcal}</td>
           <td style="text-align: center; padding: 8px; color: #FFD700;">${equivalent.macros.kcal}</td>
         </tr>
         <tr style="border-bottom: 1px solid rgba(255,255,255,0.1);">
-          <td style="padding: 8px;">Proteine</td>
+          <td style="padding: 8px;">${I18n.t('nutrition.macros.protein')}</td>
           <td style="text-align: center; padding: 8px;">${equivalent.targetMacros.protein}g</td>
           <td style="text-align: center; padding: 8px; color: #FFD700;">${equivalent.macros.protein}g</td>
         </tr>
         <tr style="border-bottom: 1px solid rgba(255,255,255,0.1);">
-          <td style="padding: 8px;">Carboidrati</td>
+          <td style="padding: 8px;">${I18n.t('nutrition.macros.carbs')}</td>
           <td style="text-align: center; padding: 8px;">${equivalent.targetMacros.carbs}g</td>
           <td style="text-align: center; padding: 8px; color: #FFD700;">${equivalent.macros.carbs}g</td>
         </tr>
         <tr>
-          <td style="padding: 8px;">Grassi</td>
+          <td style="padding: 8px;">${I18n.t('nutrition.macros.fat')}</td>
           <td style="text-align: center; padding: 8px;">${equivalent.targetMacros.fat}g</td>
           <td style="text-align: center; padding: 8px; color: #FFD700;">${equivalent.macros.fat}g</td>
         </tr>
@@ -569,7 +575,7 @@ function findAlternative(meal, slotType) {
       
       ${equivalent.adjustments ? `
         <div style="background: rgba(255, 150, 0, 0.2); border: 1px solid rgba(255, 150, 0, 0.5); border-radius: 8px; padding: 12px; margin-top: 15px;">
-          <p style="color: #FFA500; margin: 0;"><strong>⚠️ Attenzione:</strong> ${equivalent.adjustments}</p>
+          <p style="color: #FFA500; margin: 0;"><strong>${I18n.t('nutrition.adjustmentsLabel')}</strong> ${equivalent.adjustments}</p>
         </div>
       ` : ''}
       
@@ -581,10 +587,10 @@ function findAlternative(meal, slotType) {
     </div>
     
     <button class="btn" onclick="useAlternative('${meal}', '${slotType}', ${JSON.stringify(equivalent).replace(/"/g, '&quot;')})" style="width: 100%; margin-top: 20px;">
-      Usa questa alternativa
+      ${I18n.t('nutrition.useAlternative')}
     </button>
     <button class="btn btn-close-modal" onclick="closeModal()" style="width: 100%; margin-top: 10px;">
-      Annulla
+      ${I18n.t('common.cancel')}
     </button>
   `);
 }
@@ -611,10 +617,10 @@ function useAlternative(meal, slotType, equivalent) {
   // Mostra conferma
   setTimeout(() => {
     showModal(`
-      <h3>✅ Alternativa Aggiunta</h3>
-      <p><strong>${equivalent.name}</strong> (${equivalent.suggestedQty}g) è stato aggiunto a ${slotType.toUpperCase()}</p>
-      <p style="color: #B0B0B0; margin-top: 15px;">Ricorda di salvare il pasto quando hai finito!</p>
-      <button class="btn btn-close-modal" onclick="closeModal()">OK</button>
+      <h3>${I18n.t('nutrition.alternativeAddedTitle')}</h3>
+      <p>${I18n.t('nutrition.alternativeAdded', { food: `<strong>${equivalent.name}</strong> (${equivalent.suggestedQty}g)`, slot: getSlotLabel(slotType) })}</p>
+      <p style="color: #B0B0B0; margin-top: 15px;">${I18n.t('nutrition.rememberToSave')}</p>
+      <button class="btn btn-close-modal" onclick="closeModal()">${I18n.t('common.ok')}</button>
     `);
   }, 300);
 }
@@ -627,9 +633,9 @@ function showExpiredBanner() {
   const container = document.getElementById('app-container');
   const banner = `
     <div class="expired-banner">
-      <h2>⚠️ Piano Scaduto</h2>
-      <p>Il tuo piano alimentare è scaduto. Puoi visualizzarlo ma non salvare modifiche.<br>
-      Contatta il nutrizionista per rinnovarlo.</p>
+      <h2>${I18n.t('nutrition.expiredTitle')}</h2>
+      <p>${I18n.t('nutrition.expiredText')}<br>
+      ${I18n.t('nutrition.expiredContact')}</p>
     </div>
   `;
   container.insertAdjacentHTML('afterbegin', banner);
@@ -638,9 +644,9 @@ function showExpiredBanner() {
 function showNoPlan() {
   document.getElementById('app-container').innerHTML = `
     <div class="no-plan">
-      <h2>📋 Nessun Piano Disponibile</h2>
-      <p>Non hai ancora un piano alimentare assegnato.</p>
-      <p>Contatta il nutrizionista per ricevere il tuo piano personalizzato.</p>
+      <h2>${I18n.t('nutrition.noPlanTitle')}</h2>
+      <p>${I18n.t('nutrition.noPlanText')}</p>
+      <p>${I18n.t('nutrition.noPlanContact')}</p>
     </div>
   `;
 }
@@ -648,7 +654,7 @@ function showNoPlan() {
 function showError(message) {
   document.getElementById('app-container').innerHTML = `
     <div class="no-plan">
-      <h2>❌ Errore</h2>
+      <h2>${I18n.t('nutrition.errorTitle')}</h2>
       <p>${message}</p>
     </div>
   `;
@@ -10,7 +10,7 @@
 
 const OfflinePreloader = {
   DB_NAME: 'ViltrumOfflineDB',
-  DB_VERSION: 1,
+  DB_VERSION: 5, // v2: workout history store, v3: cloud outbox, v4: music library, v5: TTS cache
   db: null,
   isPreloading: false, // Flag to prevent duplicate preloads
 
@@ -20,9 +20,21 @@ const OfflinePreloader = {
     WORKOUT_DATA: 'workoutData',
     IMAGES: 'images',
     AUDIO: 'audio',
-    NUTRITION: 'nutrition'
+    NUTRITION: 'nutrition',
+    HISTORY: 'history',
+    OUTBOX: 'outbox',
+    MUSIC: 'music',
+    TTS: 'tts'
   },
 
+  // Stores holding user data (not re-downloadable): never wiped by clearCache()
+  USER_DATA_STORES: ['history', 'outbox', 'music'],
+
+  // Folder of this script: the app's ES modules are loaded from here (pages only)
+  MODULE_BASE: typeof document !== 'undefined' && document.currentScript
+    ? new URL('.', document.currentScript.src).href
+    : null,
+
   /**
    * Initialize IndexedDB for persistent offline storage
    */
@@ -55,6 +67,31 @@ const OfflinePreloader = {
         if (!db.objectStoreNames.contains(this.STORES.NUTRITION)) {
           db.createObjectStore(this.STORES.NUTRITION, { keyPath: 'email' });
         }
+        if (!db.objectStoreNames.contains(this.STORES.HISTORY)) {
+          const historyStore = db.createObjectStore(this.STORES.HISTORY, { keyPath: 'id' });
+          historyStore.createIndex('completedAt', 'completedAt');
+        }
+        if (!db.objectStoreNames.contains(this.STORES.OUTBOX)) {
+          db.createObjectStore(this.STORES.OUTBOX, { keyPath: 'id', autoIncrement: true });
+        }
+        if (!db.objectStoreNames.contains(this.STORES.MUSIC)) {
+          db.createObjectStore(this.STORES.MUSIC, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(this.STORES.TTS)) {
+          const ttsStore = db.createObjectStore(this.STORES.TTS, { keyPath: 'key' });
+          ttsStore.createIndex('lastUsed', 'lastUsed');
+        }
+
+        // v5: TTS clips moved from the audio store to the TTS cache (TTSCache)
+        if (event.oldVersion > 0 && event.oldVersion < 5) {
+          const audioStore = event.target.transaction.objectStore(this.STORES.AUDIO);
+          audioStore.openCursor(IDBKeyRange.bound('tts_', 'tts_\uffff')).onsuccess = (cursorEvent) => {
+            const cursor = cursorEvent.target.result;
+            if (!cursor) return;
+            cursor.delete();
+            cursor.continue();
+          };
+        }
 
         console.log('📦 IndexedDB initialized for offline storage');
       };
@@ -109,6 +146,118 @@ const OfflinePreloader = {
     });
   },
 
+  /**
+   * Delete a record from IndexedDB
+   */
+  async deleteFromDB(storeName, key) {
+    if (!this.db) await this.initDB();
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([storeName], 'readwrite');
+      const store = transaction.objectStore(storeName);
+      const request = store.delete(key);
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  /**
+   * Put many records in a single transaction (resolves when committed)
+   */
+  async putManyInDB(storeName, records) {
+    if (!this.db) await this.initDB();
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([storeName], 'readwrite');
+      const store = transaction.objectStore(storeName);
+      records.forEach(record => store.put(record));
+
+      transaction.oncomplete = () => resolve(records.length);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  },
+
+  /**
+   * Remove every record from a store
+   */
+  async clearStore(storeName) {
+    if (!this.db) await this.initDB();
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([storeName], 'readwrite');
+      const request = transaction.objectStore(storeName).clear();
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  /**
+   * Walk an index with a cursor
+   * @param {string} storeName - Store name
+   * @param {string} indexName - Index name
+   * @param {Object} options - { range: IDBKeyRange, direction: 'next'|'prev', limit }
+   * @returns {Promise<Array>} Matching records, in index order
+   */
+  async queryIndex(storeName, indexName, { range = null, direction = 'next', limit = Infinity } = {}) {
+    if (!this.db) await this.initDB();
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([storeName], 'readonly');
+      const index = transaction.objectStore(storeName).index(indexName);
+      const request = index.openCursor(range, direction);
+      const results = [];
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || results.length >= limit) {
+          resolve(results);
+          return;
+        }
+        results.push(cursor.value);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  /**
+   * Walk a store in index order, one record at a time (nothing is kept in memory)
+   * @param {Function} visit - (record, cursor) → false to stop; cursor.delete() needs mode 'readwrite'
+   * @returns {Promise<void>} Resolved when the transaction completes
+   */
+  async walkIndex(storeName, indexName, visit, { mode = 'readonly', direction = 'next' } = {}) {
+    if (!this.db) await this.initDB();
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([storeName], mode);
+      const request = transaction.objectStore(storeName).index(indexName).openCursor(null, direction);
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || visit(cursor.value, cursor) === false) return;
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  },
+
+  /**
+   * Count the records of a store
+   */
+  async countInDB(storeName) {
+    if (!this.db) await this.initDB();
+    
+    return new Promise((resolve, reject) => {
+      const request = this.db.transaction([storeName], 'readonly').objectStore(storeName).count();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  },
+
   /**
    * Check if we need to update cached data
    */
@@ -185,11 +334,19 @@ const OfflinePreloader = {
     console.log(`✅ All ${loaded} images preloaded`);
   },
 
+  /**
+   * Load one of the app's ES modules (classic script: no static import)
+   * @param {string} name - File name in js/ ("audio-cues.js")
+   * @returns {Promise<Object>} Module namespace
+   */
+  loadModule(name) {
+    return import(new URL(name, this.MODULE_BASE).href);
+  },
+
   /**
    * Preload TTS audio for all workout instructions
    */
   async preloadTTSAudio(workoutData, onProgress) {
-    const GOOGLE_TTS_URL = "https://google-tts-server.onrender.com/speak";
     const audioTexts = new Map(); // Use Map to deduplicate and normalize
     
     // Helper to normalize text for deduplication
@@ -200,10 +357,19 @@ const OfflinePreloader = {
         .replace(/[^\S ]/g, '') // Remove non-space whitespace (tabs, newlines, etc.)
     };
 
+    // Scheduled cues are spoken from the catalog of the current language (as in workout.js)
+    const [{ resolveCueSchedule, getStepCues, getCuePhrase }, { getAudioCueSchedule }] = await Promise.all([
+      this.loadModule('audio-cues.js'),
+      this.loadModule('profile-manager.js')
+    ]);
+    const speechLang = I18n.getSpeechLang();
+    const cuePhrases = new Set([I18n.t('voice.nextExercise')]);
+
     // Collect all unique text that needs TTS
     let duplicatesSkipped = 0;
     Object.values(workoutData).forEach(workout => {
       if (!workout.exercises) return;
+      const schedule = resolveCueSchedule(workout, getAudioCueSchedule());
       
       workout.exercises.forEach(exercise => {
         // Exercise name
@@ -230,18 +396,14 @@ const OfflinePreloader = {
           }
         }
 
-        // Common workout cues
-        const duration = exercise.duration || exercise.durata || 0;
-        if (duration >= 60) audioTexts.set("Mancano 60 secondi", "Mancano 60 secondi");
-        if (duration >= 30) audioTexts.set("Mancano 30 secondi", "Mancano 30 secondi");
-        if (duration >= 10) audioTexts.set("Mancano 10 secondi", "Mancano 10 secondi");
-        if (duration >= 5) {
-          audioTexts.set("5", "5");
-          audioTexts.set("4", "4");
-          audioTexts.set("3", "3");
-          audioTexts.set("2", "2");
-          audioTexts.set("1", "1");
-        }
+        // Scheduled cues of timed exercises
+        const duration = parseInt(exercise.duration || exercise.durata) || 0;
+        getStepCues(schedule, duration, exercise.blockType || 'standard').forEach(cues => {
+          cues.filter(cue => cue.voice).forEach(cue => {
+            const phrase = getCuePhrase(cue);
+            cuePhrases.add(phrase.text || I18n.t(phrase.key, phrase.params));
+          });
+        });
       });
     });
 
@@ -249,64 +411,28 @@ const OfflinePreloader = {
     if (duplicatesSkipped > 0) {
       console.log(`⏭️ Skipped ${duplicatesSkipped} duplicate audio texts`);
     }
-    console.log(`🔊 Preloading ${textsArray.length} unique TTS audio files...`);
-    
-    let loaded = 0;
-    const batchSize = 10; // Increased from 5 for faster loading
-
-    for (let i = 0; i < textsArray.length; i += batchSize) {
-      const batch = textsArray.slice(i, i + batchSize);
-      
-      await Promise.all(batch.map(async (text) => {
-        try {
-          const lang = this.detectLang(text);
-          const cacheKey = `tts_${lang}_${text}`;
-          
-          // Check if already cached
-          const cached = await this.getFromDB(this.STORES.AUDIO, cacheKey);
-          if (cached && cached.blob) {
-            loaded++;
-            if (onProgress) onProgress({ type: 'audio', loaded, total: textsArray.length });
-            return;
-          }
 
-          // Fetch TTS audio
-          const response = await fetch(GOOGLE_TTS_URL, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ text, lang })
-          });
-
-          if (!response.ok) throw new Error(`TTS failed: ${response.status}`);
-
-          const blob = await response.blob();
-          
-          await this.putInDB(this.STORES.AUDIO, {
-            key: cacheKey,
-            text: text,
-            lang: lang,
-            blob: blob,
-            timestamp: Date.now()
-          });
-
-          loaded++;
-          if (onProgress) onProgress({ type: 'audio', loaded, total: textsArray.length });
-          console.log(`✅ Audio ${loaded}/${textsArray.length}: "${text.substring(0, 30)}..."`);
+    // Clips live in the TTS cache (tts-cache.js), the same one the workout player reads
+    if (typeof TTSCache === 'undefined') {
+      console.warn('⚠️ TTSCache not loaded, skipping TTS preload');
+      return;
+    }
 
-        } catch (error) {
-          console.warn(`⚠️ Failed to cache TTS for "${text}":`, error);
-          loaded++;
-          if (onProgress) onProgress({ type: 'audio', loaded, total: textsArray.length });
-        }
-      }));
+    const items = textsArray.map(text => ({ text, lang: this.detectLang(text) }))
+      .concat(Array.from(cuePhrases, text => ({ text, lang: speechLang })));
+    console.log(`🔊 Preloading ${items.length} unique TTS audio files...`);
 
-      // Small delay between batches to avoid rate limiting
-      if (i + batchSize < textsArray.length) {
-        await new Promise(resolve => setTimeout(resolve, 200)); // Reduced from 500ms
-      }
+    // Same providers (priority, voices, health) as the workout player
+    const { warmUpWithProviders } = await this.loadModule('tts-providers.js');
+    const result = await warmUpWithProviders(items, 'preload', ({ done, total }) => {
+      if (onProgress) onProgress({ type: 'audio', loaded: done, total });
+    });
+    if (!result) {
+      console.warn('⚠️ No TTS provider available, skipping TTS preload');
+      return;
     }
 
-    console.log(`✅ All ${loaded} TTS audio files preloaded`);
+    console.log(`✅ TTS audio preloaded (${result.provider}): ${result.cached} cached, ${result.fetched} downloaded, ${result.failed} failed`);
   },
 
   /**
@@ -591,7 +717,7 @@ const OfflinePreloader = {
     try {
       if (!this.db) await this.initDB();
       
-      const stores = Object.values(this.STORES);
+      const stores = Object.values(this.STORES).filter(name => !this.USER_DATA_STORES.includes(name));
       for (const storeName of stores) {
         const transaction = this.db.transaction([storeName], 'readwrite');
         const store = transaction.objectStore(storeName);
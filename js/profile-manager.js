@@ -4,6 +4,7 @@
 // ═══════════════════════════════════════════════════════════════════════════
 
 import { SUPABASE_URL, SUPABASE_ANON_KEY } from './config.js';
+import { normalizeCueSchedule } from './audio-cues.js';
 
 // Initialize Supabase client
 let supabase = null;
@@ -106,7 +107,7 @@ export async function updateUsername(newUsername) {
     console.log('[Profile Manager] Updating username to:', newUsername);
     
     if (!newUsername || newUsername.trim().length < 2) {
-      return { success: false, error: 'Username troppo corto (minimo 2 caratteri)' };
+      return { success: false, error: I18n.t('profile.errors.usernameTooShort') };
     }
     
     // Always update localStorage first
@@ -127,7 +128,7 @@ export async function updateUsername(newUsername) {
       if (error) {
         console.error('[Profile Manager] Supabase error updating username:', error);
         // Still return success since localStorage was updated
-        return { success: true, warning: 'Salvato localmente, sync cloud fallito' };
+        return { success: true, warning: I18n.t('profile.errors.savedLocallySyncFailed') };
       }
       
       console.log('[Profile Manager] Username updated in Supabase successfully');
@@ -135,11 +136,11 @@ export async function updateUsername(newUsername) {
     } catch (supabaseError) {
       console.error('[Profile Manager] Supabase update failed:', supabaseError);
       // Still return success since localStorage was updated
-      return { success: true, warning: 'Salvato localmente' };
+      return { success: true, warning: I18n.t('profile.errors.savedLocally') };
     }
   } catch (error) {
     console.error('[Profile Manager] Error updating username:', error);
-    return { success: false, error: 'Errore durante l\'aggiornamento' };
+    return { success: false, error: I18n.t('profile.errors.updateFailed') };
   }
 }
 
@@ -154,16 +155,16 @@ export async function updateEmail(newEmail, password) {
     console.log('[Profile Manager] Updating email to:', newEmail);
     
     if (!newEmail || !newEmail.includes('@')) {
-      return { success: false, error: 'Email non valida' };
+      return { success: false, error: I18n.t('profile.errors.invalidEmail') };
     }
     
     if (!password || password.length < 6) {
-      return { success: false, error: 'Password richiesta per conferma' };
+      return { success: false, error: I18n.t('profile.errors.passwordRequired') };
     }
     
     if (!supabase) {
       console.warn('[Profile Manager] Supabase not available');
-      return { success: false, error: 'Supabase non disponibile. Contatta l\'amministratore.' };
+      return { success: false, error: I18n.t('profile.errors.supabaseUnavailable') };
     }
     
     // Verify current password first
@@ -178,7 +179,7 @@ export async function updateEmail(newEmail, password) {
       
       if (verifyError) {
         console.error('[Profile Manager] Password verification failed:', verifyError);
-        return { success: false, error: 'Password non corretta' };
+        return { success: false, error: I18n.t('profile.errors.wrongPassword') };
       }
       
       console.log('[Profile Manager] Password verified, updating email...');
@@ -200,15 +201,15 @@ export async function updateEmail(newEmail, password) {
       return { 
         success: true, 
         data,
-        message: 'Email aggiornata! Controlla la tua casella per confermare.'
+        message: I18n.t('profile.emailUpdatedConfirm')
       };
     } catch (supabaseError) {
       console.error('[Profile Manager] Supabase operation failed:', supabaseError);
-      return { success: false, error: 'Errore di connessione. Riprova.' };
+      return { success: false, error: I18n.t('profile.errors.connection') };
     }
   } catch (error) {
     console.error('[Profile Manager] Error updating email:', error);
-    return { success: false, error: 'Errore durante l\'aggiornamento' };
+    return { success: false, error: I18n.t('profile.errors.updateFailed') };
   }
 }
 
@@ -222,7 +223,7 @@ export function formatExpiryDate(expiryDate) {
   
   const date = new Date(expiryDate);
   const options = { year: 'numeric', month: 'long', day: 'numeric' };
-  return date.toLocaleDateString('it-IT', options);
+  return I18n.formatDate(date, options);
 }
 
 /**
@@ -231,26 +232,26 @@ export function formatExpiryDate(expiryDate) {
  * @returns {string} Message about subscription status
  */
 export function getSubscriptionMessage(subscription) {
-  if (!subscription) return 'Stato sconosciuto';
+  if (!subscription) return I18n.t('subscription.unknown');
   
   switch (subscription.status) {
     case 'active':
       if (subscription.daysRemaining <= 7) {
-        return `⚠️ Scade tra ${subscription.daysRemaining} giorni`;
+        return I18n.t('subscription.expiresIn', { count: subscription.daysRemaining });
       }
-      return `✅ Attivo fino al ${formatExpiryDate(subscription.expiryDate)}`;
+      return I18n.t('subscription.activeUntil', { date: formatExpiryDate(subscription.expiryDate) });
     
     case 'trial':
-      return '🎉 Prova gratuita attiva';
+      return I18n.t('subscription.trial');
     
     case 'expired':
-      return `❌ Scaduto da ${subscription.daysExpired} giorni`;
+      return I18n.t('subscription.expiredSince', { count: subscription.daysExpired });
     
     case 'no_access':
-      return '❌ Nessun abbonamento attivo';
+      return I18n.t('subscription.noAccess');
     
     default:
-      return 'Stato sconosciuto';
+      return I18n.t('subscription.unknown');
   }
 }
 
@@ -284,7 +285,17 @@ function getDefaultSettings() {
     extraTime: 0, // Extra seconds to add to exercises
     soundMode: 'voice', // voice, synth, bip, none
     notifications: true,
-    darkMode: true
+    darkMode: true,
+    restBetweenBlocks: null, // Seconds, null = use the coach's value from the sheet
+    restBetweenRounds: null, // Seconds, null = use the coach's value from the sheet
+    progressionRule: 'double', // linear, double, percentage
+    progressionSessions: 2,    // Sessions at target reps before suggesting more load
+    progressionIncrement: 2.5, // kg added by linear / double progression
+    progressionPercent: 5,     // % added by percentage progression
+    equipment: null,           // Available equipment ids, null = everything (no filter)
+    bodyWeight: null,          // kg, for calorie estimates (null = not set)
+    language: null,            // "it", "en"... UI text and voice cues, null = device language
+    audioCues: null            // Cue schedule of timed steps (see audio-cues.js), null = default
   };
 }
 
@@ -374,3 +385,198 @@ export function add10Seconds() {
   const currentExtra = getExtraTime();
   setExtraTime(currentExtra + 10);
 }
+
+// ═══════════════════════════════════════════════════════════════════════════
+// REST PERIODS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Normalize a rest value coming from a form or from storage
+ * @param {*} seconds - Raw value
+ * @returns {number|null} Seconds (>= 0) or null when not set
+ */
+function normalizeRestSeconds(seconds) {
+  if (seconds === null || seconds === undefined || seconds === '') return null;
+  const value = parseInt(seconds, 10);
+  return Number.isFinite(value) && value >= 0 ? value : null;
+}
+
+/**
+ * Set user rest overrides
+ * @param {Object} rest - { betweenBlocks, betweenRounds } in seconds (null = coach default)
+ */
+export function setRestOverrides({ betweenBlocks = null, betweenRounds = null } = {}) {
+  updateUserSettings({
+    restBetweenBlocks: normalizeRestSeconds(betweenBlocks),
+    restBetweenRounds: normalizeRestSeconds(betweenRounds)
+  });
+}
+
+/**
+ * Get user rest overrides
+ * @returns {{betweenBlocks: number|null, betweenRounds: number|null}} Rest overrides in seconds
+ */
+export function getRestOverrides() {
+  const settings = getUserSettings();
+  return {
+    betweenBlocks: normalizeRestSeconds(settings.restBetweenBlocks),
+    betweenRounds: normalizeRestSeconds(settings.restBetweenRounds)
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PROGRESSIVE OVERLOAD
+// ═══════════════════════════════════════════════════════════════════════════
+
+const PROGRESSION_RULES = ['linear', 'double', 'percentage'];
+
+/**
+ * Set progression preferences
+ * @param {Object} progression - { rule, sessions, increment, percent }
+ */
+export function setProgressionSettings({ rule, sessions, increment, percent } = {}) {
+  const defaults = getDefaultSettings();
+  const positive = (value, fallback) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) && number > 0 ? number : fallback;
+  };
+  
+  updateUserSettings({
+    progressionRule: PROGRESSION_RULES.includes(rule) ? rule : defaults.progressionRule,
+    progressionSessions: Math.round(positive(sessions, defaults.progressionSessions)),
+    progressionIncrement: positive(increment, defaults.progressionIncrement),
+    progressionPercent: positive(percent, defaults.progressionPercent)
+  });
+}
+
+/**
+ * Get progression preferences
+ * @returns {{rule: string, sessions: number, increment: number, percent: number}} Progression settings
+ */
+export function getProgressionSettings() {
+  const settings = { ...getDefaultSettings(), ...getUserSettings() };
+  return {
+    rule: settings.progressionRule,
+    sessions: settings.progressionSessions,
+    increment: settings.progressionIncrement,
+    percent: settings.progressionPercent
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EQUIPMENT
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Equipment the user can pick from (used to filter exercise swaps)
+ * `match` is tested against the Exercises sheet "Attrezzatura" values
+ * `label` is the Italian name, getEquipmentLabel() the translated one
+ */
+export const EQUIPMENT_OPTIONS = [
+  { id: 'manubri', label: 'Manubri', match: /manubri|\bdb\b|dumbbell/i },
+  { id: 'kettlebell', label: 'Kettlebell', match: /kettlebell|\bkb\b/i },
+  { id: 'bilanciere', label: 'Bilanciere', match: /bilanciere|barbell/i },
+  { id: 'panca', label: 'Panca', match: /panca|bench/i },
+  { id: 'macchine', label: 'Macchine', match: /macchin|machine/i },
+  { id: 'cavi', label: 'Cavi', match: /cavi|cavo|cable/i },
+  { id: 'elastici', label: 'Elastici', match: /elastic|band/i },
+  { id: 'sbarra', label: 'Sbarra trazioni', match: /sbarra|pull.?up bar/i }
+];
+
+/**
+ * Name of an equipment option in the user's language
+ * @param {Object} option - Entry of EQUIPMENT_OPTIONS
+ * @returns {string} Label
+ */
+export function getEquipmentLabel(option) {
+  const key = `equipment.${option.id}`;
+  const label = I18n.t(key);
+  return label === key ? option.label : label;
+}
+
+/**
+ * Set the equipment available to the user
+ * @param {Array<string>|null} equipment - Equipment ids, null = no filter
+ */
+export function setAvailableEquipment(equipment) {
+  const ids = EQUIPMENT_OPTIONS.map(option => option.id);
+  updateUserSettings({
+    equipment: Array.isArray(equipment) ? equipment.filter(id => ids.includes(id)) : null
+  });
+}
+
+/**
+ * Get the equipment available to the user
+ * @returns {Array<string>|null} Equipment ids, null = everything available
+ */
+export function getAvailableEquipment() {
+  const settings = { ...getDefaultSettings(), ...getUserSettings() };
+  return Array.isArray(settings.equipment) ? settings.equipment : null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// BODYWEIGHT
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Set the user's bodyweight (used for calorie estimates)
+ * @param {number|string|null} kg - Bodyweight, empty / invalid = not set
+ */
+export function setBodyWeight(kg) {
+  const value = parseFloat(kg);
+  updateUserSettings({
+    bodyWeight: Number.isFinite(value) && value >= 30 && value <= 300 ? Math.round(value * 10) / 10 : null
+  });
+}
+
+/**
+ * Get the user's bodyweight
+ * @returns {number|null} kg, null if not set
+ */
+export function getBodyWeight() {
+  const settings = { ...getDefaultSettings(), ...getUserSettings() };
+  return settings.bodyWeight > 0 ? settings.bodyWeight : null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// AUDIO CUES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Set the cue schedule of timed steps
+ * @param {Array|null} schedule - Entries { at, voice, beppe, beep, vibrate }, null = app default
+ */
+export function setAudioCueSchedule(schedule) {
+  updateUserSettings({ audioCues: normalizeCueSchedule(schedule) });
+}
+
+/**
+ * Get the cue schedule chosen by the user
+ * @returns {Array|null} Schedule, null = app default (AUDIO_CUES)
+ */
+export function getAudioCueSchedule() {
+  return normalizeCueSchedule(getUserSettings().audioCues);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LANGUAGE
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Set the app language (UI text and voice cues) and re-translate the page
+ * @param {string|null} locale - Language code with a catalog in js/locales, null = device language
+ */
+export function setLanguage(locale) {
+  const language = I18n.isSupported(locale) ? locale : null;
+  updateUserSettings({ language });
+  I18n.setLocale(language);
+}
+
+/**
+ * Get the language chosen by the user
+ * @returns {string|null} Language code, null = follow the device
+ */
+export function getLanguage() {
+  const settings = { ...getDefaultSettings(), ...getUserSettings() };
+  return I18n.isSupported(settings.language) ? settings.language : null;
+}
@@ -0,0 +1,410 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VILTRUM FITNESS - PROGRESS DASHBOARD
+// Weekly frequency, training time, calendar heatmap, streaks and
+// per-exercise weight trends. Charts are plain inline SVG (works offline).
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { getProgressStats, getTrackedExercises, getExerciseWeightTrend, getWorkoutHistoryRange } from './workout-history.js';
+import { exportSession, exportSessionRange } from './activity-export.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const WEEKS_SHOWN = 12;
+const HEATMAP_WEEKS = 17; // ~4 months, fits a phone screen
+const EXPORT_DEFAULT_DAYS = 30;
+const t = (key, params) => I18n.t(key, params);
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SVG HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+function svgEl(tag, attrs = {}, text = null) {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([key, value]) => el.setAttribute(key, value));
+  if (text !== null) el.textContent = text;
+  return el;
+}
+
+function createSvg(width, height, label) {
+  return svgEl('svg', {
+    viewBox: `0 0 ${width} ${height}`,
+    width: '100%',
+    role: 'img',
+    'aria-label': label,
+    class: 'progress-chart'
+  });
+}
+
+function formatHours(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.round((seconds % 3600) / 60);
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+function monthLabel(date) {
+  return I18n.formatDate(date, { month: 'short' }).replace('.', '').toUpperCase();
+}
+
+function shortDate(value) {
+  const date = new Date(value);
+  return `${date.getDate()} ${monthLabel(date)}`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CHARTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Bar chart of workouts per week
+ * @param {Array} weekly - [{ weekStart, count, duration }] oldest first
+ * @returns {SVGElement} Chart
+ */
+function renderWeeklyChart(weekly) {
+  const width = 320, height = 130, top = 14, bottom = 18;
+  const svg = createSvg(width, height, t('progress.perWeek'));
+  const max = Math.max(3, ...weekly.map(w => w.count));
+  const slot = width / weekly.length;
+  const barWidth = slot * 0.6;
+
+  weekly.forEach((week, i) => {
+    const barHeight = (week.count / max) * (height - top - bottom);
+    const x = i * slot + (slot - barWidth) / 2;
+    const y = height - bottom - barHeight;
+    const isCurrent = i === weekly.length - 1;
+
+    svg.appendChild(svgEl('rect', {
+      x, y, width: barWidth, height: Math.max(barHeight, 1), rx: 2,
+      fill: isCurrent ? '#FFFFFF' : '#7D7D7D'
+    }));
+    if (week.count > 0) {
+      svg.appendChild(svgEl('text', { x: x + barWidth / 2, y: y - 3, class: 'chart-value' }, week.count));
+    }
+    // label every other week to keep it readable
+    if (i % 2 === weekly.length % 2 || isCurrent) {
+      svg.appendChild(svgEl('text', { x: x + barWidth / 2, y: height - 4, class: 'chart-label' }, shortDate(week.weekStart)));
+    }
+  });
+
+  return svg;
+}
+
+/**
+ * Calendar heatmap (GitHub style): one column per week, Monday on top
+ * @param {Object} days - { 'YYYY-MM-DD': count }
+ * @returns {SVGElement} Chart
+ */
+function renderHeatmap(days) {
+  const cell = 16, gap = 3, left = 14, top = 14;
+  const width = left + HEATMAP_WEEKS * (cell + gap);
+  const height = top + 7 * (cell + gap);
+  const svg = createSvg(width, height, t('progress.calendarLabel'));
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const start = new Date(today);
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7) - (HEATMAP_WEEKS - 1) * 7);
+
+  [t('progress.weekdays.mon'), '', t('progress.weekdays.wed'), '', t('progress.weekdays.fri'), '', t('progress.weekdays.sun')].forEach((label, row) => {
+    if (label) svg.appendChild(svgEl('text', { x: 0, y: top + row * (cell + gap) + cell - 4, class: 'chart-label chart-label-left' }, label));
+  });
+
+  let lastMonth = -1;
+  for (let week = 0; week < HEATMAP_WEEKS; week++) {
+    for (let row = 0; row < 7; row++) {
+      const date = new Date(start);
+      date.setDate(start.getDate() + week * 7 + row);
+      if (date > today) continue;
+
+      const key = `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}-${date.getDate().toString().padStart(2, '0')}`;
+      const count = days[key] || 0;
+      const rect = svgEl('rect', {
+        x: left + week * (cell + gap),
+        y: top + row * (cell + gap),
+        width: cell, height: cell, rx: 3,
+        class: `heat-cell heat-${Math.min(count, 3)}`
+      });
+      rect.appendChild(svgEl('title', {}, `${I18n.formatDate(date)}: ${count}`));
+      svg.appendChild(rect);
+
+      if (row === 0 && date.getMonth() !== lastMonth) {
+        lastMonth = date.getMonth();
+        svg.appendChild(svgEl('text', { x: left + week * (cell + gap), y: 10, class: 'chart-label chart-label-left' }, monthLabel(date)));
+      }
+    }
+  }
+
+  return svg;
+}
+
+/**
+ * Line chart of the heaviest load per session
+ * @param {Array} points - [{ date, kg }] oldest first
+ * @returns {SVGElement} Chart
+ */
+function renderWeightChart(points) {
+  const width = 320, height = 160, left = 34, right = 10, top = 14, bottom = 20;
+  const svg = createSvg(width, height, t('progress.weightLabel'));
+
+  const values = points.map(p => p.kg);
+  let min = Math.min(...values);
+  let max = Math.max(...values);
+  if (min === max) { min -= 2.5; max += 2.5; }
+  const pad = (max - min) * 0.1;
+  min = Math.max(0, min - pad);
+  max += pad;
+
+  const x = i => points.length === 1 ? left + (width - left - right) / 2 : left + i * (width - left - right) / (points.length - 1);
+  const y = kg => top + (1 - (kg - min) / (max - min)) * (height - top - bottom);
+
+  // horizontal grid: min / mid / max
+  [min, (min + max) / 2, max].forEach(kg => {
+    svg.appendChild(svgEl('line', { x1: left, x2: width - right, y1: y(kg), y2: y(kg), class: 'chart-grid' }));
+    svg.appendChild(svgEl('text', { x: left - 4, y: y(kg) + 3, class: 'chart-label chart-label-right' }, `${Math.round(kg * 10) / 10}`));
+  });
+
+  svg.appendChild(svgEl('polyline', {
+    points: points.map((p, i) => `${x(i)},${y(p.kg)}`).join(' '),
+    class: 'chart-line'
+  }));
+
+  points.forEach((p, i) => {
+    const dot = svgEl('circle', { cx: x(i), cy: y(p.kg), r: 3.5, class: 'chart-dot' });
+    dot.appendChild(svgEl('title', {}, `${shortDate(p.date)}: ${p.kg}kg`));
+    svg.appendChild(dot);
+  });
+
+  // first / last date on the x axis
+  svg.appendChild(svgEl('text', { x: x(0), y: height - 4, class: 'chart-label' }, shortDate(points[0].date)));
+  if (points.length > 1) {
+    svg.appendChild(svgEl('text', { x: x(points.length - 1), y: height - 4, class: 'chart-label' }, shortDate(points[points.length - 1].date)));
+  }
+
+  return svg;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DASHBOARD
+// ═══════════════════════════════════════════════════════════════════════════
+
+function section(title) {
+  const el = document.createElement('div');
+  el.className = 'progress-block';
+  const heading = document.createElement('div');
+  heading.className = 'progress-block-title';
+  heading.textContent = title;
+  el.appendChild(heading);
+  return el;
+}
+
+function statTile(label, value) {
+  const tile = document.createElement('div');
+  tile.className = 'progress-tile';
+  tile.innerHTML = `<div class="progress-tile-value"></div><div class="progress-tile-label"></div>`;
+  tile.querySelector('.progress-tile-value').textContent = value;
+  tile.querySelector('.progress-tile-label').textContent = label;
+  return tile;
+}
+
+/**
+ * "Am I getting stronger?" — change between first and last logged load
+ */
+function describeTrend(points) {
+  if (points.length < 2) return t('progress.trend.notEnough');
+  const first = points[0].kg;
+  const last = points[points.length - 1].kg;
+  const diff = Math.round((last - first) * 10) / 10;
+  if (diff > 0) {
+    const percent = first > 0 ? ` (+${Math.round((diff / first) * 100)}%)` : '';
+    return t('progress.trend.up', { diff, percent, count: points.length });
+  }
+  if (diff < 0) return t('progress.trend.down', { diff, count: points.length });
+  return t('progress.trend.stable', { weight: last, count: points.length });
+}
+
+function renderExerciseTrend(container, exerciseName) {
+  container.innerHTML = '';
+  const points = getExerciseWeightTrend(exerciseName);
+  if (points.length === 0) return;
+
+  const summary = document.createElement('div');
+  summary.className = 'progress-trend-summary';
+  summary.textContent = describeTrend(points);
+  container.appendChild(summary);
+  container.appendChild(renderWeightChart(points));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ACTIVITY EXPORT
+// ═══════════════════════════════════════════════════════════════════════════
+
+function dateInputValue(date) {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 10);
+}
+
+// Local day bounds of the two date inputs
+function readExportRange(fromInput, toInput) {
+  const from = new Date(`${fromInput.value}T00:00:00`);
+  const to = new Date(`${toInput.value}T23:59:59.999`);
+  return { from, to };
+}
+
+async function renderExportList(list, fromInput, toInput, formatSelect, bulkButton) {
+  list.innerHTML = '';
+  const { from, to } = readExportRange(fromInput, toInput);
+  if (isNaN(from) || isNaN(to) || from > to) {
+    bulkButton.disabled = true;
+    return;
+  }
+
+  const entries = await getWorkoutHistoryRange(from, to);
+  bulkButton.disabled = entries.length === 0;
+  bulkButton.textContent = entries.length > 0 ? t('progress.export.allCount', { count: entries.length }) : t('progress.export.all');
+
+  if (entries.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'progress-empty';
+    empty.textContent = t('progress.export.empty');
+    list.appendChild(empty);
+    return;
+  }
+
+  entries.forEach(entry => {
+    const row = document.createElement('div');
+    row.className = 'progress-export-row';
+    const label = document.createElement('span');
+    label.textContent = `${shortDate(entry.completedAt)} · ${entry.workoutName || 'Workout'}`;
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'progress-export-button';
+    button.textContent = '⬇';
+    button.title = t('progress.export.download');
+    button.addEventListener('click', () => exportSession(entry, formatSelect.value));
+    row.appendChild(label);
+    row.appendChild(button);
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Export completed sessions as TCX / FIT files (Strava, Garmin Connect, ...)
+ * @returns {HTMLElement} Section
+ */
+function renderExportSection() {
+  const el = section(t('progress.export.title'));
+
+  const today = new Date();
+  const start = new Date(today);
+  start.setDate(start.getDate() - EXPORT_DEFAULT_DAYS);
+
+  const controls = document.createElement('div');
+  controls.className = 'progress-export-controls';
+  const fromInput = document.createElement('input');
+  fromInput.type = 'date';
+  fromInput.value = dateInputValue(start);
+  fromInput.setAttribute('aria-label', t('progress.export.from'));
+  const toInput = document.createElement('input');
+  toInput.type = 'date';
+  toInput.value = dateInputValue(today);
+  toInput.setAttribute('aria-label', t('progress.export.to'));
+  const formatSelect = document.createElement('select');
+  formatSelect.setAttribute('aria-label', t('progress.export.format'));
+  [['tcx', 'TCX'], ['fit', 'FIT']].forEach(([value, text]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    formatSelect.appendChild(option);
+  });
+  [fromInput, toInput, formatSelect].forEach(input => {
+    input.className = 'progress-exercise-select';
+    controls.appendChild(input);
+  });
+  el.appendChild(controls);
+
+  const list = document.createElement('div');
+  list.className = 'progress-export-list';
+  const bulkButton = document.createElement('button');
+  bulkButton.type = 'button';
+  bulkButton.className = 'progress-export-bulk';
+  bulkButton.textContent = t('progress.export.all');
+  bulkButton.addEventListener('click', async () => {
+    const { from, to } = readExportRange(fromInput, toInput);
+    bulkButton.disabled = true;
+    try {
+      await exportSessionRange(from, to, formatSelect.value);
+    } catch (error) {
+      console.error('❌ Activity export failed:', error);
+    } finally {
+      bulkButton.disabled = false;
+    }
+  });
+
+  const refresh = () => renderExportList(list, fromInput, toInput, formatSelect, bulkButton);
+  fromInput.addEventListener('change', refresh);
+  toInput.addEventListener('change', refresh);
+  refresh();
+
+  el.appendChild(list);
+  el.appendChild(bulkButton);
+  return el;
+}
+
+/**
+ * Render the whole progress dashboard into a container
+ * @param {HTMLElement} root - Container element
+ */
+export function renderProgressDashboard(root) {
+  if (!root) return;
+  root.innerHTML = '';
+
+  const stats = getProgressStats(Math.max(WEEKS_SHOWN, HEATMAP_WEEKS));
+  const weekly = stats.weekly.slice(-WEEKS_SHOWN);
+  const recentCount = weekly.reduce((sum, w) => sum + w.count, 0);
+
+  // Summary tiles
+  const tiles = document.createElement('div');
+  tiles.className = 'progress-tiles';
+  tiles.appendChild(statTile(t('progress.tiles.thisWeek'), weekly[weekly.length - 1].count));
+  tiles.appendChild(statTile(t('progress.tiles.weeklyAverage', { weeks: WEEKS_SHOWN }), (recentCount / WEEKS_SHOWN).toFixed(1)));
+  tiles.appendChild(statTile(t('progress.tiles.totalTime'), formatHours(stats.totalDuration)));
+  tiles.appendChild(statTile(t('progress.tiles.workouts'), stats.totalWorkouts));
+  tiles.appendChild(statTile(t('progress.tiles.weekStreak'), t('progress.tiles.streakValue', { current: stats.streaks.weeks.current, longest: stats.streaks.weeks.longest })));
+  tiles.appendChild(statTile(t('progress.tiles.dayStreak'), t('progress.tiles.streakValue', { current: stats.streaks.days.current, longest: stats.streaks.days.longest })));
+  root.appendChild(tiles);
+
+  // Weekly frequency
+  const frequency = section(t('progress.perWeek'));
+  frequency.appendChild(renderWeeklyChart(weekly));
+  root.appendChild(frequency);
+
+  // Calendar heatmap
+  const calendar = section(t('progress.calendar'));
+  calendar.appendChild(renderHeatmap(stats.days));
+  root.appendChild(calendar);
+
+  // Per-exercise strength trend
+  const strength = section(t('progress.strength'));
+  const exercises = getTrackedExercises();
+  if (exercises.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'progress-empty';
+    empty.textContent = t('progress.noWeights');
+    strength.appendChild(empty);
+  } else {
+    const select = document.createElement('select');
+    select.className = 'progress-exercise-select';
+    exercises.forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      select.appendChild(option);
+    });
+    const chart = document.createElement('div');
+    select.addEventListener('change', () => renderExerciseTrend(chart, select.value));
+    strength.appendChild(select);
+    strength.appendChild(chart);
+    renderExerciseTrend(chart, exercises[0]);
+  }
+  root.appendChild(strength);
+
+  root.appendChild(renderExportSection());
+}
@@ -0,0 +1,160 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VILTRUM FITNESS - PROGRESSIVE OVERLOAD
+// Suggest the next load per exercise from the logged sets
+// Rules: linear, double progression, percentage
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { getExerciseSetHistory, getExerciseWeight } from './workout-history.js';
+import { getProgressionSettings } from './profile-manager.js';
+
+// Smallest jump we suggest (plates / dumbbells rarely go finer than this)
+const WEIGHT_STEP = 0.5;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PARSING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Parse a rep target from the sheet ("10", "8-12", "8/12 reps")
+ * @param {string|number} reps - Reps column value
+ * @returns {{min: number, max: number}|null} Rep range or null for timed exercises
+ */
+export function parseRepRange(reps) {
+  const numbers = (reps || '').toString().match(/\d+/g);
+  if (!numbers) return null;
+  const min = parseInt(numbers[0], 10);
+  const max = numbers.length > 1 ? parseInt(numbers[1], 10) : min;
+  return { min: Math.min(min, max), max: Math.max(min, max) };
+}
+
+/**
+ * Parse a weight as typed by the user ("20kg", "17,5") into kilograms
+ * @param {string|number} weight - Weight value
+ * @returns {number|null} Kilograms or null if not numeric
+ */
+function parseKg(weight) {
+  if (typeof weight === 'number') return weight;
+  const match = (weight || '').toString().replace(',', '.').match(/\d+(?:\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+}
+
+function formatKg(kg) {
+  const rounded = Math.round(kg / WEIGHT_STEP) * WEIGHT_STEP;
+  return `${Number.isInteger(rounded) ? rounded : rounded.toFixed(1)}kg`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SESSIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Group the logged sets of an exercise by session, newest first
+ * @param {string} exerciseName - Name of exercise
+ * @returns {Array} [{ completedAt, kg, reps: number[] }]
+ */
+function getExerciseSessions(exerciseName) {
+  const sessions = [];
+  const byDate = new Map();
+
+  getExerciseSetHistory(exerciseName).forEach(set => {
+    let session = byDate.get(set.completedAt);
+    if (!session) {
+      session = { completedAt: set.completedAt, kg: null, reps: [] };
+      byDate.set(set.completedAt, session);
+      sessions.push(session);
+    }
+    const kg = parseKg(set.weight);
+    if (kg !== null) session.kg = Math.max(session.kg ?? 0, kg);
+    session.reps.push(set.reps === null || set.reps === undefined ? null : Number(set.reps));
+  });
+
+  return sessions;
+}
+
+/**
+ * Did every set of the session reach the given reps?
+ */
+function hitReps(session, reps) {
+  return session.reps.length > 0 && session.reps.every(r => r !== null && r >= reps);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SUGGESTIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Suggest the next load for an exercise
+ *
+ * - linear: all sets at target reps for N sessions → + increment kg
+ * - double: all sets at the top of the rep range for N sessions → + increment kg
+ *   and back to the bottom of the range; otherwise add reps at the same load
+ * - percentage: all sets at target reps for N sessions → + percent %
+ *
+ * @param {string} exerciseName - Name of exercise
+ * @param {string|number} targetReps - Reps column value ("10", "8-12")
+ * @param {Object} settings - Progression settings (defaults to the user's)
+ * @returns {Object|null} { weight, previous, reps, increase, rule, reason } or null without history
+ */
+export function getProgressionSuggestion(exerciseName, targetReps, settings = getProgressionSettings()) {
+  const range = parseRepRange(targetReps);
+  if (!range) return null;
+
+  const sessions = getExerciseSessions(exerciseName);
+  const lastKg = sessions.find(s => s.kg !== null)?.kg ?? parseKg(getExerciseWeight(exerciseName));
+  if (lastKg === null || lastKg === undefined) return null;
+
+  const required = Math.max(1, settings.sessions || 1);
+  const recent = sessions.slice(0, required);
+  const repsToHit = settings.rule === 'double' ? range.max : range.min;
+  const ready = recent.length >= required &&
+    recent.every(s => (s.kg ?? lastKg) >= lastKg && hitReps(s, repsToHit));
+
+  const suggestion = {
+    previous: formatKg(lastKg),
+    weight: formatKg(lastKg),
+    reps: range.min === range.max ? `${range.min}` : `${range.min}-${range.max}`,
+    increase: false,
+    rule: settings.rule,
+    reason: ''
+  };
+
+  if (ready) {
+    const nextKg = settings.rule === 'percentage'
+      ? lastKg * (1 + settings.percent / 100)
+      : lastKg + settings.increment;
+    suggestion.weight = formatKg(Math.max(nextKg, lastKg + WEIGHT_STEP));
+    suggestion.increase = true;
+    suggestion.reason = I18n.t('progression.reached', { reps: repsToHit, count: required });
+    if (settings.rule === 'double') suggestion.reps = `${range.min}`;
+    return suggestion;
+  }
+
+  // Double progression: same load, chase one more rep
+  if (settings.rule === 'double' && sessions[0]?.reps.length) {
+    const done = sessions[0].reps.filter(r => r !== null);
+    if (done.length) {
+      const nextReps = Math.min(range.max, Math.max(range.min, Math.min(...done) + 1));
+      suggestion.reps = `${nextReps}`;
+      suggestion.reason = I18n.t('progression.chaseReps', { reps: nextReps });
+      return suggestion;
+    }
+  }
+
+  suggestion.reason = I18n.t('progression.complete', { reps: repsToHit, count: required });
+  return suggestion;
+}
+
+/**
+ * Suggestions for every rep-based exercise of a workout
+ * @param {Array} exercises - Workout exercises (name, reps)
+ * @returns {Object} Exercise name → suggestion
+ */
+export function getWorkoutSuggestions(exercises) {
+  const suggestions = {};
+  (exercises || []).forEach(ex => {
+    if (!ex?.name || suggestions[ex.name]) return;
+    const suggestion = getProgressionSuggestion(ex.name, ex.reps);
+    if (suggestion) suggestions[ex.name] = suggestion;
+  });
+  return suggestions;
+}
@@ -0,0 +1,283 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VILTRUM FITNESS - REMOTE CONTROL
+// remote.html: the phone drives a big-screen display (workout.html?display)
+// with the room code shown on the screen. The display runs the workout; the
+// remote sends commands and mirrors the display's state, ticking the clock
+// locally between two state messages.
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { DISPLAY_STATE_INTERVAL_MS, REMOTE_TIMEOUT_MS } from './config.js';
+import { createRoomLink, normalizeRoomCode, getRelayUrl, setRelayUrl } from './room-link.js';
+
+const ROOM_KEY = 'viltrum_remote_room';
+const TICK_MS = 250;
+
+let container = null;
+let link = null;
+let room = null;
+let state = null;         // last state from the display
+let stateAt = 0;          // when it arrived
+let pingTimer = null;
+let tickTimer = null;
+
+const t = (key, params) => I18n.t(key, params);
+
+function isDisplayConnected() {
+  return Date.now() - stateAt < REMOTE_TIMEOUT_MS;
+}
+
+function formatElapsed(totalSeconds) {
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
+
+// Display clock, moved on by the time since its last state
+function getTimerText() {
+  const timer = state?.timer;
+  if (!timer) return '';
+  const drift = state.paused ? 0 : Math.floor((Date.now() - stateAt) / 1000);
+  return timer.kind === 'up'
+    ? formatElapsed(timer.seconds + drift)
+    : String(Math.max(0, timer.seconds - drift));
+}
+
+function send(action) {
+  if (!link) return;
+  link.send('command', { action });
+  if (navigator.vibrate) navigator.vibrate(20);
+}
+
+function button(text, action, { title = '', className = '', disabled = false } = {}) {
+  const el = document.createElement('button');
+  el.type = 'button';
+  el.textContent = text;
+  el.className = className;
+  el.disabled = disabled;
+  if (title) el.title = title;
+  el.addEventListener('click', () => send(action));
+  return el;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RENDERING
+// ═══════════════════════════════════════════════════════════════════════════
+
+function renderJoinForm() {
+  container.innerHTML = '';
+
+  const form = document.createElement('form');
+  form.className = 'remote-section';
+
+  const heading = document.createElement('h2');
+  heading.textContent = t('remote.title');
+
+  const codeLabel = document.createElement('label');
+  codeLabel.textContent = t('remote.code');
+  const codeInput = document.createElement('input');
+  codeInput.type = 'text';
+  codeInput.className = 'remote-code-input';
+  codeInput.autocomplete = 'off';
+  codeInput.autocapitalize = 'characters';
+  codeInput.placeholder = t('remote.codePlaceholder');
+  codeLabel.appendChild(codeInput);
+
+  const relayLabel = document.createElement('label');
+  relayLabel.textContent = t('display.relay.label');
+  const relayInput = document.createElement('input');
+  relayInput.type = 'text';
+  relayInput.value = getRelayUrl() || '';
+  relayInput.placeholder = 'ws://192.168.1.10:8788';
+  relayLabel.appendChild(relayInput);
+
+  const hint = document.createElement('p');
+  hint.className = 'remote-hint';
+  hint.textContent = t('remote.joinHint');
+
+  const submit = document.createElement('button');
+  submit.type = 'submit';
+  submit.className = 'remote-primary';
+  submit.textContent = t('remote.join');
+
+  form.append(heading, codeLabel, relayLabel, submit, hint);
+  form.addEventListener('submit', e => {
+    e.preventDefault();
+    const code = normalizeRoomCode(codeInput.value);
+    if (!code) {
+      codeInput.focus();
+      return;
+    }
+    try {
+      setRelayUrl(relayInput.value);
+    } catch (error) {
+      alert(t('display.relay.invalid'));
+      return;
+    }
+    join(code);
+  });
+
+  container.appendChild(form);
+  codeInput.focus();
+}
+
+function renderRemote() {
+  container.innerHTML = '';
+  const connected = isDisplayConnected();
+  const active = connected && state?.active;
+
+  const header = document.createElement('div');
+  header.className = 'remote-header';
+  const status = document.createElement('div');
+  status.className = 'remote-status';
+  status.textContent = `${room} · ${connected ? t('remote.displayConnected') : t('remote.displayWaiting')}`;
+  const relay = document.createElement('div');
+  relay.className = 'remote-relay';
+  relay.textContent = t(`display.relay.status.${link.status().relay}`);
+  const change = document.createElement('button');
+  change.type = 'button';
+  change.className = 'remote-link-button';
+  change.textContent = t('remote.change');
+  change.addEventListener('click', leave);
+  header.append(status, relay, change);
+  container.appendChild(header);
+
+  const card = document.createElement('div');
+  card.className = 'remote-section remote-now';
+  if (!active) {
+    const empty = document.createElement('div');
+    empty.className = 'remote-empty';
+    empty.textContent = connected ? t('remote.noWorkout') : t('remote.displayWaiting');
+    card.appendChild(empty);
+  } else {
+    const workout = document.createElement('div');
+    workout.className = 'remote-workout';
+    workout.textContent = state.workout;
+
+    const position = document.createElement('div');
+    position.className = 'remote-position';
+    position.textContent = [state.position.block, state.position.round, state.position.exercise].filter(Boolean).join(' · ');
+
+    const title = document.createElement('div');
+    title.className = 'remote-title';
+    title.textContent = state.title;
+
+    const timer = document.createElement('div');
+    timer.className = 'remote-timer' + (state.paused ? ' is-paused' : '');
+    timer.id = 'remote-timer';
+    timer.textContent = getTimerText();
+
+    card.append(workout, position, title, timer);
+
+    if (state.paused) {
+      const paused = document.createElement('div');
+      paused.className = 'remote-paused';
+      paused.textContent = t('remote.paused');
+      card.appendChild(paused);
+    }
+    if (state.next) {
+      const next = document.createElement('div');
+      next.className = 'remote-next';
+      next.textContent = t('player.then', { name: state.next });
+      card.appendChild(next);
+    }
+  }
+  container.appendChild(card);
+
+  const controls = document.createElement('div');
+  controls.className = 'remote-controls';
+  controls.append(
+    button('◀', 'prev', { title: t('player.controls.previous'), disabled: !active }),
+    state?.paused
+      ? button(t('player.resume'), 'resume', { className: 'remote-primary', disabled: !active })
+      : button(t('player.pause'), 'pause', { className: 'remote-primary', disabled: !active }),
+    button('▶', 'next', { title: t('player.controls.next'), disabled: !active })
+  );
+  container.appendChild(controls);
+
+  const extra = document.createElement('div');
+  extra.className = 'remote-controls';
+  extra.append(button('+10s', 'add10', { title: t('player.controls.add10s'), disabled: !active || !state.controls.add10 }));
+  if (active && state.controls.done) extra.append(button(t('player.done'), 'done'));
+  if (active && state.controls.round) extra.append(button(t('player.addRound'), 'round'));
+  container.appendChild(extra);
+}
+
+function render() {
+  if (!container) return;
+  if (link) {
+    renderRemote();
+  } else {
+    renderJoinForm();
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PAIRING
+// ═══════════════════════════════════════════════════════════════════════════
+
+function handleMessage(message) {
+  if (message.role !== 'display' || message.type !== 'state') return;
+  state = message.payload;
+  stateAt = Date.now();
+  renderRemote();
+}
+
+function join(code) {
+  room = code;
+  sessionStorage.setItem(ROOM_KEY, room);
+  state = null;
+  stateAt = 0;
+
+  link = createRoomLink({
+    room,
+    role: 'remote',
+    onMessage: handleMessage,
+    onStatus: status => {
+      if (!link) return;
+      // the display answers "hello" with its state
+      if (status.relay === 'open') link.send('hello');
+      renderRemote();
+    }
+  });
+  link.send('hello');
+
+  // Let the display know we're still here; notice a display that went away
+  pingTimer = setInterval(() => {
+    link.send('ping');
+    if (!isDisplayConnected()) renderRemote();
+  }, DISPLAY_STATE_INTERVAL_MS);
+
+  tickTimer = setInterval(() => {
+    const timer = document.getElementById('remote-timer');
+    if (timer) timer.textContent = getTimerText();
+  }, TICK_MS);
+
+  console.log(`🎮 Remote joined room ${room}`);
+  renderRemote();
+}
+
+function leave() {
+  clearInterval(pingTimer);
+  clearInterval(tickTimer);
+  if (link) link.close();
+  link = null;
+  room = null;
+  state = null;
+  sessionStorage.removeItem(ROOM_KEY);
+  renderJoinForm();
+}
+
+/**
+ * Start the remote page
+ * @param {HTMLElement} root - Where the remote is drawn
+ */
+export function initRemoteControl(root) {
+  container = root;
+  const code = normalizeRoomCode(new URLSearchParams(window.location.search).get('room') || sessionStorage.getItem(ROOM_KEY));
+  if (code) {
+    join(code);
+  } else {
+    renderJoinForm();
+  }
+  window.addEventListener(I18n.CHANGE_EVENT, render);
+}
@@ -0,0 +1,142 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VILTRUM FITNESS - REP TEMPO METRONOME
+// Tempo notation from the Workouts sheet ("Tempo" column), e.g. "3-1-2-0":
+//   3 s eccentric (lowering) - 1 s pause at the bottom -
+//   2 s concentric (lifting)  - 0 s pause at the top
+// "X" marks an explosive phase. The metronome plays one Web Audio tone per
+// phase, counts the reps and stops at the target. It only advances while the
+// player says it is running (pause = frozen in the middle of the rep).
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const TEMPO_PHASES = ['eccentric', 'bottom', 'concentric', 'top'];
+
+// Distinct tone per phase: low and long going down, high going up, short clicks on the pauses
+const PHASE_TONES = {
+  eccentric: { frequency: 440, seconds: 0.18 },
+  bottom: { frequency: 880, seconds: 0.06 },
+  concentric: { frequency: 660, seconds: 0.18 },
+  top: { frequency: 1320, seconds: 0.05 }
+};
+const EXPLOSIVE_SECONDS = 0.5;
+const TICK_MS = 50;
+
+/**
+ * Read a tempo
+ * @param {string} value - "3-1-2-0", "3/1/2/0", "3120", "31X0"
+ * @returns {Object|null} { eccentric, bottom, concentric, top, rep, label } in seconds, null when invalid
+ */
+export function parseTempo(value) {
+  const text = (value ?? '').toString().trim().toUpperCase();
+  if (!text) return null;
+
+  const parts = /[-/.\s]/.test(text) ? text.split(/[-/.\s]+/) : text.split('');
+  if (parts.length !== TEMPO_PHASES.length || !parts.every(part => /^(\d+|X)$/.test(part))) return null;
+
+  const tempo = { label: parts.join('-') };
+  TEMPO_PHASES.forEach((phase, i) => {
+    tempo[phase] = parts[i] === 'X' ? EXPLOSIVE_SECONDS : parseInt(parts[i], 10);
+  });
+  tempo.rep = TEMPO_PHASES.reduce((sum, phase) => sum + tempo[phase], 0);
+  return tempo.rep > 0 ? tempo : null;
+}
+
+function getAudioContext() {
+  if (!window.__audioCtx) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+    window.__audioCtx = new AudioContextClass();
+  }
+  return window.__audioCtx;
+}
+
+function playTone({ frequency, seconds }, volume) {
+  const context = getAudioContext();
+  if (!context || volume <= 0) return;
+
+  const oscillator = context.createOscillator();
+  const gain = context.createGain();
+  const start = context.currentTime;
+  oscillator.type = 'sine';
+  oscillator.frequency.value = frequency;
+  gain.gain.setValueAtTime(0, start);
+  gain.gain.linearRampToValueAtTime(0.6 * volume, start + 0.005);
+  gain.gain.exponentialRampToValueAtTime(0.0001, start + seconds);
+  oscillator.connect(gain).connect(context.destination);
+  oscillator.start(start);
+  oscillator.stop(start + seconds + 0.02);
+}
+
+/**
+ * Start a metronome
+ * @param {Object} options
+ * @param {Object} options.tempo - parseTempo() result
+ * @param {number|null} options.targetReps - Stop after this many reps (null = until stop())
+ * @param {number} options.startRep - Reps already done (resumed set)
+ * @param {Function} options.isRunning - () → false while the player is paused
+ * @param {Function} options.getVolume - () → 0..1
+ * @param {Function} options.onPhase - (phase, rep) at the start of each phase (rep = the one in progress)
+ * @param {Function} options.onRep - (reps) when a rep is completed
+ * @param {Function} options.onComplete - (reps) when the target is reached
+ * @returns {{stop: Function, getReps: Function}} Controller
+ */
+export function createTempoMetronome({
+  tempo,
+  targetReps = null,
+  startRep = 0,
+  isRunning = () => true,
+  getVolume = () => 1,
+  onPhase = null,
+  onRep = null,
+  onComplete = null
+}) {
+  const phases = TEMPO_PHASES.filter(phase => tempo[phase] > 0);
+  let reps = startRep;
+  let phaseIndex = -1;
+  let phaseLeft = 0; // ms left in the current phase
+  let last = Date.now();
+  let timer = null;
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  // Returns false once the target is reached
+  const nextPhase = () => {
+    phaseIndex++;
+    if (phaseIndex === phases.length) {
+      phaseIndex = 0;
+      reps++;
+      if (onRep) onRep(reps);
+      if (targetReps && reps >= targetReps) {
+        stop();
+        if (onComplete) onComplete(reps);
+        return false;
+      }
+    }
+    const phase = phases[phaseIndex];
+    phaseLeft += tempo[phase] * 1000;
+    playTone(PHASE_TONES[phase], getVolume());
+    if (onPhase) onPhase(phase, reps + 1);
+    return true;
+  };
+
+  if (!(targetReps && reps >= targetReps)) {
+    timer = setInterval(() => {
+      const now = Date.now();
+      const elapsed = now - last;
+      last = now;
+      if (!isRunning()) return; // paused: the rep waits where it is
+
+      phaseLeft -= elapsed;
+      while (timer && phaseLeft <= 0) {
+        if (!nextPhase()) return;
+      }
+    }, TICK_MS);
+  }
+
+  return {
+    stop,
+    getReps: () => reps
+  };
+}
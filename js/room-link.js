@@ -0,0 +1,186 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VILTRUM FITNESS - ROOM LINK
+// Messages between instances of the app sharing a room code (e.g. the
+// big-screen display and the phone used as remote):
+//   same browser  → BroadcastChannel "viltrum-room-<code>"
+//   other devices → WebSocket relay (backend/ws-relay.js), reconnecting with backoff
+// A message that arrives through both paths is delivered once.
+// Message: { from, role, seq, type, payload }
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { DISPLAY_RELAY_URL } from './config.js';
+
+const RELAY_KEY = 'viltrum_display_relay';
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O, 1/I
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 15000;
+const SEEN_LIMIT = 200;
+
+/**
+ * Random room code, easy to read out and type on a phone
+ * @param {number} length - Characters
+ * @returns {string} e.g. "K7QM"
+ */
+export function createRoomCode(length = 4) {
+  const values = crypto.getRandomValues(new Uint8Array(length));
+  return Array.from(values, value => CODE_ALPHABET[value % CODE_ALPHABET.length]).join('');
+}
+
+/**
+ * Room code as typed by the user ("k7 qm" → "K7QM")
+ * @returns {string} Code, empty when nothing usable was typed
+ */
+export function normalizeRoomCode(value) {
+  return String(value ?? '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Relay address: this device's setting, else config.js
+ * @returns {string|null} ws:// or wss:// URL
+ */
+export function getRelayUrl() {
+  try {
+    return localStorage.getItem(RELAY_KEY) || DISPLAY_RELAY_URL;
+  } catch (error) {
+    return DISPLAY_RELAY_URL;
+  }
+}
+
+/**
+ * Point this device to a relay (empty = back to config.js)
+ * @param {string|null} url - ws:// or wss:// URL
+ * @returns {string|null} Relay now in use
+ */
+export function setRelayUrl(url) {
+  const value = (url || '').trim();
+  if (value && !/^wss?:\/\//i.test(value)) throw new Error('Relay URL must start with ws:// or wss://');
+  if (value) {
+    localStorage.setItem(RELAY_KEY, value);
+  } else {
+    localStorage.removeItem(RELAY_KEY);
+  }
+  return getRelayUrl();
+}
+
+/**
+ * Join a room
+ * @param {Object} options
+ * @param {string} options.room - Room code
+ * @param {string} options.role - This instance's role ("display", "remote", ...), sent with every message
+ * @param {string|null} options.relayUrl - WebSocket relay (null = same browser only)
+ * @param {Function} options.onMessage - (message) for every message of the other instances
+ * @param {Function} options.onStatus - ({ broadcast, relay }) when the relay connection changes
+ * @returns {{send: Function, status: Function, close: Function, id: string}} Link
+ */
+export function createRoomLink({ room, role, relayUrl = getRelayUrl(), onMessage, onStatus = null }) {
+  const id = createRoomCode(10);
+  const seen = new Set();
+  let seq = 0;
+  let channel = null;
+  let socket = null;
+  let reconnectTimer = null;
+  let retryDelay = RECONNECT_MIN_MS;
+  let relayStatus = relayUrl ? 'connecting' : 'off'; // off | connecting | open | closed
+  let closed = false;
+
+  const status = () => ({ broadcast: Boolean(channel), relay: relayStatus });
+
+  const setRelayStatus = value => {
+    if (relayStatus === value) return;
+    relayStatus = value;
+    if (onStatus) onStatus(status());
+  };
+
+  const deliver = raw => {
+    let message = raw;
+    if (typeof raw === 'string') {
+      try {
+        message = JSON.parse(raw);
+      } catch (error) {
+        return;
+      }
+    }
+    if (!message || !message.from || !message.type || message.from === id) return;
+
+    const key = `${message.from}:${message.seq}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    if (seen.size > SEEN_LIMIT) seen.delete(seen.values().next().value);
+
+    try {
+      onMessage(message);
+    } catch (error) {
+      console.warn('⚠️ Room message handler failed:', error);
+    }
+  };
+
+  if (typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(`viltrum-room-${room}`);
+    channel.onmessage = event => deliver(event.data);
+  }
+
+  const scheduleReconnect = () => {
+    setRelayStatus('closed');
+    clearTimeout(reconnectTimer);
+    reconnectTimer = setTimeout(connect, retryDelay);
+    retryDelay = Math.min(retryDelay * 2, RECONNECT_MAX_MS);
+  };
+
+  function connect() {
+    if (closed || !relayUrl) return;
+    setRelayStatus('connecting');
+
+    try {
+      socket = new WebSocket(`${relayUrl.replace(/\/+$/, '')}/?room=${encodeURIComponent(room)}`);
+    } catch (error) {
+      console.warn('⚠️ Relay unreachable:', error.message || error);
+      socket = null;
+      scheduleReconnect();
+      return;
+    }
+
+    socket.onopen = () => {
+      retryDelay = RECONNECT_MIN_MS;
+      console.log(`🔗 Relay connected (room ${room})`);
+      setRelayStatus('open');
+    };
+    socket.onmessage = event => deliver(event.data);
+    socket.onclose = () => {
+      socket = null;
+      if (!closed) scheduleReconnect();
+    };
+    socket.onerror = () => {}; // onclose follows and schedules the retry
+  }
+
+  connect();
+
+  return {
+    id,
+    status,
+
+    /**
+     * Send to the other instances of the room
+     * @param {string} type - Message type
+     * @param {Object} payload - Message data
+     */
+    send(type, payload = {}) {
+      const message = { from: id, role, seq: ++seq, type, payload };
+      if (channel) channel.postMessage(message);
+      if (socket && socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+      return message;
+    },
+
+    /**
+     * Leave the room
+     */
+    close() {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      if (channel) channel.close();
+      if (socket) socket.close();
+      channel = null;
+      socket = null;
+      setRelayStatus('off');
+    }
+  };
+}
@@ -0,0 +1,231 @@
+/**
+ * Viltrum Fitness - TTS Cache
+ * Persistent cache of the cloud voice clips, shared by the workout player and the preloader
+ * - Clips are stored in IndexedDB (OfflinePreloader "tts" store), keyed by text + lang + voice
+ * - The TTS provider (tts-providers.js) is called only on a miss; every hit refreshes the clip's lastUsed
+ * - Over the size / entry limits the least recently used clips are evicted
+ * - warmUp() fills the cache for a list of phrases (login preload, workout preview)
+ *
+ * Loaded after offline-preloader.js.
+ */
+
+const TTSCache = {
+  // Explicit voice per language (other languages: the server's default voice)
+  VOICES: {
+    'it-IT': 'it-IT-Wavenet-C',
+    'en-US': 'en-US-Wavenet-D'
+  },
+  MAX_BYTES: 40 * 1024 * 1024,  // ~40 MB of clips
+  MAX_ENTRIES: 2000,
+  FETCH_TIMEOUT: 9000,
+  WARMUP_CONCURRENCY: 3,
+  EVICT_DELAY: 2000,            // batch evictions after a burst of writes
+  pending: new Map(),           // key → in-flight download (one request per phrase)
+  warmUpRuns: {},               // warm-up group → run id (a newer run stops the older one)
+  evictTimer: null,
+
+  get db() {
+    return OfflinePreloader;
+  },
+
+  /**
+   * Cache key of a phrase
+   */
+  key(text, lang, voice) {
+    return `${lang}|${voice || 'default'}|${text}`;
+  },
+
+  /**
+   * Cloud voice used for a language
+   * @returns {string|null} Voice name, null for the server default
+   */
+  voiceFor(lang) {
+    return this.VOICES[lang] || null;
+  },
+
+  /**
+   * Cached clip of a phrase (marks it as recently used)
+   * @returns {Promise<Blob|null>} Audio blob, null on a miss
+   */
+  async get(text, lang, voice = this.voiceFor(lang)) {
+    const record = await this.db.getFromDB(this.db.STORES.TTS, this.key(text, lang, voice));
+    if (!record || !record.blob) return null;
+
+    this.db.putInDB(this.db.STORES.TTS, { ...record, lastUsed: Date.now() }).catch(() => {});
+    return record.blob;
+  },
+
+  /**
+   * Store a clip
+   */
+  async put(text, lang, voice, blob) {
+    const now = Date.now();
+    await this.db.putInDB(this.db.STORES.TTS, {
+      key: this.key(text, lang, voice),
+      text,
+      lang,
+      voice: voice || null,
+      blob,
+      size: blob.size,
+      createdAt: now,
+      lastUsed: now
+    });
+    this.scheduleEviction();
+  },
+
+  /**
+   * Download a clip from a TTS server
+   * @param {string} endpoint - Speak endpoint of the server provider
+   * @param {number} timeout - Abort after this many ms
+   * @returns {Promise<Blob>} Audio blob
+   */
+  async fetchAudio(text, lang, voice, endpoint, timeout = this.FETCH_TIMEOUT) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text, lang, voice: voice || undefined }),
+        signal: controller.signal
+      });
+      if (!response.ok) {
+        const details = await response.text().catch(() => 'No error details');
+        throw new Error(`TTS Server Error ${response.status}: ${details}`);
+      }
+
+      const blob = await response.blob();
+      if (blob.size === 0) throw new Error('Empty audio from TTS server');
+      return blob;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  },
+
+  /**
+   * Clip of a phrase: cache first, provider on a miss (then cached)
+   * @param {Function|null} fetchAudio - (text, lang, voice) → Blob on a miss; null = cache only
+   * @returns {Promise<Blob>} Audio blob
+   */
+  async getAudio(text, lang, voice = this.voiceFor(lang), fetchAudio = null) {
+    try {
+      const cached = await this.get(text, lang, voice);
+      if (cached) {
+        console.log(`✅ Using cached TTS: "${text.substring(0, 30)}..."`);
+        return cached;
+      }
+    } catch (error) {
+      console.warn('⚠️ TTS cache unavailable:', error);
+    }
+
+    const key = this.key(text, lang, voice);
+    if (!this.pending.has(key)) {
+      if (!fetchAudio) throw new Error(`TTS not cached: "${text}"`);
+      const download = Promise.resolve()
+        .then(() => fetchAudio(text, lang, voice))
+        .then(async blob => {
+          await this.put(text, lang, voice, blob).catch(error => console.warn('⚠️ Failed to cache TTS:', error));
+          return blob;
+        })
+        .finally(() => this.pending.delete(key));
+      this.pending.set(key, download);
+    }
+    return this.pending.get(key);
+  },
+
+  /**
+   * Make sure a list of phrases is cached
+   * A newer warm-up of the same group stops this one (e.g. another workout picked in the preview).
+   * @param {Array<{text: string, lang: string, voice?: string}>} items - Phrases
+   * @param {Function} onProgress - ({ done, total }) after each phrase
+   * @param {string} group - Warm-up group
+   * @param {Function|null} fetchAudio - (text, lang, voice) → Blob on a miss (a provider's, see
+   *   warmUpWithProviders in tts-providers.js); null = cache only
+   * @returns {Promise<{cached: number, fetched: number, failed: number, stopped: boolean}>}
+   */
+  async warmUp(items, onProgress = null, group = 'default', fetchAudio = null) {
+    const run = (this.warmUpRuns[group] || 0) + 1;
+    this.warmUpRuns[group] = run;
+
+    // One entry per cache key
+    const unique = new Map();
+    items.forEach(({ text, lang, voice = this.voiceFor(lang) }) => {
+      if (text && lang) unique.set(this.key(text, lang, voice), { text, lang, voice });
+    });
+    const queue = Array.from(unique.values());
+    const total = queue.length;
+    const result = { cached: 0, fetched: 0, failed: 0, stopped: false };
+    let done = 0;
+
+    const worker = async () => {
+      while (queue.length) {
+        if (this.warmUpRuns[group] !== run) {
+          result.stopped = true;
+          return;
+        }
+        const { text, lang, voice } = queue.shift();
+        try {
+          const record = await this.db.getFromDB(this.db.STORES.TTS, this.key(text, lang, voice));
+          if (record && record.blob) {
+            result.cached++;
+          } else {
+            await this.getAudio(text, lang, voice, fetchAudio);
+            result.fetched++;
+          }
+        } catch (error) {
+          console.warn(`⚠️ Failed to cache TTS for "${text}":`, error);
+          result.failed++;
+        }
+        done++;
+        if (onProgress) onProgress({ done, total });
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(this.WARMUP_CONCURRENCY, total) }, worker));
+    return result;
+  },
+
+  scheduleEviction() {
+    clearTimeout(this.evictTimer);
+    this.evictTimer = setTimeout(() => {
+      this.evict().catch(error => console.warn('⚠️ TTS cache eviction failed:', error));
+    }, this.EVICT_DELAY);
+  },
+
+  /**
+   * Drop the least recently used clips until the cache fits the limits
+   * Two cursor walks on the lastUsed index (totals, then deletions), so only one
+   * record is held at a time however big the cache is.
+   * @returns {Promise<number>} Clips removed
+   */
+  async evict() {
+    let { entries, bytes } = await this.stats();
+    if (bytes <= this.MAX_BYTES && entries <= this.MAX_ENTRIES) return 0;
+    let removed = 0;
+
+    await this.db.walkIndex(this.db.STORES.TTS, 'lastUsed', (record, cursor) => {
+      if (bytes <= this.MAX_BYTES && entries <= this.MAX_ENTRIES) return false;
+      cursor.delete();
+      bytes -= record.size || 0;
+      entries--;
+      removed++;
+    }, { mode: 'readwrite' });
+
+    if (removed) console.log(`🗑️ TTS cache: evicted ${removed} clips (${entries} left)`);
+    return removed;
+  },
+
+  /**
+   * Size of the cache
+   * @returns {Promise<{entries: number, bytes: number}>}
+   */
+  async stats() {
+    const totals = { entries: 0, bytes: 0 };
+    await this.db.walkIndex(this.db.STORES.TTS, 'lastUsed', record => {
+      totals.entries++;
+      totals.bytes += record.size || 0;
+    });
+    return totals;
+  }
+};
@@ -0,0 +1,301 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VILTRUM FITNESS - TTS PROVIDERS
+// Voice mode speaks through a list of backends, tried by priority:
+//   self-hosted server → cloud server → pre-recorded clips → device voice
+// A provider that fails (error, timeout, failed health check) is skipped for
+// TTS_RETRY_DOWN_MS; a failed wake-up ping alone does not skip it. Server clips go through the persistent cache (TTSCache),
+// so a cached phrase plays even while its server is down or offline.
+//
+// Provider shape:
+//   id, priority, timeout
+//   canSpeak(text, lang) - optional, false = not this provider's phrase
+//   healthCheck()        - optional, rejects when the backend is down
+//   synthesize(request)  - { text, lang, voice } → audio Blob (played by the page), or
+//   speak(request)       - speaks by itself (Web Speech)
+//   voiceFor(lang)       - voice name sent to the backend / used in the cache key
+//   cache                - true = clips stored in TTSCache
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { TTS_SERVER_URL, TTS_PROVIDERS, TTS_RETRY_DOWN_MS } from './config.js';
+
+const SELF_HOSTED_KEY = 'viltrum_tts_server';
+
+const providers = new Map();
+const health = new Map(); // id → { status: 'up' | 'down' | 'waking', checkedAt, error }
+
+function hasCache() {
+  return typeof TTSCache !== 'undefined';
+}
+
+function withTimeout(promise, ms, label) {
+  if (!ms) return promise;
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function markHealth(id, status, error = null) {
+  health.set(id, { status, checkedAt: Date.now(), error: error ? error.message || String(error) : null });
+}
+
+function isUsable(provider) {
+  const state = health.get(provider.id);
+  return !state || state.status !== 'down' || Date.now() - state.checkedAt > TTS_RETRY_DOWN_MS;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// REGISTRY
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Add (or replace) a provider
+ * @param {Object} provider - See the provider shape above
+ */
+export function registerTTSProvider(provider) {
+  if (!provider?.id || !(provider.synthesize || provider.speak)) {
+    throw new Error('TTS provider needs an id and synthesize() or speak()');
+  }
+  providers.set(provider.id, { priority: 100, timeout: 0, ...provider });
+  health.delete(provider.id);
+}
+
+/**
+ * Remove a provider
+ * @param {string} id - Provider id
+ */
+export function unregisterTTSProvider(id) {
+  providers.delete(id);
+  health.delete(id);
+}
+
+/**
+ * Providers by priority, with their health
+ * @returns {Array<{id: string, priority: number, status: string, checkedAt: number|null, error: string|null}>}
+ */
+export function getTTSProviders() {
+  return sortedProviders().map(provider => {
+    const state = health.get(provider.id);
+    return {
+      id: provider.id,
+      priority: provider.priority,
+      status: state?.status || 'unknown',
+      checkedAt: state?.checkedAt || null,
+      error: state?.error || null
+    };
+  });
+}
+
+function sortedProviders() {
+  return Array.from(providers.values()).sort((a, b) => a.priority - b.priority);
+}
+
+/**
+ * Run the health checks (also wakes up servers that sleep when idle)
+ * @param {Object} options
+ * @param {boolean} options.wakeUp - Page-load ping: a failure leaves the provider
+ *   usable ('waking'), a server that sleeps when idle often misses the first one
+ * @returns {Promise<Array<Object>>} Providers with their health, see getTTSProviders()
+ */
+export async function checkTTSProviders({ wakeUp = false } = {}) {
+  await Promise.all(sortedProviders()
+    .filter(provider => provider.healthCheck)
+    .map(async provider => {
+      try {
+        await withTimeout(provider.healthCheck(), provider.timeout, provider.id);
+        markHealth(provider.id, 'up');
+        console.log(`✅ TTS provider up: ${provider.id}`);
+      } catch (error) {
+        markHealth(provider.id, wakeUp ? 'waking' : 'down', error);
+        console.warn(`⚠️ TTS provider ${wakeUp ? 'not awake yet' : 'down'}: ${provider.id}`, error.message || error);
+      }
+    }));
+  return getTTSProviders();
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SPEAKING
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function getClip(provider, request) {
+  const synthesize = (text, lang, voice) =>
+    withTimeout(provider.synthesize({ text, lang, voice }), provider.timeout, provider.id);
+
+  if (!provider.cache || !hasCache()) {
+    if (!isUsable(provider)) return null;
+    return synthesize(request.text, request.lang, request.voice);
+  }
+
+  // Cached clips play even when the provider is down
+  const cached = await TTSCache.get(request.text, request.lang, request.voice).catch(() => null);
+  if (cached) return cached;
+  if (!isUsable(provider)) return null;
+  return TTSCache.getAudio(request.text, request.lang, request.voice, synthesize);
+}
+
+/**
+ * Say a phrase with the first provider that manages it
+ * @param {string} text - Phrase
+ * @param {string} lang - BCP 47 language ("it-IT")
+ * @param {Object} options
+ * @param {Function} options.playClip - (Blob) → Promise resolved when the clip has played
+ * @returns {Promise<string>} Id of the provider that spoke
+ */
+export async function speakWithProviders(text, lang, { playClip }) {
+  const errors = [];
+
+  for (const provider of sortedProviders()) {
+    if (provider.canSpeak && !provider.canSpeak(text, lang)) continue;
+    const request = { text, lang, voice: provider.voiceFor ? provider.voiceFor(lang) : null };
+
+    try {
+      if (provider.speak) {
+        if (!isUsable(provider)) continue;
+        await provider.speak(request);
+      } else {
+        const clip = await getClip(provider, request);
+        if (!clip) continue;
+        await playClip(clip);
+      }
+      if (health.get(provider.id)?.status !== 'up') markHealth(provider.id, 'up');
+      return provider.id;
+    } catch (error) {
+      console.warn(`⚠️ TTS provider ${provider.id} failed:`, error.message || error);
+      markHealth(provider.id, 'down', error);
+      errors.push(`${provider.id}: ${error.message || error}`);
+    }
+  }
+
+  throw new Error(`No TTS provider could speak "${text}" (${errors.join('; ') || 'none available'})`);
+}
+
+/**
+ * Fill the cache for a list of phrases with the first usable caching provider
+ * @param {Array<{text: string, lang: string}>} items - Phrases
+ * @param {string} group - Warm-up group (see TTSCache.warmUp)
+ * @param {Function} onProgress - ({ done, total }) after each phrase
+ * @returns {Promise<Object|null>} TTSCache.warmUp result, null when no provider can warm up
+ */
+export async function warmUpWithProviders(items, group = 'default', onProgress = null) {
+  if (!hasCache()) return null;
+  const provider = sortedProviders().find(candidate => candidate.cache && isUsable(candidate));
+  if (!provider) return null;
+
+  const phrases = items
+    .filter(({ text, lang }) => !provider.canSpeak || provider.canSpeak(text, lang))
+    .map(({ text, lang }) => ({ text, lang, voice: provider.voiceFor ? provider.voiceFor(lang) : null }));
+  const synthesize = (text, lang, voice) =>
+    withTimeout(provider.synthesize({ text, lang, voice }), provider.timeout, provider.id);
+
+  const result = await TTSCache.warmUp(phrases, onProgress, group, synthesize);
+  return { ...result, provider: provider.id };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// BUILT-IN PROVIDERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Provider for a server speaking the cloud protocol
+ * (POST {url}/speak { text, lang, voice } → audio, GET {url}/ → 200 when up)
+ * @param {Object} options - { id, url, priority, timeout, voices: { lang: voice } }
+ * @returns {Object} Provider
+ */
+export function createServerProvider({ id, url, priority, timeout, voices = {} }) {
+  const base = url.replace(/\/+$/, '');
+  return {
+    id,
+    priority,
+    timeout,
+    cache: true,
+    voiceFor: lang => voices[lang] || null,
+    async healthCheck() {
+      const response = await fetch(`${base}/`, { cache: 'no-store' });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    },
+    synthesize({ text, lang, voice }) {
+      // The provider timeout wraps the call; the fetch itself gets the same limit
+      return TTSCache.fetchAudio(text, lang, voice, `${base}/speak`, timeout);
+    }
+  };
+}
+
+/**
+ * Provider for pre-recorded clips of fixed phrases
+ * @param {Object} options
+ * @param {string} options.id - Provider id
+ * @param {string} options.lang - Language of the recordings
+ * @param {Object<string, string>} options.clips - Phrase → clip URL
+ * @param {Function} options.loadClip - (url) → Blob, plain fetch by default
+ * @returns {Object} Provider
+ */
+export function createRecordedProvider({ id = 'recorded', lang, clips, priority, timeout, loadClip = null }) {
+  const normalize = text => String(text).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  const table = new Map(Object.entries(clips).map(([phrase, url]) => [normalize(phrase), url]));
+  const load = loadClip || (async url => {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response.blob();
+  });
+
+  return {
+    id,
+    priority,
+    timeout,
+    canSpeak: (text, textLang) => textLang === lang && table.has(normalize(text)),
+    synthesize: ({ text }) => load(table.get(normalize(text)))
+  };
+}
+
+/**
+ * Self-hosted server URL: this device's setting, else config.js
+ * @returns {string|null}
+ */
+export function getSelfHostedTTSUrl() {
+  try {
+    return localStorage.getItem(SELF_HOSTED_KEY) || TTS_PROVIDERS.selfHosted.url;
+  } catch (error) {
+    return TTS_PROVIDERS.selfHosted.url;
+  }
+}
+
+/**
+ * Point this device to a self-hosted server (null = back to config.js)
+ * @param {string|null} url - Server base URL
+ */
+export function setSelfHostedTTSUrl(url) {
+  if (url) {
+    localStorage.setItem(SELF_HOSTED_KEY, url);
+  } else {
+    localStorage.removeItem(SELF_HOSTED_KEY);
+  }
+  registerServerProviders();
+}
+
+function registerServerProviders() {
+  const voices = hasCache() ? TTSCache.VOICES : {};
+
+  registerTTSProvider(createServerProvider({
+    id: 'cloud',
+    url: TTS_SERVER_URL,
+    voices,
+    ...TTS_PROVIDERS.cloud
+  }));
+
+  const selfHostedUrl = getSelfHostedTTSUrl();
+  if (selfHostedUrl) {
+    registerTTSProvider(createServerProvider({
+      id: 'selfHosted',
+      ...TTS_PROVIDERS.selfHosted,
+      url: selfHostedUrl,
+      voices
+    }));
+  } else {
+    unregisterTTSProvider('selfHosted');
+  }
+}
+
+// Server providers are always there; recorded clips and the device voice are
+// registered by the page (they need its players)
+registerServerProviders();
@@ -0,0 +1,473 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VILTRUM FITNESS - WORKOUT EDITOR
+// Build custom workouts from the exercise library: drag exercises into
+// blocks (or tap to add), reorder them by dragging, set rounds, durations,
+// reps and rests. Saved through js/custom-workouts.js.
+// ═══════════════════════════════════════════════════════════════════════════
+
+import {
+  getCustomWorkouts, getCustomWorkout, saveCustomWorkout, deleteCustomWorkout,
+  validateCustomWorkout, BLOCK_TYPES
+} from './custom-workouts.js';
+
+const t = (key, params) => I18n.t(key, params);
+
+const DEFAULT_DURATION = 40;
+const DEFAULT_REPS = '10';
+
+let root = null;
+let exerciseLibrary = {};
+let draft = null;         // workout being edited (null = list view)
+let activeBlock = 0;      // block that receives tapped exercises
+let dragging = null;      // { from: 'library', name } | { from: 'block', block, index }
+
+function el(tag, className = '', text = null) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== null) node.textContent = text;
+  return node;
+}
+
+function numberOrNull(value) {
+  if (value === '' || value === null || value === undefined) return null;
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+function createBlock() {
+  return { blockType: '', duration: null, rounds: 3, restBetweenRounds: null, restAfterBlock: null, exercises: [] };
+}
+
+function createExercise(name) {
+  return { name, mode: '', duration: DEFAULT_DURATION, reps: '', tempo: '', tipoDiPeso: '' };
+}
+
+function describeWorkout(workout) {
+  const count = workout.blocks.reduce((sum, b) => sum + b.exercises.length, 0);
+  return `${t('editor.blocks', { count: workout.blocks.length })} · ${t('editor.exercises', { count })}`;
+}
+
+function showMessage(text, isError = false) {
+  const message = root.querySelector('#editor-message');
+  if (!message) return;
+  message.textContent = text;
+  message.className = isError ? 'error-message show' : 'success-message show';
+  setTimeout(() => message.classList.remove('show'), 3000);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LIST VIEW
+// ═══════════════════════════════════════════════════════════════════════════
+
+function renderList() {
+  root.innerHTML = '';
+
+  const section = el('div', 'profile-section');
+  section.appendChild(el('h2', '', t('editor.myWorkouts')));
+  const message = el('div', 'success-message');
+  message.id = 'editor-message';
+  section.appendChild(message);
+
+  const workouts = getCustomWorkouts();
+  if (workouts.length === 0) {
+    section.appendChild(el('p', 'editor-empty', t('editor.noWorkouts')));
+  }
+
+  workouts.forEach(workout => {
+    const card = el('div', 'custom-workout-card');
+    const info = el('div', 'custom-workout-info');
+    info.appendChild(el('div', 'custom-workout-name', workout.name));
+    info.appendChild(el('div', 'custom-workout-meta', describeWorkout(workout)));
+    card.appendChild(info);
+
+    const edit = el('button', 'btn btn-secondary', t('editor.edit'));
+    edit.type = 'button';
+    edit.addEventListener('click', () => openEditor(workout.id));
+    card.appendChild(edit);
+
+    const remove = el('button', 'btn btn-danger', t('editor.delete'));
+    remove.type = 'button';
+    remove.addEventListener('click', () => {
+      if (!confirm(t('editor.confirmDelete', { name: workout.name }))) return;
+      deleteCustomWorkout(workout.id);
+      renderList();
+    });
+    card.appendChild(remove);
+    section.appendChild(card);
+  });
+
+  const actions = el('div', 'button-group');
+  const create = el('button', 'btn btn-primary', t('editor.newWorkoutButton'));
+  create.type = 'button';
+  create.addEventListener('click', () => openEditor(null));
+  actions.appendChild(create);
+  section.appendChild(actions);
+
+  root.appendChild(section);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EDITOR VIEW
+// ═══════════════════════════════════════════════════════════════════════════
+
+function openEditor(id) {
+  const existing = id ? getCustomWorkout(id) : null;
+  draft = existing
+    ? JSON.parse(JSON.stringify(existing))
+    : { name: '', instructions: '', restBetweenBlocks: null, blocks: [createBlock()] };
+  activeBlock = 0;
+  renderEditor();
+}
+
+function closeEditor() {
+  draft = null;
+  renderList();
+}
+
+function renderEditor() {
+  root.innerHTML = '';
+
+  // --- Workout details ---
+  const details = el('div', 'profile-section');
+  details.appendChild(el('h2', '', draft.id ? t('editor.editTitle') : t('editor.newTitle')));
+  const message = el('div', 'success-message');
+  message.id = 'editor-message';
+  details.appendChild(message);
+
+  details.appendChild(createField(t('editor.name'), 'input', draft.name, value => { draft.name = value; }, { placeholder: t('editor.namePlaceholder') }));
+  details.appendChild(createField(t('editor.instructions'), 'textarea', draft.instructions, value => { draft.instructions = value; }));
+  details.appendChild(createField(t('editor.restBetweenBlocks'), 'number', draft.restBetweenBlocks ?? '', value => {
+    draft.restBetweenBlocks = numberOrNull(value);
+  }, { placeholder: t('editor.default') }));
+  root.appendChild(details);
+
+  // --- Blocks ---
+  draft.blocks.forEach((block, b) => root.appendChild(renderBlock(block, b)));
+
+  const addBlock = el('button', 'btn btn-secondary editor-add-block', t('editor.addBlock'));
+  addBlock.type = 'button';
+  addBlock.addEventListener('click', () => {
+    draft.blocks.push(createBlock());
+    activeBlock = draft.blocks.length - 1;
+    renderEditor();
+  });
+  root.appendChild(addBlock);
+
+  // --- Exercise library ---
+  root.appendChild(renderLibrary());
+
+  // --- Save / cancel ---
+  const actions = el('div', 'button-group editor-actions');
+  const save = el('button', 'btn btn-primary', t('editor.save'));
+  save.type = 'button';
+  save.addEventListener('click', saveDraft);
+  const cancel = el('button', 'btn btn-secondary', t('common.cancel'));
+  cancel.type = 'button';
+  cancel.addEventListener('click', closeEditor);
+  actions.appendChild(save);
+  actions.appendChild(cancel);
+  root.appendChild(actions);
+}
+
+function createField(label, type, value, onChange, { placeholder = '' } = {}) {
+  const group = el('div', 'form-group');
+  group.appendChild(el('label', '', label));
+  const input = type === 'textarea' ? el('textarea') : el('input');
+  if (type === 'number') {
+    input.type = 'number';
+    input.min = '0';
+    input.inputMode = 'numeric';
+  } else if (type === 'input') {
+    input.type = 'text';
+  }
+  input.value = value ?? '';
+  input.placeholder = placeholder;
+  input.addEventListener('input', () => onChange(input.value));
+  group.appendChild(input);
+  return group;
+}
+
+function createSmallInput(value, placeholder, onChange, type = 'number') {
+  const input = el('input', 'editor-small-input');
+  input.type = type;
+  if (type === 'number') {
+    input.min = '0';
+    input.inputMode = 'numeric';
+  }
+  input.value = value ?? '';
+  input.placeholder = placeholder;
+  input.addEventListener('input', () => onChange(input.value));
+  return input;
+}
+
+function renderBlock(block, b) {
+  const section = el('div', 'profile-section editor-block');
+  if (b === activeBlock) section.classList.add('active');
+  section.addEventListener('click', () => {
+    if (activeBlock === b) return;
+    activeBlock = b;
+    root.querySelectorAll('.editor-block').forEach((node, i) => node.classList.toggle('active', i === b));
+  });
+
+  // Header: title + remove
+  const header = el('div', 'editor-block-header');
+  header.appendChild(el('h2', '', t('editor.block', { number: b + 1 })));
+  if (draft.blocks.length > 1) {
+    const remove = el('button', 'editor-icon-button', '✕');
+    remove.type = 'button';
+    remove.title = t('editor.deleteBlock');
+    remove.addEventListener('click', (e) => {
+      e.stopPropagation();
+      draft.blocks.splice(b, 1);
+      activeBlock = Math.min(activeBlock, draft.blocks.length - 1);
+      renderEditor();
+    });
+    header.appendChild(remove);
+  }
+  section.appendChild(header);
+
+  // Format, rounds and rests
+  const settings = el('div', 'editor-block-settings');
+  const type = el('select', 'editor-small-input');
+  BLOCK_TYPES.forEach(option => {
+    const node = el('option', '', option.label);
+    node.value = option.id;
+    type.appendChild(node);
+  });
+  type.value = block.blockType || '';
+  type.addEventListener('change', () => {
+    block.blockType = type.value;
+    renderEditor();
+  });
+  settings.appendChild(labelled(t('editor.format'), type));
+  const blockDuration = BLOCK_TYPES.find(t => t.id === (block.blockType || ''))?.duration;
+  if (blockDuration) {
+    settings.appendChild(labelled(t(`editor.duration.${block.blockType}`), createSmallInput(block.duration, String(blockDuration.fallback), value => {
+      block.duration = numberOrNull(value);
+    })));
+  }
+  settings.appendChild(labelled(t('editor.rounds'), createSmallInput(block.rounds, '1', value => { block.rounds = numberOrNull(value) || 1; })));
+  settings.appendChild(labelled(t('editor.restBetweenRounds'), createSmallInput(block.restBetweenRounds, '–', value => { block.restBetweenRounds = numberOrNull(value); })));
+  settings.appendChild(labelled(t('editor.restAfterBlock'), createSmallInput(block.restAfterBlock, '–', value => { block.restAfterBlock = numberOrNull(value); })));
+  section.appendChild(settings);
+
+  // Exercises (drop zone)
+  const list = el('div', 'editor-exercise-list');
+  list.addEventListener('dragover', (e) => {
+    if (!dragging) return;
+    e.preventDefault();
+    list.classList.add('drag-over');
+  });
+  list.addEventListener('dragleave', () => list.classList.remove('drag-over'));
+  list.addEventListener('drop', (e) => {
+    e.preventDefault();
+    list.classList.remove('drag-over');
+    dropAt(b, getDropIndex(list, e.clientY));
+  });
+
+  if (block.exercises.length === 0) {
+    list.appendChild(el('p', 'editor-empty', t('editor.dropHere')));
+  }
+  block.exercises.forEach((ex, i) => list.appendChild(renderExerciseRow(block, b, ex, i)));
+  section.appendChild(list);
+
+  return section;
+}
+
+function labelled(text, input) {
+  const label = el('label', 'editor-setting');
+  label.appendChild(el('span', '', text));
+  label.appendChild(input);
+  return label;
+}
+
+function renderExerciseRow(block, b, ex, i) {
+  const row = el('div', 'editor-exercise-row');
+  row.draggable = true;
+  row.dataset.index = i;
+  row.addEventListener('dragstart', (e) => {
+    dragging = { from: 'block', block: b, index: i };
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', ex.name);
+    row.classList.add('dragging');
+  });
+  row.addEventListener('dragend', () => {
+    dragging = null;
+    row.classList.remove('dragging');
+  });
+
+  row.appendChild(el('span', 'editor-drag-handle', '⠿'));
+
+  const main = el('div', 'editor-exercise-main');
+  main.appendChild(el('div', 'editor-exercise-name', ex.name));
+
+  const fields = el('div', 'editor-exercise-fields');
+  const mode = el('select', 'editor-small-input');
+  [['', t('editor.mode.time')], ['reps', t('editor.mode.reps')]].forEach(([value, text]) => {
+    const option = el('option', '', text);
+    option.value = value;
+    mode.appendChild(option);
+  });
+  mode.value = ex.mode || '';
+  mode.addEventListener('change', () => {
+    ex.mode = mode.value;
+    if (ex.mode === 'reps' && !ex.reps) ex.reps = DEFAULT_REPS;
+    if (ex.mode !== 'reps' && !ex.duration) ex.duration = DEFAULT_DURATION;
+    renderEditor();
+  });
+  fields.appendChild(mode);
+
+  if (ex.mode === 'reps') {
+    fields.appendChild(createSmallInput(ex.reps, t('editor.mode.reps'), value => { ex.reps = value.trim(); }, 'text'));
+    fields.appendChild(createSmallInput(ex.tempo, t('editor.tempo'), value => { ex.tempo = value.trim(); }, 'text'));
+  } else {
+    fields.appendChild(createSmallInput(ex.duration, t('editor.seconds'), value => { ex.duration = numberOrNull(value) || 0; }));
+  }
+  fields.appendChild(createSmallInput(ex.tipoDiPeso, t('editor.load'), value => { ex.tipoDiPeso = value.trim(); }, 'text'));
+  main.appendChild(fields);
+  row.appendChild(main);
+
+  // Buttons for phones where dragging is awkward
+  const moves = el('div', 'editor-row-buttons');
+  const up = el('button', 'editor-icon-button', '↑');
+  up.type = 'button';
+  up.disabled = i === 0;
+  up.addEventListener('click', () => moveExercise(b, i, b, i - 1));
+  const down = el('button', 'editor-icon-button', '↓');
+  down.type = 'button';
+  down.disabled = i === block.exercises.length - 1;
+  down.addEventListener('click', () => moveExercise(b, i, b, i + 2));
+  const remove = el('button', 'editor-icon-button', '✕');
+  remove.type = 'button';
+  remove.addEventListener('click', () => {
+    block.exercises.splice(i, 1);
+    renderEditor();
+  });
+  moves.appendChild(up);
+  moves.appendChild(down);
+  moves.appendChild(remove);
+  row.appendChild(moves);
+
+  return row;
+}
+
+function renderLibrary() {
+  const section = el('div', 'profile-section editor-library');
+  section.appendChild(el('h2', '', t('editor.library')));
+
+  const search = el('input', 'editor-search');
+  search.type = 'search';
+  search.placeholder = t('editor.search');
+  section.appendChild(search);
+
+  const list = el('div', 'editor-library-list');
+  const names = Object.keys(exerciseLibrary)
+    .filter(name => !name.toLowerCase().includes('istruz'))
+    .sort((a, b) => a.localeCompare(b, I18n.getLocale()));
+
+  const fill = () => {
+    const query = search.value.trim().toLowerCase();
+    list.innerHTML = '';
+    names.filter(name => name.toLowerCase().includes(query)).forEach(name => {
+      const item = el('div', 'editor-library-item', name);
+      item.draggable = true;
+      item.addEventListener('dragstart', (e) => {
+        dragging = { from: 'library', name };
+        e.dataTransfer.effectAllowed = 'copy';
+        e.dataTransfer.setData('text/plain', name);
+      });
+      item.addEventListener('dragend', () => { dragging = null; });
+      item.addEventListener('click', () => {
+        draft.blocks[activeBlock].exercises.push(createExercise(name));
+        renderEditor();
+        showMessage(t('editor.added', { name, number: activeBlock + 1 }));
+      });
+      list.appendChild(item);
+    });
+    if (names.length === 0) {
+      list.appendChild(el('p', 'editor-empty', t('editor.libraryUnavailable')));
+    }
+  };
+  search.addEventListener('input', fill);
+  fill();
+
+  section.appendChild(list);
+  return section;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DRAG & DROP
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Insert position in a block list from the pointer's vertical position
+function getDropIndex(list, clientY) {
+  const rows = [...list.querySelectorAll('.editor-exercise-row')];
+  const index = rows.findIndex(row => {
+    const rect = row.getBoundingClientRect();
+    return clientY < rect.top + rect.height / 2;
+  });
+  return index === -1 ? rows.length : index;
+}
+
+function dropAt(blockIndex, index) {
+  if (!dragging) return;
+  if (dragging.from === 'library') {
+    draft.blocks[blockIndex].exercises.splice(index, 0, createExercise(dragging.name));
+    activeBlock = blockIndex;
+    renderEditor();
+  } else {
+    moveExercise(dragging.block, dragging.index, blockIndex, index);
+  }
+  dragging = null;
+}
+
+/**
+ * Move an exercise, within a block or to another one
+ * @param {number} fromBlock - Source block
+ * @param {number} fromIndex - Position in the source block
+ * @param {number} toBlock - Target block
+ * @param {number} toIndex - Insert position in the target block (before removal)
+ */
+function moveExercise(fromBlock, fromIndex, toBlock, toIndex) {
+  const [exercise] = draft.blocks[fromBlock].exercises.splice(fromIndex, 1);
+  if (!exercise) return;
+  // Removing shifted the later rows of the same block up by one
+  if (fromBlock === toBlock && toIndex > fromIndex) toIndex--;
+  draft.blocks[toBlock].exercises.splice(Math.max(0, toIndex), 0, exercise);
+  renderEditor();
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SAVE
+// ═══════════════════════════════════════════════════════════════════════════
+
+function saveDraft() {
+  const error = validateCustomWorkout(draft);
+  if (error) {
+    showMessage(`❌ ${error}`, true);
+    return;
+  }
+  const saved = saveCustomWorkout(draft);
+  draft = null;
+  renderList();
+  showMessage(t('editor.saved', { name: saved.name }));
+}
+
+function render() {
+  if (!root) return;
+  if (draft) renderEditor();
+  else renderList();
+}
+
+window.addEventListener(I18n.CHANGE_EVENT, render);
+
+/**
+ * Mount the editor
+ * @param {HTMLElement} container - Where to render
+ * @param {Object} library - Exercise library from the doGet payload (name → details)
+ */
+export function initWorkoutEditor(container, library) {
+  root = container;
+  exerciseLibrary = library || {};
+  render();
+}
@@ -0,0 +1,119 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VILTRUM FITNESS - WORKOUT ESTIMATE
+// Total time and calorie estimate of a generated sequence (warm-up, rests
+// and label steps included), with a per-block breakdown for the preview.
+// Calories: MET × bodyweight (kg) × hours, MET picked per exercise type.
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const DEFAULT_BODY_WEIGHT = 70; // kg, used until the user sets theirs in the profile
+
+const SECONDS_PER_REP = 3;      // rep-based sets have no countdown: estimate from the target reps
+const REP_SET_FALLBACK = 40;    // seconds, when the target reps are unknown ("max", "AMRAP")
+
+// Compendium of Physical Activities, rounded
+const MET_VALUES = {
+  rest: 1.5,        // standing / walking around between sets
+  warmup: 3.5,      // light calisthenics
+  mobility: 2.5,    // stretching, mobility
+  core: 3.8,        // plank, crunch
+  strength: 5.0,    // resistance training with loads
+  bodyweight: 6.0,  // calisthenics, moderate
+  cardio: 8.0,      // burpees, jumps, jumping jacks
+  conditioning: 8.0 // EMOM / AMRAP / Tabata: continuous high effort
+};
+
+const CARDIO_PATTERN = /burpee|jump|salt|skip|corsa|run|jack|sprint|mountain climber|high knees|ginocchia alte|rower|vogatore|bike|assault/i;
+const CORE_PATTERN = /plank|crunch|addom|hollow|dead bug|sit.?up|russian twist|core/i;
+const MOBILITY_PATTERN = /stretch|allungament|mobilit|respir|breath/i;
+
+/**
+ * Effort category of a step (key of MET_VALUES)
+ * @param {Object} step - Step from buildFullWorkoutSequence
+ * @returns {string} Category
+ */
+function classifyStep(step) {
+  if (step.isRest || step.isLabel) return 'rest';
+  if (step.isWarmup) return 'warmup';
+  if (['emom', 'amrap', 'tabata'].includes(step.blockType)) return 'conditioning';
+
+  const name = step.name || '';
+  if (MOBILITY_PATTERN.test(name)) return 'mobility';
+  if (CARDIO_PATTERN.test(name)) return 'cardio';
+  if (CORE_PATTERN.test(name)) return 'core';
+  return step.tipoDiPeso ? 'strength' : 'bodyweight';
+}
+
+/**
+ * Expected seconds of a step (rep-based sets are estimated from the reps)
+ * @param {Object} step - Step from buildFullWorkoutSequence
+ * @returns {number} Seconds
+ */
+function getStepSeconds(step) {
+  if (step.mode === 'reps' && !step.isLabel && !step.isWarmup) {
+    const reps = parseInt((step.reps || '').toString().match(/\d+/)?.[0], 10);
+    return Number.isFinite(reps) ? reps * SECONDS_PER_REP : REP_SET_FALLBACK;
+  }
+  return parseInt(step.duration, 10) || 0;
+}
+
+function kcalFor(met, bodyWeight, seconds) {
+  return met * bodyWeight * (seconds / 3600);
+}
+
+/**
+ * Estimate duration and calories of a whole workout sequence
+ * - warm-up and the labels before the first block → "Riscaldamento"
+ * - steps of a block and the rests inside it → that block
+ * - rests between blocks and the closing labels → "Tra i blocchi"
+ * @param {Array} sequence - Output of buildFullWorkoutSequence
+ * @param {number|null} bodyWeight - kg (null → DEFAULT_BODY_WEIGHT)
+ * @returns {{totalSeconds: number, kcal: number, bodyWeight: number, bodyWeightEstimated: boolean,
+ *   parts: Array<{kind: 'warmup'|'block'|'between', blockNumber: number|null, label: string, seconds: number, kcal: number}>}}
+ */
+export function estimateWorkout(sequence, bodyWeight = null) {
+  const weight = bodyWeight > 0 ? bodyWeight : DEFAULT_BODY_WEIGHT;
+  const parts = new Map();
+  const addTo = (kind, blockNumber, label, seconds, kcal) => {
+    const part = parts.get(label) || { kind, blockNumber, label, seconds: 0, kcal: 0 };
+    part.seconds += seconds;
+    part.kcal += kcal;
+    parts.set(label, part);
+  };
+
+  let currentBlock = null;
+  (sequence || []).forEach(step => {
+    const seconds = getStepSeconds(step);
+    const kcal = kcalFor(MET_VALUES[classifyStep(step)], weight, seconds);
+
+    if (step.blockNumber && !step.isWarmup) currentBlock = step.blockNumber;
+
+    if (step.isWarmup || currentBlock === null) addTo('warmup', null, 'Riscaldamento', seconds, kcal);
+    else if (step.isLabel && (!step.isRest || step.restType === 'block')) addTo('between', null, 'Tra i blocchi', seconds, kcal);
+    else addTo('block', currentBlock, `Blocco ${currentBlock}`, seconds, kcal);
+  });
+
+  // Rests between blocks read best after the blocks themselves
+  const list = [...parts.values()]
+    .sort((a, b) => (a.kind === 'between') - (b.kind === 'between'))
+    .map(part => ({ ...part, kcal: Math.round(part.kcal) }));
+  return {
+    totalSeconds: list.reduce((sum, part) => sum + part.seconds, 0),
+    kcal: list.reduce((sum, part) => sum + part.kcal, 0),
+    bodyWeight: weight,
+    bodyWeightEstimated: !(bodyWeight > 0),
+    parts: list
+  };
+}
+
+/**
+ * "42 min" / "1 h 05 min" / "3:20" for short parts
+ * @param {number} seconds - Duration
+ * @param {boolean} precise - m:ss instead of rounded minutes
+ * @returns {string} Formatted duration
+ */
+export function formatEstimateDuration(seconds, precise = false) {
+  if (precise) return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, '0')} min`;
+}
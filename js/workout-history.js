@@ -31,6 +31,37 @@ function getCurrentUserEmail() {
   return localStorage.getItem('loggedUser');
 }
 
+/**
+ * Send a write to the backend through the offline outbox (js/cloud-outbox.js):
+ * queued in IndexedDB first, retried until delivered.
+ * Pages that don't load the outbox send directly.
+ * @param {Object} request - { url, method, body, dedupeKey }
+ * @returns {Promise<{delivered: boolean, result: Object|null}>} Outcome of the immediate attempt
+ */
+async function sendToCloud({ url, method = 'GET', body = null, dedupeKey = null }) {
+  if (typeof CloudOutbox !== 'undefined') {
+    return CloudOutbox.send({ url, method, body, dedupeKey });
+  }
+
+  const options = { method, redirect: 'follow' };
+  if (body !== null) {
+    // text/plain keeps this a "simple" request (no CORS preflight on Apps Script)
+    options.headers = { 'Content-Type': 'text/plain;charset=utf-8' };
+    options.body = JSON.stringify(body);
+  }
+  const response = await fetch(url, options);
+  if (!response.ok) return { delivered: false, result: null };
+  
+  const text = await response.text();
+  try {
+    const result = JSON.parse(text);
+    return { delivered: result.status !== 'error', result };
+  } catch (parseError) {
+    // Google sometimes returns HTML on success
+    return { delivered: true, result: null };
+  }
+}
+
 /**
  * Sync weights to cloud (Google Sheets)
  * @param {Object} weights - Object with exercise names as keys and weights as values
@@ -60,43 +91,15 @@ async function syncWeightsToCloud(weights) {
       console.warn('⚠️ URL may be too long for GET request');
     }
     
-    const response = await fetch(fullUrl, { 
-      method: 'GET',
-      redirect: 'follow'
-    });
-    
-    console.log('📥 Response status:', response.status, response.statusText);
-    
-    // Check if response is OK
-    if (!response.ok) {
-      console.warn('⚠️ Cloud sync HTTP error:', response.status);
-      return false;
-    }
-    
-    // Try to parse JSON response
-    const text = await response.text();
-    console.log('📥 Cloud response:', text.substring(0, 300));
+    const { delivered, result } = await sendToCloud({ url: fullUrl, dedupeKey: 'saveWeights' });
     
-    try {
-      const result = JSON.parse(text);
-      if (result.status === 'success') {
-        console.log('✅ Weights synced to cloud');
-        localStorage.setItem(STORAGE_KEYS.WEIGHTS_SYNCED, new Date().toISOString());
-        return true;
-      } else {
-        console.warn('⚠️ Cloud sync failed:', result.message || 'Unknown error');
-        return false;
-      }
-    } catch (parseError) {
-      // If response isn't JSON, might still have worked (Google sometimes returns HTML on success)
-      if (text.includes('success') || response.ok) {
-        console.log('✅ Weights likely synced (non-JSON response)');
-        localStorage.setItem(STORAGE_KEYS.WEIGHTS_SYNCED, new Date().toISOString());
-        return true;
-      }
-      console.warn('⚠️ Could not parse response:', parseError);
-      return false;
+    if (delivered) {
+      console.log('✅ Weights synced to cloud');
+      localStorage.setItem(STORAGE_KEYS.WEIGHTS_SYNCED, new Date().toISOString());
+      return true;
     }
+    console.warn('⚠️ Weights sync pending (queued for retry):', result?.message || 'offline');
+    return false;
   } catch (error) {
     console.error('❌ Failed to sync weights to cloud:', error);
     return false;
@@ -205,44 +208,19 @@ export async function syncLastWorkoutToCloud(workoutIndex, workoutName, totalWor
     url.searchParams.append('lastWorkoutName', workoutName);
     url.searchParams.append('totalWorkouts', totalWorkouts.toString());
 
-    const response = await fetch(url.toString(), { 
-      method: 'GET',
-      redirect: 'follow'
-    });
+    const { delivered, result } = await sendToCloud({ url: url.toString(), dedupeKey: 'saveLastWorkout' });
     
-    console.log('📥 Response status:', response.status, response.statusText);
-    
-    if (!response.ok) {
-      console.warn('⚠️ Last workout sync HTTP error:', response.status);
-      return false;
-    }
-    
-    const text = await response.text();
-    console.log('📥 Cloud response:', text.substring(0, 300));
-    
-    try {
-      const result = JSON.parse(text);
-      if (result.status === 'success') {
-        console.log('✅ Last workout synced to cloud, total:', result.totalWorkouts);
-        localStorage.setItem(STORAGE_KEYS.LAST_WORKOUT_SYNCED, new Date().toISOString());
-        // Also save totalWorkouts locally
-        if (result.totalWorkouts) {
-          localStorage.setItem('viltrum_total_workouts', result.totalWorkouts.toString());
-        }
-        return true;
-      } else {
-        console.warn('⚠️ Last workout sync failed:', result.message || 'Unknown error');
-        return false;
+    if (delivered) {
+      console.log('✅ Last workout synced to cloud, total:', result?.totalWorkouts);
+      localStorage.setItem(STORAGE_KEYS.LAST_WORKOUT_SYNCED, new Date().toISOString());
+      // Also save totalWorkouts locally
+      if (result?.totalWorkouts) {
+        localStorage.setItem('viltrum_total_workouts', result.totalWorkouts.toString());
       }
-    } catch (parseError) {
-      if (text.includes('success') || response.ok) {
-        console.log('✅ Last workout likely synced (non-JSON response)');
-        localStorage.setItem(STORAGE_KEYS.LAST_WORKOUT_SYNCED, new Date().toISOString());
-        return true;
-      }
-      console.warn('⚠️ Could not parse response:', parseError);
-      return false;
+      return true;
     }
+    console.warn('⚠️ Last workout sync pending (queued for retry):', result?.message || 'offline');
+    return false;
   } catch (error) {
     console.error('❌ Failed to sync last workout to cloud:', error);
     return false;
@@ -375,14 +353,39 @@ export async function initializeLastWorkoutSync() {
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
-// WORKOUT HISTORY
+// WORKOUT HISTORY (IndexedDB, with localStorage fallback)
 // ═══════════════════════════════════════════════════════════════════════════
 
+// History lives in the OfflinePreloader database (store "history", no size cap):
+// pages importing this module must load offline-preloader.js.
+// An in-memory copy (newest first) keeps the synchronous readers below working:
+// await initializeHistoryStore() before reading on page load.
+let historyCache = null;
+let historyReady = null;
+
+// Only used when the browser has no IndexedDB (localStorage quota)
+const LOCAL_HISTORY_LIMIT = 100;
+
 /**
- * Get workout history
- * @returns {Array} Array of workout history entries
+ * Get the OfflinePreloader database helper
+ * A page without offline-preloader.js must not fall back to localStorage: once
+ * the history has been migrated it would read an empty history and write a
+ * second one next to the real one.
+ * @returns {Object|null} OfflinePreloader, null when the browser has no IndexedDB
  */
-export function getWorkoutHistory() {
+function getHistoryDB() {
+  if (typeof indexedDB === 'undefined') return null;
+  if (typeof OfflinePreloader === 'undefined') {
+    throw new Error('Workout history needs offline-preloader.js on this page');
+  }
+  return OfflinePreloader;
+}
+
+function sortNewestFirst(entries) {
+  return entries.sort((a, b) => new Date(b.completedAt) - new Date(a.completedAt));
+}
+
+function getLocalHistory() {
   try {
     const history = localStorage.getItem(STORAGE_KEYS.HISTORY);
     return history ? JSON.parse(history) : [];
@@ -392,37 +395,253 @@ export function getWorkoutHistory() {
   }
 }
 
+/**
+ * One-time move of the localStorage history into IndexedDB
+ * @param {Object} db - OfflinePreloader
+ */
+async function migrateLocalHistory(db) {
+  const localHistory = getLocalHistory();
+  if (localHistory.length === 0) return;
+  
+  console.log('📦 Migrating', localHistory.length, 'workouts from localStorage to IndexedDB...');
+  await db.putManyInDB(db.STORES.HISTORY, localHistory);
+  localStorage.removeItem(STORAGE_KEYS.HISTORY);
+  console.log('✅ Workout history migrated to IndexedDB');
+}
+
+/**
+ * Open the history store, migrate legacy data and load the in-memory copy
+ * Safe to call many times: the work is done once per page
+ * @returns {Promise<Array>} Workout history, newest first
+ */
+export function initializeHistoryStore() {
+  if (historyReady) return historyReady;
+  
+  historyReady = (async () => {
+    const db = getHistoryDB();
+    if (!db) {
+      historyCache = null; // readers fall back to localStorage
+      return getLocalHistory();
+    }
+    
+    try {
+      await db.initDB();
+      await migrateLocalHistory(db);
+      historyCache = sortNewestFirst(await db.getAllFromDB(db.STORES.HISTORY));
+      console.log('📚 Workout history loaded:', historyCache.length, 'entries');
+    } catch (error) {
+      console.error('❌ Failed to open history store, using localStorage:', error);
+      historyCache = null;
+    }
+    return getWorkoutHistory();
+  })();
+  
+  return historyReady;
+}
+
+// Start loading the history store as soon as any page imports this module
+initializeHistoryStore().catch(error => console.error('❌ Workout history unavailable:', error));
+
+/**
+ * Get workout history
+ * @returns {Array} Array of workout history entries, newest first
+ */
+export function getWorkoutHistory() {
+  return historyCache ? historyCache : getLocalHistory();
+}
+
+/**
+ * Get one page of workout history, newest first
+ * @param {Object} options - { limit, before } - before = completedAt of the last entry of the previous page
+ * @returns {Promise<{entries: Array, nextCursor: string|null}>} Page and cursor for the next one
+ */
+export async function getWorkoutHistoryPage({ limit = 20, before = null } = {}) {
+  await initializeHistoryStore();
+  const db = getHistoryDB();
+  let entries;
+  
+  if (historyCache && db) {
+    const range = before ? IDBKeyRange.upperBound(before, true) : null;
+    entries = await db.queryIndex(db.STORES.HISTORY, 'completedAt', { range, direction: 'prev', limit: limit + 1 });
+  } else {
+    const history = getWorkoutHistory();
+    entries = (before ? history.filter(entry => entry.completedAt < before) : history).slice(0, limit + 1);
+  }
+  
+  const hasMore = entries.length > limit;
+  entries = entries.slice(0, limit);
+  return {
+    entries,
+    nextCursor: hasMore ? entries[entries.length - 1].completedAt : null
+  };
+}
+
+/**
+ * Get workout history between two dates, oldest first
+ * @param {Date|string} from - Start (inclusive)
+ * @param {Date|string} to - End (inclusive)
+ * @returns {Promise<Array>} Entries completed in the range
+ */
+export async function getWorkoutHistoryRange(from, to) {
+  await initializeHistoryStore();
+  const fromIso = new Date(from).toISOString();
+  const toIso = new Date(to).toISOString();
+  const db = getHistoryDB();
+  
+  if (historyCache && db) {
+    return db.queryIndex(db.STORES.HISTORY, 'completedAt', { range: IDBKeyRange.bound(fromIso, toIso) });
+  }
+  return getWorkoutHistory()
+    .filter(entry => entry.completedAt >= fromIso && entry.completedAt <= toIso)
+    .reverse();
+}
+
+/**
+ * Count workout history entries
+ * @returns {Promise<number>} Number of entries
+ */
+export async function countWorkoutHistory() {
+  await initializeHistoryStore();
+  const db = getHistoryDB();
+  if (historyCache && db) return db.countInDB(db.STORES.HISTORY);
+  return getWorkoutHistory().length;
+}
+
+/**
+ * Create a history entry id that stays unique across devices
+ * (legacy entries keep their numeric Date.now() id)
+ * @returns {string} Entry id
+ */
+function createEntryId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Save many history entries at once (used by the cloud merge)
+ * @param {Array} entries - History entries
+ */
+async function saveHistoryEntries(entries) {
+  if (entries.length === 0) return;
+  await initializeHistoryStore();
+  const db = getHistoryDB();
+  const ids = new Set(entries.map(entry => String(entry.id)));
+  
+  if (historyCache && db) {
+    await db.putManyInDB(db.STORES.HISTORY, entries);
+    historyCache = sortNewestFirst([...entries, ...historyCache.filter(e => !ids.has(String(e.id)))]);
+    return;
+  }
+  
+  const history = sortNewestFirst([...entries, ...getLocalHistory().filter(e => !ids.has(String(e.id)))]);
+  localStorage.setItem(STORAGE_KEYS.HISTORY, JSON.stringify(history.slice(0, LOCAL_HISTORY_LIMIT)));
+}
+
+/**
+ * Save a history entry (IndexedDB + in-memory copy, or localStorage)
+ * @param {Object} entry - History entry
+ */
+async function saveHistoryEntry(entry) {
+  await initializeHistoryStore();
+  const db = getHistoryDB();
+  
+  if (historyCache && db) {
+    await db.putInDB(db.STORES.HISTORY, entry);
+    historyCache = sortNewestFirst([entry, ...historyCache.filter(e => e.id !== entry.id)]);
+    return;
+  }
+  
+  const history = getLocalHistory().filter(e => e.id !== entry.id);
+  history.unshift(entry);
+  if (history.length > LOCAL_HISTORY_LIMIT) {
+    history.splice(LOCAL_HISTORY_LIMIT);
+  }
+  localStorage.setItem(STORAGE_KEYS.HISTORY, JSON.stringify(history));
+}
+
+/**
+ * Summarize the per-step execution trace recorded by the player
+ * Counts only exercise steps: cutting a rest short isn't skipping work
+ * @param {Array} trace - { step, name, type, block, round, planned, actual, extra, visits, status }
+ * @returns {Object|null} { steps, completed, skipped, shortened, repeated, plannedSeconds, actualSeconds, extraSeconds, percent }
+ */
+export function summarizeExecutionTrace(trace) {
+  const exercises = (trace || []).filter(t => t.type === 'exercise');
+  if (exercises.length === 0) return null;
+
+  const count = status => exercises.filter(t => t.status === status).length;
+  const completed = count('completed');
+  const timed = exercises.filter(t => t.planned !== null);
+
+  return {
+    steps: exercises.length,
+    completed,
+    skipped: count('skipped'),
+    shortened: count('shortened'),
+    repeated: exercises.filter(t => t.visits > 1).length,
+    plannedSeconds: timed.reduce((sum, t) => sum + t.planned, 0),
+    actualSeconds: timed.reduce((sum, t) => sum + t.actual, 0),
+    extraSeconds: (trace || []).reduce((sum, t) => sum + (t.extra || 0), 0),
+    percent: Math.round((completed / exercises.length) * 100)
+  };
+}
+
 /**
  * Add workout to history
  * @param {string} workoutName - Name of completed workout
  * @param {number} duration - Duration in seconds
  * @param {Object} exerciseWeights - Object with exercise names as keys and weights as values
+ * @param {Array} sets - Session log, one entry per set: { exercise, block, round, weight, reps, rpe, seconds }
+ * @param {Object} details - Extra session details: { swaps: [{ from, to, step, round, at }],
+ *   trace: per-step execution trace (see summarizeExecutionTrace) }
+ * @returns {Promise<Object|null>} Saved entry
  */
-export function addWorkoutToHistory(workoutName, duration, exerciseWeights = {}) {
+export async function addWorkoutToHistory(workoutName, duration, exerciseWeights = {}, sets = [], details = {}) {
   try {
-    const history = getWorkoutHistory();
+    const now = new Date().toISOString();
     const entry = {
-      id: Date.now(),
+      id: createEntryId(),
       workoutName,
       duration,
-      completedAt: new Date().toISOString(),
+      completedAt: now,
+      updatedAt: now,
       exerciseWeights
     };
     
-    history.unshift(entry); // Add to beginning
+    const userEmail = getCurrentUserEmail();
+    if (userEmail) {
+      entry.email = userEmail;
+    }
     
-    // Keep last 100 workouts
-    if (history.length > 100) {
-      history.splice(100);
+    if (sets.length > 0) {
+      entry.sets = sets;
     }
     
-    localStorage.setItem(STORAGE_KEYS.HISTORY, JSON.stringify(history));
+    if (details.swaps?.length > 0) {
+      entry.swaps = details.swaps;
+    }
+    
+    if (details.trace?.length > 0) {
+      entry.trace = details.trace;
+      entry.adherence = summarizeExecutionTrace(details.trace);
+    }
+    
+    await saveHistoryEntry(entry);
     
     // Update exercise weights (local + cloud)
     if (Object.keys(exerciseWeights).length > 0) {
       updateExerciseWeights(exerciseWeights);
     }
     
+    // Sync history entry + session log (non-blocking, local copy is already saved)
+    syncHistoryToCloud([entry]).catch(err => {
+      console.warn('⚠️ History cloud sync error:', err);
+    });
+    if (sets.length > 0) {
+      syncSessionLogToCloud(entry).catch(err => {
+        console.warn('⚠️ Session log cloud sync error:', err);
+      });
+    }
+    
     return entry;
   } catch (error) {
     console.error('Error saving workout to history:', error);
@@ -479,8 +698,460 @@ export function getWorkoutStats() {
 /**
  * Clear workout history
  */
-export function clearWorkoutHistory() {
+export async function clearWorkoutHistory() {
   localStorage.removeItem(STORAGE_KEYS.HISTORY);
+  
+  const db = getHistoryDB();
+  if (historyCache && db) {
+    await db.clearStore(db.STORES.HISTORY);
+    historyCache = [];
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CLOUD SYNC FOR HISTORY
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Last-modified time of an entry (legacy entries only have completedAt)
+ * @param {Object} entry - History entry
+ * @returns {number} Timestamp in ms
+ */
+function entryVersion(entry) {
+  return new Date(entry.updatedAt || entry.completedAt || 0).getTime() || 0;
+}
+
+/**
+ * Push history entries to cloud ("History" sheet, one row per entry)
+ * @param {Array} entries - History entries
+ * @returns {Promise<boolean>} True if sync succeeded
+ */
+export async function syncHistoryToCloud(entries) {
+  const userEmail = getCurrentUserEmail();
+  if (!userEmail) {
+    console.log('⚠️ Not logged in, history saved locally only');
+    return false;
+  }
+  if (!entries || entries.length === 0) return true;
+
+  try {
+    console.log('📤 Syncing', entries.length, 'history entries to cloud');
+    
+    const { delivered, result } = await sendToCloud({
+      url: GOOGLE_SCRIPT_URL,
+      method: 'POST',
+      body: { action: 'saveHistory', email: userEmail, entries }
+    });
+    
+    if (delivered) {
+      console.log('✅ History synced to cloud');
+      return true;
+    }
+    console.warn('⚠️ History sync pending (queued for retry):', result?.message || 'offline');
+    return false;
+  } catch (error) {
+    console.error('❌ Failed to sync history to cloud:', error);
+    return false;
+  }
+}
+
+/**
+ * Load the full history from cloud
+ * @returns {Promise<Array|null>} Cloud entries or null on failure
+ */
+export async function loadHistoryFromCloud() {
+  const userEmail = getCurrentUserEmail();
+  if (!userEmail) return null;
+
+  try {
+    const url = new URL(GOOGLE_SCRIPT_URL);
+    url.searchParams.append('action', 'getHistory');
+    url.searchParams.append('email', userEmail);
+
+    const response = await fetch(url.toString(), { method: 'GET' });
+    const result = await response.json();
+
+    if (result.status === 'success' && Array.isArray(result.entries)) {
+      console.log('✅ History loaded from cloud:', result.entries.length, 'entries');
+      return result.entries;
+    }
+    console.warn('⚠️ Could not load history from cloud:', result.message || 'Unknown error');
+    return null;
+  } catch (error) {
+    console.error('❌ Failed to load history from cloud:', error);
+    return null;
+  }
+}
+
+/**
+ * Merge local and cloud history into one timeline
+ * - entries only in cloud are added locally
+ * - entries only on this device (of this user) are pushed
+ * - same id on both sides: the most recently updated copy wins
+ * @returns {Promise<Object|null>} { pulled, pushed } or null if cloud unavailable
+ */
+export async function mergeHistoryWithCloud() {
+  const userEmail = getCurrentUserEmail();
+  const cloudEntries = await loadHistoryFromCloud();
+  if (!cloudEntries) return null;
+
+  await initializeHistoryStore();
+  const local = new Map(getWorkoutHistory().map(entry => [String(entry.id), entry]));
+  const cloud = new Map(cloudEntries.map(entry => [String(entry.id), entry]));
+
+  const toPull = [];
+  cloud.forEach((cloudEntry, id) => {
+    const localEntry = local.get(id);
+    if (!localEntry || entryVersion(cloudEntry) > entryVersion(localEntry)) {
+      // keep the local key type (legacy numeric ids) so IndexedDB updates in place
+      toPull.push(localEntry ? { ...cloudEntry, id: localEntry.id } : cloudEntry);
+    }
+  });
+
+  const toPush = [];
+  local.forEach((localEntry, id) => {
+    // another account's workouts on a shared device stay local
+    if (localEntry.email && localEntry.email !== userEmail) return;
+    const cloudEntry = cloud.get(id);
+    if (!cloudEntry || entryVersion(localEntry) > entryVersion(cloudEntry)) {
+      toPush.push(localEntry);
+    }
+  });
+
+  await saveHistoryEntries(toPull);
+  if (toPush.length > 0) await syncHistoryToCloud(toPush);
+
+  console.log('🔀 History merged - pulled:', toPull.length, 'pushed:', toPush.length);
+  return { pulled: toPull.length, pushed: toPush.length };
+}
+
+/**
+ * Initialize history sync - call this on app startup
+ * Merges at most once per hour (or whenever a different user logs in)
+ * @param {Object} options - { force } - force = merge now, ignoring the hourly limit (login)
+ * @returns {Promise<Object|null>} Merge result or null if skipped
+ */
+export async function initializeHistorySync({ force = false } = {}) {
+  const userEmail = getCurrentUserEmail();
+  if (!userEmail) {
+    console.log('ℹ️ User not logged in, history will be local only');
+    return null;
+  }
+
+  const lastSyncTime = localStorage.getItem('viltrum_history_sync_time');
+  const lastSyncUser = localStorage.getItem('viltrum_history_sync_user');
+  const SYNC_INTERVAL = 60 * 60 * 1000; // 1 hour
+  
+  if (!force && lastSyncTime && lastSyncUser === userEmail) {
+    const age = Date.now() - parseInt(lastSyncTime);
+    if (age < SYNC_INTERVAL) {
+      console.log('✅ History already synced recently (' + Math.round(age/60000) + ' min ago)');
+      return null;
+    }
+  }
+
+  console.log('🔄 Initializing history sync...');
+  const result = await mergeHistoryWithCloud();
+  if (result) {
+    localStorage.setItem('viltrum_history_sync_time', Date.now().toString());
+    localStorage.setItem('viltrum_history_sync_user', userEmail);
+  }
+  return result;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SESSION LOG (per-set reps, weight, RPE)
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Parse a logged weight ("20kg", "17,5", "2x12kg") into kilograms
+ * @param {string|number} weight - Weight as typed by the user
+ * @returns {number|null} Weight in kg or null if not numeric
+ */
+export function parseWeightKg(weight) {
+  if (typeof weight === 'number') return weight;
+  const text = (weight || '').toString().toLowerCase().replace(',', '.');
+  const pair = text.match(/(\d+)\s*x\s*(\d+(?:\.\d+)?)/);
+  if (pair) return parseFloat(pair[1]) * parseFloat(pair[2]);
+  const match = text.match(/\d+(?:\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+}
+
+/**
+ * Get every logged set of an exercise, newest session first
+ * @param {string} exerciseName - Name of exercise
+ * @returns {Array} Sets with the session's workoutName and completedAt attached
+ */
+export function getExerciseSetHistory(exerciseName) {
+  const target = (exerciseName || '').toLowerCase();
+  const sets = [];
+  
+  getWorkoutHistory().forEach(entry => {
+    (entry.sets || []).forEach(set => {
+      if ((set.exercise || '').toLowerCase() === target) {
+        sets.push({ ...set, workoutName: entry.workoutName, completedAt: entry.completedAt });
+      }
+    });
+  });
+  
+  return sets;
+}
+
+/**
+ * Get training volume of an exercise across all logged sessions
+ * @param {string} exerciseName - Name of exercise
+ * @returns {Object} { sessions, sets, reps, volume } - volume is Σ reps × kg
+ */
+export function getExerciseVolume(exerciseName) {
+  const sets = getExerciseSetHistory(exerciseName);
+  const sessions = new Set(sets.map(set => set.completedAt));
+  
+  return sets.reduce((totals, set) => {
+    const reps = Number(set.reps) || 0;
+    totals.reps += reps;
+    totals.volume += reps * (parseWeightKg(set.weight) || 0);
+    return totals;
+  }, { sessions: sessions.size, sets: sets.length, reps: 0, volume: 0 });
+}
+
+/**
+ * Sync a session's set log to cloud (Google Sheets, one row per set)
+ * Sent as POST: a full session doesn't fit in a GET URL
+ * @param {Object} entry - History entry with sets
+ * @returns {Promise<boolean>} True if sync succeeded
+ */
+export async function syncSessionLogToCloud(entry) {
+  const userEmail = getCurrentUserEmail();
+  if (!userEmail) {
+    console.log('⚠️ Not logged in, session log saved locally only');
+    return false;
+  }
+
+  try {
+    console.log('📤 Syncing session log to cloud:', entry.sets.length, 'sets');
+    
+    const { delivered, result } = await sendToCloud({
+      url: GOOGLE_SCRIPT_URL,
+      method: 'POST',
+      body: {
+        action: 'saveSessionLog',
+        email: userEmail,
+        sessionId: entry.id,
+        workoutName: entry.workoutName,
+        completedAt: entry.completedAt,
+        sets: entry.sets
+      }
+    });
+    
+    if (delivered) {
+      console.log('✅ Session log synced to cloud');
+      return true;
+    }
+    console.warn('⚠️ Session log sync pending (queued for retry):', result?.message || 'offline');
+    return false;
+  } catch (error) {
+    console.error('❌ Failed to sync session log to cloud:', error);
+    return false;
+  }
+}
+
+/**
+ * Load the logged sets of an exercise from cloud
+ * Falls back to the local session log if offline or not logged in
+ * @param {string} exerciseName - Name of exercise
+ * @returns {Promise<Array>} Sets, newest first
+ */
+export async function loadExerciseSetsFromCloud(exerciseName) {
+  const userEmail = getCurrentUserEmail();
+  if (!userEmail) return getExerciseSetHistory(exerciseName);
+
+  try {
+    const url = new URL(GOOGLE_SCRIPT_URL);
+    url.searchParams.append('action', 'getExerciseSets');
+    url.searchParams.append('email', userEmail);
+    url.searchParams.append('exercise', exerciseName);
+
+    const response = await fetch(url.toString(), { method: 'GET' });
+    const result = await response.json();
+
+    if (result.status === 'success' && Array.isArray(result.sets)) {
+      return result.sets;
+    }
+    return getExerciseSetHistory(exerciseName);
+  } catch (error) {
+    console.error('❌ Failed to load exercise sets from cloud, using local:', error);
+    return getExerciseSetHistory(exerciseName);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PROGRESS (dashboard charts)
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Local calendar day key (YYYY-MM-DD) for a date
+ * @param {Date} date - Date
+ * @returns {string} Day key
+ */
+function toDayKey(date) {
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  const day = date.getDate().toString().padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Monday 00:00 of the week containing a date
+ * @param {Date} date - Date
+ * @returns {Date} Start of week
+ */
+function startOfWeek(date) {
+  const monday = new Date(date);
+  monday.setHours(0, 0, 0, 0);
+  monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+  return monday;
+}
+
+/**
+ * Longest and current run of consecutive periods with at least one workout
+ * @param {Set<string>} activeKeys - Keys of periods with a workout
+ * @param {Array<string>} orderedKeys - All period keys, oldest first, ending with the current one
+ * @returns {{current: number, longest: number}} Streak lengths
+ */
+function computeStreak(activeKeys, orderedKeys) {
+  let longest = 0;
+  let run = 0;
+  orderedKeys.forEach(key => {
+    run = activeKeys.has(key) ? run + 1 : 0;
+    longest = Math.max(longest, run);
+  });
+  
+  // The current period still counts as "in progress": don't break the streak on it
+  let current = 0;
+  for (let i = orderedKeys.length - 1; i >= 0; i--) {
+    if (activeKeys.has(orderedKeys[i])) current++;
+    else if (i < orderedKeys.length - 1) break;
+  }
+  
+  return { current, longest };
+}
+
+/**
+ * Get progress statistics: weekly frequency, time, calendar and streaks
+ * @param {number} weeks - Number of weeks to include in the weekly series / calendar
+ * @returns {Object} { weekly, days, totalDuration, totalWorkouts, streaks }
+ */
+export function getProgressStats(weeks = 12) {
+  const history = getWorkoutHistory();
+  const currentWeek = startOfWeek(new Date());
+  
+  const firstWeek = new Date(currentWeek);
+  firstWeek.setDate(firstWeek.getDate() - (weeks - 1) * 7);
+  
+  // Weekly series, oldest first
+  const weekly = [];
+  for (let i = 0; i < weeks; i++) {
+    const weekStart = new Date(firstWeek);
+    weekStart.setDate(weekStart.getDate() + i * 7);
+    weekly.push({ weekStart: toDayKey(weekStart), count: 0, duration: 0 });
+  }
+  const weekIndex = new Map(weekly.map((week, i) => [week.weekStart, i]));
+  
+  const days = {};
+  const activeDays = new Set();
+  const activeWeeks = new Set();
+  let oldest = currentWeek;
+  let totalDuration = 0;
+  
+  history.forEach(entry => {
+    const date = new Date(entry.completedAt);
+    if (isNaN(date)) return;
+    
+    const dayKey = toDayKey(date);
+    const weekKey = toDayKey(startOfWeek(date));
+    days[dayKey] = (days[dayKey] || 0) + 1;
+    activeDays.add(dayKey);
+    activeWeeks.add(weekKey);
+    totalDuration += entry.duration || 0;
+    if (date < oldest) oldest = startOfWeek(date);
+    
+    if (weekIndex.has(weekKey)) {
+      const week = weekly[weekIndex.get(weekKey)];
+      week.count++;
+      week.duration += entry.duration || 0;
+    }
+  });
+  
+  // Every day / week from the first workout until today
+  const dayKeys = [];
+  const weekKeys = [];
+  const today = new Date();
+  for (const cursor = new Date(oldest); cursor <= today; cursor.setDate(cursor.getDate() + 1)) {
+    dayKeys.push(toDayKey(cursor));
+    if (cursor.getDay() === 1) weekKeys.push(toDayKey(cursor));
+  }
+  
+  return {
+    weekly,
+    days,
+    totalDuration,
+    totalWorkouts: history.length,
+    streaks: {
+      days: computeStreak(activeDays, dayKeys),
+      weeks: computeStreak(activeWeeks, weekKeys)
+    }
+  };
+}
+
+/**
+ * Get the exercises with at least one logged weight, most recently trained first
+ * @returns {Array<string>} Exercise names
+ */
+export function getTrackedExercises() {
+  const names = [];
+  const seen = new Set();
+  const add = (name, weight) => {
+    if (!name || parseWeightKg(weight) === null || seen.has(name.toLowerCase())) return;
+    seen.add(name.toLowerCase());
+    names.push(name);
+  };
+  
+  getWorkoutHistory().forEach(entry => {
+    (entry.sets || []).forEach(set => add(set.exercise, set.weight));
+    Object.entries(entry.exerciseWeights || {}).forEach(([name, weight]) => add(name, weight));
+  });
+  
+  return names;
+}
+
+/**
+ * Get the weight-over-time series of an exercise (heaviest load per session)
+ * Uses the set log when present, the session's exerciseWeights otherwise
+ * @param {string} exerciseName - Name of exercise
+ * @returns {Array} [{ date, kg, workoutName }] oldest first
+ */
+export function getExerciseWeightTrend(exerciseName) {
+  const target = (exerciseName || '').toLowerCase();
+  const points = [];
+  
+  getWorkoutHistory().forEach(entry => {
+    let kg = null;
+    (entry.sets || []).forEach(set => {
+      if ((set.exercise || '').toLowerCase() !== target) return;
+      const setKg = parseWeightKg(set.weight);
+      if (setKg !== null) kg = Math.max(kg ?? 0, setKg);
+    });
+    
+    if (kg === null) {
+      const name = Object.keys(entry.exerciseWeights || {}).find(n => n.toLowerCase() === target);
+      if (name) kg = parseWeightKg(entry.exerciseWeights[name]);
+    }
+    
+    if (kg !== null) {
+      points.push({ date: entry.completedAt, kg, workoutName: entry.workoutName });
+    }
+  });
+  
+  return points.reverse();
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -0,0 +1,82 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VILTRUM FITNESS - WORKOUT SNAPSHOT
+// Player state saved continuously while a workout runs, so a killed tab
+// (or an iOS PWA evicted in background) can resume where it left off.
+// Stored in localStorage: writes are synchronous and survive pagehide.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const SNAPSHOT_KEY = 'viltrum_workout_snapshot';
+const SNAPSHOT_VERSION = 1;
+const SNAPSHOT_MAX_AGE = 12 * 60 * 60 * 1000; // older than 12h → the workout is over
+
+/**
+ * Save the player state
+ * @param {Object} snapshot - { workoutKey, workoutIndex, workoutName, sequence, currentStep,
+ *   remaining, repElapsed, isPaused, elapsed, soundMode, warmup, sessionLog }
+ * @returns {boolean} Success
+ */
+export function saveWorkoutSnapshot(snapshot) {
+  try {
+    localStorage.setItem(SNAPSHOT_KEY, JSON.stringify({
+      ...snapshot,
+      version: SNAPSHOT_VERSION,
+      user: localStorage.getItem('loggedUser'),
+      savedAt: Date.now()
+    }));
+    return true;
+  } catch (error) {
+    // Quota exceeded: keep going, resume just won't be offered
+    console.warn('⚠️ Failed to save workout snapshot:', error);
+    return false;
+  }
+}
+
+/**
+ * Get the saved player state, if it can still be resumed
+ * (same user, not too old, step still inside the sequence)
+ * @returns {Object|null} Snapshot or null
+ */
+export function getWorkoutSnapshot() {
+  try {
+    const snapshot = JSON.parse(localStorage.getItem(SNAPSHOT_KEY) || 'null');
+    if (!snapshot) return null;
+
+    const valid = snapshot.version === SNAPSHOT_VERSION &&
+      snapshot.user === localStorage.getItem('loggedUser') &&
+      Date.now() - snapshot.savedAt < SNAPSHOT_MAX_AGE &&
+      Array.isArray(snapshot.sequence) &&
+      snapshot.currentStep >= 0 &&
+      snapshot.currentStep < snapshot.sequence.length;
+
+    if (!valid) {
+      clearWorkoutSnapshot();
+      return null;
+    }
+    return snapshot;
+  } catch (error) {
+    console.warn('⚠️ Invalid workout snapshot, discarding:', error);
+    clearWorkoutSnapshot();
+    return null;
+  }
+}
+
+/**
+ * Forget the saved player state (workout finished or abandoned)
+ */
+export function clearWorkoutSnapshot() {
+  localStorage.removeItem(SNAPSHOT_KEY);
+}
+
+/**
+ * Short description for resume prompts ("Sesh 3 · Squat · 45%")
+ * @param {Object} snapshot - Saved snapshot
+ * @returns {{workoutName: string, stepName: string, percent: number}} Summary
+ */
+export function describeWorkoutSnapshot(snapshot) {
+  const step = snapshot.sequence[snapshot.currentStep] || {};
+  return {
+    workoutName: snapshot.workoutName || 'Workout',
+    stepName: step.name || '',
+    percent: Math.round((snapshot.currentStep / snapshot.sequence.length) * 100)
+  };
+}
@@ -6,15 +6,60 @@
    - Contains the complete, working audio layer (Cloud TTS, Synth TTS,
      Beppe pre-recorded, Beep/Transition SFX) + iOS unlock.
    - Includes playExercise/startExerciseTimer/resumeTimer and essential
-     app wiring to ensure audio cues fire at 60s/30s/10s/5s and boundaries.
+     app wiring to ensure audio cues fire on the configured schedule
+     (audio-cues.js) and at boundaries.
    - UPDATED: Now handles userWorkouts format: { scadenza, workouts: [...] }
    ============================================================ */
 
 // Import configuration
-import { GOOGLE_SCRIPT_URL } from './config.js';
+import { GOOGLE_SCRIPT_URL, NEXT_PREVIEW_SECONDS, CUE_VIBRATION_MS, TTS_PROVIDERS, DISPLAY_STATE_INTERVAL_MS, REMOTE_TIMEOUT_MS, GROUP_DRIFT_TOLERANCE_MS } from './config.js';
 
 // Import workout history functions
-import { getExerciseWeight, syncLastWorkoutToCloud, setLastWorkoutIndexLocal } from './workout-history.js';
+import { getExerciseWeight, updateExerciseWeights, syncLastWorkoutToCloud, setLastWorkoutIndexLocal, initializeHistoryStore, initializeHistorySync } from './workout-history.js';
+
+// Import progressive overload suggestions
+import { getWorkoutSuggestions, getProgressionSuggestion } from './progression.js';
+
+// Import user settings (rest overrides)
+import { getRestOverrides, getBodyWeight, getAudioCueSchedule } from './profile-manager.js';
+
+// Import the audio cue schedule of timed steps
+import { resolveCueSchedule, getStepCues, getCuePhrase } from './audio-cues.js';
+
+// Import mid-workout exercise swap
+import { setExerciseLibrary, getSwapAlternatives, applyExerciseSwap } from './exercise-swap.js';
+
+// Import session snapshots (resume after the tab is killed)
+import { saveWorkoutSnapshot, getWorkoutSnapshot, clearWorkoutSnapshot, describeWorkoutSnapshot } from './workout-snapshot.js';
+
+// Import duration / calorie estimate for the preview
+import { estimateWorkout, formatEstimateDuration } from './workout-estimate.js';
+
+// Import user-built workouts (workout editor)
+import { getCustomWorkouts, mergeCustomWorkoutsWithCloud, toWorkoutData, isCustomWorkoutKey, CUSTOM_WORKOUT_PREFIX } from './custom-workouts.js';
+
+// Import the rep tempo metronome
+import { parseTempo, createTempoMetronome } from './rep-tempo.js';
+
+// Import the TTS providers of Voice mode
+import { registerTTSProvider, createRecordedProvider, speakWithProviders, checkTTSProviders, warmUpWithProviders } from './tts-providers.js';
+
+// Import background music (ducked under the cues)
+import { initializeMusicLibrary, addMusicFiles, removeMusicTrack, toggleMusic, nextMusicTrack, getMusicState, setMusicVolume, duckMusic, duckWhilePlaying, MUSIC_CHANGE_EVENT } from './music-player.js';
+
+// Import lock screen / headset controls
+import { startMediaSession, updateMediaSession, setMediaSessionPlaying, endMediaSession } from './media-session.js';
+
+// Import the display ↔ remote link (big-screen mode)
+import { createRoomLink, createRoomCode, normalizeRoomCode, getRelayUrl, setRelayUrl } from './room-link.js';
+
+// Import group classes (participants follow the coach's player)
+import { createGroupCoach, createGroupParticipant } from './group-session.js';
+
+/* -------------------- I18n -------------------- */
+// UI text and voice cues come from the catalogs in js/locales (I18n global, loaded by the page)
+const t = (key, params) => I18n.t(key, params);
+const cueLang = () => I18n.getSpeechLang();
 
 /* -------------------- Cached Image Loading -------------------- */
 /**
@@ -77,6 +122,14 @@ let currentVolume = 1.0; // Global volume control (0.0 to 1.0)
 let workoutStartTime = null; // Track when workout started for duration calculation
 let currentWorkoutIndex = 0; // Track which workout (session) is currently selected
 let totalUserWorkouts = 0; // Track total number of workouts available to user
+let repStepStartTime = null; // Rep-based set: start of the current (unpaused) stretch
+let repElapsedBeforePause = 0; // Rep-based set: seconds accumulated before the last pause
+let sessionLog = []; // One entry per completed set (saved with the workout)
+let snapshotTimer = null; // Periodic player snapshot while a workout runs
+let amrapRounds = 0; // AMRAP block: rounds completed in the current countdown
+let sessionSwaps = []; // Exercises replaced during the workout (saved with the history entry)
+let executionTrace = []; // What actually happened on each step (planned vs actual seconds)
+let traceVisitExtra = 0; // Seconds added with +10s during the current visit of a step
 
 /* -------------------- Configuration Constants -------------------- */
 // Viewport metric update delays (iOS Safari needs multiple passes for accurate measurements)
@@ -93,18 +146,12 @@ const CAROUSEL_CONFIG = {
 };
 
 // Training selector configuration
+const SNAPSHOT_INTERVAL_MS = 5000; // How often the running workout is snapshotted
+
 const TRAINING_CONFIG = {
   IMAGE_HEIGHT_PERCENTAGE: 0.42  // Hero image takes 42% of visible height
 };
 
-// Audio timing thresholds
-const AUDIO_CUES = {
-  LONG_WARNING: 60,    // Long exercises get cue at 60 seconds
-  MEDIUM_WARNING: 30,  // Medium exercises get cue at 30 seconds
-  SHORT_WARNING: 10,   // Short warning at 10 seconds
-  FINAL_WARNING: 5     // Final countdown at 5 seconds
-};
-
 /* Singletons */
 const ttsAudio = new Audio();
 ttsAudio.id = "tts-audio";
@@ -368,13 +415,7 @@ try {
 /* Pre-recorded (Beppe) player */
 let beppePlayer = new Audio();
 beppePlayer.preload = "auto";
-
-/* Warm-up Render TTS (optional) */
-function warmUpServer() {
-  fetch("https://google-tts-server.onrender.com")
-    .then(() => console.log("✅ TTS server attivo"))
-    .catch(() => console.warn("⚠️ Server TTS non raggiungibile"));
-}
+duckWhilePlaying(beppePlayer);
 
 /* -------------------- Synth Voice Lock -------------------- */
 // --- Synth voices lock (Android-safe) ---
@@ -415,6 +456,7 @@ function lockSynthVoices() {
   try {
     synthVoicesLocked["it-IT"] = pickVoice("it-IT");
     synthVoicesLocked["en-US"] = pickVoice("en-US");
+    synthVoicesLocked[cueLang()] = pickVoice(cueLang());
   } catch {}
 }
 
@@ -552,20 +594,34 @@ const beppeSounds = {
 
 function convertGoogleDriveToDirect(link) { return link; }
 
+// Offline cache key of a Beppe clip ("beppe_<file name>"), null when the URL has no .MP3 name
+function beppeCacheKey(url) {
+  const urlMatch = url.match(/([^\/]+)\.MP3$/i);
+  return urlMatch ? `beppe_${decodeURIComponent(urlMatch[1])}` : null;
+}
+
+// Clip blob for the recorded TTS provider: offline cache first, then network
+async function loadBeppeClip(url) {
+  const cacheKey = beppeCacheKey(url);
+  if (cacheKey && typeof OfflinePreloader !== 'undefined') {
+    const cached = await OfflinePreloader.getFromDB(OfflinePreloader.STORES.AUDIO, cacheKey).catch(() => null);
+    if (cached?.blob) return cached.blob;
+  }
+  const response = await fetch(convertGoogleDriveToDirect(url));
+  if (!response.ok) throw new Error(`Beppe clip ${response.status}`);
+  return response.blob();
+}
+
 async function playBeppeAudio(url) {
   if (!url) return;
   
-  // Extract the audio name from the URL for cache lookup
-  const urlMatch = url.match(/([^\/]+)\.MP3$/i);
-  const audioName = urlMatch ? decodeURIComponent(urlMatch[1]) : null;
-  
   // Check offline cache first
-  if (audioName && typeof OfflinePreloader !== 'undefined') {
-    const cacheKey = `beppe_${audioName}`;
+  const cacheKey = beppeCacheKey(url);
+  if (cacheKey && typeof OfflinePreloader !== 'undefined') {
     const cachedUrl = await OfflinePreloader.getCachedAudio(cacheKey);
     
     if (cachedUrl) {
-      console.log(`✅ Using cached Beppe audio: ${audioName}`);
+      console.log(`✅ Using cached Beppe audio: ${cacheKey}`);
       beppePlayer.src = cachedUrl;
       beppePlayer.play().catch((e) => console.warn("❌ Errore audio:", e));
       return;
@@ -581,18 +637,14 @@ async function playBeppeAudioSequence(urls) {
   for (const url of urls) {
     if (!url) continue;
     
-    // Extract the audio name from the URL for cache lookup
-    const urlMatch = url.match(/([^\/]+)\.MP3$/i);
-    const audioName = urlMatch ? decodeURIComponent(urlMatch[1]) : null;
-    
     // Check offline cache first
     let finalUrl = convertGoogleDriveToDirect(url);
-    if (audioName && typeof OfflinePreloader !== 'undefined') {
-      const cacheKey = `beppe_${audioName}`;
+    const cacheKey = beppeCacheKey(url);
+    if (cacheKey && typeof OfflinePreloader !== 'undefined') {
       const cachedUrl = await OfflinePreloader.getCachedAudio(cacheKey);
       
       if (cachedUrl) {
-        console.log(`✅ Using cached Beppe audio: ${audioName}`);
+        console.log(`✅ Using cached Beppe audio: ${cacheKey}`);
         finalUrl = cachedUrl;
       }
     }
@@ -648,7 +700,8 @@ function playBeep() {
   // Important on some Android devices to avoid latency/ducking:
   clone.playbackRate = 1.0;
 
-  // Fire and forget
+  // Fire and forget (background music dips while it plays)
+  duckWhilePlaying(clone);
   clone.play().catch(()=>{});
   // Cleanup when done
   clone.onended = () => { try { clone.src = ""; } catch {} };
@@ -660,6 +713,30 @@ function playTransition() {
   if (transition) transition.play();
 }
 
+// Beppe's recordings for the scheduled seconds (other seconds: no clip)
+const BEPPE_CUE_CLIPS = { 60: beppeSounds.s60, 30: beppeSounds.s30, 5: beppeSounds.countdown5 };
+
+/**
+ * Play one entry of the cue schedule, each channel only in its sound mode
+ * (vibration in every mode, where the device supports it)
+ * @param {Object} cue - Cue from getStepCues (audio-cues.js)
+ * @param {string} mode - Sound mode (voice, synth, beppe, bip, none)
+ */
+function playScheduledCue(cue, mode) {
+  if (cue.voice && (mode === "voice" || mode === "synth")) {
+    const phrase = getCuePhrase(cue);
+    speak(phrase.text || t(phrase.key, phrase.params), cueLang()).catch(() => {});
+  }
+  if (cue.beppe && mode === "beppe") {
+    const url = typeof cue.beppe === "string" ? cue.beppe : BEPPE_CUE_CLIPS[cue.second];
+    if (url) playBeppeAudio(url);
+  }
+  if (cue.beep && mode === "bip") playBeep();
+  if (cue.vibrate && typeof navigator.vibrate === "function") {
+    navigator.vibrate(cue.vibrate === true ? CUE_VIBRATION_MS : cue.vibrate);
+  }
+}
+
 /* -------------------- Cloud TTS + Synth TTS -------------------- */
 function detectLang(text) {
   const italianIndicators = /[àèéìòù]|mancano|secondi|esercizio|istruz|riposo|pausa/i;
@@ -667,10 +744,6 @@ function detectLang(text) {
   return "en-US";
 }
 
-const GOOGLE_TTS_URL = "https://google-tts-server.onrender.com/speak";
-const TTS_TIMEOUT_MS = 9000;
-const TTS_RETRIES = 2;
-
 async function ensureAudioUnlocked() {
   if (window.__audioUnlocked) return;
   let ctx;
@@ -751,84 +824,10 @@ async function playAudioUrl(url) {
   });
 }
 
-async function fetchTTS(text, lang) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), TTS_TIMEOUT_MS);
-
-  const res = await fetch(GOOGLE_TTS_URL, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ text, lang }),
-    signal: controller.signal
-  }).catch(e => { throw new Error("Failed to fetch TTS: " + e.message); });
-
-  clearTimeout(timeoutId);
-
-  if (!res.ok) throw new Error(`TTS ${res.status} ${res.statusText}`);
-
-  const blob = await res.blob();
-  return URL.createObjectURL(blob);
-}
-
-async function tryGoogleTTS(text, lang) {
-  let lastErr;
-  for (let attempt = 0; attempt <= TTS_RETRIES; attempt++) {
-    try {
-      const audioUrl = await fetchTTS(text, lang);
-      await playAudioUrl(audioUrl);
-      return;
-    } catch (e) {
-      lastErr = e;
-      await new Promise(r => setTimeout(r, 350 * (attempt + 1)));
-    }
-  }
-  throw lastErr;
-}
-
-async function speakCloud(text, lang = "it-IT") {
-  try {
-    await ensureAudioUnlocked();
-    
-    // Check offline cache first
-    if (typeof OfflinePreloader !== 'undefined') {
-      const cacheKey = `tts_${lang}_${text}`;
-      const cachedUrl = await OfflinePreloader.getCachedAudio(cacheKey);
-      
-      if (cachedUrl) {
-        console.log(`✅ Using cached TTS: "${text.substring(0, 30)}..."`);
-        await playAudioUrl(cachedUrl);
-        return;
-      }
-    }
-    
-    // Optional explicit voice mapping
-    const voice = lang === "it-IT" ? "it-IT-Wavenet-C" : "en-US-Wavenet-D";
-    
-    console.log(`🗣️ Attempting Google Cloud TTS: "${text}" (${lang})`);
-    
-    const res = await fetch("https://google-tts-server.onrender.com/speak", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ text, lang, voice }),
-    });
-    
-    if (!res.ok) {
-      const errorText = await res.text().catch(() => "No error details");
-      throw new Error(`TTS Server Error ${res.status}: ${errorText}`);
-    }
-    
-    const blob = await res.blob();
-    if (blob.size === 0) throw new Error("Audio vuoto - server returned empty audio");
-
-    const audioUrl = URL.createObjectURL(blob);
-    await playAudioUrl(audioUrl);
-    
-    console.log(`✅ Google Cloud TTS success`);
-  } catch (err) {
-    console.error("❌ Cloud TTS failed:", err.message || err);
-    console.error("Full error:", err);
-    throw err; // Re-throw so speak() can handle fallback
-  }
+// Clip from a TTS provider (server or pre-recorded)
+async function playTTSClip(blob) {
+  await ensureAudioUnlocked();
+  await playAudioUrl(URL.createObjectURL(blob));
 }
 
 async function webSpeechSpeak(text, lang) {
@@ -844,7 +843,7 @@ async function webSpeechSpeak(text, lang) {
   try { speechSynthesis.cancel(); } catch {}
   try { speechSynthesis.resume(); } catch {}
 
-  const voice = getPreferredVoice();
+  const voice = (lang && pickVoice(lang)) || getPreferredVoice();
   const utter = new SpeechSynthesisUtterance(text);
   if (voice) utter.voice = voice;
   utter.lang   = (voice && voice.lang) || (lang || "it-IT");
@@ -882,29 +881,32 @@ async function speakSynth(text, lang = "it-IT") {
   return webSpeechSpeak(text, lang);
 }
 
-/* Router: With automatic fallback from voice to synth */
+/* Router: Voice mode goes through the TTS providers, Synth mode straight to the device voice */
 async function speak(text, lang = "it-IT") {
   const mode = document.getElementById("soundMode")?.value
             || document.getElementById("soundMode-setup")?.value
             || "none";
   
-  if (mode === "voice") {
-    try {
-      return await speakCloud(text, lang);
-    } catch (err) {
-      console.warn("⚠️ Voice mode failed, falling back to synth...");
-      console.error("Voice error details:", err);
-      // Automatic fallback to synth
+  if (mode !== "voice" && mode !== "synth") return; // other modes: no-op
+
+  // Background music stays down for the whole phrase
+  const releaseMusic = duckMusic();
+  try {
+    if (mode === "voice") {
+      // Providers by priority, the device voice last (tts-providers.js)
       try {
-        return await speakSynth(text, lang);
-      } catch (synthErr) {
-        console.error("❌ Synth fallback also failed:", synthErr);
+        const provider = await speakWithProviders(text, lang, { playClip: playTTSClip });
+        console.log(`✅ Spoken by ${provider}: "${text.substring(0, 30)}"`);
+      } catch (err) {
+        console.error("❌ Voice mode failed:", err);
       }
+      return;
     }
+
+    return await speakSynth(text, lang);
+  } finally {
+    releaseMusic();
   }
-  
-  if (mode === "synth") return speakSynth(text, lang);
-  // other modes: no-op
 }
 
 /* Helper sequences */
@@ -915,7 +917,7 @@ async function speakSequence(segments) {
 }
 
 async function announceNextExerciseWith(speakerFn, nextExercise) {
-  await speakerFn("prossimo esercizio:", "it-IT");
+  await speakerFn(t("voice.nextExercise"), cueLang());
   await speakerFn(nextExercise.name, detectLang(nextExercise.name));
 }
 
@@ -924,21 +926,414 @@ async function announceNextExercise(nextExercise) {
   return announceNextExerciseWith(speak, nextExercise);
 }
 
+/* -------------------- TTS Providers -------------------- */
+// Voice mode: servers (registered by tts-providers.js) → Beppe's clips → device voice
+const RECORDED_PHRASES = {
+  "voice.secondsLeft60": beppeSounds.s60,
+  "voice.secondsLeft30": beppeSounds.s30,
+  "voice.countdown5": beppeSounds.countdown5,
+  "voice.nextExercise": beppeSounds.prossimo
+};
+
+registerTTSProvider(createRecordedProvider({
+  ...TTS_PROVIDERS.recorded,
+  lang: "it-IT",
+  clips: Object.fromEntries(Object.entries(RECORDED_PHRASES).map(([key, url]) => [I18n.lookup("it", key), url])),
+  loadClip: loadBeppeClip
+}));
+
+registerTTSProvider({
+  ...TTS_PROVIDERS.webSpeech,
+  id: "webSpeech",
+  canSpeak: () => "speechSynthesis" in window,
+  speak: ({ text, lang }) => webSpeechSpeak(text, lang)
+});
+
 /* -------------------- Workout Sequencing -------------------- */
 let fullWorkoutSequence = [];
 
-function buildFullWorkoutSequence(workout, includeWarmup = true) {
+const DEFAULT_BLOCK_REST = 60; // Used when neither the sheet nor the user set a rest
+const DEFAULT_SET_REST = 90;   // Auto-rest after a rep-based set when the sheet has no "Rest Serie"
+const REST_IMAGE_URL = "https://lh3.googleusercontent.com/d/1bibXbdrcXdh3vgNHp2Teby3ClS3VqZmb";
+
+/**
+ * Pick the first rest value that is actually set (0 is a valid "no rest")
+ */
+function resolveRest(...candidates) {
+  for (const value of candidates) {
+    if (value !== null && value !== undefined && value !== "" && Number.isFinite(Number(value))) {
+      return Math.max(0, parseInt(value, 10));
+    }
+  }
+  return 0;
+}
+
+/**
+ * Rep-based steps have no countdown: the user taps "done" when the set is finished
+ */
+function isRepBasedStep(step) {
+  return !!step && step.mode === "reps" && !step.isLabel && !step.isWarmup;
+}
+
+/**
+ * Append a rest, merging with a rest that is already the last step
+ * (e.g. set rest followed by round rest → one rest, the longer of the two)
+ */
+function pushRestStep(sequence, seconds, restType) {
+  if (seconds <= 0) return;
+  const last = sequence[sequence.length - 1];
+  if (last && last.isRest) {
+    if (seconds >= last.duration) {
+      last.duration = seconds;
+      last.restType = restType;
+    }
+    return;
+  }
+  sequence.push(buildRestStep(seconds, restType));
+}
+
+function buildRestStep(seconds, restType) {
+  return {
+    name: "REST",
+    duration: seconds,
+    imageUrl: convertGoogleDriveToDirect(REST_IMAGE_URL),
+    isLabel: true,
+    isRest: true,
+    restType: restType // "set" | "round" | "block" | "interval" (Tabata, EMOM) | "transition" (superset)
+  };
+}
+
+/* ---------- Block formats (EMOM, AMRAP, Tabata, ladders) ---------- */
+const TABATA_WORK = 20;
+const TABATA_REST = 10;
+const TABATA_ROUNDS = 8;
+const EMOM_INTERVAL = 60; // E2MOM / E3MOM: every 2 / 3 minutes
+const SUPERSET_TRANSITION = 10; // Seconds to switch station between A1 and A2
+
+/**
+ * Block format from the sheet's "Tipo Blocco" column (same for every row of a block)
+ */
+function getBlockType(exercises) {
+  const raw = (exercises[0]?.blockType || "").toString().toLowerCase().trim();
+  if (raw.includes("emom") || raw.includes("e2mom") || raw.includes("e3mom")) return "emom";
+  if (raw.includes("amrap")) return "amrap";
+  if (raw.includes("tabata")) return "tabata";
+  if (raw.includes("ladder") || raw.includes("scala")) return "ladder";
+  return "standard";
+}
+
+/**
+ * EMOM interval from the block tag: "EMOM" → 60s, "E2MOM" → 120s, "E3MOM" → 180s
+ */
+function getEmomInterval(exercises) {
+  const match = (exercises[0]?.blockType || "").toString().toLowerCase().match(/e(\d+)mom/);
+  return EMOM_INTERVAL * (match ? Math.max(1, parseInt(match[1], 10)) : 1);
+}
+
+/**
+ * Ladder rungs from the Reps column: "1-10" → 1..10, "2-10/2" → 2,4..10, "10-1" → descending
+ */
+function parseLadderRungs(reps) {
+  const numbers = (reps || "").toString().match(/\d+/g);
+  if (!numbers || numbers.length < 2) return [];
+  const from = parseInt(numbers[0], 10);
+  const to = parseInt(numbers[1], 10);
+  const stepSize = Math.max(1, parseInt(numbers[2] || "1", 10));
+  const rungs = [];
+  if (from <= to) for (let r = from; r <= to; r += stepSize) rungs.push(r);
+  else for (let r = from; r >= to; r -= stepSize) rungs.push(r);
+  return rungs;
+}
+
+/**
+ * Short label for the preview header ("EMOM 10'", "AMRAP 12'", "TABATA 8×", "LADDER 1-10")
+ * @returns {string|null} Label or null for standard blocks
+ */
+function describeBlockFormat(exercises) {
+  const first = exercises[0] || {};
+  switch (getBlockType(exercises)) {
+    case "emom": {
+      const minutes = getEmomInterval(exercises) / 60;
+      return `${minutes > 1 ? `E${minutes}MOM` : "EMOM"} ${(first.rounds || 1) * minutes}'`;
+    }
+    case "amrap":
+      return `AMRAP ${Math.round((first.duration || 0) / 60)}'`;
+    case "tabata":
+      return `TABATA ${first.rounds > 1 ? first.rounds : TABATA_ROUNDS}×`;
+    case "ladder": {
+      const rungs = parseLadderRungs(first.reps);
+      return rungs.length ? `LADDER ${rungs[0]}-${rungs[rungs.length - 1]}` : "LADDER";
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Group a block's exercises by the sheet's "Superset" column.
+ * Rows sharing a value form one superset (2) or giant set (3+), labelled A, B, C…
+ * in order of appearance; rows without a value stay on their own.
+ * @returns {Array} [{ letter: string|null, members: [exercise] }]
+ */
+function groupSupersets(exercises) {
+  const units = [];
+  const byKey = new Map();
+  exercises.forEach(ex => {
+    const key = (ex.superset || "").toString().trim().toUpperCase();
+    if (!key) {
+      units.push({ letter: null, members: [ex] });
+      return;
+    }
+    if (!byKey.has(key)) {
+      const unit = { letter: null, members: [] };
+      byKey.set(key, unit);
+      units.push(unit);
+    }
+    byKey.get(key).members.push(ex);
+  });
+
+  // A single row with a superset value is just a straight set
+  let letterIndex = 0;
+  units.forEach(unit => {
+    if (unit.members.length > 1) unit.letter = String.fromCharCode(65 + letterIndex++);
+  });
+  return units;
+}
+
+/**
+ * "A1"/"A2" label for each exercise of a block (exercise name → label)
+ */
+function getSupersetLabels(exercises) {
+  const labels = {};
+  groupSupersets(exercises).forEach(unit => {
+    if (!unit.letter) return;
+    unit.members.forEach((ex, i) => { labels[ex.name] = `${unit.letter}${i + 1}`; });
+  });
+  return labels;
+}
+
+// Fields shared by every step generated from a sheet row
+function buildBlockStep(ex, ctx, fields) {
+  return {
+    name: ex.name,
+    duration: ex.duration || 30,
+    imageUrl: ex.imageUrl,
+    reps: ex.reps,
+    tempo: ex.tempo || "",
+    mode: ex.mode || "",
+    block: ex.block,
+    blockType: ctx.blockType,
+    tipoDiPeso: ex.tipoDiPeso,
+    audio: ex.audio,
+    audioCambio: ex.audioCambio,
+    isWarmup: false,
+    blockNumber: ctx.blockNumber,
+    totalBlocks: ctx.totalBlocks,
+    ...fields
+  };
+}
+
+/**
+ * Sequence strategies, one per block format.
+ * Each appends the block's steps to `sequence`; rests between blocks are added by the caller.
+ */
+const BLOCK_SEQUENCERS = {
+  // rounds × exercises, fixed duration or rep-based sets
+  standard(sequence, exercises, ctx) {
+    if (exercises.some(ex => ex.superset)) {
+      BLOCK_SEQUENCERS.superset(sequence, exercises, ctx);
+      return;
+    }
+
+    const rounds = exercises[0]?.rounds || 1;
+    for (let round = 0; round < rounds; round++) {
+      exercises.forEach((ex, i) => {
+        const step = buildBlockStep(ex, ctx, {
+          roundNumber: round + 1,
+          totalRounds: rounds,
+          exerciseNumber: i + 1,
+          totalExercises: exercises.length
+        });
+        sequence.push(step);
+
+        // --- AUTO-REST dopo una serie a ripetizioni ---
+        if (isRepBasedStep(step)) {
+          pushRestStep(sequence, resolveRest(ex.restAfterSet, DEFAULT_SET_REST), "set");
+        }
+      });
+
+      // --- REST tra round ---
+      if (round < rounds - 1) {
+        pushRestStep(sequence, ctx.roundRest, "round");
+      }
+    }
+  },
+
+  // Supersets / giant sets: each group runs all its sets (Rounds of its first row)
+  // before the next one: A1 → transition → A2 → rest → A1 → … then B1/B2.
+  // Rest after the group comes from "Rest Serie" (default for rep-based sets, else the round rest).
+  superset(sequence, exercises, ctx) {
+    let exerciseNumber = 0;
+    groupSupersets(exercises).forEach(unit => {
+      const sets = unit.members[0].rounds || 1;
+      const last = unit.members[unit.members.length - 1];
+      const firstNumber = exerciseNumber + 1;
+      exerciseNumber += unit.members.length;
+
+      for (let set = 0; set < sets; set++) {
+        unit.members.forEach((ex, i) => {
+          const step = buildBlockStep(ex, ctx, {
+            roundNumber: set + 1,
+            totalRounds: sets,
+            roundLabel: t("player.roundLabel.set"),
+            exerciseNumber: firstNumber + i,
+            totalExercises: exercises.length,
+            supersetLabel: unit.letter ? `${unit.letter}${i + 1}` : null,
+            supersetSize: unit.members.length
+          });
+          sequence.push(step);
+
+          if (i < unit.members.length - 1) {
+            pushRestStep(sequence, SUPERSET_TRANSITION, "transition");
+          }
+        });
+
+        const anyRepBased = unit.members.some(ex => ex.mode === "reps");
+        pushRestStep(sequence, resolveRest(last.restAfterSet, anyRepBased ? DEFAULT_SET_REST : ctx.roundRest), "set");
+      }
+    });
+  },
+
+  // Every minute on the minute: Rounds = number of intervals, exercises rotate each interval.
+  // The tag sets the interval (EMOM 60s, E2MOM 120s); Duration is the work time inside it,
+  // the rest of the interval is rest (no Duration, or Duration ≥ interval: the whole interval).
+  emom(sequence, exercises, ctx) {
+    const intervals = exercises[0]?.rounds || 1;
+    const interval = getEmomInterval(exercises);
+    for (let i = 0; i < intervals; i++) {
+      const ex = exercises[i % exercises.length];
+      const duration = parseInt(ex.duration, 10) || 0;
+      const work = duration >= 10 && duration < interval ? duration : interval;
+      sequence.push(buildBlockStep(ex, ctx, {
+        duration: work,
+        mode: "", // the clock runs regardless
+        roundNumber: i + 1,
+        totalRounds: intervals,
+        roundLabel: t("player.roundLabel.minute"),
+        exerciseNumber: (i % exercises.length) + 1,
+        totalExercises: exercises.length
+      }));
+      pushRestStep(sequence, interval - work, "interval");
+    }
+  },
+
+  // As many rounds as possible: one countdown (Duration = time cap) for the whole circuit,
+  // the user taps "+1 round" after each lap
+  amrap(sequence, exercises, ctx) {
+    const cap = exercises[0]?.duration || 600;
+    const first = exercises[0];
+    sequence.push(buildBlockStep(first, ctx, {
+      name: `AMRAP ${Math.round(cap / 60)}'`,
+      duration: cap,
+      reps: "",
+      mode: "",
+      tipoDiPeso: "",
+      audio: "",
+      exercises: exercises.map(ex => ({ name: ex.name, reps: ex.reps, tipoDiPeso: ex.tipoDiPeso })),
+      roundNumber: null,
+      totalRounds: null,
+      exerciseNumber: null,
+      totalExercises: exercises.length
+    }));
+  },
+
+  // 20s work / 10s rest; Rounds > 1 overrides the classic 8, "Rest Round" overrides the 10s.
+  // Each round goes through every exercise of the block.
+  tabata(sequence, exercises, ctx) {
+    const rounds = exercises[0]?.rounds > 1 ? exercises[0].rounds : TABATA_ROUNDS;
+    const rest = resolveRest(exercises[0]?.restBetweenRounds, TABATA_REST);
+    for (let round = 0; round < rounds; round++) {
+      exercises.forEach((ex, i) => {
+        sequence.push(buildBlockStep(ex, ctx, {
+          duration: ex.duration > 5 && ex.duration <= 60 ? ex.duration : TABATA_WORK,
+          mode: "",
+          roundNumber: round + 1,
+          totalRounds: rounds,
+          exerciseNumber: i + 1,
+          totalExercises: exercises.length
+        }));
+        const isLast = round === rounds - 1 && i === exercises.length - 1;
+        if (!isLast) pushRestStep(sequence, rest, "interval");
+      });
+    }
+  },
+
+  // Rung by rung (reps from the Reps column, e.g. "1-10"), every exercise per rung,
+  // rep-based sets with the round rest between rungs
+  ladder(sequence, exercises, ctx) {
+    const rungs = parseLadderRungs(exercises[0]?.reps);
+    if (rungs.length === 0) {
+      console.warn("⚠️ Ladder without a rep range, running as a standard block:", exercises[0]?.block);
+      BLOCK_SEQUENCERS.standard(sequence, exercises, ctx);
+      return;
+    }
+    rungs.forEach((reps, r) => {
+      exercises.forEach((ex, i) => {
+        sequence.push(buildBlockStep(ex, ctx, {
+          reps: `${reps}`,
+          mode: "reps",
+          roundNumber: r + 1,
+          totalRounds: rungs.length,
+          roundLabel: t("player.roundLabel.rung"),
+          exerciseNumber: i + 1,
+          totalExercises: exercises.length
+        }));
+      });
+      if (r < rungs.length - 1) pushRestStep(sequence, ctx.roundRest, "round");
+    });
+  }
+};
+
+/**
+ * Display name with the superset position ("A2 · Panca piana")
+ */
+function formatStepName(step) {
+  return step.supersetLabel ? `${step.supersetLabel} · ${step.name}` : step.name;
+}
+
+/**
+ * Spoken intro for a step of a structured block ("minuto 3 di 10", "round 2 di 8")
+ * @returns {string|null} Cue in the user's language or null for standard steps
+ */
+function getBlockCue(step) {
+  if (!step || step.isLabel) return null;
+  const position = { round: step.roundNumber, total: step.totalRounds };
+  switch (step.blockType) {
+    case "emom":   return t("voice.emomMinute", position);
+    case "tabata": return t("voice.tabataRound", position);
+    case "amrap":  return t("voice.amrapStart", { count: Math.round(step.duration / 60) });
+    case "ladder": return t("voice.ladderRung", { ...position, reps: step.reps, count: parseInt(step.reps, 10) || 0 });
+    default:       return null;
+  }
+}
+
+function buildFullWorkoutSequence(workout, includeWarmup = true, restOverrides = getRestOverrides()) {
   const sequence = [];
   if (!workout || !Array.isArray(workout.exercises) || workout.exercises.length === 0) {
     console.error("❌ No valid workout data");
     return sequence;
   }
 
+  // Marker rows: named after the block, or timed rows of 5s or less.
+  // Rep sets and format rows (EMOM, AMRAP, Tabata, ladder: timing comes from the
+  // tag) often leave Duration empty: they are never markers because of it.
   const isBlockMarker = (ex) => {
     const nameLower = (ex.name || "").toLowerCase();
     const blockLower = (ex.block || "").toLowerCase();
+    const isRepRow = ex.mode === "reps" || !!(ex.reps || "").toString().trim();
+    const isFormatRow = getBlockType([ex]) !== "standard";
     return nameLower.includes("blocco") || nameLower.includes("block") ||
-           nameLower === blockLower || (ex.duration || 0) <= 5;
+           nameLower === blockLower || (!isRepRow && !isFormatRow && (ex.duration || 0) <= 5);
   };
 
   if (includeWarmup) {
@@ -954,7 +1349,7 @@ function buildFullWorkoutSequence(workout, includeWarmup = true) {
 
     if (uniqueExercises.length > 0) {
       sequence.push({
-        name: "Riscaldamento",
+        name: t("player.warmupLabel"),
         duration: 5,
         imageUrl: "https://lh3.googleusercontent.com/d/1Ee4DY-EGnTI9YPrIB0wj6v8pX7KW8Hpt",
         isLabel: true
@@ -1006,44 +1401,28 @@ function buildFullWorkoutSequence(workout, includeWarmup = true) {
     const exercises = blockGroups[blockName];
     if (exercises.length === 0) return;
     blockNumber++;
-    const rounds = exercises[0]?.rounds || 1;
 
-    for (let round = 0; round < rounds; round++) {
-      let exerciseNumber = 0;
-      exercises.forEach(ex => {
-        exerciseNumber++;
-        const exDuration = ex.duration || 30;
-        sequence.push({
-          name: ex.name,
-          duration: exDuration,
-          imageUrl: ex.imageUrl,
-          reps: ex.reps,
-          block: ex.block,
-          tipoDiPeso: ex.tipoDiPeso,
-          audio: ex.audio,
-          audioCambio: ex.audioCambio,
-          isWarmup: false,
-          blockNumber: blockNumber,
-          totalBlocks: totalBlocks,
-          roundNumber: round + 1,
-          totalRounds: rounds,
-          exerciseNumber: exerciseNumber,
-          totalExercises: exercises.length
-        });
-      });
-    }
+    // Rest priority: user override → block value from sheet → workout default
+    const roundRest = resolveRest(restOverrides?.betweenRounds, exercises[0]?.restBetweenRounds);
+    const blockRest = resolveRest(
+      restOverrides?.betweenBlocks,
+      exercises[0]?.restAfterBlock,
+      workout.restBetweenBlocks,
+      DEFAULT_BLOCK_REST
+    );
+
+    const blockType = getBlockType(exercises);
+    BLOCK_SEQUENCERS[blockType](sequence, exercises, { blockType, blockNumber, totalBlocks, roundRest });
 
-    // --- REST 60s tra blocchi ---
+    // --- REST tra blocchi ---
     if (blockNumber < totalBlocks) {
-      sequence.push({
-        name: "REST",
-        duration: 60,
-        imageUrl: convertGoogleDriveToDirect("https://lh3.googleusercontent.com/d/1bibXbdrcXdh3vgNHp2Teby3ClS3VqZmb"),
-        isLabel: true
-      });
+      pushRestStep(sequence, blockRest, "block");
     }
   });
 
+  // No rest after the very last set
+  if (sequence.length && sequence[sequence.length - 1].isRest) sequence.pop();
+
   sequence.push({
     name: "Good Job",
     duration: 20,
@@ -1054,6 +1433,37 @@ function buildFullWorkoutSequence(workout, includeWarmup = true) {
   return sequence;
 }
 
+/**
+ * Position of a step in the workout, as shown in the progress bar
+ * @returns {{block: string, round: string, exercise: string}} Labels (empty when not relevant)
+ */
+function describeStepPosition(step) {
+  const position = { block: "", round: "", exercise: "" };
+
+  if (step.isWarmup) {
+    position.block = t("player.progress.warmup");
+  } else if (step.isLabel) {
+    position.block = step.name;
+  } else {
+    if (step.blockNumber) {
+      position.block = t("player.progress.block", { current: step.blockNumber, total: step.totalBlocks });
+    }
+    if (step.blockType === "amrap") {
+      position.round = t("player.progress.amrapRound", { round: amrapRounds + 1 });
+    } else if (step.roundNumber) {
+      const label = step.roundLabel || t("player.roundLabel.round");
+      position.round = `${label} ${step.roundNumber}/${step.totalRounds}`;
+    }
+    if (step.supersetLabel) {
+      const kind = step.supersetSize > 2 ? t("player.progress.giantSet") : t("player.progress.superset");
+      position.exercise = `${kind} ${step.supersetLabel}`;
+    } else if (step.exerciseNumber) {
+      position.exercise = t("player.progress.exercise", { current: step.exerciseNumber, total: step.totalExercises });
+    }
+  }
+  return position;
+}
+
 function updateProgressBar() {
   if (!fullWorkoutSequence || fullWorkoutSequence.length === 0) return;
   const currentExercise = fullWorkoutSequence[currentStep];
@@ -1067,29 +1477,610 @@ function updateProgressBar() {
   if (progressFill) progressFill.style.width = progressPercent + "%";
   if (progressPercentage) progressPercentage.textContent = progressPercent + "%";
 
+  const position = describeStepPosition(currentExercise);
   const progressBlock = document.getElementById("progress-block");
   const progressRound = document.getElementById("progress-round");
   const progressExercise = document.getElementById("progress-exercise");
+  if (progressBlock) progressBlock.textContent = position.block;
+  if (progressRound) progressRound.textContent = position.round;
+  if (progressExercise) progressExercise.textContent = position.exercise;
+
+  updateLockScreen(currentExercise, position);
+}
+
+/* -------------------- Media Session -------------------- */
+// Lock screen, notification and headset buttons press the same player buttons
+// as the keyboard shortcuts
+let lockScreenArtwork = { url: null, src: null }; // cached image blob URL of the current step
+
+function startLockScreenControls() {
+  startMediaSession({
+    play: () => { if (isPaused) document.getElementById("pause-button")?.click(); },
+    pause: () => { if (!isPaused) document.getElementById("pause-button")?.click(); },
+    next: () => document.getElementById("next-exercise-button")?.click(),
+    previous: () => document.getElementById("prev-exercise-button")?.click()
+  });
+}
+
+async function getLockScreenArtwork(url) {
+  if (!url) return "";
+  if (lockScreenArtwork.url !== url) {
+    if (lockScreenArtwork.src?.startsWith("blob:")) URL.revokeObjectURL(lockScreenArtwork.src);
+    const cached = typeof OfflinePreloader !== "undefined" ? await OfflinePreloader.getCachedImage(url) : null;
+    lockScreenArtwork = { url, src: cached || url };
+  }
+  return lockScreenArtwork.src;
+}
+
+async function updateLockScreen(step, position = describeStepPosition(step)) {
+  if (!isWorkoutActive) return;
+  const imageUrl = await getLockScreenArtwork(step.isLabel ? "" : step.imageUrl);
+  if (step !== fullWorkoutSequence[currentStep]) return; // moved on while the image loaded
+
+  const workoutSelect = document.getElementById("workoutSelect");
+  updateMediaSession({
+    title: formatStepName(step),
+    subtitle: [position.block, position.round].filter(Boolean).join(" · "),
+    album: workoutSelect?.options[workoutSelect.selectedIndex]?.textContent || "",
+    imageUrl
+  });
+  setMediaSessionPlaying(!isPaused);
+}
+
+function stopLockScreenControls() {
+  endMediaSession();
+  if (lockScreenArtwork.src?.startsWith("blob:")) URL.revokeObjectURL(lockScreenArtwork.src);
+  lockScreenArtwork = { url: null, src: null };
+}
+
+/* -------------------- Big-Screen Display -------------------- */
+// workout.html?display is a display-only player for a TV / laptop. A phone on
+// remote.html with the same room code drives it: remote commands press the
+// same player buttons as the keyboard shortcuts, the display answers with its state.
+const DISPLAY_ROOM_KEY = "viltrum_display_room"; // sessionStorage: a reload keeps the pairing
+const REMOTE_COMMAND_BUTTONS = {
+  pause: "pause-button",
+  resume: "pause-button",
+  prev: "prev-exercise-button",
+  next: "next-exercise-button",
+  add10: "add-10s-button",
+  done: "rep-done-button",
+  round: "amrap-round-button"
+};
+let displayLink = null;
+let displayRoom = null;
+let remoteSeenAt = 0;
+
+function isDisplayMode() {
+  return new URLSearchParams(window.location.search).has("display");
+}
+
+function isRemoteConnected() {
+  return Date.now() - remoteSeenAt < REMOTE_TIMEOUT_MS;
+}
+
+/**
+ * What the remote shows (and which of its buttons make sense right now)
+ */
+function getDisplayState() {
+  const workoutSelect = document.getElementById("workoutSelect");
+  const step = isWorkoutActive ? fullWorkoutSequence[currentStep] : null;
+  const state = {
+    active: Boolean(step),
+    workout: workoutSelect?.options[workoutSelect.selectedIndex]?.textContent || "",
+    paused: isPaused
+  };
+  if (!step) return state;
+
+  const next = fullWorkoutSequence[currentStep + 1];
+  const reps = isRepBasedStep(step);
+  return {
+    ...state,
+    title: formatStepName(step),
+    reps: step.reps || "",
+    position: describeStepPosition(step),
+    next: next ? formatStepName(next) : null,
+    progress: Math.round(((currentStep + 1) / fullWorkoutSequence.length) * 100),
+    timer: reps
+      ? { kind: "up", seconds: getRepElapsed() }
+      : { kind: "down", seconds: getCurrentRemaining() ?? 0 },
+    controls: { add10: !reps, done: reps, round: step.blockType === "amrap" }
+  };
+}
+
+function publishDisplayState() {
+  if (!displayLink) return;
+  const state = getDisplayState();
+  displayLink.send("state", state);
+
+  const next = document.getElementById("display-next");
+  if (next) next.textContent = state.next ? t("player.then", { name: state.next }) : "";
+}
+
+function runRemoteCommand(action) {
+  if (!isWorkoutActive || !REMOTE_COMMAND_BUTTONS[action]) return;
+  if ((action === "pause" && isPaused) || (action === "resume" && !isPaused)) return;
+
+  const controls = getDisplayState().controls || {};
+  if (action in controls && !controls[action]) return; // e.g. "done" on a timed step
+
+  console.log(`🎮 Remote: ${action}`);
+  document.getElementById(REMOTE_COMMAND_BUTTONS[action])?.click();
+}
+
+function handleRemoteMessage(message) {
+  if (message.role !== "remote") return;
+
+  const wasConnected = isRemoteConnected();
+  remoteSeenAt = Date.now();
+  if (!wasConnected) renderDisplayPairing();
+
+  if (message.type === "command") runRemoteCommand(message.payload.action);
+  if (message.type === "hello" || message.type === "command") publishDisplayState();
+}
+
+function connectDisplayLink() {
+  if (displayLink) displayLink.close();
+  displayLink = createRoomLink({
+    room: displayRoom,
+    role: "display",
+    onMessage: handleRemoteMessage,
+    onStatus: () => {
+      renderDisplayPairing();
+      publishDisplayState();
+    }
+  });
+}
+
+function renderDisplayPairing() {
+  if (!displayLink) return;
+  const remoteUrl = new URL(`remote.html?room=${displayRoom}`, window.location.href).href;
+  const remoteStatus = isRemoteConnected() ? t("display.pairing.connected") : t("display.pairing.waiting");
+
+  const badge = document.getElementById("display-badge");
+  if (badge) badge.textContent = `${displayRoom} · ${remoteStatus}`;
+
+  const panel = document.getElementById("display-pairing");
+  if (!panel) return;
+  panel.innerHTML = "";
+
+  const heading = document.createElement("div");
+  heading.className = "display-heading";
+  heading.textContent = t("display.pairing.title");
+
+  const code = document.createElement("div");
+  code.className = "display-code";
+  code.textContent = displayRoom;
+
+  const hint = document.createElement("div");
+  hint.className = "display-hint";
+  hint.textContent = t("display.pairing.hint", { url: remoteUrl.split("?")[0] });
+
+  const status = document.createElement("div");
+  status.className = "display-status";
+  status.textContent = `${remoteStatus} · ${t(`display.relay.status.${displayLink.status().relay}`)}`;
+
+  const relay = createRelayForm(() => {
+    connectDisplayLink();
+    renderDisplayPairing();
+  });
+
+  panel.append(heading, code, hint, status, relay);
+}
+
+/**
+ * Relay address field (shared by big-screen mode and group classes)
+ * @param {Function} onSaved - Called once the new address is stored
+ * @returns {HTMLFormElement}
+ */
+function createRelayForm(onSaved) {
+  const form = document.createElement("form");
+  form.className = "relay-form";
+  const label = document.createElement("label");
+  label.textContent = t("display.relay.label");
+  const input = document.createElement("input");
+  input.type = "text";
+  input.value = getRelayUrl() || "";
+  input.placeholder = "ws://192.168.1.10:8788";
+  const save = document.createElement("button");
+  save.type = "submit";
+  save.textContent = t("display.relay.save");
+  label.appendChild(input);
+  form.append(label, save);
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    try {
+      setRelayUrl(input.value);
+    } catch (err) {
+      alert(t("display.relay.invalid"));
+      return;
+    }
+    onSaved();
+  });
+  return form;
+}
 
-  if (currentExercise.isWarmup) {
-    if (progressBlock) progressBlock.textContent = "Warm-up";
-    if (progressRound) progressRound.textContent = "";
-    if (progressExercise) progressExercise.textContent = "";
-  } else if (currentExercise.isLabel) {
-    if (progressBlock) progressBlock.textContent = currentExercise.name;
-    if (progressRound) progressRound.textContent = "";
-    if (progressExercise) progressExercise.textContent = "";
+function initDisplayMode() {
+  if (!isDisplayMode()) return;
+  document.body.classList.add("display-mode");
+
+  displayRoom = sessionStorage.getItem(DISPLAY_ROOM_KEY) || createRoomCode();
+  sessionStorage.setItem(DISPLAY_ROOM_KEY, displayRoom);
+  connectDisplayLink();
+  renderDisplayPairing();
+
+  // The settings link now leads back to the normal player
+  const modeLink = document.getElementById("display-mode-link");
+  if (modeLink) {
+    modeLink.href = "workout.html";
+    modeLink.dataset.i18n = "display.close";
+    modeLink.textContent = t("display.close");
+  }
+
+  // Periodic state keeps the remote's clock in step and notices a remote that went away
+  setInterval(() => {
+    publishDisplayState();
+    renderDisplayPairing();
+  }, DISPLAY_STATE_INTERVAL_MS);
+  window.addEventListener(I18n.CHANGE_EVENT, renderDisplayPairing);
+  console.log(`📺 Big-screen mode, room ${displayRoom}`);
+}
+
+/* -------------------- Group Class -------------------- */
+// A coach hosts a class with a code (⚙️ → Group class) and the participants'
+// players follow the coach's player: same workout, same step, same end time.
+// Participants don't drive: their own timer only runs between two coach positions
+// and is pulled back onto the coach's end time when it drifts.
+const GROUP_SESSION_KEY = "viltrum_group_session"; // sessionStorage { role, room }: a reload hosts / joins again
+const GROUP_SESSION_RETRY_MS = 2000;               // participant: ask for the workout again at most this often
+let groupCoach = null;
+let groupParticipant = null;
+let groupRoom = null;
+let groupPublishedVersion = null; // coach: last workout version sent to the class
+let groupSession = null;          // participant: workout received from the coach
+let lastCoachPosition = null;     // participant: last coach position (local clock)
+let groupSessionRequestedAt = 0;
+
+function isFollowingCoach() {
+  return Boolean(groupParticipant) && isWorkoutActive;
+}
+
+// A new run or a swap changes the version: participants then need the sequence again
+function getGroupVersion() {
+  return isWorkoutActive ? `${workoutStartTime}:${sessionSwaps.length}` : null;
+}
+
+function getGroupSession() {
+  if (!isWorkoutActive) return null;
+  const workoutSelect = document.getElementById("workoutSelect");
+  return {
+    version: getGroupVersion(),
+    workoutName: workoutSelect?.options[workoutSelect.selectedIndex]?.textContent || "Workout",
+    sequence: fullWorkoutSequence
+  };
+}
+
+// step null = no workout running on the coach's phone
+function getGroupPosition() {
+  if (!isWorkoutActive) return { version: null, step: null, paused: false, endsAt: null, remaining: null };
+  const timed = !isRepBasedStep(fullWorkoutSequence[currentStep]);
+  return {
+    version: getGroupVersion(),
+    step: currentStep,
+    paused: isPaused,
+    endsAt: timed && !isPaused ? currentTimerEndTime : null,
+    remaining: getCurrentRemaining()
+  };
+}
+
+function publishGroupPosition() {
+  if (!groupCoach) return;
+  const version = getGroupVersion();
+  if (version && version !== groupPublishedVersion) {
+    groupPublishedVersion = version;
+    groupCoach.publishSession(); // sends the position too
+  } else {
+    groupCoach.publish();
+  }
+}
+
+function handleCoachSession(session) {
+  if (!session?.version || !Array.isArray(session.sequence)) return;
+  groupSession = session;
+  // a swap (or the coach resuming after a reload): same class, new sequence
+  if (isFollowingCoach()) fullWorkoutSequence = session.sequence;
+}
+
+function handleCoachPosition(position) {
+  lastCoachPosition = position;
+
+  if (position.step === null) {
+    stopFollowingCoach();
+    return;
+  }
+  if (groupSession?.version !== position.version) {
+    if (Date.now() - groupSessionRequestedAt > GROUP_SESSION_RETRY_MS) {
+      groupSessionRequestedAt = Date.now();
+      groupParticipant.requestSession();
+    }
+    return;
+  }
+
+  if (!isFollowingCoach()) {
+    startFollowingCoach(position);
+  } else if (position.step === currentStep - 1 && position.endsAt && position.endsAt - Date.now() < 1000) {
+    // our own timer ran out a moment before the coach's: already on the next step
+  } else if (position.step !== currentStep) {
+    moveToCoachStep(position);
   } else {
-    if (progressBlock && currentExercise.blockNumber) {
-      progressBlock.textContent = `Block ${currentExercise.blockNumber}/${currentExercise.totalBlocks}`;
+    alignWithCoach(position);
+  }
+}
+
+// Same start as startWorkout, with the coach's sequence and step
+function startFollowingCoach(position) {
+  fullWorkoutSequence = groupSession.sequence;
+  currentStep = position.step;
+  savedTimeLeft = null;
+  sessionLog = [];
+  sessionSwaps = [];
+  executionTrace = [];
+  amrapRounds = 0;
+  isPaused = false;
+  isWorkoutActive = true;
+  workoutStartTime = Date.now();
+
+  const setupMode = document.getElementById("soundMode-setup");
+  const liveMode = document.getElementById("soundMode");
+  if (setupMode && liveMode) liveMode.value = setupMode.value;
+
+  console.log(`👥 Following the coach: ${groupSession.workoutName}, step ${currentStep}`);
+  showWorkoutScreen();
+  playExercise(currentStep, fullWorkoutSequence); // aligns with lastCoachPosition once the timer runs
+  renderGroupPanels();
+}
+
+// The coach moved on (or back): the step we leave counts as done only when the coach finished it
+function moveToCoachStep(position) {
+  clearInterval(interval);
+  const step = fullWorkoutSequence[currentStep];
+
+  if (position.step === currentStep + 1) {
+    if (step?.blockType === "amrap") {
+      logAmrapRounds(currentStep, step.duration);
+    } else if (isRepBasedStep(step)) {
+      const actualReps = parseInt(document.getElementById("rep-actual-input")?.value, 10);
+      logCompletedSet(currentStep, {
+        reps: Number.isFinite(actualReps) ? actualReps : null,
+        seconds: getRepElapsed()
+      });
+    } else {
+      logCompletedSet(currentStep);
+    }
+    endStepTrace("completed");
+  } else {
+    endStepTrace("left");
+  }
+
+  repStepStartTime = null;
+  repElapsedBeforePause = 0;
+  isPaused = false;
+  const pauseBtn = document.getElementById("pause-button");
+  if (pauseBtn) pauseBtn.textContent = t("player.pause");
+
+  currentStep = position.step;
+  savedTimeLeft = null;
+  playExercise(currentStep, fullWorkoutSequence);
+}
+
+// Pause state and end time of the coach, on the step we're both on
+function alignWithCoach(position) {
+  if (!isFollowingCoach() || !position || position.step !== currentStep) return;
+  const pauseBtn = document.getElementById("pause-button");
+
+  if (position.paused && !isPaused) {
+    if (position.remaining !== null) {
+      savedTimeLeft = position.remaining;
+      currentTimerEndTime = Date.now() + position.remaining * 1000; // what the ticking loop saves
+      document.getElementById("timer").textContent = savedTimeLeft;
     }
-    if (progressRound && currentExercise.roundNumber) {
-      progressRound.textContent = `Round ${currentExercise.roundNumber}/${currentExercise.totalRounds}`;
+    isPaused = true;
+    if (pauseBtn) pauseBtn.textContent = t("player.resume");
+    setMediaSessionPlaying(false);
+    return;
+  }
+  if (position.paused && isPaused) {
+    // +10s on the coach's phone during the pause
+    if (position.remaining !== null && position.remaining !== savedTimeLeft) {
+      savedTimeLeft = position.remaining;
+      document.getElementById("timer").textContent = savedTimeLeft;
     }
-    if (progressExercise && currentExercise.exerciseNumber) {
-      progressExercise.textContent = `Exercise ${currentExercise.exerciseNumber}/${currentExercise.totalExercises}`;
+    return;
+  }
+  if (!position.paused && isPaused) {
+    savedTimeLeft = position.endsAt ? (position.endsAt - Date.now()) / 1000 : position.remaining;
+    if (pauseBtn) pauseBtn.textContent = t("player.pause");
+    resumeTimer();
+    setMediaSessionPlaying(true);
+  }
+
+  if (position.endsAt && currentTimerEndTime !== null &&
+      Math.abs(currentTimerEndTime - position.endsAt) > GROUP_DRIFT_TOLERANCE_MS) {
+    console.log(`👥 Timer corrected by ${Math.round(position.endsAt - currentTimerEndTime)}ms`);
+    currentTimerEndTime = position.endsAt;
+  }
+}
+
+function stopFollowingCoach() {
+  if (!isFollowingCoach()) return;
+  console.log("👥 The coach stopped the workout");
+  exitWorkout();
+  renderGroupPanels();
+}
+
+function hostGroupSession(room = createRoomCode()) {
+  leaveGroupSession();
+  groupRoom = room;
+  groupCoach = createGroupCoach({
+    room,
+    getSession: getGroupSession,
+    getPosition: getGroupPosition,
+    onChange: updateGroupStatus
+  });
+  sessionStorage.setItem(GROUP_SESSION_KEY, JSON.stringify({ role: "coach", room }));
+  renderGroupPanels();
+}
+
+function joinGroupSession(room) {
+  leaveGroupSession();
+  groupRoom = room;
+  groupParticipant = createGroupParticipant({
+    room,
+    onSession: handleCoachSession,
+    onPosition: handleCoachPosition,
+    onEnd: () => {
+      stopFollowingCoach();
+      leaveGroupSession();
+    },
+    onChange: updateGroupStatus
+  });
+  sessionStorage.setItem(GROUP_SESSION_KEY, JSON.stringify({ role: "participant", room }));
+  document.body.classList.add("group-participant");
+  renderGroupPanels();
+}
+
+function leaveGroupSession() {
+  if (groupCoach) groupCoach.close();
+  if (groupParticipant) groupParticipant.close();
+  groupCoach = null;
+  groupParticipant = null;
+  groupRoom = null;
+  groupPublishedVersion = null;
+  groupSession = null;
+  lastCoachPosition = null;
+  sessionStorage.removeItem(GROUP_SESSION_KEY);
+  document.body.classList.remove("group-participant");
+  renderGroupPanels();
+}
+
+function describeGroupStatus() {
+  if (groupCoach) {
+    const { participants, relay } = groupCoach.status();
+    return `${t("group.participants", { count: participants })} · ${t(`display.relay.status.${relay}`)}`;
+  }
+  if (groupParticipant) {
+    const { coach, relay, rtt } = groupParticipant.status();
+    const parts = [coach ? t("group.coachConnected") : t("group.coachWaiting")];
+    if (coach && rtt !== null) parts.push(t("group.sync", { ms: Math.round(rtt / 2) }));
+    parts.push(t(`display.relay.status.${relay}`));
+    return parts.join(" · ");
+  }
+  return "";
+}
+
+// Status line only: a full render would wipe what is being typed in the relay field
+function updateGroupStatus() {
+  const text = describeGroupStatus();
+  document.querySelectorAll(".group-status").forEach(el => { el.textContent = text; });
+}
+
+// Host / join / leave in both settings popups (.group-panel)
+function renderGroupPanels() {
+  document.querySelectorAll(".group-panel").forEach(panel => {
+    panel.innerHTML = "";
+
+    const heading = document.createElement("div");
+    heading.className = "group-heading";
+    heading.textContent = t("group.title");
+    panel.appendChild(heading);
+
+    if (groupCoach || groupParticipant) {
+      const code = document.createElement("div");
+      code.className = "group-code";
+      code.textContent = groupRoom;
+
+      const hint = document.createElement("div");
+      hint.className = "group-hint";
+      if (groupCoach) hint.textContent = t("group.coachHint");
+      else if (isFollowingCoach()) hint.textContent = t("group.following", { workout: groupSession.workoutName });
+      else hint.textContent = t("group.participantHint");
+
+      const status = document.createElement("div");
+      status.className = "group-status";
+      status.textContent = describeGroupStatus();
+
+      const leave = document.createElement("button");
+      leave.type = "button";
+      leave.textContent = groupCoach ? t("group.end") : t("group.leave");
+      leave.addEventListener("click", () => {
+        if (groupParticipant && isWorkoutActive) {
+          if (!confirm(t("player.confirmExit"))) return;
+          exitWorkout();
+        }
+        leaveGroupSession();
+      });
+
+      panel.append(code, hint, status, leave);
+    } else {
+      const host = document.createElement("button");
+      host.type = "button";
+      host.textContent = t("group.host");
+      host.addEventListener("click", () => hostGroupSession());
+      panel.appendChild(host);
+
+      // joining swaps the player for the coach's: only from the setup screen
+      if (panel.dataset.join === "true") {
+        const join = document.createElement("form");
+        join.className = "group-join";
+        const input = document.createElement("input");
+        input.type = "text";
+        input.autocomplete = "off";
+        input.autocapitalize = "characters";
+        input.placeholder = t("group.codePlaceholder");
+        const submit = document.createElement("button");
+        submit.type = "submit";
+        submit.textContent = t("group.join");
+        join.append(input, submit);
+        join.addEventListener("submit", (e) => {
+          e.preventDefault();
+          const code = normalizeRoomCode(input.value);
+          if (!code) {
+            input.focus();
+            return;
+          }
+          joinGroupSession(code);
+        });
+        panel.appendChild(join);
+      }
     }
+
+    panel.appendChild(createRelayForm(() => {
+      // reconnect through the new relay (the class stays open)
+      if (groupCoach) {
+        groupCoach.close(false);
+        groupCoach = null;
+        hostGroupSession(groupRoom);
+      } else if (groupParticipant) {
+        joinGroupSession(groupRoom);
+      } else {
+        renderGroupPanels();
+      }
+    }));
+  });
+}
+
+function initGroupClass() {
+  try {
+    const saved = JSON.parse(sessionStorage.getItem(GROUP_SESSION_KEY) || "null");
+    const room = normalizeRoomCode(saved?.room);
+    if (room && saved.role === "coach") hostGroupSession(room);
+    else if (room && saved.role === "participant") joinGroupSession(room);
+    else renderGroupPanels();
+  } catch (err) {
+    console.warn("⚠️ Could not restore the group class:", err);
+    renderGroupPanels();
   }
+  window.addEventListener(I18n.CHANGE_EVENT, renderGroupPanels);
 }
 
 /* -------------------- Session Controls -------------------- */
@@ -1098,9 +2089,19 @@ function exitWorkout() {
   isPaused = false;
   savedTimeLeft = null;
   currentStep = 0;
+  isWorkoutActive = false;
+  stopSnapshotting();
+  if (!groupParticipant) clearWorkoutSnapshot(); // a class doesn't touch our own paused workout
 
   // Release wake lock - allow screen to turn off
   releaseWakeLock();
+  hideRepControls();
+  hideAmrapControls();
+  stopTempoMetronome();
+  stopLockScreenControls();
+  publishDisplayState();
+  publishGroupPosition();
+  closeSwapPopup();
 
   const settingsPopup = document.getElementById("settings-popup");
   if (settingsPopup) settingsPopup.style.display = "none";
@@ -1131,18 +2132,56 @@ function exitWorkout() {
 }
 
 function startWorkout() {
+  if (groupParticipant) {
+    alert(t("group.waitForCoach"));
+    return;
+  }
   if (!selectedWorkout || !Array.isArray(selectedWorkout.exercises) || selectedWorkout.exercises.length === 0) {
-    alert("Nessun workout valido selezionato.");
+    alert(t("player.noWorkoutSelected"));
     return;
   }
 
   const warmupEnabled = document.getElementById("warmup-toggle")?.checked ?? true;
   fullWorkoutSequence = buildFullWorkoutSequence(selectedWorkout, warmupEnabled);
   if (fullWorkoutSequence.length === 0) {
-    alert("Impossibile costruire la sequenza di allenamento.");
+    alert(t("player.sequenceError"));
     return;
   }
 
+  showWorkoutScreen();
+
+  let startIndex = 0;
+  const phaseSelect = document.getElementById("start-phase-select");
+  const roundSelect = document.getElementById("start-round-select");
+  const exerciseSelect = document.getElementById("start-exercise-select");
+
+  if (phaseSelect && phaseSelect.value !== "0") {
+    if (exerciseSelect?.value && exerciseSelect.value !== "") {
+      startIndex = parseInt(exerciseSelect.value);
+    } else if (roundSelect?.value && roundSelect.value !== "") {
+      startIndex = parseInt(roundSelect.value);
+    } else {
+      startIndex = parseInt(phaseSelect.value);
+    }
+  }
+
+  currentStep = startIndex;
+  savedTimeLeft = null;
+  sessionLog = [];
+  sessionSwaps = [];
+  executionTrace = [];
+  isWorkoutActive = true; // Mark workout as active
+  workoutStartTime = Date.now(); // Record workout start time
+  playExercise(currentStep, fullWorkoutSequence);
+  startSnapshotting();
+
+  const setupMode = document.getElementById("soundMode-setup");
+  const liveMode = document.getElementById("soundMode");
+  if (setupMode && liveMode) liveMode.value = setupMode.value;
+}
+
+// Swap the setup screen for the player (shared by start and resume)
+function showWorkoutScreen() {
   const setup = document.getElementById("setup-screen");
   const header = document.querySelector("header");
   const startBtn = document.getElementById("start-button-bottom");
@@ -1173,74 +2212,63 @@ function startWorkout() {
 
   // Keep screen on during workout
   requestWakeLock();
-
-  let startIndex = 0;
-  const phaseSelect = document.getElementById("start-phase-select");
-  const roundSelect = document.getElementById("start-round-select");
-  const exerciseSelect = document.getElementById("start-exercise-select");
-
-  if (phaseSelect && phaseSelect.value !== "0") {
-    if (exerciseSelect?.value && exerciseSelect.value !== "") {
-      startIndex = parseInt(exerciseSelect.value);
-    } else if (roundSelect?.value && roundSelect.value !== "") {
-      startIndex = parseInt(roundSelect.value);
-    } else {
-      startIndex = parseInt(phaseSelect.value);
-    }
-  }
-
-  currentStep = startIndex;
-  savedTimeLeft = null;
-  isWorkoutActive = true; // Mark workout as active
-  workoutStartTime = Date.now(); // Record workout start time
-  playExercise(currentStep, fullWorkoutSequence);
-
-  const setupMode = document.getElementById("soundMode-setup");
-  const liveMode = document.getElementById("soundMode");
-  if (setupMode && liveMode) liveMode.value = setupMode.value;
 }
 
 async function playExercise(index, exercises, resumeTime = null) {
   // reset the 10s preview trigger for this exercise
   nextPreviewShown = false;
+  stopTempoMetronome();
 
   if (index >= exercises.length) {
     console.log('🎉 Workout Complete! Redirecting to completion page...');
     console.log('Index:', index, 'Exercises length:', exercises.length);
     
+    publishGroupPosition(); // the class finishes too (sent while the workout still counts as running)
     isWorkoutActive = false; // Mark workout as complete
+    stopSnapshotting();
+    if (!groupParticipant) clearWorkoutSnapshot();
+    stopLockScreenControls();
+    publishDisplayState();
     
     // Calculate workout duration
     const workoutDuration = Math.floor((Date.now() - workoutStartTime) / 1000);
     console.log('Workout duration:', workoutDuration, 'seconds');
     
     // Get the workout display name from the dropdown
+    // (a group class participant did the coach's workout)
     const workoutSelect = document.getElementById('workoutSelect');
-    const workoutDisplayName = workoutSelect ? workoutSelect.options[workoutSelect.selectedIndex]?.textContent : 'Workout';
+    const workoutDisplayName = groupParticipant
+      ? groupSession?.workoutName || 'Workout'
+      : workoutSelect ? workoutSelect.options[workoutSelect.selectedIndex]?.textContent : 'Workout';
     
     // ═══════════════════════════════════════════════════════════════════════
     // SAVE LAST WORKOUT (NEW in v6.3.15)
     // Save the completed workout index so next time we auto-select the next one
+    // (custom workouts and group classes don't move the coach's rotation forward)
     // ═══════════════════════════════════════════════════════════════════════
-    console.log('📤 Saving last workout index:', currentWorkoutIndex, '(', workoutDisplayName, ')');
+    if (!groupParticipant && !isCustomWorkoutKey(workoutSelect?.value)) {
+      console.log('📤 Saving last workout index:', currentWorkoutIndex, '(', workoutDisplayName, ')');
     
-    // Save locally immediately
-    setLastWorkoutIndexLocal(currentWorkoutIndex);
+      // Save locally immediately
+      setLastWorkoutIndexLocal(currentWorkoutIndex);
     
-    // Save to sessionStorage for completion page to sync
-    sessionStorage.setItem('completedWorkoutIndex', currentWorkoutIndex.toString());
-    sessionStorage.setItem('totalUserWorkouts', totalUserWorkouts.toString());
+      // Save to sessionStorage for completion page to sync
+      sessionStorage.setItem('completedWorkoutIndex', currentWorkoutIndex.toString());
+      sessionStorage.setItem('totalUserWorkouts', totalUserWorkouts.toString());
     
-    // Sync to cloud (non-blocking, will complete in background)
-    syncLastWorkoutToCloud(currentWorkoutIndex, workoutDisplayName).then(success => {
-      if (success) {
-        console.log('✅ Last workout synced to cloud');
-      } else {
-        console.log('⚠️ Last workout sync to cloud failed (saved locally)');
-      }
-    }).catch(err => {
-      console.warn('⚠️ Last workout cloud sync error:', err);
-    });
+      // Sync to cloud (non-blocking, will complete in background)
+      syncLastWorkoutToCloud(currentWorkoutIndex, workoutDisplayName).then(success => {
+        if (success) {
+          console.log('✅ Last workout synced to cloud');
+        } else {
+          console.log('⚠️ Last workout sync to cloud failed (saved locally)');
+        }
+      }).catch(err => {
+        console.warn('⚠️ Last workout cloud sync error:', err);
+      });
+    } else {
+      sessionStorage.removeItem('completedWorkoutIndex');
+    }
     // ═══════════════════════════════════════════════════════════════════════
     
     // Save workout data to sessionStorage for completion page
@@ -1255,6 +2283,9 @@ async function playExercise(index, exercises, resumeTime = null) {
       e.tipoDiPeso
     );
     sessionStorage.setItem('workoutExercises', JSON.stringify(exercisesWithWeights));
+    sessionStorage.setItem('workoutSessionLog', JSON.stringify(sessionLog));
+    sessionStorage.setItem('workoutSwaps', JSON.stringify(sessionSwaps));
+    sessionStorage.setItem('workoutTrace', JSON.stringify(executionTrace));
     
     console.log('SessionStorage data saved, redirecting...');
     
@@ -1273,6 +2304,10 @@ async function playExercise(index, exercises, resumeTime = null) {
   if (hasReps && hasEquipment) infoText = `${exercise.reps} reps | ${exercise.tipoDiPeso}`;
   else if (hasReps)           infoText = `${exercise.reps} reps`;
   else if (hasEquipment)      infoText = exercise.tipoDiPeso;
+  if (hasReps && parseTempo(exercise.tempo)) infoText += ` | ${t("player.tempo.info", { tempo: parseTempo(exercise.tempo).label })}`;
+  if (exercise.blockType === "amrap") {
+    infoText = exercise.exercises.map(e => e.reps ? `${e.reps} ${e.name}` : e.name).join(" · ");
+  }
 
   const currentInfo = infoText
     ? `<div style="font-size:16px;font-weight:600;margin-top:8px;color:#B0B0B0;">${infoText}</div>`
@@ -1283,7 +2318,7 @@ async function playExercise(index, exercises, resumeTime = null) {
 
   const parts = [];
   if (hasEquipment) parts.push(exercise.tipoDiPeso);
-  if (hasReps) parts.push(`${exercise.reps} REPS`);
+  if (hasReps) parts.push(t("player.reps", { reps: exercise.reps }));
   if (hasDuration) parts.push(`${exercise.duration}S`);
 
   // --- 10-SECOND PREVIEW DISPLAY ---
@@ -1293,16 +2328,16 @@ async function playExercise(index, exercises, resumeTime = null) {
 
   const partsNext = [];
   if (hasNextEquipment) partsNext.push(nextExercise.tipoDiPeso);
-  if (hasNextReps) partsNext.push(`${nextExercise.reps} REPS`);
+  if (hasNextReps) partsNext.push(t("player.reps", { reps: nextExercise.reps }));
   if (hasNextDuration) partsNext.push(`${nextExercise.duration}S`);
   const infoNext = partsNext.join(" | ");
 
   // Check for last used weight for this exercise
   const lastUsedWeight = getExerciseWeight(exercise.name);
-  const weightDisplay = lastUsedWeight ? `<div style="font-size:13px;font-weight:700;color:#6AB04C;margin-top:3px;">ULTIMO: ${lastUsedWeight}</div>` : '';
+  const weightDisplay = lastUsedWeight ? `<div style="font-size:13px;font-weight:700;color:#6AB04C;margin-top:3px;">${t("player.lastWeight", { weight: lastUsedWeight })}</div>` : '';
 
   document.getElementById("exercise-name").innerHTML = `
-    <div style="font-size:22px;font-weight:800;letter-spacing:.5px;">${exercise.name}</div>
+    <div style="font-size:22px;font-weight:800;letter-spacing:.5px;">${formatStepName(exercise)}</div>
     <div style="font-size:15px;font-weight:600;color:#B0B0B0;margin-top:4px;">${infoText}</div>
     ${weightDisplay}
   `;
@@ -1324,20 +2359,52 @@ async function playExercise(index, exercises, resumeTime = null) {
   const duration = resumeTime !== null ? resumeTime : savedTimeLeft ?? parseInt(exercise.duration);
   savedTimeLeft = null;
 
-  timerEl.textContent = duration;
-  updateProgressBar();
+  timerEl.textContent = duration;
+  startLockScreenControls();
+  updateProgressBar();
+
+  const mode = document.getElementById("soundMode").value;
+
+  if (exercise.blockType === "amrap") {
+    // a fresh countdown starts from round 1 (resume keeps the restored count)
+    if (resumeTime === null) amrapRounds = 0;
+    showAmrapControls();
+  } else {
+    hideAmrapControls();
+  }
+
+  if (isRepBasedStep(exercise)) {
+    // rep-based set: count up and wait for "done"
+    showRepControls(exercise, nextExercise);
+    startRepSet(resumeTime ?? 0);
+    startTempoMetronome(exercise, resumeTime ?? 0);
+  } else {
+    hideRepControls();
+    // start the countdown immediately
+    startExerciseTimer(duration, exercise, nextExercise);
+    startTempoMetronome(exercise, (parseInt(exercise.duration) || duration) - duration);
+  }
 
-  const mode = document.getElementById("soundMode").value;
+  // a fresh start is a new visit (resume / swap keep the current one going)
+  if (resumeTime === null) beginStepTrace(index);
 
-  // start the countdown immediately
-  startExerciseTimer(duration, exercise, nextExercise);
+  // new step → snapshot right away (don't wait for the periodic save)
+  saveCurrentSnapshot();
+  publishDisplayState(); // after the timer started: the state carries its clock
+  publishGroupPosition();
+  alignWithCoach(lastCoachPosition);
 
   // say the exercise name without blocking the timer
   // Use speak() which has automatic fallback
+  // structured blocks lead with the format cue ("minuto 3 di 10")
   if (mode !== "none" && mode !== "bip") {
     const guard = new Promise(res => setTimeout(res, 2500));
+    const cue = getBlockCue(exercise);
+    const segments = [];
+    if (cue) segments.push({ text: cue, lang: cueLang() });
+    if (exercise.blockType !== "amrap") segments.push({ text: exercise.name, lang: detectLang(exercise.name) });
     Promise.race([
-      speak(exercise.name, detectLang(exercise.name)),
+      speakSequence(segments),
       guard
     ]).catch(err => {
       console.warn("⚠️ Failed to announce exercise name:", err);
@@ -1349,6 +2416,12 @@ async function playExercise(index, exercises, resumeTime = null) {
 function resumeTimer() {
   clearInterval(interval);
 
+  if (isRepBasedStep(fullWorkoutSequence[currentStep])) {
+    isPaused = false;
+    startRepSet(repElapsedBeforePause);
+    return;
+  }
+
   // if we didn't capture on pause, read what's on screen
   if (savedTimeLeft == null || savedTimeLeft <= 0) {
     const onScreen = parseInt(document.getElementById("timer").textContent, 10);
@@ -1362,6 +2435,530 @@ function resumeTimer() {
   startExerciseTimer(savedTimeLeft, currentExercise, nextExercise);
 }
 
+/* -------------------- Rep-Based Sets -------------------- */
+function formatElapsed(totalSeconds) {
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, "0")}`;
+}
+
+function parseTargetReps(reps) {
+  const match = (reps || "").toString().match(/\d+/);
+  return match ? parseInt(match[0], 10) : null;
+}
+
+function getRepElapsed() {
+  if (repStepStartTime === null) return repElapsedBeforePause;
+  return repElapsedBeforePause + Math.floor((Date.now() - repStepStartTime) / 1000);
+}
+
+function showRepControls(exercise, nextExercise) {
+  const controls = document.getElementById("rep-controls");
+  if (!controls) return;
+
+  const input = document.getElementById("rep-actual-input");
+  if (input) input.value = parseTargetReps(exercise.reps) ?? "";
+
+  // Target reps + the weight to load: the progression's suggested increase, else the last one used
+  const targetLabel = document.getElementById("rep-target-label");
+  if (targetLabel) {
+    targetLabel.innerHTML = "";
+    if (exercise.reps) targetLabel.append(t("player.repTarget", { reps: exercise.reps }));
+
+    const suggestion = getProgressionSuggestion(exercise.name, exercise.reps);
+    const lastWeight = getExerciseWeight(exercise.name);
+    const weightText = suggestion?.increase
+      ? t("player.suggestedWeight", { weight: suggestion.weight })
+      : lastWeight ? t("player.lastWeight", { weight: lastWeight }) : "";
+    if (weightText) {
+      if (exercise.reps) targetLabel.append(" · ");
+      const weight = document.createElement("span");
+      weight.className = "rep-target-weight";
+      weight.textContent = weightText;
+      targetLabel.appendChild(weight);
+    }
+  }
+
+  const nextLabel = document.getElementById("rep-next-label");
+  if (nextLabel) {
+    nextLabel.textContent = nextExercise ? t("player.then", { name: formatStepName(nextExercise) }) : "";
+  }
+
+  controls.style.display = "flex";
+}
+
+function hideRepControls() {
+  const controls = document.getElementById("rep-controls");
+  if (controls) controls.style.display = "none";
+}
+
+function startRepSet(elapsedSoFar = 0) {
+  clearInterval(interval);
+
+  const timerEl = document.getElementById("timer");
+  currentTimerEndTime = null; // nothing to extend with +10s: there is no countdown
+  repElapsedBeforePause = elapsedSoFar;
+  repStepStartTime = Date.now();
+  timerEl.textContent = formatElapsed(getRepElapsed());
+
+  interval = setInterval(() => {
+    // paused? freeze the elapsed time & stop the ticking loop
+    if (isPaused) {
+      repElapsedBeforePause = getRepElapsed();
+      repStepStartTime = null;
+      clearInterval(interval);
+      return;
+    }
+    timerEl.textContent = formatElapsed(getRepElapsed());
+  }, 200);
+}
+
+function completeRepSet() {
+  const exercise = fullWorkoutSequence[currentStep];
+  if (!isWorkoutActive || !isRepBasedStep(exercise) || isFollowingCoach()) return;
+
+  clearInterval(interval);
+
+  const input = document.getElementById("rep-actual-input");
+  const actualReps = parseInt(input?.value, 10);
+  logCompletedSet(currentStep, {
+    reps: Number.isFinite(actualReps) ? actualReps : null,
+    seconds: getRepElapsed()
+  });
+  endStepTrace("completed");
+
+  hideRepControls();
+  repStepStartTime = null;
+  repElapsedBeforePause = 0;
+  isPaused = false;
+  const pauseBtn = document.getElementById("pause-button");
+  if (pauseBtn) pauseBtn.textContent = t("player.pause");
+
+  const mode = document.getElementById("soundMode").value;
+  if (mode === "bip") playTransition();
+
+  // next step is the auto-rest countdown (added by buildFullWorkoutSequence)
+  currentStep++;
+  setTimeout(() => playExercise(currentStep, fullWorkoutSequence), 300);
+}
+
+/* -------------------- Rep Tempo Metronome -------------------- */
+// Steps with a tempo ("3-1-2-0", Tempo column) get one tone per phase and a rep count
+const TEMPO_SETTING_KEY = "viltrum_tempo_metronome";
+let tempoMetronome = null;
+
+function isTempoMetronomeEnabled() {
+  return localStorage.getItem(TEMPO_SETTING_KEY) !== "off";
+}
+
+function renderTempoDisplay(state) {
+  const display = document.getElementById("tempo-display");
+  if (!display) return;
+  if (!state) {
+    display.style.display = "none";
+    return;
+  }
+
+  const count = state.targetReps
+    ? t("player.tempo.repOf", { rep: state.rep, total: state.targetReps })
+    : t("player.tempo.rep", { rep: state.rep });
+  display.textContent = state.phase === "done"
+    ? t("player.tempo.done", { count: state.rep })
+    : `${t(`player.tempo.phase.${state.phase}`)} · ${count}`;
+  display.dataset.phase = state.phase;
+  display.style.display = "block";
+}
+
+function stopTempoMetronome() {
+  if (tempoMetronome) tempoMetronome.stop();
+  tempoMetronome = null;
+  renderTempoDisplay(null);
+}
+
+// elapsedSeconds: time already spent in the set (resume) → reps already done
+function startTempoMetronome(step, elapsedSeconds = 0) {
+  stopTempoMetronome();
+  const tempo = parseTempo(step?.tempo);
+  const mode = document.getElementById("soundMode")?.value;
+  if (!tempo || step.isLabel || step.isWarmup || mode === "none" || !isTempoMetronomeEnabled()) return;
+
+  const targetReps = parseTargetReps(step.reps);
+  const startRep = Math.floor(Math.max(0, elapsedSeconds) / tempo.rep);
+  tempoMetronome = createTempoMetronome({
+    tempo,
+    targetReps,
+    startRep: targetReps ? Math.min(startRep, targetReps) : startRep,
+    isRunning: () => isWorkoutActive && !isPaused,
+    getVolume: () => currentVolume,
+    onPhase: (phase, rep) => renderTempoDisplay({ phase, rep, targetReps }),
+    onRep: rep => {
+      const soundMode = document.getElementById("soundMode")?.value;
+      if (soundMode === "voice" || soundMode === "synth") speak(String(rep), cueLang()).catch(() => {});
+    },
+    onComplete: reps => {
+      console.log(`🎵 Tempo: ${reps} reps done`);
+      renderTempoDisplay({ phase: "done", rep: reps, targetReps });
+    }
+  });
+  console.log(`🎵 Tempo ${tempo.label}: ${targetReps ?? "∞"} reps from ${startRep}`);
+}
+
+/* -------------------- AMRAP Round Counter -------------------- */
+function showAmrapControls() {
+  const controls = document.getElementById("amrap-controls");
+  if (!controls) return;
+  renderAmrapRounds();
+  controls.style.display = "flex";
+}
+
+function hideAmrapControls() {
+  const controls = document.getElementById("amrap-controls");
+  if (controls) controls.style.display = "none";
+}
+
+function renderAmrapRounds() {
+  const count = document.getElementById("amrap-round-count");
+  if (count) count.textContent = t("player.amrapRoundsDone", { count: amrapRounds });
+  updateProgressBar();
+  publishDisplayState();
+}
+
+function completeAmrapRound() {
+  const step = fullWorkoutSequence[currentStep];
+  if (!isWorkoutActive || step?.blockType !== "amrap") return;
+
+  amrapRounds++;
+  renderAmrapRounds();
+  saveCurrentSnapshot();
+
+  const mode = document.getElementById("soundMode").value;
+  if (mode === "bip") playBeep();
+  else if (mode === "voice" || mode === "synth") speak(t("voice.amrapRound", { round: amrapRounds }), cueLang()).catch(() => {});
+}
+
+// One log entry per exercise of the circuit: rounds done, and reps = target reps × rounds when there is a target
+function logAmrapRounds(stepIndex, seconds) {
+  const step = fullWorkoutSequence[stepIndex];
+  step.exercises.forEach(ex => {
+    const target = parseTargetReps(ex.reps);
+    logCompletedSet(stepIndex, {
+      exercise: ex,
+      reps: target !== null ? target * amrapRounds : null, // no target: rounds only
+      rounds: amrapRounds,
+      seconds
+    });
+  });
+}
+
+/* -------------------- Exercise Swap -------------------- */
+// The exercise a swap applies to: the current one, or the next one during a rest
+function getSwapTargetIndex() {
+  for (let i = currentStep; i < fullWorkoutSequence.length; i++) {
+    const step = fullWorkoutSequence[i];
+    if (step.isWarmup) return -1;
+    if (!step.isLabel) return step.name.toLowerCase().includes("istruz") ? -1 : i;
+    if (!step.isRest) return -1; // labels ("Are you ready?", "Good Job") end the search
+  }
+  return -1;
+}
+
+function openSwapPopup() {
+  const popup = document.getElementById("swap-popup");
+  const list = document.getElementById("swap-list");
+  if (!popup || !list || !isWorkoutActive) return;
+
+  const targetIndex = getSwapTargetIndex();
+  const target = fullWorkoutSequence[targetIndex];
+  list.innerHTML = "";
+
+  if (!target) {
+    list.innerHTML = `<div class="swap-empty">${t("swap.nothingToSwap")}</div>`;
+    popup.style.display = "flex";
+    return;
+  }
+
+  // AMRAP steps hold several exercises: offer alternatives for each
+  const names = Array.isArray(target.exercises) ? target.exercises.map(e => e.name) : [target.name];
+  names.forEach(name => {
+    const { options, hidden } = getSwapAlternatives(name);
+
+    const heading = document.createElement("div");
+    heading.className = "swap-heading";
+    heading.textContent = t("swap.insteadOf", { name });
+    list.appendChild(heading);
+
+    options.forEach(option => {
+      const button = document.createElement("button");
+      button.className = "swap-option";
+      const img = document.createElement("img");
+      img.alt = "";
+      if (option.imageUrl) loadCachedImage(img, option.imageUrl);
+      const label = document.createElement("span");
+      label.textContent = option.name;
+      button.append(img, label);
+      button.addEventListener("click", () => swapExercise(targetIndex, name, option));
+      list.appendChild(button);
+    });
+
+    if (options.length === 0 || hidden > 0) {
+      const note = document.createElement("div");
+      note.className = "swap-empty";
+      note.textContent = options.length === 0 && hidden === 0
+        ? t("swap.noAlternatives")
+        : t("swap.hiddenAlternatives", { count: hidden });
+      list.appendChild(note);
+    }
+  });
+
+  popup.style.display = "flex";
+}
+
+function closeSwapPopup() {
+  const popup = document.getElementById("swap-popup");
+  if (popup) popup.style.display = "none";
+}
+
+// Patch the remaining rounds and restart the current step with the substitute
+function swapExercise(targetIndex, originalName, substitute) {
+  const patched = applyExerciseSwap(fullWorkoutSequence, targetIndex, originalName, substitute);
+  const target = fullWorkoutSequence[targetIndex];
+  sessionSwaps.push({
+    from: originalName,
+    to: substitute.name,
+    step: targetIndex,
+    round: target.roundNumber ?? null,
+    steps: patched,
+    at: new Date().toISOString()
+  });
+  console.log('🔄 Swapped', originalName, '→', substitute.name, 'in', patched, 'steps');
+  closeSwapPopup();
+
+  if (targetIndex === currentStep) {
+    // keep the clock where it was: only the exercise changes
+    const resumeTime = isRepBasedStep(target) ? getRepElapsed() : getCurrentRemaining();
+    clearInterval(interval);
+    isPaused = false;
+    const pauseBtn = document.getElementById("pause-button");
+    if (pauseBtn) pauseBtn.textContent = t("player.pause");
+    playExercise(currentStep, fullWorkoutSequence, resumeTime);
+  } else {
+    saveCurrentSnapshot();
+    publishGroupPosition();
+  }
+}
+
+/* -------------------- Voice Warm-up -------------------- */
+// Phrases the cloud voice says during a workout: block intros, step names, scheduled cues
+function collectWorkoutPhrases(workout) {
+  const warmupEnabled = document.getElementById("warmup-toggle")?.checked ?? true;
+  const sequence = buildFullWorkoutSequence(workout, warmupEnabled);
+  const schedule = resolveCueSchedule(workout, getAudioCueSchedule());
+  const phrases = [{ text: t("voice.nextExercise"), lang: cueLang() }];
+
+  sequence.forEach(step => {
+    const blockCue = getBlockCue(step);
+    if (blockCue) phrases.push({ text: blockCue, lang: cueLang() });
+    if (step.name && step.blockType !== "amrap") phrases.push({ text: step.name, lang: detectLang(step.name) });
+    if (isRepBasedStep(step)) return;
+
+    getStepCues(schedule, parseInt(step.duration) || 0, step.blockType || "standard").forEach(cues => {
+      cues.filter(cue => cue.voice).forEach(cue => {
+        const phrase = getCuePhrase(cue);
+        phrases.push({ text: phrase.text || t(phrase.key, phrase.params), lang: cueLang() });
+      });
+    });
+  });
+  return phrases;
+}
+
+// Fill the TTS cache for the workout in the preview, so voice mode also works offline
+function warmUpWorkoutVoice(workout) {
+  if (!navigator.onLine) return;
+  warmUpWithProviders(collectWorkoutPhrases(workout), "preview")
+    .then(result => {
+      if (result && !result.stopped) console.log(`🔊 Voice warm-up (${result.provider}): ${result.cached} cached, ${result.fetched} downloaded, ${result.failed} failed`);
+    })
+    .catch(err => console.warn("⚠️ Voice warm-up failed:", err));
+}
+
+/* -------------------- Background Music -------------------- */
+// Library + controls in both settings popups (.music-panel); playback lives in music-player.js
+function renderMusicPanels() {
+  const { tracks, currentTrack, playing } = getMusicState();
+
+  document.querySelectorAll(".music-panel").forEach(panel => {
+    panel.innerHTML = "";
+
+    const heading = document.createElement("div");
+    heading.className = "music-heading";
+    heading.textContent = t("music.title");
+    panel.appendChild(heading);
+
+    if (tracks.length === 0) {
+      const empty = document.createElement("div");
+      empty.className = "music-empty";
+      empty.textContent = t("music.empty");
+      panel.appendChild(empty);
+    } else {
+      const now = document.createElement("div");
+      now.className = "music-now";
+      now.textContent = currentTrack ? currentTrack.name : t("music.nothingPlaying");
+      panel.appendChild(now);
+
+      const controls = document.createElement("div");
+      controls.className = "music-controls";
+      const toggle = document.createElement("button");
+      toggle.textContent = playing ? t("music.pause") : t("music.play");
+      toggle.addEventListener("click", () => toggleMusic());
+      const next = document.createElement("button");
+      next.textContent = t("music.next");
+      next.disabled = tracks.length < 2;
+      next.addEventListener("click", () => nextMusicTrack());
+      controls.append(toggle, next);
+      panel.appendChild(controls);
+
+      const list = document.createElement("ul");
+      list.className = "music-tracks";
+      tracks.forEach(track => {
+        const item = document.createElement("li");
+        item.className = "music-track" + (track.id === currentTrack?.id ? " is-current" : "");
+        const name = document.createElement("span");
+        name.textContent = track.name;
+        const remove = document.createElement("button");
+        remove.textContent = "✕";
+        remove.title = t("music.remove");
+        remove.addEventListener("click", () => {
+          removeMusicTrack(track.id).catch(err => console.warn("⚠️ Could not remove track:", err));
+        });
+        item.append(name, remove);
+        list.appendChild(item);
+      });
+      panel.appendChild(list);
+    }
+
+    const add = document.createElement("label");
+    add.className = "music-add";
+    add.textContent = t("music.add");
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = "audio/*";
+    input.multiple = true;
+    input.addEventListener("change", async () => {
+      try {
+        const added = await addMusicFiles(input.files);
+        console.log(`🎵 Added ${added} tracks`);
+      } catch (err) {
+        console.error("❌ Could not store music:", err);
+        alert(t("music.addFailed"));
+      }
+      input.value = "";
+    });
+    add.appendChild(input);
+    panel.appendChild(add);
+  });
+}
+
+window.addEventListener(MUSIC_CHANGE_EVENT, renderMusicPanels);
+window.addEventListener(I18n.CHANGE_EVENT, renderMusicPanels);
+
+/* -------------------- Execution Trace -------------------- */
+const TRACE_SKIP_THRESHOLD = 3; // Left within 3s → skipped, otherwise shortened
+
+function getTraceType(step) {
+  if (step.isWarmup) return "warmup";
+  if (step.isRest) return "rest";
+  if (step.isLabel) return "label";
+  return "exercise";
+}
+
+function getTraceEntry(index) {
+  let entry = executionTrace.find(e => e.step === index);
+  if (!entry) {
+    const step = fullWorkoutSequence[index];
+    entry = {
+      step: index,
+      name: step.name,
+      type: getTraceType(step),
+      block: step.block || null,
+      round: step.roundNumber ?? null,
+      planned: isRepBasedStep(step) ? null : (parseInt(step.duration, 10) || 0),
+      actual: 0,
+      extra: 0,
+      visits: 0,
+      status: null
+    };
+    executionTrace.push(entry);
+  }
+  return entry;
+}
+
+// A step starts being played (again: going back counts as a repeat)
+function beginStepTrace(index) {
+  if (!fullWorkoutSequence[index]) return;
+  getTraceEntry(index).visits++;
+  traceVisitExtra = 0;
+}
+
+// The current visit ends: "completed" (timer ran out / set done) or "left" (prev/next)
+function endStepTrace(outcome) {
+  const step = fullWorkoutSequence[currentStep];
+  if (!step || !isWorkoutActive) return;
+
+  const entry = getTraceEntry(currentStep);
+  const seconds = isRepBasedStep(step)
+    ? getRepElapsed()
+    : Math.max(0, (entry.planned || 0) + traceVisitExtra - (getCurrentRemaining() ?? 0));
+
+  entry.name = step.name; // may have been swapped
+  entry.actual += seconds;
+  entry.extra += traceVisitExtra;
+  traceVisitExtra = 0;
+
+  // completed > shortened > skipped: redoing a step after skipping it counts as done
+  let status = "completed";
+  if (outcome === "left") status = seconds < TRACE_SKIP_THRESHOLD ? "skipped" : "shortened";
+  const rank = { skipped: 0, shortened: 1, completed: 2 };
+  if (entry.status === null || rank[status] > rank[entry.status]) entry.status = status;
+}
+
+/* -------------------- Session Log -------------------- */
+function isLoggableStep(step) {
+  return !!step && !step.isLabel && !step.isWarmup && !step.isRest &&
+    !step.name.toLowerCase().includes("istruz");
+}
+
+// Record a finished set. Timed sets log the programmed reps (if any);
+// weight is the last one known for the exercise and RPE is filled in on
+// the completion page.
+// `exercise` overrides the step's own name/reps (AMRAP steps cover several exercises).
+// `rounds` is set on AMRAP entries only.
+function logCompletedSet(stepIndex, { reps = null, seconds = null, exercise = null, rounds = null } = {}) {
+  const step = fullWorkoutSequence[stepIndex];
+  if (!isLoggableStep(step)) return;
+  const source = exercise || step;
+
+  const entry = {
+    step: stepIndex,
+    exercise: source.name,
+    block: step.block,
+    round: step.roundNumber,
+    mode: step.mode === "reps" ? "reps" : "time",
+    targetReps: source.reps || "",
+    reps: reps ?? parseTargetReps(source.reps),
+    weight: getExerciseWeight(source.name),
+    rpe: null,
+    seconds: seconds ?? step.duration
+  };
+  if (source.swappedFrom) entry.swappedFrom = source.swappedFrom;
+  if (rounds !== null) entry.rounds = rounds; // AMRAP: rounds completed
+
+  // Going back and redoing a set replaces the previous entry
+  const existing = sessionLog.findIndex(e => e.step === stepIndex && e.exercise === entry.exercise);
+  if (existing >= 0) sessionLog[existing] = entry;
+  else sessionLog.push(entry);
+  console.log('✅ Set logged:', entry.exercise, entry.reps ?? '-', 'reps in', entry.seconds + 's');
+}
+
 async function startExerciseTimer(initialSeconds, exercise, nextExercise) {
   clearInterval(interval);
 
@@ -1382,11 +2979,20 @@ async function startExerciseTimer(initialSeconds, exercise, nextExercise) {
   // 🔒 dedupe: ricorda i secondi già gestiti in QUESTO esercizio
   const fired = new Set();
 
+  // Cues of this step (workout → profile → default schedule)
+  const format = exercise.blockType || "standard";
+  const stepCues = getStepCues(
+    resolveCueSchedule(selectedWorkout, getAudioCueSchedule()),
+    exercise.duration || initialSeconds,
+    format
+  );
+
   interval = setInterval(async () => {
     // Esegui una sola volta quando il timer mostra esattamente "sec"
-    function once(sec, cb) {
-      if (remaining === sec && !fired.has(sec)) {
-        fired.add(sec);
+    // (key: separate slots for scheduled cues and UI milestones on the same second)
+    function once(sec, cb, key = sec) {
+      if (remaining === sec && !fired.has(key)) {
+        fired.add(key);
         try { cb(); } catch (e) { console.warn('once('+sec+') error:', e); }
       }
     }
@@ -1409,23 +3015,24 @@ async function startExerciseTimer(initialSeconds, exercise, nextExercise) {
     if (remaining !== lastSecond) {
       lastSecond = remaining;
 
-      once(60, () => {
-        if (mode === "voice" || mode === "synth") {
-          speak("mancano sessanta secondi", "it-IT").catch(() => {});
-        }
-        if (mode === "beppe") playBeppeAudio(beppeSounds.s60);
-      });
+      // AMRAP: minutes left, every full minute
+      if (format === "amrap" && remaining > 60 && remaining % 60 === 0 && remaining < exercise.duration) {
+        once(remaining, () => {
+          if (mode === "voice" || mode === "synth") {
+            speak(t("voice.amrapMinutesLeft", { count: remaining / 60, round: amrapRounds + 1 }), cueLang()).catch(() => {});
+          }
+          if (useBip) playBeep();
+        });
+      }
 
-      once(30, () => {
-        if (mode === "voice" || mode === "synth") {
-          speak("mancano trenta secondi", "it-IT").catch(() => {});
-        }
-        if (mode === "beppe") playBeppeAudio(beppeSounds.s30);
-      });
+      // scheduled cues (voice / Beppe / beep / vibration)
+      const cues = stepCues.get(remaining);
+      if (cues) once(remaining, () => cues.forEach(cue => playScheduledCue(cue, mode)), `cue:${remaining}`);
 
       // 10s preview (fire once per exercise)
-      once(10, async () => {
-        if (!nextPreviewShown) {
+      // Tabata work is 20s: the preview shows during the 10s rest instead
+      once(NEXT_PREVIEW_SECONDS, async () => {
+        if (!nextPreviewShown && format !== "tabata") {
           nextPreviewShown = true;
 
         timerEl.classList.add("warning-10");
@@ -1439,14 +3046,14 @@ async function startExerciseTimer(initialSeconds, exercise, nextExercise) {
 
           const nxParts = [];
           if (nxHasEqp) nxParts.push(nextExercise.tipoDiPeso);
-          if (nxHasReps) nxParts.push(`${nextExercise.reps} REPS`);
+          if (nxHasReps) nxParts.push(t("player.reps", { reps: nextExercise.reps }));
           if (nxHasDur) nxParts.push(`${nextExercise.duration}S`);
           const nxInfo = nxParts.join(" | ");
 
           // swap preview UI
           document.getElementById("exercise-name").innerHTML = `
-            <div style="font-size:14px;opacity:.8;margin-bottom:4px;">PROSSIMO ESERCIZIO:</div>
-            <div style="font-size:22px;font-weight:800;letter-spacing:.5px;">${nextExercise.name}</div>
+            <div style="font-size:14px;opacity:.8;margin-bottom:4px;">${t("player.nextExerciseTitle")}</div>
+            <div style="font-size:22px;font-weight:800;letter-spacing:.5px;">${formatStepName(nextExercise)}</div>
             <div style="font-size:15px;font-weight:600;margin-top:4px;">${nxInfo}</div>
           `;
           // Load next exercise image from cache if available
@@ -1461,7 +3068,7 @@ async function startExerciseTimer(initialSeconds, exercise, nextExercise) {
           } else if (mode === "voice" || mode === "synth") {
             // Use speak() with automatic fallback
             try {
-              await speak("prossimo esercizio:", "it-IT");
+              await speak(t("voice.nextExercise"), cueLang());
               await speak(nextExercise.name, detectLang(nextExercise.name));
             } catch (err) {
               console.warn("⚠️ Failed to announce next exercise:", err);
@@ -1484,13 +3091,6 @@ async function startExerciseTimer(initialSeconds, exercise, nextExercise) {
         timerEl.classList.add("warning-3");
       });
 
-      // 5s countdown — runs once (no more stutter)
-      once(5, () => {
-        if (mode === "voice" || mode === "synth") {
-          speak("cinque, quattro, tre, due, uno", "it-IT").catch(() => {});
-        }
-        if (mode === "beppe") playBeppeAudio(beppeSounds.countdown5);
-      });
     }
 
     // done → next
@@ -1502,6 +3102,13 @@ async function startExerciseTimer(initialSeconds, exercise, nextExercise) {
       gifEl.classList.remove("gif-glow");
       exerciseNameBar.classList.remove("next-preview-active");
 
+      endStepTrace("completed");
+      if (format === "amrap") {
+        logAmrapRounds(currentStep, exercise.duration);
+        hideAmrapControls();
+      } else {
+        logCompletedSet(currentStep);
+      }
       currentStep++;
       const upcoming = fullWorkoutSequence[currentStep];
 
@@ -1515,22 +3122,154 @@ async function startExerciseTimer(initialSeconds, exercise, nextExercise) {
 
       document.getElementById("next-exercise-preview").style.display = "none";
       savedTimeLeft = null;
+      currentTimerEndTime = null; // no countdown until the next step starts its own
 
       setTimeout(() => playExercise(currentStep, fullWorkoutSequence), 300);
     }
   }, 200); // 5× per second → smooth and exact
 }
 
+/* -------------------- Session Snapshot (resume after restart) -------------------- */
+// Seconds left on the current countdown, or null on rep-based steps
+function getCurrentRemaining() {
+  if (isRepBasedStep(fullWorkoutSequence[currentStep])) return null;
+  if (isPaused && savedTimeLeft !== null) return savedTimeLeft;
+  if (currentTimerEndTime !== null) {
+    return Math.max(0, Math.ceil((currentTimerEndTime - Date.now()) / 1000));
+  }
+  return savedTimeLeft;
+}
+
+function saveCurrentSnapshot() {
+  if (!isWorkoutActive || fullWorkoutSequence.length === 0 || groupParticipant) return;
+
+  const workoutSelect = document.getElementById("workoutSelect");
+  saveWorkoutSnapshot({
+    workoutKey: workoutSelect?.value || null,
+    workoutIndex: currentWorkoutIndex,
+    workoutName: workoutSelect?.options[workoutSelect.selectedIndex]?.textContent || "Workout",
+    sequence: fullWorkoutSequence,
+    currentStep,
+    remaining: getCurrentRemaining(),
+    repElapsed: isRepBasedStep(fullWorkoutSequence[currentStep]) ? getRepElapsed() : null,
+    isPaused,
+    elapsed: Math.floor((Date.now() - workoutStartTime) / 1000),
+    soundMode: document.getElementById("soundMode")?.value || "synth",
+    amrapRounds,
+    sessionLog,
+    sessionSwaps,
+    executionTrace,
+    traceVisitExtra
+  });
+}
+
+function startSnapshotting() {
+  clearInterval(snapshotTimer);
+  snapshotTimer = setInterval(saveCurrentSnapshot, SNAPSHOT_INTERVAL_MS);
+}
+
+function stopSnapshotting() {
+  clearInterval(snapshotTimer);
+  snapshotTimer = null;
+}
+
+function resumeFromSnapshot(snapshot) {
+  // Same session selected in the dropdown: the completion page reads its name
+  const workoutSelect = document.getElementById("workoutSelect");
+  if (workoutSelect && snapshot.workoutIndex < workoutSelect.options.length) {
+    workoutSelect.selectedIndex = snapshot.workoutIndex;
+  }
+  currentWorkoutIndex = snapshot.workoutIndex ?? currentWorkoutIndex;
+  if (snapshot.workoutKey && workouts[snapshot.workoutKey]) {
+    selectedWorkout = workouts[snapshot.workoutKey];
+  }
+
+  setSoundMode(snapshot.soundMode);
+
+  fullWorkoutSequence = snapshot.sequence;
+  currentStep = snapshot.currentStep;
+  sessionLog = Array.isArray(snapshot.sessionLog) ? snapshot.sessionLog : [];
+  amrapRounds = snapshot.amrapRounds || 0;
+  sessionSwaps = Array.isArray(snapshot.sessionSwaps) ? snapshot.sessionSwaps : [];
+  executionTrace = Array.isArray(snapshot.executionTrace) ? snapshot.executionTrace : [];
+  traceVisitExtra = snapshot.traceVisitExtra || 0;
+  workoutStartTime = Date.now() - (snapshot.elapsed || 0) * 1000; // time while closed doesn't count
+  savedTimeLeft = null;
+  isPaused = false;
+  isWorkoutActive = true;
+
+  showWorkoutScreen();
+
+  const resumeTime = isRepBasedStep(fullWorkoutSequence[currentStep])
+    ? snapshot.repElapsed
+    : snapshot.remaining;
+  console.log('⏯️ Resuming workout at step', currentStep, '(', resumeTime, 's )');
+  playExercise(currentStep, fullWorkoutSequence, resumeTime ?? null);
+  startSnapshotting();
+
+  if (snapshot.isPaused) {
+    // the ticking loop captures the remaining time and stops itself
+    isPaused = true;
+    const pauseBtn = document.getElementById("pause-button");
+    if (pauseBtn) pauseBtn.textContent = t("player.resume");
+    setMediaSessionPlaying(false);
+  }
+}
+
+// "Resume where you left off" prompt, shown once the user's workouts are loaded
+function offerWorkoutResume() {
+  if (isWorkoutActive || groupParticipant || document.getElementById("resume-workout-prompt")) return;
+
+  const snapshot = getWorkoutSnapshot();
+  if (!snapshot) return;
+
+  const { workoutName, stepName, percent } = describeWorkoutSnapshot(snapshot);
+  const elapsedMin = Math.floor((snapshot.elapsed || 0) / 60);
+
+  const overlay = document.createElement("div");
+  overlay.id = "resume-workout-prompt";
+  overlay.style.cssText = `
+    position: fixed;
+    inset: 0;
+    background: rgba(0, 0, 0, 0.8);
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    padding: 20px;
+    z-index: 10001;
+  `;
+  overlay.innerHTML = `
+    <div style="background:#2A2A2A;border:1px solid #7D7D7D;border-radius:16px;padding:24px;max-width:340px;width:100%;text-align:center;color:#fff;">
+      <div style="font-family:'Staatliches',sans-serif;font-size:24px;letter-spacing:1px;margin-bottom:8px;">${t("resume.title")}</div>
+      <div class="resume-details" style="font-size:14px;color:#B0B0B0;line-height:1.5;margin-bottom:20px;"></div>
+      <button id="resume-workout-yes" style="width:100%;padding:14px;border:none;border-radius:10px;background:#FFFFFF;color:#000;font-family:'Staatliches',sans-serif;font-size:18px;letter-spacing:1px;cursor:pointer;margin-bottom:10px;">${t("resume.continue")}</button>
+      <button id="resume-workout-no" style="width:100%;padding:12px;border:1px solid #7D7D7D;border-radius:10px;background:transparent;color:#B0B0B0;font-family:'Staatliches',sans-serif;font-size:16px;letter-spacing:1px;cursor:pointer;">${t("resume.restart")}</button>
+    </div>
+  `;
+  overlay.querySelector(".resume-details").textContent =
+    t("resume.details", { workout: workoutName, step: stepName, percent, minutes: elapsedMin });
+  document.body.appendChild(overlay);
+
+  overlay.querySelector("#resume-workout-yes").addEventListener("click", () => {
+    overlay.remove();
+    resumeFromSnapshot(snapshot);
+  });
+  overlay.querySelector("#resume-workout-no").addEventListener("click", () => {
+    overlay.remove();
+    clearWorkoutSnapshot();
+  });
+}
+
 /* -------------------- UI / App Wiring -------------------- */
 function login() {
-  warmUpServer();
+  checkTTSProviders({ wakeUp: true }); // health checks also wake up sleeping servers
   const username = document.getElementById("username").value.trim();
   const password = document.getElementById("password").value.trim();
   const errorBox = document.getElementById("login-error");
 
   if (!username || !password) {
     if (errorBox) {
-      errorBox.textContent = "Inserisci username e password.";
+      errorBox.textContent = t("login.missingCredentials");
       errorBox.style.display = "block";
     }
     return;
@@ -1541,6 +3280,8 @@ function login() {
     .then(data => {
       if (data.status === "success") {
         localStorage.setItem("loggedUser", username);
+        initializeHistorySync({ force: true }) // a fresh login merges now, not on the hourly schedule
+          .catch(err => console.warn("⚠️ History sync at login failed (will use local):", err));
         
         // Hide login UI (works for both index.html and other pages)
         const loginScreen = document.getElementById("login-screen");
@@ -1570,7 +3311,7 @@ function login() {
     .catch(err => {
       console.error("Login error", err);
       if (errorBox) {
-        errorBox.textContent = "Errore durante il login.";
+        errorBox.textContent = t("login.error");
         errorBox.style.display = "block";
       }
     });
@@ -1624,12 +3365,13 @@ function loadUserData(username) {
     })
     .catch(error => {
       console.error("❌ Error loading user data:", error);
-      alert(`Failed to load workout data: ${error.message}\n\nPlease check your internet connection and try refreshing the page.`);
+      alert(t("player.loadError", { message: error.message }));
     });
 }
 
 function populateWorkoutSelector(username, data) {
   workouts = data.workouts;
+  setExerciseLibrary(data.exercises);
   
   // ✅ UPDATED: Handle new userWorkouts structure with scadenza and workouts array
   const userData = data.userWorkouts[username] || { scadenza: "", workouts: [] };
@@ -1647,7 +3389,7 @@ function populateWorkoutSelector(username, data) {
     expiryDate.setHours(0, 0, 0, 0);
     
     if (expiryDate < today) {
-      alert('⚠️ Il tuo abbonamento è scaduto il ' + expiryDate.toLocaleDateString('it-IT') + '.\n\nRinnova per continuare ad allenarti!');
+      alert(t("player.subscriptionExpired", { date: I18n.formatDate(expiryDate) }));
       window.location.href = 'dashboard.html';
       return;
     }
@@ -1666,9 +3408,10 @@ function populateWorkoutSelector(username, data) {
     option.value = name;                  // keep internal key (A1, A2, …)
     option.dataset.realName = name;       // keep original if you ever need it
     option.dataset.index = i;             // store the index for tracking
-    option.textContent = `Sesh ${i + 1}`;  // what the user sees (sesh1, sesh2, …)
+    option.textContent = t("player.sessionName", { number: i + 1 });  // what the user sees (sesh1, sesh2, …)
     select.appendChild(option);
   });
+  appendCustomWorkoutOptions(select, data.exercises);
 
   if (select.options.length > 0) {
     // ═══════════════════════════════════════════════════════════════════════
@@ -1730,6 +3473,86 @@ function populateWorkoutSelector(username, data) {
     console.log('👆 User selected workout index:', currentWorkoutIndex, '(Sesh', currentWorkoutIndex + 1, ')');
     updateWorkoutPreview();
   });
+
+  offerWorkoutResume();
+
+  // Workouts built on another device show up once the cloud copy arrives
+  mergeCustomWorkoutsWithCloud().then(changed => {
+    const current = document.getElementById("workoutSelect");
+    if (!changed || !current || isWorkoutActive) return;
+    const selectedKey = current.value;
+    appendCustomWorkoutOptions(current, data.exercises);
+    current.value = selectedKey;
+    if (current.value !== selectedKey) {
+      current.selectedIndex = 0;
+      current.dispatchEvent(new Event("change"));
+    }
+  }).catch(err => console.warn("⚠️ Custom workouts cloud merge error:", err));
+}
+
+// User-built workouts (workout editor) listed after the assigned sessions
+function appendCustomWorkoutOptions(select, exerciseLibrary) {
+  select.querySelector("optgroup[data-custom]")?.remove();
+  Object.keys(workouts).filter(isCustomWorkoutKey).forEach(key => delete workouts[key]);
+
+  const customWorkouts = getCustomWorkouts();
+  if (customWorkouts.length === 0) return;
+
+  const group = document.createElement("optgroup");
+  group.label = t("player.myWorkouts");
+  group.dataset.custom = "true";
+  customWorkouts.forEach(custom => {
+    const key = CUSTOM_WORKOUT_PREFIX + custom.id;
+    workouts[key] = toWorkoutData(custom, exerciseLibrary);
+
+    const option = document.createElement("option");
+    option.value = key;
+    option.textContent = custom.name;
+    group.appendChild(option);
+  });
+  select.appendChild(group);
+}
+
+/* -------------------- Workout Estimate -------------------- */
+// Total time (warm-up, rests and labels included) + calories, from the same sequence the player runs
+function describeEstimatePart(part) {
+  if (part.kind === "block") return t("estimate.block", { number: part.blockNumber });
+  return t(part.kind === "warmup" ? "estimate.warmup" : "estimate.betweenBlocks");
+}
+
+function renderWorkoutEstimate(workout) {
+  const section = document.getElementById("estimate-section");
+  if (!section) return;
+
+  const warmupEnabled = document.getElementById("warmup-toggle")?.checked ?? true;
+  const sequence = workout ? buildFullWorkoutSequence(workout, warmupEnabled) : [];
+  if (sequence.length === 0) {
+    section.style.display = "none";
+    return;
+  }
+
+  const estimate = estimateWorkout(sequence, getBodyWeight());
+  document.getElementById("estimate-summary").textContent =
+    `≈ ${formatEstimateDuration(estimate.totalSeconds)} · ~${estimate.kcal} kcal`;
+
+  const breakdown = document.getElementById("estimate-breakdown");
+  breakdown.innerHTML = "";
+  estimate.parts.forEach(part => {
+    const row = document.createElement("div");
+    row.className = "estimate-row";
+    const label = document.createElement("span");
+    label.textContent = describeEstimatePart(part);
+    const value = document.createElement("span");
+    value.textContent = `${formatEstimateDuration(part.seconds, true)} · ${part.kcal} kcal`;
+    row.appendChild(label);
+    row.appendChild(value);
+    breakdown.appendChild(row);
+  });
+
+  document.getElementById("estimate-note").textContent = estimate.bodyWeightEstimated
+    ? t("estimate.noteDefaultWeight", { weight: estimate.bodyWeight })
+    : t("estimate.note", { weight: estimate.bodyWeight });
+  section.style.display = "block";
 }
 
 function updateWorkoutPreview() {
@@ -1754,9 +3577,13 @@ function updateWorkoutPreview() {
     if (visuals) visuals.style.display = "none";
     if (instructionsSection) instructionsSection.style.display = "none";
     if (materialeSection) materialeSection.style.display = "none";
+    renderWorkoutEstimate(null);
     return;
   }
 
+  renderWorkoutEstimate(workout);
+  warmUpWorkoutVoice(workout);
+
   if (instructionsSection) instructionsSection.style.display = "block";
   
   // Default image if instructions are empty
@@ -1881,11 +3708,13 @@ function updateWorkoutPreview() {
     }
   });
 
+  const suggestions = getWorkoutSuggestions(workout.exercises);
+
   const grid = document.getElementById("exercise-grid");
   const sectionConfigs = [
-    { key: 'blocco1', title: 'BLOCCO 1', color: '#7D7D7D', icon: '' },
-    { key: 'blocco2', title: 'BLOCCO 2', color: '#7D7D7D', icon: '' },
-    { key: 'blocco3', title: 'BLOCCO 3', color: '#7D7D7D', icon: '' }
+    { key: 'blocco1', title: t("preview.block", { number: 1 }), color: '#7D7D7D', icon: '' },
+    { key: 'blocco2', title: t("preview.block", { number: 2 }), color: '#7D7D7D', icon: '' },
+    { key: 'blocco3', title: t("preview.block", { number: 3 }), color: '#7D7D7D', icon: '' }
   ];
 
   sectionConfigs.forEach(config => {
@@ -1899,6 +3728,8 @@ function updateWorkoutPreview() {
     });
 
     const rounds = exercises[0]?.rounds || 0;
+    const format = describeBlockFormat(exercises);
+    const supersetLabels = getSupersetLabels(uniqueExercises);
 
     const section = document.createElement('div');
     section.className = 'workout-section';
@@ -1909,7 +3740,7 @@ function updateWorkoutPreview() {
     header.innerHTML = `
       <span class="section-icon">${config.icon}</span>
       <span class="section-title">${config.title}</span>
-      <span class="section-count">${uniqueExercises.length} es. | ${rounds} round</span>
+      <span class="section-count">${t("preview.exerciseCount", { count: uniqueExercises.length })} | ${format || t("preview.rounds", { count: rounds })}</span>
     `;
     section.appendChild(header);
 
@@ -1928,6 +3759,12 @@ function updateWorkoutPreview() {
       const name = document.createElement("div");
       name.textContent = ex.name;
       name.className = "exercise-name";
+      if (supersetLabels[ex.name]) {
+        const badge = document.createElement("span");
+        badge.className = "exercise-superset-label";
+        badge.textContent = supersetLabels[ex.name];
+        name.prepend(badge);
+      }
 
       const details = document.createElement("div");
       details.className = "exercise-details";
@@ -1954,10 +3791,30 @@ function updateWorkoutPreview() {
       if (lastWeight) {
         const weightDiv = document.createElement("div");
         weightDiv.className = "exercise-info-item exercise-last-weight";
-        weightDiv.textContent = `Last: ${lastWeight}`;
+        weightDiv.textContent = t("preview.lastWeight", { weight: lastWeight });
         details.appendChild(weightDiv);
       }
 
+      // SUGGESTED WEIGHT (progressive overload) — tap to accept
+      const suggestion = suggestions[ex.name];
+      if (suggestion?.increase && suggestion.weight !== lastWeight) {
+        const suggestDiv = document.createElement("button");
+        suggestDiv.type = "button";
+        suggestDiv.className = "exercise-info-item exercise-suggested-weight";
+        suggestDiv.textContent = `↑ ${suggestion.weight}`;
+        suggestDiv.title = suggestion.reason;
+        suggestDiv.addEventListener("click", (event) => {
+          event.stopPropagation();
+          updateExerciseWeights({ [ex.name]: suggestion.weight });
+          suggestDiv.textContent = `✓ ${suggestion.weight}`;
+          suggestDiv.disabled = true;
+          const lastDiv = details.querySelector(".exercise-last-weight");
+          if (lastDiv) lastDiv.textContent = t("preview.lastWeight", { weight: suggestion.weight });
+          console.log('📈 Suggested weight accepted:', ex.name, suggestion.weight);
+        });
+        details.appendChild(suggestDiv);
+      }
+
       card.appendChild(img);
       card.appendChild(name);
       card.appendChild(details);
@@ -1990,7 +3847,7 @@ function buildStartPointSelector() {
   const tempSequence = buildFullWorkoutSequence(selectedWorkout, warmupEnabled);
   if (tempSequence.length === 0) return;
 
-  phaseSelect.innerHTML = '<option value="0">Inizio workout (con riscaldamento)</option>';
+  phaseSelect.innerHTML = `<option value="0">${t("startPoint.workoutStart")}</option>`;
   roundSelect.innerHTML = '';
   exerciseSelect.innerHTML = '';
 
@@ -2053,7 +3910,7 @@ function buildStartPointSelector() {
     const option = document.createElement('option');
     option.value = block.index;              // keep internal A1, A2, etc.
     option.dataset.realName = block.name;    // store the original
-    option.textContent = `Blocco ${idx + 1}`;   // display block number
+    option.textContent = t("startPoint.block", { number: idx + 1 });   // display block number
     phaseSelect.appendChild(option);
   });
 
@@ -2082,12 +3939,12 @@ function buildStartPointSelector() {
 
     if (roundContainer) roundContainer.style.display = 'block';
     if (exerciseContainer) exerciseContainer.style.display = 'none';
-    roundSelectFinal.innerHTML = '<option value="">Inizio blocco (Round 1)</option>';
+    roundSelectFinal.innerHTML = `<option value="">${t("startPoint.blockStart")}</option>`;
 
     block.rounds.forEach((round) => {
       const option = document.createElement('option');
       option.value = round.firstExerciseIndex;
-      option.textContent = `Round ${round.number}`;
+      option.textContent = t("startPoint.round", { number: round.number });
       option.dataset.roundNumber = round.number;
       roundSelectFinal.appendChild(option);
     });
@@ -2117,7 +3974,7 @@ function buildStartPointSelector() {
     }
 
     if (exerciseContainer) exerciseContainer.style.display = 'block';
-    exerciseSelectFinal.innerHTML = '<option value="">Inizio round</option>';
+    exerciseSelectFinal.innerHTML = `<option value="">${t("startPoint.roundStart")}</option>`;
     round.exercises.forEach((ex, idx) => {
       const option = document.createElement('option');
       option.value = ex.index;
@@ -2178,6 +4035,15 @@ document.addEventListener("DOMContentLoaded", async () => {
     }
   }
 
+  // ===== WORKOUT HISTORY (IndexedDB) =====
+  // Progression suggestions in the preview read the history: refresh once loaded
+  initializeHistoryStore().then(() => {
+    if (selectedWorkout?.exercises?.length) updateWorkoutPreview();
+  });
+
+  // ===== BACKGROUND MUSIC =====
+  initializeMusicLibrary().then(renderMusicPanels);
+
   // ===== AUDIO INITIALIZATION =====
   setSoundMode("synth"); // force synth on start for debugging
   
@@ -2200,7 +4066,7 @@ document.addEventListener("DOMContentLoaded", async () => {
     soundModeSetup.addEventListener("change", e => syncSoundModeSelectors(e.target.value));
   }
 
-  warmUpServer();
+  checkTTSProviders({ wakeUp: true }); // health checks also wake up sleeping servers
   speechSynthesis.getVoices(); // trigger voices load
   waitForVoices(1500).then(lockSynthVoices).catch(()=>{});
 
@@ -2218,12 +4084,37 @@ document.addEventListener("DOMContentLoaded", async () => {
       warmupToggle.checked = savedWarmupPref === "true";
     }
     
-    // Save preference when changed
+    // Save preference when changed (the estimate counts the warm-up only when it's on)
     warmupToggle.addEventListener("change", (e) => {
       localStorage.setItem("warmupEnabled", e.target.checked.toString());
+      renderWorkoutEstimate(selectedWorkout?.exercises?.length ? selectedWorkout : null);
     });
   }
 
+  // ===== BIG-SCREEN DISPLAY MODE =====
+  initDisplayMode();
+
+  // ===== GROUP CLASS =====
+  initGroupClass();
+
+  // ===== TEMPO METRONOME TOGGLE =====
+  // Same setting in both settings popups; switching it applies to the current step
+  const tempoToggles = document.querySelectorAll(".tempo-toggle");
+  tempoToggles.forEach(toggle => {
+    toggle.checked = isTempoMetronomeEnabled();
+    toggle.addEventListener("change", (e) => {
+      localStorage.setItem(TEMPO_SETTING_KEY, e.target.checked ? "on" : "off");
+      tempoToggles.forEach(other => { other.checked = e.target.checked; });
+      if (!e.target.checked) {
+        stopTempoMetronome();
+      } else if (isWorkoutActive) {
+        const step = fullWorkoutSequence[currentStep];
+        const elapsed = isRepBasedStep(step) ? getRepElapsed() : (parseInt(step.duration) || 0) - getCurrentRemaining();
+        startTempoMetronome(step, elapsed);
+      }
+    });
+  });
+
   // ===== LOGIN & USER STATE =====
   const headerLoginBtn = document.getElementById("header-login-btn");
   const headerDashboardBtn = document.getElementById("header-dashboard-btn");
@@ -2320,15 +4211,20 @@ document.addEventListener("DOMContentLoaded", async () => {
   const pauseBtn = document.getElementById("pause-button");
   if (pauseBtn) {
     pauseBtn.addEventListener("click", () => {
+      if (isFollowingCoach()) return; // the coach pauses the class
       isPaused = !isPaused;
       const btn = document.getElementById("pause-button");
       if (isPaused) {
-        btn.textContent = "▶️ Riprendi";
+        btn.textContent = t("player.resume");
         // the loop will capture savedTimeLeft and stop itself
       } else {
-        btn.textContent = "⏸ Pausa";
+        btn.textContent = t("player.pause");
         resumeTimer();
       }
+      setMediaSessionPlaying(!isPaused);
+      publishDisplayState();
+      publishGroupPosition();
+      saveCurrentSnapshot();
     });
   }
 
@@ -2360,13 +4256,14 @@ document.addEventListener("DOMContentLoaded", async () => {
   const prevBtn = document.getElementById("prev-exercise-button");
   if (prevBtn) {
     prevBtn.addEventListener("click", () => {
-      if (currentStep > 0) {
+      if (currentStep > 0 && !isFollowingCoach()) {
+        endStepTrace("left");
         clearInterval(interval);
         currentStep--;
         savedTimeLeft = null;
         isPaused = false;
         const pauseBtn = document.getElementById("pause-button");
-        if (pauseBtn) pauseBtn.textContent = "⏸ Pausa";
+        if (pauseBtn) pauseBtn.textContent = t("player.pause");
         playExercise(currentStep, fullWorkoutSequence);
       }
     });
@@ -2375,18 +4272,42 @@ document.addEventListener("DOMContentLoaded", async () => {
   const nextBtn = document.getElementById("next-exercise-button");
   if (nextBtn) {
     nextBtn.addEventListener("click", () => {
-      if (currentStep < fullWorkoutSequence.length - 1) {
+      if (currentStep < fullWorkoutSequence.length - 1 && !isFollowingCoach()) {
+        endStepTrace("left");
         clearInterval(interval);
         currentStep++;
         savedTimeLeft = null;
         isPaused = false;
         const pauseBtn = document.getElementById("pause-button");
-        if (pauseBtn) pauseBtn.textContent = "⏸ Pausa";
+        if (pauseBtn) pauseBtn.textContent = t("player.pause");
         playExercise(currentStep, fullWorkoutSequence);
       }
     });
   }
 
+  // ===== REP-BASED SET CONTROLS =====
+  const repDoneBtn = document.getElementById("rep-done-button");
+  if (repDoneBtn) repDoneBtn.addEventListener("click", completeRepSet);
+
+  const repInput = document.getElementById("rep-actual-input");
+  const stepReps = (delta) => {
+    if (!repInput) return;
+    const current = parseInt(repInput.value, 10) || 0;
+    repInput.value = Math.max(0, current + delta);
+  };
+  document.getElementById("rep-minus-button")?.addEventListener("click", () => stepReps(-1));
+  document.getElementById("rep-plus-button")?.addEventListener("click", () => stepReps(1));
+
+  // ===== EXERCISE SWAP =====
+  document.getElementById("swap-exercise-button")?.addEventListener("click", openSwapPopup);
+  document.getElementById("close-swap")?.addEventListener("click", closeSwapPopup);
+  document.getElementById("swap-popup")?.addEventListener("click", (e) => {
+    if (e.target.id === "swap-popup") closeSwapPopup();
+  });
+
+  // ===== AMRAP ROUND COUNTER =====
+  document.getElementById("amrap-round-button")?.addEventListener("click", completeAmrapRound);
+
   // ===== SETTINGS POPUP (DURING WORKOUT) =====
   const settingsBtn = document.getElementById("settings-button");
   if (settingsBtn) {
@@ -2407,8 +4328,9 @@ document.addEventListener("DOMContentLoaded", async () => {
   const exitBtn = document.getElementById("exit-workout-button");
   if (exitBtn) {
     exitBtn.addEventListener("click", () => {
-      if (confirm("Sei sicuro di voler terminare l'allenamento?")) {
+      if (confirm(t("player.confirmExit"))) {
         exitWorkout();
+        if (groupParticipant) leaveGroupSession(); // or the next coach position brings us back in
       }
     });
   }
@@ -2420,60 +4342,70 @@ document.addEventListener("DOMContentLoaded", async () => {
     });
   }
 
-  // ===== VOLUME SLIDER =====
-  const volumeSlider = document.getElementById("volume-slider");
-  const volumeValue = document.getElementById("volume-value");
-  
-  // Load saved volume or default to 100
-  const savedVolume = localStorage.getItem('viltrum_volume') || '100';
-  if (volumeSlider && volumeValue) {
-    volumeSlider.value = savedVolume;
-    volumeValue.textContent = savedVolume;
+  // ===== VOLUME SLIDERS =====
+  // Two channels: cues (voice, Beppe, beep, transition) and background music
+  const VOLUME_CHANNELS = {
+    cues: { slider: "volume-slider", value: "volume-value", storageKey: "viltrum_volume" },
+    music: { slider: "music-volume-slider", value: "music-volume-value", storageKey: "viltrum_music_volume" }
+  };
+
+  // Apply a channel volume to its audio sources
+  const applyVolumeToAll = (channel, volumePercent) => {
+    const volume = parseInt(volumePercent) / 100;
+
+    if (channel === "music") {
+      // Music plays through its own gain (not a DOM <audio> element)
+      setMusicVolume(volume);
+      console.log('[Volume] Music channel:', volume);
+      return;
+    }
+
+    // Store in global variable for synth and future audio
+    currentVolume = volume;
     
-    // Apply saved volume immediately to all audio elements
-    const applyVolumeToAll = (volumePercent) => {
-      const volume = parseInt(volumePercent) / 100;
-      
-      // Store in global variable for synth and future audio
-      currentVolume = volume;
-      
-      // Apply to beep sounds
-      const beepSound = document.getElementById("beep-sound");
-      const transitionSound = document.getElementById("transition-sound");
-      if (beepSound) beepSound.volume = volume;
-      if (transitionSound) transitionSound.volume = volume;
-      
-      // Apply to TTS audio
-      if (ttsAudio) ttsAudio.volume = volume;
-      
-      // Apply to beppePlayer
-      if (beppePlayer) beppePlayer.volume = volume;
-      
-      // Apply to any other audio elements
-      document.querySelectorAll('audio').forEach(audio => {
-        audio.volume = volume;
-      });
-      
-      console.log('[Volume] Applied to all audio sources:', volume);
-    };
+    // Apply to beep sounds
+    const beepSound = document.getElementById("beep-sound");
+    const transitionSound = document.getElementById("transition-sound");
+    if (beepSound) beepSound.volume = volume;
+    if (transitionSound) transitionSound.volume = volume;
     
-    // Apply saved volume on load
-    applyVolumeToAll(savedVolume);
+    // Apply to TTS audio
+    if (ttsAudio) ttsAudio.volume = volume;
     
+    // Apply to beppePlayer
+    if (beppePlayer) beppePlayer.volume = volume;
+    
+    // Apply to any other audio elements
+    document.querySelectorAll('audio').forEach(audio => {
+      audio.volume = volume;
+    });
+    
+    console.log('[Volume] Cues channel:', volume);
+  };
+
+  Object.entries(VOLUME_CHANNELS).forEach(([channel, { slider, value, storageKey }]) => {
+    const volumeSlider = document.getElementById(slider);
+    const volumeValue = document.getElementById(value);
+
+    // Load saved volume or default to 100
+    const savedVolume = localStorage.getItem(storageKey) || '100';
+
+    // Apply saved volume on load
+    applyVolumeToAll(channel, savedVolume);
+    if (!volumeSlider || !volumeValue) return;
+
+    volumeSlider.value = savedVolume;
+    volumeValue.textContent = savedVolume;
+
     // Update volume when slider changes
     volumeSlider.addEventListener('input', (e) => {
       const newVolume = e.target.value;
       volumeValue.textContent = newVolume;
-      
-      // Apply to all audio elements
-      applyVolumeToAll(newVolume);
-      
-      // Save to localStorage
-      localStorage.setItem('viltrum_volume', newVolume);
-      
-      console.log('[Volume] Set to:', newVolume + '%');
+      applyVolumeToAll(channel, newVolume);
+      localStorage.setItem(storageKey, newVolume);
+      console.log(`[Volume] ${channel} set to:`, newVolume + '%');
     });
-  }
+  });
 
   // ===== ADD 10 SECONDS BUTTON =====
   const add10sBtn = document.getElementById("add-10s-button");
@@ -2486,11 +4418,13 @@ document.addEventListener("DOMContentLoaded", async () => {
         console.log("[+10s] Workout not active, ignoring click");
         return; // Silently ignore if workout not active
       }
+      if (isFollowingCoach()) return; // only the coach's +10s counts in a group class
       
       if (isPaused) {
         // If paused, add to savedTimeLeft
         if (savedTimeLeft !== null) {
           savedTimeLeft += 10;
+          traceVisitExtra += 10;
           console.log("[+10s] Added 10 seconds to paused time:", savedTimeLeft);
           
           // Update timer display
@@ -2509,6 +4443,7 @@ document.addEventListener("DOMContentLoaded", async () => {
         // If running, add to currentTimerEndTime
         if (currentTimerEndTime !== null) {
           currentTimerEndTime += 10000; // Add 10 seconds in milliseconds
+          traceVisitExtra += 10;
           console.log("[+10s] Added 10 seconds to active timer, new end time:", currentTimerEndTime);
           
           // Show visual feedback
@@ -2523,6 +4458,8 @@ document.addEventListener("DOMContentLoaded", async () => {
           console.log("[+10s] Warning: currentTimerEndTime is null while running");
         }
       }
+      publishDisplayState();
+      publishGroupPosition();
     });
   } else {
     console.error("[+10s] Button not found in DOM!");
@@ -2616,6 +4553,9 @@ document.addEventListener("DOMContentLoaded", async () => {
     } else if (e.key === " " || e.key === "Spacebar") {
       e.preventDefault();
       document.getElementById("pause-button")?.click();
+    } else if (e.key === "Enter" && isRepBasedStep(fullWorkoutSequence[currentStep])) {
+      e.preventDefault();
+      completeRepSet();
     }
   });
 
@@ -2649,9 +4589,14 @@ document.addEventListener("DOMContentLoaded", async () => {
 document.addEventListener('visibilitychange', () => {
   if (document.hidden) {
     releaseWakeLock();
+    // iOS may kill a backgrounded PWA without further notice
+    saveCurrentSnapshot();
   }
 });
 
+// Last chance to snapshot (fires on iOS where beforeunload doesn't)
+window.addEventListener('pagehide', saveCurrentSnapshot);
+
 // Release wake lock on page unload (backup)
 window.addEventListener('beforeunload', () => {
   releaseWakeLock();
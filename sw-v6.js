@@ -3,8 +3,11 @@
 // Enhanced offline support with new features
 // ═══════════════════════════════════════════════════════════════════════════
 
-const CACHE_NAME = 'viltrum-fitness-v6.3.21';
-const RUNTIME_CACHE = 'viltrum-runtime-v6.3.21';
+// Outbox for cloud writes (shared with the pages)
+importScripts('/js/offline-preloader.js', '/js/cloud-outbox.js');
+
+const CACHE_NAME = 'viltrum-fitness-v6.4.0';
+const RUNTIME_CACHE = 'viltrum-runtime-v6.4.0';
 
 // Files to cache immediately on install
 const STATIC_CACHE_URLS = [
@@ -17,6 +20,8 @@ const STATIC_CACHE_URLS = [
   '/pages/nutrition.html',
   '/pages/workout-completion.html',
   '/pages/profile.html',
+  '/pages/workout-editor.html',
+  '/pages/remote.html',
   
   // JavaScript - Core
   '/js/config.js',
@@ -29,6 +34,24 @@ const STATIC_CACHE_URLS = [
   
   // JavaScript - New Features
   '/js/workout-history.js',
+  '/js/workout-snapshot.js',
+  '/js/exercise-swap.js',
+  '/js/workout-estimate.js',
+  '/js/audio-cues.js',
+  '/js/rep-tempo.js',
+  '/js/music-player.js',
+  '/js/media-session.js',
+  '/js/room-link.js',
+  '/js/remote-control.js',
+  '/js/group-session.js',
+  '/js/tts-cache.js',
+  '/js/tts-providers.js',
+  '/js/activity-export.js',
+  '/js/i18n.js',
+  '/js/locales/it.js',
+  '/js/locales/en.js',
+  '/js/custom-workouts.js',
+  '/js/workout-editor.js',
   '/js/profile-manager.js',
   '/js/welcome-modal.js',
   '/js/enhanced-settings.js',
@@ -220,20 +243,20 @@ self.addEventListener('message', (event) => {
   }
 });
 
-// Background sync for workout data (future enhancement)
+// Background sync: deliver the cloud writes queued while offline
 self.addEventListener('sync', (event) => {
-  if (event.tag === 'sync-workouts') {
+  if (event.tag === CloudOutbox.SYNC_TAG) {
     event.waitUntil(syncWorkouts());
   }
 });
 
 async function syncWorkouts() {
-  try {
-    // Sync workout completion data when back online
-    console.log('[Service Worker] Syncing workouts...');
-    // Implementation here
-  } catch (error) {
-    console.error('[Service Worker] Sync failed:', error);
+  console.log('[Service Worker] Syncing workouts (outbox)...');
+  await CloudOutbox.flush();
+  const pending = await CloudOutbox.getPendingCount();
+  if (pending > 0) {
+    // Rejecting makes the browser retry this sync later
+    throw new Error(`${pending} requests still pending`);
   }
 }
 
@@ -1,5 +1,8 @@
-const CACHE_NAME = 'viltrum-fitness-v6.3.21';
-const RUNTIME_CACHE = 'viltrum-runtime-v6.3.21';
+// Outbox for cloud writes (shared with the pages, flushed by the `sync` event below)
+importScripts('./js/offline-preloader.js', './js/cloud-outbox.js');
+
+const CACHE_NAME = 'viltrum-fitness-v6.4.0';
+const RUNTIME_CACHE = 'viltrum-runtime-v6.4.0';
 
 const urlsToCache = [
   './',
@@ -11,6 +14,8 @@ const urlsToCache = [
   './pages/nutrition.html',
   './pages/workout-completion.html',
   './pages/profile.html',
+  './pages/workout-editor.html',
+  './pages/remote.html',
   
   // JavaScript - Core
   './js/config.js',
@@ -20,11 +25,32 @@ const urlsToCache = [
   './js/workout.js',
   './js/session-cache.js',
   './js/offline-preloader.js',
+  './js/cloud-outbox.js',
+  './js/tts-cache.js',
+  './js/tts-providers.js',
   './js/preload-modal.js',
   './viewport.js',
   
   // JavaScript - Features
   './js/workout-history.js',
+  './js/progression.js',
+  './js/workout-snapshot.js',
+  './js/exercise-swap.js',
+  './js/workout-estimate.js',
+  './js/audio-cues.js',
+  './js/rep-tempo.js',
+  './js/music-player.js',
+  './js/media-session.js',
+  './js/room-link.js',
+  './js/remote-control.js',
+  './js/group-session.js',
+  './js/activity-export.js',
+  './js/i18n.js',
+  './js/locales/it.js',
+  './js/locales/en.js',
+  './js/custom-workouts.js',
+  './js/workout-editor.js',
+  './js/progress-dashboard.js',
   './js/profile-manager.js',
   './js/welcome-modal.js',
   './js/enhanced-settings.js',
@@ -61,11 +87,11 @@ const urlsToCache = [
 
 // Install event - cache resources
 self.addEventListener('install', (event) => {
-  console.log('[Service Worker] Installing v6.3.21 (weights sync)...');
+  console.log('[Service Worker] Installing v6.4.0...');
   event.waitUntil(
     caches.open(CACHE_NAME)
       .then((cache) => {
-        console.log('[Service Worker] Caching app shell v6.3.21');
+        console.log('[Service Worker] Caching app shell v6.4.0');
         // Cache files one by one to handle failures gracefully
         return Promise.allSettled(
           urlsToCache.map(url => 
@@ -96,7 +122,7 @@ self.addEventListener('message', (event) => {
 
 // Activate event - clean up old caches
 self.addEventListener('activate', (event) => {
-  console.log('[Service Worker] Activating v6.3.21...');
+  console.log('[Service Worker] Activating v6.4.0...');
   event.waitUntil(
     caches.keys().then((cacheNames) => {
       return Promise.all(
@@ -246,3 +272,20 @@ self.addEventListener('fetch', (event) => {
       })
   );
 });
+
+// Background sync: deliver the cloud writes queued while offline
+self.addEventListener('sync', (event) => {
+  if (event.tag === CloudOutbox.SYNC_TAG) {
+    event.waitUntil(syncWorkouts());
+  }
+});
+
+async function syncWorkouts() {
+  console.log('[Service Worker] Syncing workouts (outbox)...');
+  await CloudOutbox.flush();
+  const pending = await CloudOutbox.getPendingCount();
+  if (pending > 0) {
+    // Rejecting makes the browser retry this sync later
+    throw new Error(`${pending} requests still pending`);
+  }
+}